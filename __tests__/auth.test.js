@@ -0,0 +1,204 @@
+/**
+ * Tests for security scheme to Postman auth mapping
+ */
+
+const { applyAuth, buildAuth, resolveSecurity, resolveSecurityAuth, securitySchemeVariables } = require('../scripts/auth');
+
+const schemes = {
+    headerKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+    queryKey: { type: 'apiKey', in: 'query', name: 'api_key' },
+    session: { type: 'apiKey', in: 'cookie', name: 'SESSION' },
+    basicAuth: { type: 'http', scheme: 'basic' },
+    jwt: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+    petstore_auth: {
+        type: 'oauth2',
+        flows: {
+            authorizationCode: { authorizationUrl: 'https://auth.example.com/authorize', tokenUrl: 'https://auth.example.com/token', scopes: { 'pets:read': '', 'pets:write': '' } },
+            clientCredentials: { tokenUrl: 'https://auth.example.com/token', scopes: { 'pets:read': '', 'pets:write': '' } }
+        }
+    },
+    oidc: { type: 'openIdConnect', openIdConnectUrl: 'https://auth.example.com/.well-known/openid-configuration' }
+};
+
+const paramsOf = (auth) => Object.fromEntries(auth[auth.type].map(p => [p.key, p.value]));
+
+// ─── buildAuth ────────────────────────────────────────────────────────────────
+
+describe('buildAuth', () => {
+    it('should map API keys in header, query and cookie', () => {
+        expect(paramsOf(buildAuth('headerKey', schemes.headerKey))).toEqual({ key: 'X-API-Key', value: '{{headerKey}}', in: 'header' });
+        expect(paramsOf(buildAuth('queryKey', schemes.queryKey))).toEqual({ key: 'api_key', value: '{{queryKey}}', in: 'query' });
+        expect(paramsOf(buildAuth('session', schemes.session))).toEqual({ key: 'Cookie', value: 'SESSION={{session}}', in: 'header' });
+    });
+
+    it('should map http basic and bearer', () => {
+        expect(buildAuth('basicAuth', schemes.basicAuth).type).toBe('basic');
+        expect(paramsOf(buildAuth('basicAuth', schemes.basicAuth))).toEqual({ username: '{{basicAuthUsername}}', password: '{{basicAuthPassword}}' });
+        expect(paramsOf(buildAuth('jwt', schemes.jwt))).toEqual({ token: '{{jwt}}' });
+        expect(paramsOf(buildAuth('hoba', { type: 'http', scheme: 'HOBA' }))).toEqual({ key: 'Authorization', value: 'HOBA {{hoba}}', in: 'header' });
+    });
+
+    it('should prefer the client credentials flow and use the requested scopes', () => {
+        const auth = buildAuth('petstore_auth', schemes.petstore_auth, ['pets:read']);
+        expect(auth.type).toBe('oauth2');
+        expect(paramsOf(auth)).toEqual({
+            grant_type: 'client_credentials',
+            accessTokenUrl: 'https://auth.example.com/token',
+            clientId: '{{petstore_authClientId}}',
+            clientSecret: '{{petstore_authClientSecret}}',
+            scope: 'pets:read',
+            accessToken: '{{petstore_authAccessToken}}',
+            tokenName: 'petstore_auth',
+            addTokenTo: 'header'
+        });
+    });
+
+    it('should map Swagger 2.0 schemes', () => {
+        expect(buildAuth('basic', { type: 'basic' }).type).toBe('basic');
+        const auth = buildAuth('oauth', { type: 'oauth2', flow: 'password', tokenUrl: 'https://auth/token', scopes: { read: '' } });
+        expect(paramsOf(auth)).toMatchObject({ grant_type: 'password_credentials', username: '{{oauthUsername}}', scope: 'read' });
+    });
+
+    it('should use a bearer access token for OpenID Connect', () => {
+        expect(paramsOf(buildAuth('oidc', schemes.oidc))).toEqual({ token: '{{oidcAccessToken}}' });
+    });
+});
+
+describe('securitySchemeVariables', () => {
+    it('should list the variables each scheme references', () => {
+        expect(securitySchemeVariables('headerKey', schemes.headerKey)).toEqual(['headerKey']);
+        expect(securitySchemeVariables('basicAuth', schemes.basicAuth)).toEqual(['basicAuthUsername', 'basicAuthPassword']);
+        expect(securitySchemeVariables('petstore_auth', schemes.petstore_auth))
+            .toEqual(['petstore_authClientId', 'petstore_authClientSecret', 'petstore_authAccessToken']);
+        expect(securitySchemeVariables('user', {
+            type: 'oauth2',
+            flows: { authorizationCode: { authorizationUrl: 'https://a', tokenUrl: 'https://t' }, password: { tokenUrl: 'https://t' } }
+        })).toEqual(['userClientId', 'userClientSecret', 'userAccessToken', 'userUsername', 'userPassword']);
+        expect(securitySchemeVariables('tls', { type: 'mutualTLS' })).toEqual([]);
+    });
+});
+
+describe('resolveSecurityAuth', () => {
+    it('should treat empty and optional requirements as No Auth', () => {
+        expect(resolveSecurityAuth([], schemes)).toEqual({ type: 'noauth' });
+        expect(resolveSecurityAuth(undefined, schemes)).toEqual({ type: 'noauth' });
+        expect(resolveSecurityAuth([{}, { jwt: [] }], schemes)).toEqual({ type: 'noauth' });
+    });
+
+    it('should skip unknown schemes', () => {
+        expect(resolveSecurityAuth([{ missing: [] }, { jwt: [] }], schemes).type).toBe('bearer');
+    });
+});
+
+describe('resolveSecurity', () => {
+    it('should add header and cookie API keys required together with the auth as headers', () => {
+        const resolved = resolveSecurity([{ jwt: [], headerKey: [], session: [] }], schemes);
+
+        expect(resolved.auth.type).toBe('bearer');
+        expect(resolved.headers).toEqual([
+            { key: 'X-API-Key', value: '{{headerKey}}', type: 'text' },
+            { key: 'Cookie', value: 'SESSION={{session}}', type: 'text' }
+        ]);
+        expect(resolved.schemeNames).toEqual(['jwt', 'headerKey', 'session']);
+        expect(resolved.dropped).toEqual([]);
+    });
+
+    it('should list the schemes of a requirement that cannot be added', () => {
+        expect(resolveSecurity([{ jwt: [], basicAuth: [], queryKey: [] }], schemes).dropped).toEqual(['basicAuth', 'queryKey']);
+    });
+});
+
+// ─── applyAuth ────────────────────────────────────────────────────────────────
+
+describe('applyAuth', () => {
+    const spec = {
+        openapi: '3.0.3',
+        security: [{ headerKey: [] }],
+        components: { securitySchemes: schemes },
+        paths: {
+            '/pets': { get: {}, post: { security: [{ jwt: [] }] } },
+            '/pets/{petId}': { get: { security: [{ jwt: [] }] }, delete: { security: [{ jwt: [] }] } },
+            '/health': { get: { security: [] } }
+        }
+    };
+
+    const request = (method, path) => ({
+        method,
+        url: { raw: `{{baseUrl}}/${path.join('/')}`, host: ['{{baseUrl}}'], path }
+    });
+
+    function buildCollection() {
+        return {
+            info: { name: 'Pets' },
+            auth: { type: 'apikey', apikey: [{ key: 'value', value: '{{apiKey}}' }] },
+            item: [
+                {
+                    name: 'pets',
+                    item: [
+                        { name: 'List', request: request('GET', ['pets']), response: [] },
+                        { name: 'Create', request: request('POST', ['pets']), response: [] },
+                        { name: 'Get', request: request('GET', ['pets', ':petId']), response: [{ name: 'OK', originalRequest: request('GET', ['pets', ':petId']) }] },
+                        { name: 'Delete', request: request('DELETE', ['pets', ':petId']), response: [] }
+                    ]
+                },
+                { name: 'Health', request: { ...request('GET', ['health']), auth: null }, response: [] }
+            ]
+        };
+    }
+
+    it('should set spec-level auth on the collection and hoist shared auth to folders', () => {
+        const collection = applyAuth(buildCollection(), spec);
+        const [folder, health] = collection.item;
+
+        expect(paramsOf(collection.auth)).toEqual({ key: 'X-API-Key', value: '{{headerKey}}', in: 'header' });
+        expect(folder.auth.type).toBe('bearer');
+        expect(folder.item.map(item => item.request.auth && item.request.auth.type)).toEqual(['apikey', undefined, undefined, undefined]);
+        expect(health.request.auth).toEqual({ type: 'noauth' });
+    });
+
+    it('should put the effective auth on saved responses', () => {
+        const collection = applyAuth(buildCollection(), spec);
+        expect(collection.item[0].item[2].response[0].originalRequest.auth.type).toBe('bearer');
+    });
+
+    it('should remove all auth when auth is not included', () => {
+        const collection = applyAuth(buildCollection(), spec, { includeAuth: false });
+        expect(JSON.stringify(collection)).not.toContain('"auth"');
+        expect(collection.variable).toBeUndefined();
+    });
+
+    it('should declare the credential variables of the schemes in use', () => {
+        const collection = applyAuth({ ...buildCollection(), variable: [{ key: 'jwt', value: 'dev-token' }] }, spec);
+        expect(collection.variable).toEqual([
+            { key: 'jwt', value: 'dev-token' },
+            { key: 'headerKey', value: '', type: 'string' }
+        ]);
+    });
+
+    it('should add API keys required together with the auth and warn about the rest', () => {
+        const logger = { warn: jest.fn() };
+        const combined = {
+            ...spec,
+            paths: {
+                '/pets': { get: { security: [{ jwt: [], headerKey: [] }] }, post: { security: [{ jwt: [], basicAuth: [] }] } },
+                '/pets/{petId}': { get: { security: [{ jwt: [], basicAuth: [] }] } }
+            }
+        };
+        const collection = applyAuth(buildCollection(), combined, { logger });
+        const [list, create] = collection.item[0].item;
+
+        expect(list.request.header).toEqual([{ key: 'X-API-Key', value: '{{headerKey}}', type: 'text' }]);
+        expect(create.request.header).toBeUndefined();
+        expect(logger.warn).toHaveBeenCalledTimes(1);
+        expect(logger.warn).toHaveBeenCalledWith('Schemes "jwt", "basicAuth" are required together: "basicAuth" cannot be added, set it on the requests yourself');
+        expect(collection.variable.map(variable => variable.key)).toEqual(['headerKey', 'jwt']);
+    });
+
+    it('should leave a collection without spec-level security without root auth', () => {
+        const collection = applyAuth(buildCollection(), { ...spec, security: undefined });
+        expect(collection.auth).toBeUndefined();
+        expect(collection.item[0].auth.type).toBe('bearer');
+        expect(collection.item[0].item[0].request.auth).toEqual({ type: 'noauth' });
+        expect(collection.item[1].request.auth).toBeUndefined();
+    });
+});
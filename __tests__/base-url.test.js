@@ -0,0 +1,122 @@
+/**
+ * Tests for base URL handling
+ */
+
+const { applyBaseUrls, parseBaseUrlOption, parseBaseUrlRoute, rewriteUrl } = require('../scripts/base-url');
+
+function urlObject(raw, host, path, extra = {}) {
+    return { raw, host, path, query: [], variable: [], ...extra };
+}
+
+function buildCollection() {
+    const request = (raw, host, path) => ({ method: 'GET', url: urlObject(raw, host, path) });
+    return {
+        info: { name: 'Pets' },
+        variable: [{ key: 'baseUrl', value: 'http://localhost:8080/v1', type: 'string' }],
+        item: [
+            {
+                name: 'pets',
+                item: [{
+                    name: 'Get a pet',
+                    request: request('{{baseUrl}}/pets/:petId?expand=owner', ['{{baseUrl}}'], ['pets', ':petId']),
+                    response: [{
+                        name: 'OK',
+                        originalRequest: {
+                            method: 'GET',
+                            url: urlObject('https://api.example.com:8443/api/v1/pets/:petId', ['api', 'example', 'com'], ['api', 'v1', 'pets', ':petId'], { protocol: 'https', port: '8443' })
+                        }
+                    }]
+                }]
+            },
+            {
+                name: 'Pay',
+                request: request('{{baseUrl}}/payments', ['{{baseUrl}}'], ['payments']),
+                response: []
+            }
+        ]
+    };
+}
+
+// ─── Option parsing ───────────────────────────────────────────────────────────
+
+describe('parseBaseUrlOption', () => {
+    it('should treat plain URLs as the default base URL', () => {
+        expect(parseBaseUrlOption('https://gw.example.com:8443/api')).toEqual({ name: 'baseUrl', url: 'https://gw.example.com:8443/api' });
+        expect(parseBaseUrlOption('{{baseUrl}}')).toEqual({ name: 'baseUrl', url: '{{baseUrl}}' });
+    });
+
+    it('should read named base URLs', () => {
+        expect(parseBaseUrlOption('payments=https://pay.example.com/api?x=1')).toEqual({ name: 'payments', url: 'https://pay.example.com/api?x=1' });
+    });
+});
+
+describe('parseBaseUrlRoute', () => {
+    it('should split the glob from the base URL name', () => {
+        expect(parseBaseUrlRoute('/payments/**=payments')).toEqual({ glob: '/payments/**', name: 'payments' });
+        expect(() => parseBaseUrlRoute('/payments/**')).toThrow('expected "<path glob>=<name>"');
+    });
+});
+
+// ─── rewriteUrl ───────────────────────────────────────────────────────────────
+
+describe('rewriteUrl', () => {
+    it('should replace a hard-coded host, port and base path prefix', () => {
+        const url = urlObject('http://localhost:8080/api/v1/pets?limit=10', ['localhost'], ['api', 'v1', 'pets'], { protocol: 'http', port: '8080' });
+        const result = rewriteUrl(url, 'baseUrl', ['api', 'v1']);
+
+        expect(result.raw).toBe('{{baseUrl}}/pets?limit=10');
+        expect(result.host).toEqual(['{{baseUrl}}']);
+        expect(result.path).toEqual(['pets']);
+        expect(result.protocol).toBeUndefined();
+        expect(result.port).toBeUndefined();
+    });
+
+    it('should rewrite string URLs', () => {
+        expect(rewriteUrl('https://api.example.com:8443/pets/1#top', 'api', [])).toBe('{{api}}/pets/1#top');
+    });
+
+    it('should keep paths of variable hosts unchanged', () => {
+        const url = urlObject('{{baseUrl}}/api/v1/pets', ['{{baseUrl}}'], ['api', 'v1', 'pets']);
+        expect(rewriteUrl(url, 'payments', ['api', 'v1']).raw).toBe('{{payments}}/api/v1/pets');
+    });
+});
+
+// ─── applyBaseUrls ────────────────────────────────────────────────────────────
+
+describe('applyBaseUrls', () => {
+    it('should set the baseUrl variable and fix saved responses', () => {
+        const collection = applyBaseUrls(buildCollection(), {
+            baseUrls: [{ name: 'baseUrl', url: 'https://api.example.com:8443/api/v1/' }]
+        });
+
+        expect(collection.variable).toEqual([{ key: 'baseUrl', value: 'https://api.example.com:8443/api/v1', type: 'string' }]);
+        const [item] = collection.item[0].item;
+        expect(item.request.url.raw).toBe('{{baseUrl}}/pets/:petId?expand=owner');
+        expect(item.response[0].originalRequest.url.raw).toBe('{{baseUrl}}/pets/:petId');
+        expect(item.response[0].originalRequest.url.host).toEqual(['{{baseUrl}}']);
+    });
+
+    it('should route matching paths to named base URLs', () => {
+        const collection = applyBaseUrls(buildCollection(), {
+            baseUrls: [{ name: 'baseUrl', url: 'https://api.example.com' }, { name: 'payments', url: 'https://pay.example.com/api' }],
+            routes: [{ glob: '/payments/**', name: 'payments' }]
+        });
+
+        expect(collection.item[1].request.url.raw).toBe('{{payments}}/payments');
+        expect(collection.item[0].item[0].request.url.raw).toBe('{{baseUrl}}/pets/:petId?expand=owner');
+        expect(collection.variable.map(v => `${v.key}=${v.value}`)).toEqual(['baseUrl=https://api.example.com', 'payments=https://pay.example.com/api']);
+    });
+
+    it('should reuse an existing variable for "{{name}}" values', () => {
+        const collection = applyBaseUrls(buildCollection(), { baseUrls: [{ name: 'baseUrl', url: '{{baseUrl}}' }] });
+        expect(collection.variable[0].value).toBe('http://localhost:8080/v1');
+        expect(collection.item[0].item[0].response[0].originalRequest.url.raw).toBe('{{baseUrl}}/api/v1/pets/:petId');
+    });
+
+    it('should reject routes to undefined base URLs and invalid names', () => {
+        expect(() => applyBaseUrls(buildCollection(), { baseUrls: [], routes: [{ glob: '/x', name: 'x' }] }))
+            .toThrow('refers to undefined base URL "x"');
+        expect(() => applyBaseUrls(buildCollection(), { baseUrls: [{ name: 'a b', url: 'http://x' }] }))
+            .toThrow('Invalid base URL name "a b"');
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * Tests for the openapi-postman-sync CLI program
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createProgram } = require('../scripts/cli');
+const { log } = require('../scripts/utils');
+
+let tmpDir;
+let handlers;
+
+beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+    fs.writeFileSync(path.join(tmpDir, 'sync.yaml'), [
+        'deterministic: true',
+        'folderStrategy: paths',
+        'services:',
+        '  pets:',
+        '    input: specs/pets.yaml',
+        '    output: collections/pets.json',
+        '    collectionName: Pets API',
+        '    merge: { preserveTests: false }',
+        ''
+    ].join('\n'));
+    handlers = Object.fromEntries(['convert', 'merge', 'validate', 'sync', 'diff'].map(name => [name, jest.fn()]));
+    jest.spyOn(log, 'error').mockImplementation(() => {});
+    jest.spyOn(process, 'exit').mockImplementation((code) => {
+        throw new Error(`exit ${code}`);
+    });
+});
+
+afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+});
+
+function run(args) {
+    return createProgram(handlers).parseAsync(args, { from: 'user' });
+}
+
+describe('openapi-postman-sync', () => {
+    it('should run subcommands with the options of the selected service', async () => {
+        await run(['--config', path.join(tmpDir, 'sync.yaml'), '--service', 'pets', 'sync']);
+
+        const [options] = handlers.sync.mock.calls[0];
+        expect(options).toMatchObject({
+            input: path.join(tmpDir, 'specs/pets.yaml'),
+            output: path.join(tmpDir, 'collections/pets.json'),
+            name: 'Pets API',
+            deterministic: true,
+            folderStrategy: 'paths',
+            preserveTests: false,
+            preservePrerequest: true
+        });
+    });
+
+    it('should let flags win over the config file', async () => {
+        await run(['-c', path.join(tmpDir, 'sync.yaml'), '-s', 'pets', 'convert',
+            '-i', 'other.yaml', '--folder-strategy', 'tags', '--no-deterministic']);
+
+        const [options] = handlers.convert.mock.calls[0];
+        expect(options).toMatchObject({ input: 'other.yaml', folderStrategy: 'tags', deterministic: false, name: 'Pets API' });
+    });
+
+    it('should use the service output as the existing collection of a merge', async () => {
+        await run(['-c', path.join(tmpDir, 'sync.yaml'), '-s', 'pets', 'merge', '-n', 'new.json']);
+
+        const [options] = handlers.merge.mock.calls[0];
+        expect(options).toMatchObject({ new: 'new.json', existing: path.join(tmpDir, 'collections/pets.json'), preserveTests: false });
+    });
+
+    it('should only apply the options a subcommand has', async () => {
+        await run(['-c', path.join(tmpDir, 'sync.yaml'), '-s', 'pets', 'validate']);
+
+        const [options] = handlers.validate.mock.calls[0];
+        expect(options.input).toBe(path.join(tmpDir, 'specs/pets.yaml'));
+        expect(options).not.toHaveProperty('folderStrategy');
+    });
+
+    it('should fail when a required option is neither given nor configured', async () => {
+        await expect(run(['--no-config', 'sync'])).rejects.toThrow('exit 1');
+        expect(log.error).toHaveBeenCalledWith('Sync failed: Missing required option --input (or "input" in the config file)');
+        expect(handlers.sync).not.toHaveBeenCalled();
+    });
+
+    it('should report config file errors', async () => {
+        fs.writeFileSync(path.join(tmpDir, 'bad.yaml'), 'folderDepth: deep\n');
+        await expect(run(['-c', path.join(tmpDir, 'bad.yaml'), 'convert', '-i', 'spec.yaml'])).rejects.toThrow('exit 1');
+        expect(log.error).toHaveBeenCalledWith(expect.stringContaining('"folderDepth" must be integer'));
+    });
+
+    it('should report handler errors with the validation problems', async () => {
+        handlers.convert.mockRejectedValue(Object.assign(new Error('Spec validation failed with 1 problem(s)'), {
+            problems: [{ pointer: '/info', message: 'must have required property \'title\'' }]
+        }));
+        await expect(run(['--no-config', 'convert', '-i', 'spec.yaml'])).rejects.toThrow('exit 1');
+        expect(log.error).toHaveBeenCalledWith('Conversion failed: Spec validation failed with 1 problem(s)');
+        expect(log.error).toHaveBeenCalledWith('/info: must have required property \'title\'');
+    });
+});
@@ -0,0 +1,155 @@
+/**
+ * Tests for merging generated collections into existing ones
+ */
+
+const { log } = require('../scripts/utils');
+const { wrapGeneratedBlock } = require('../scripts/script-blocks');
+const { mergeCollections, generateItemKey } = require('../scripts/collection-merge');
+const { wrapGeneratedDocs } = require('../scripts/request-docs');
+const { MergeError } = require('../scripts/errors');
+
+function request(name, method, urlPath, event) {
+    return { name, ...(event ? { event } : {}), request: { method, url: { host: ['{{baseUrl}}'], path: urlPath } } };
+}
+
+function test(exec) {
+    return { listen: 'test', script: { type: 'text/javascript', exec } };
+}
+
+function existingCollection() {
+    return {
+        info: { _postman_id: 'existing-id', name: 'Pets' },
+        event: [
+            { listen: 'prerequest', script: { exec: ['// shared setup'] } },
+            test(['pm.test("collection", () => {});'])
+        ],
+        variable: [{ key: 'baseUrl', value: 'http://old' }, { key: 'token', value: 'secret' }],
+        item: [
+            {
+                name: 'pets',
+                item: [
+                    request('List pets', 'GET', ['pets'], [test(['// custom check'])]),
+                    request('Delete a pet', 'DELETE', ['pets', ':petId'], [test([...wrapGeneratedBlock('contract-tests', ['// old contract']), '// custom'])])
+                ]
+            },
+            request('Legacy', 'GET', ['legacy'])
+        ]
+    };
+}
+
+function newCollection() {
+    return {
+        info: { _postman_id: 'new-id', name: 'Pets' },
+        variable: [{ key: 'baseUrl', value: 'http://new' }],
+        item: [
+            {
+                name: 'pets',
+                item: [
+                    request('List all pets', 'GET', ['pets'], [test([''])]),
+                    request('Delete a pet', 'DELETE', ['pets', ':petId'], [test(wrapGeneratedBlock('contract-tests', ['// new contract']))]),
+                    request('Create a pet', 'POST', ['pets'])
+                ]
+            }
+        ]
+    };
+}
+
+beforeEach(() => {
+    jest.spyOn(log, 'info').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+// ─── generateItemKey ──────────────────────────────────────────────────────────
+
+describe('generateItemKey', () => {
+    it('should create unique keys based on method and path', () => {
+        expect(generateItemKey(request('List', 'GET', ['api', 'users']), 'Users/List')).toBe('GET:api/users');
+        expect(generateItemKey({ name: 'Folder' }, 'Folder')).toBe('Folder');
+    });
+});
+
+// ─── mergeCollections ─────────────────────────────────────────────────────────
+
+describe('mergeCollections', () => {
+    it('should keep custom request scripts and refresh generated blocks', () => {
+        const { collection } = mergeCollections(newCollection(), existingCollection());
+        const [listPets, deletePet, createPet] = collection.item[0].item;
+
+        expect(listPets.name).toBe('List all pets');
+        expect(listPets.event).toEqual([test(['// custom check'])]);
+        expect(deletePet.event[0].script.exec).toEqual([...wrapGeneratedBlock('contract-tests', ['// new contract']), '// custom']);
+        expect(createPet.event).toBeUndefined();
+    });
+
+    it('should keep the collection id, scripts and variables of the existing collection', () => {
+        const { collection } = mergeCollections(newCollection(), existingCollection());
+
+        expect(collection.info._postman_id).toBe('existing-id');
+        expect(collection.event.map(event => event.listen)).toEqual(['prerequest', 'test']);
+        expect(collection.variable).toEqual([{ key: 'baseUrl', value: 'http://new' }, { key: 'token', value: 'secret' }]);
+    });
+
+    it('should keep the values of variables the new collection only declares', () => {
+        const fresh = newCollection();
+        fresh.variable.push({ key: 'token', value: '', type: 'string' });
+
+        const { collection } = mergeCollections(fresh, existingCollection());
+        expect(collection.variable).toEqual([{ key: 'baseUrl', value: 'http://new' }, { key: 'token', value: 'secret', type: 'string' }]);
+    });
+
+    it('should leave collection scripts and variables out when not preserved', () => {
+        const { collection } = mergeCollections(newCollection(), existingCollection(), {
+            preserveTests: false,
+            preservePrerequest: false,
+            preserveVariables: false
+        });
+
+        expect(collection.event).toBeUndefined();
+        expect(collection.variable).toEqual([{ key: 'baseUrl', value: 'http://new' }]);
+    });
+
+    it('should report added, removed and preserved requests', () => {
+        expect(mergeCollections(newCollection(), existingCollection()).diff).toEqual({
+            added: ['pets/List all pets', 'pets/Create a pet'],
+            removed: ['pets/List pets', 'Legacy'],
+            preserved: ['pets/Delete a pet']
+        });
+    });
+
+    it('should replace request descriptions from before generated docs and keep notes around the block later', () => {
+        const withDocs = () => {
+            const fresh = newCollection();
+            fresh.item[0].item[1].request.description = { content: wrapGeneratedDocs('Deletes a pet'), type: 'text/markdown' };
+            return fresh;
+        };
+        const existing = existingCollection();
+        existing.item[0].item[1].request.description = 'Deletes a pet by id.';
+
+        const { collection } = mergeCollections(withDocs(), existing);
+        expect(collection.item[0].item[1].request.description).toEqual({ content: wrapGeneratedDocs('Deletes a pet'), type: 'text/markdown' });
+
+        collection.item[0].item[1].request.description.content = `Only admins may delete pets.\n\n${wrapGeneratedDocs('Deletes a pet')}`;
+        const again = mergeCollections(withDocs(), collection).collection;
+        expect(again.item[0].item[1].request.description).toEqual({
+            content: `Only admins may delete pets.\n\n${wrapGeneratedDocs('Deletes a pet')}`,
+            type: 'text/markdown'
+        });
+    });
+
+    it('should not modify its inputs', () => {
+        const fresh = newCollection();
+        const existing = existingCollection();
+        mergeCollections(fresh, existing);
+
+        expect(fresh).toEqual(newCollection());
+        expect(existing).toEqual(existingCollection());
+    });
+
+    it('should throw a MergeError for invalid collections', () => {
+        expect(() => mergeCollections({ item: [] }, existingCollection())).toThrow(MergeError);
+        expect(() => mergeCollections(newCollection(), null)).toThrow('Invalid existing collection');
+    });
+});
@@ -0,0 +1,150 @@
+/**
+ * Tests for collection directory trees
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    splitCollection,
+    readCollectionTree,
+    writeCollectionTree,
+    isCollectionTree,
+    readCollection,
+    writeCollection
+} = require('../scripts/collection-tree');
+
+function script(listen, exec) {
+    return { listen, script: { type: 'text/javascript', exec } };
+}
+
+function collection() {
+    return {
+        info: { _postman_id: 'c1', name: 'Pets', schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json' },
+        event: [script('prerequest', ['// collection setup', ''])],
+        variable: [{ key: 'baseUrl', value: 'https://api.example.com' }],
+        item: [
+            {
+                name: 'pets',
+                description: 'Pet operations',
+                event: [script('test', [''])],
+                item: [
+                    {
+                        id: 'r1',
+                        name: 'List pets',
+                        event: [script('test', ['pm.test("ok", () => {', '  pm.response.to.have.status(200);', '});'])],
+                        request: { method: 'GET', url: { host: ['{{baseUrl}}'], path: ['pets'] } },
+                        response: []
+                    },
+                    { id: 'r2', name: 'folder', request: { method: 'POST', url: { host: ['{{baseUrl}}'], path: ['pets'] } } }
+                ]
+            },
+            { id: 'r3', name: 'Health / status', request: { method: 'GET', url: { host: ['{{baseUrl}}'], path: ['health'] } } },
+            { id: 'r4', name: 'health - status', request: { method: 'GET', url: { host: ['{{baseUrl}}'], path: ['status'] } } }
+        ]
+    };
+}
+
+let dir;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'collection-tree-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const read = (...parts) => fs.readFileSync(path.join(dir, ...parts), 'utf8');
+
+// ─── splitCollection ──────────────────────────────────────────────────────────
+
+describe('splitCollection', () => {
+    const files = splitCollection(collection());
+    const byPath = Object.fromEntries(files.map(file => [file.path, file.content]));
+
+    it('should write one JSON file per folder and request, in order', () => {
+        expect(files.map(file => file.path)).toEqual([
+            'collection.json',
+            'collection.prerequest.js',
+            'pets/folder.json',
+            'pets/List pets.json',
+            'pets/List pets.test.js',
+            'pets/folder (2).json',
+            'Health - status.json',
+            'health - status (2).json'
+        ]);
+        expect(JSON.parse(byPath['collection.json']).order).toEqual(['pets', 'Health - status.json', 'health - status (2).json']);
+        expect(JSON.parse(byPath['pets/folder.json'])).toEqual({ name: 'pets', description: 'Pet operations', order: ['List pets.json', 'folder (2).json'] });
+    });
+
+    it('should move scripts into .js files and keep the events without code', () => {
+        expect(byPath['pets/List pets.test.js']).toBe('pm.test("ok", () => {\n  pm.response.to.have.status(200);\n});\n');
+        expect(byPath['collection.prerequest.js']).toBe('// collection setup\n\n');
+        expect(JSON.parse(byPath['pets/List pets.json']).event).toEqual([{ listen: 'test', script: { type: 'text/javascript' } }]);
+        expect(byPath['collection.json'].endsWith('\n')).toBe(true);
+    });
+});
+
+// ─── writeCollectionTree / readCollectionTree ─────────────────────────────────
+
+describe('writeCollectionTree and readCollectionTree', () => {
+    it('should reassemble the collection it wrote', () => {
+        writeCollectionTree(collection(), dir);
+        const expected = collection();
+        // Scripts without code are not written
+        delete expected.item[0].event;
+
+        expect(isCollectionTree(dir)).toBe(true);
+        expect(readCollectionTree(dir)).toEqual(expected);
+    });
+
+    it('should pick up requests and scripts added by hand', () => {
+        writeCollectionTree(collection(), dir);
+        fs.writeFileSync(path.join(dir, 'pets', 'Adopt.json'), JSON.stringify({ name: 'Adopt', request: { method: 'POST', url: '{{baseUrl}}/adopt' } }));
+        fs.writeFileSync(path.join(dir, 'pets', 'Adopt.prerequest.js'), 'pm.variables.set("x", 1);\r\n');
+        fs.rmSync(path.join(dir, 'pets', 'List pets.test.js'));
+
+        const pets = readCollectionTree(dir).item[0];
+        expect(pets.item.map(item => item.name)).toEqual(['List pets', 'folder', 'Adopt']);
+        expect(pets.item[0].event).toBeUndefined();
+        expect(pets.item[2].event).toEqual([script('prerequest', ['pm.variables.set("x", 1);'])]);
+    });
+
+    it('should remove the files of deleted requests and folders and keep other files', () => {
+        writeCollectionTree(collection(), dir);
+        fs.writeFileSync(path.join(dir, 'README.md'), 'notes');
+        fs.writeFileSync(path.join(dir, 'pets', '.eslintrc.json'), '{}');
+
+        const smaller = collection();
+        smaller.item = smaller.item.slice(1);
+        writeCollectionTree(smaller, dir);
+
+        expect(fs.existsSync(path.join(dir, 'pets', 'List pets.json'))).toBe(false);
+        expect(fs.existsSync(path.join(dir, 'pets', 'folder.json'))).toBe(false);
+        expect(read('pets', '.eslintrc.json')).toBe('{}');
+        expect(read('README.md')).toBe('notes');
+        expect(readCollectionTree(dir).item.map(item => item.name)).toEqual(['Health / status', 'health - status']);
+    });
+
+    it('should refuse to write into a directory that is not a collection tree', () => {
+        fs.writeFileSync(path.join(dir, 'notes.txt'), 'keep me');
+        expect(() => writeCollectionTree(collection(), dir)).toThrow('it is not empty and has no collection.json');
+        expect(() => readCollectionTree(dir)).toThrow('Not a collection directory');
+    });
+});
+
+// ─── readCollection / writeCollection ─────────────────────────────────────────
+
+describe('readCollection and writeCollection', () => {
+    it('should read and write both JSON files and directory trees', () => {
+        const filePath = path.join(dir, 'pets.postman_collection.json');
+        const treePath = path.join(dir, 'pets');
+
+        expect(writeCollection(filePath, collection())).toEqual([filePath]);
+        writeCollection(treePath, readCollection(filePath), { split: true });
+
+        expect(isCollectionTree(filePath)).toBe(false);
+        expect(readCollection(treePath).item[0].item[0]).toEqual(collection().item[0].item[0]);
+    });
+});
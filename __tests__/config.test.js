@@ -0,0 +1,255 @@
+/**
+ * Tests for CLI config files
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Command } = require('commander');
+const {
+    findConfigFile,
+    loadConfig,
+    validateConfig,
+    selectService,
+    loadCliConfig,
+    configToCliOptions,
+    applyConfig
+} = require('../scripts/config');
+
+let tmpDir;
+
+beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+});
+
+afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// ─── findConfigFile ───────────────────────────────────────────────────────────
+
+describe('findConfigFile', () => {
+    it('should find the nearest config file in a parent directory', () => {
+        const nested = path.join(tmpDir, 'a', 'b');
+        fs.mkdirSync(nested, { recursive: true });
+        fs.writeFileSync(path.join(tmpDir, '.openapi-postman-syncrc'), '{}');
+        fs.writeFileSync(path.join(tmpDir, 'a', 'openapi-postman-sync.config.js'), 'module.exports = {};');
+
+        expect(findConfigFile(nested)).toBe(path.join(tmpDir, 'a', 'openapi-postman-sync.config.js'));
+        expect(findConfigFile(tmpDir)).toBe(path.join(tmpDir, '.openapi-postman-syncrc'));
+    });
+
+    it('should prefer the rc file within one directory', () => {
+        fs.writeFileSync(path.join(tmpDir, 'openapi-postman-sync.config.js'), 'module.exports = {};');
+        fs.writeFileSync(path.join(tmpDir, '.openapi-postman-syncrc.yaml'), 'split: true\n');
+        expect(findConfigFile(tmpDir)).toBe(path.join(tmpDir, '.openapi-postman-syncrc.yaml'));
+    });
+});
+
+// ─── validateConfig ───────────────────────────────────────────────────────────
+
+describe('validateConfig', () => {
+    it('should accept every option, in the defaults and in services', () => {
+        expect(() => validateConfig({
+            folderStrategy: 'path-prefix',
+            folderDepth: 2,
+            baseUrls: { payments: 'https://pay.example.com' },
+            filters: { excludeTags: ['internal'], excludeDeprecated: true },
+            merge: { preserveVariables: false },
+            services: {
+                pets: { input: 'pets.yaml', output: 'pets.json', format: 'bruno', headers: { 'X-Key': '${KEY}' }, retries: 0 }
+            }
+        })).not.toThrow();
+    });
+
+    it('should list every problem with the option path', () => {
+        expect(() => validateConfig({
+            foldr: 'tags',
+            folderDepth: 0,
+            services: { pets: { sortRequests: 'random', merge: { preserveTest: true }, overlays: 'a.yaml' } }
+        })).toThrow('Invalid config: unknown option "foldr"; "folderDepth" must be >= 1; ' +
+            '"services.pets.sortRequests" must be one of: spec, alpha, method; ' +
+            '"services.pets.overlays" must be array; unknown option "services.pets.merge.preserveTest"');
+    });
+
+    it('should reject a config that is not an object', () => {
+        expect(() => validateConfig(['tags'])).toThrow('Invalid config: the config must be object');
+    });
+});
+
+// ─── loadConfig ───────────────────────────────────────────────────────────────
+
+describe('loadConfig', () => {
+    it('should read YAML rc files and resolve paths against their directory', () => {
+        const configPath = path.join(tmpDir, '.openapi-postman-syncrc');
+        fs.writeFileSync(configPath, [
+            'valuesMap: values.json',
+            'services:',
+            '  pets:',
+            '    input: specs/pets.yaml',
+            '    output: collections/pets.json',
+            '    overlays: [overlays/pets.yaml, "https://example.com/o.yaml"]',
+            '  users:',
+            '    input: http://localhost:8080/v3/api-docs',
+            ''
+        ].join('\n'));
+
+        const config = loadConfig(configPath);
+        expect(config.valuesMap).toBe(path.join(tmpDir, 'values.json'));
+        expect(config.services.pets).toEqual({
+            input: path.join(tmpDir, 'specs/pets.yaml'),
+            output: path.join(tmpDir, 'collections/pets.json'),
+            overlays: [path.join(tmpDir, 'overlays/pets.yaml'), 'https://example.com/o.yaml']
+        });
+        expect(config.services.users.input).toBe('http://localhost:8080/v3/api-docs');
+    });
+
+    it('should load JavaScript config files', () => {
+        const configPath = path.join(tmpDir, 'openapi-postman-sync.config.js');
+        fs.writeFileSync(configPath, 'module.exports = { deterministic: true, folderDepth: 2 };');
+        expect(loadConfig(configPath)).toEqual({ deterministic: true, folderDepth: 2 });
+    });
+
+    it('should name the file in errors', () => {
+        const configPath = path.join(tmpDir, '.openapi-postman-syncrc.json');
+        fs.writeFileSync(configPath, '{ "format": "pdf" }');
+        expect(() => loadConfig(configPath))
+            .toThrow(`Invalid config file ${configPath}: "format" must be one of: postman, bruno, insomnia, http`);
+        expect(() => loadConfig(path.join(tmpDir, 'missing.yaml'))).toThrow('Config file not found');
+    });
+});
+
+// ─── selectService ────────────────────────────────────────────────────────────
+
+describe('selectService', () => {
+    const config = {
+        folderStrategy: 'tags',
+        headers: { 'X-Team': 'core' },
+        merge: { preserveVariables: false },
+        services: {
+            pets: { folderStrategy: 'paths', headers: { 'X-Key': 'k' }, merge: { preserveTests: false } }
+        }
+    };
+
+    it('should apply the service overrides on top of the defaults', () => {
+        expect(selectService(config, 'pets')).toEqual({
+            folderStrategy: 'paths',
+            headers: { 'X-Team': 'core', 'X-Key': 'k' },
+            merge: { preserveVariables: false, preserveTests: false }
+        });
+    });
+
+    it('should return the defaults without a service', () => {
+        expect(selectService(config)).toEqual({
+            folderStrategy: 'tags',
+            headers: { 'X-Team': 'core' },
+            merge: { preserveVariables: false }
+        });
+    });
+
+    it('should reject unknown services', () => {
+        expect(() => selectService(config, 'users')).toThrow('Unknown service "users": the config file defines pets');
+        expect(() => selectService({}, 'users')).toThrow('the config file defines no services');
+    });
+});
+
+// ─── loadCliConfig ────────────────────────────────────────────────────────────
+
+describe('loadCliConfig', () => {
+    beforeEach(() => {
+        fs.writeFileSync(path.join(tmpDir, '.openapi-postman-syncrc'), '{ "split": true }');
+    });
+
+    it('should search from the working directory unless a file is given', () => {
+        expect(loadCliConfig({}, tmpDir)).toEqual({ options: { split: true }, configPath: path.join(tmpDir, '.openapi-postman-syncrc') });
+
+        fs.writeFileSync(path.join(tmpDir, 'other.yaml'), 'deterministic: true\n');
+        expect(loadCliConfig({ config: 'other.yaml' }, tmpDir).options).toEqual({ deterministic: true });
+    });
+
+    it('should ignore config files with --no-config', () => {
+        expect(loadCliConfig({ config: false }, tmpDir)).toEqual({ options: {}, configPath: null });
+        expect(() => loadCliConfig({ config: false, service: 'pets' }, tmpDir))
+            .toThrow('--service "pets" needs a config file, but none was found');
+    });
+});
+
+// ─── configToCliOptions / applyConfig ─────────────────────────────────────────
+
+describe('configToCliOptions', () => {
+    it('should translate config options into CLI option values', () => {
+        expect(configToCliOptions({
+            input: 'spec.yaml',
+            output: 'out.json',
+            collectionName: 'Pets API',
+            environmentsDir: 'envs',
+            folderDepth: 2,
+            overlays: ['a.yaml'],
+            baseUrl: 'https://api.example.com',
+            baseUrls: { payments: 'https://pay.example.com' },
+            baseUrlRoutes: { '/payments/**': 'payments' },
+            headers: { 'X-Key': '${KEY}' },
+            filters: { excludeTags: ['internal'], excludeExtensions: ['x-internal'] },
+            merge: { preserveTests: false }
+        })).toEqual({
+            input: 'spec.yaml',
+            output: 'out.json',
+            existing: 'out.json',
+            name: 'Pets API',
+            environments: 'envs',
+            folderDepth: '2',
+            overlay: ['a.yaml'],
+            baseUrl: ['https://api.example.com', 'payments=https://pay.example.com'],
+            baseUrlRoute: ['/payments/**=payments'],
+            header: ['X-Key: ${KEY}'],
+            excludeTags: ['internal'],
+            excludeExtension: ['x-internal'],
+            preserveTests: false
+        });
+    });
+});
+
+describe('applyConfig', () => {
+    function parse(args) {
+        const command = new Command()
+            .exitOverride()
+            .option('-i, --input <path>')
+            .option('--folder-strategy <strategy>', '', 'tags')
+            .option('--base-url <url>', '', (value, previous) => previous.concat([value]), [])
+            .option('--deterministic', '', false)
+            .option('--no-deterministic')
+            .option('--preserve-tests', '', true)
+            .option('--no-preserve-tests');
+        return command.parse(args, { from: 'user' });
+    }
+
+    const config = {
+        input: 'config.yaml',
+        folderStrategy: 'paths',
+        baseUrl: 'https://config.example.com',
+        deterministic: true,
+        merge: { preserveTests: false },
+        collectionName: 'Not an option of this command'
+    };
+
+    it('should fill options that were not given on the command line', () => {
+        expect(applyConfig(parse([]), config)).toEqual({
+            input: 'config.yaml',
+            folderStrategy: 'paths',
+            baseUrl: ['https://config.example.com'],
+            deterministic: true,
+            preserveTests: false
+        });
+    });
+
+    it('should let command-line flags win, lists and negations included', () => {
+        const args = ['-i', 'cli.yaml', '--folder-strategy', 'tags', '--base-url', 'https://cli.example.com', '--no-deterministic', '--preserve-tests'];
+        expect(applyConfig(parse(args), config)).toEqual({
+            input: 'cli.yaml',
+            folderStrategy: 'tags',
+            baseUrl: ['https://cli.example.com'],
+            deterministic: false,
+            preserveTests: true
+        });
+    });
+});
@@ -0,0 +1,185 @@
+/**
+ * Tests for contract tests generated from response schemas
+ */
+
+const Ajv = require('ajv');
+const { applyContractTests, buildResponseContracts, toJsonSchema } = require('../scripts/contract-tests');
+
+const spec = {
+    openapi: '3.0.3',
+    paths: {
+        '/pets/{petId}': {
+            get: {
+                responses: {
+                    200: {
+                        description: 'A pet',
+                        headers: {
+                            'X-Request-Id': { required: true, schema: { type: 'string' } },
+                            'X-Rate-Limit': { schema: { type: 'integer' } }
+                        },
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } }
+                    },
+                    '4XX': { $ref: '#/components/responses/Error' }
+                }
+            }
+        },
+        '/health': { get: { responses: { 204: { description: 'Up' } } } }
+    },
+    components: {
+        schemas: {
+            Pet: {
+                type: 'object',
+                required: ['id', 'name', 'secret'],
+                properties: {
+                    id: { type: 'integer', format: 'int64', example: 1 },
+                    name: { type: 'string', nullable: true },
+                    secret: { type: 'string', writeOnly: true },
+                    parent: { $ref: '#/components/schemas/Pet' }
+                },
+                discriminator: { propertyName: 'kind' }
+            }
+        },
+        responses: {
+            Error: { description: 'Error', content: { 'application/problem+json': { schema: { type: 'object', required: ['title'] } } } }
+        }
+    }
+};
+
+/**
+ * Run a request's test script against a minimal pm sandbox
+ */
+function runTests(item, { code, headers = {}, body = '' }) {
+    const results = {};
+    const assert = (value, message) => {
+        if (!value) throw new Error(message || 'assertion failed');
+    };
+    const pm = {
+        test: (name, fn) => {
+            try {
+                fn();
+                results[name] = true;
+            } catch (error) {
+                results[name] = error.message;
+            }
+        },
+        expect: (value, message) => ({ to: { be: { get true() { return assert(value === true, message); } } } }),
+        response: {
+            code,
+            text: () => body,
+            headers: { get: name => headers[name] },
+            to: {
+                have: {
+                    header: name => assert(name in headers, `missing header ${name}`),
+                    jsonSchema: (schema) => {
+                        const validate = new Ajv({ strict: false }).compile(schema);
+                        assert(validate(JSON.parse(body)), JSON.stringify(validate.errors));
+                    }
+                }
+            }
+        }
+    };
+    new Function('pm', item.event[0].script.exec.join('\n'))(pm);
+    return results;
+}
+
+function buildCollection() {
+    return {
+        item: [
+            { name: 'Get pet', request: { method: 'GET', url: { raw: '{{baseUrl}}/pets/:petId', path: ['pets', ':petId'] } } },
+            { name: 'Health', request: { method: 'GET', url: '{{baseUrl}}/health' }, event: [{ listen: 'test', script: { exec: ['custom();'] } }] },
+            { name: 'Unknown', request: { method: 'GET', url: { path: ['unknown'] } } }
+        ]
+    };
+}
+
+// ─── toJsonSchema ─────────────────────────────────────────────────────────────
+
+describe('toJsonSchema', () => {
+    it('should inline $refs and cut recursion', () => {
+        const schema = toJsonSchema({ $ref: '#/components/schemas/Pet' }, spec);
+        expect(schema.properties.parent).toEqual({});
+        expect(schema.properties.id).toEqual({ type: 'integer' });
+        expect(schema.discriminator).toBeUndefined();
+    });
+
+    it('should translate nullable and drop write-only properties from required', () => {
+        const schema = toJsonSchema(spec.components.schemas.Pet, spec);
+        expect(schema.properties.name.type).toEqual(['string', 'null']);
+        expect(schema.required).toEqual(['id', 'name']);
+    });
+
+    it('should keep property names that look like keywords', () => {
+        const schema = toJsonSchema({ type: 'object', properties: { format: { type: 'string' }, example: { type: 'integer' } } }, spec);
+        expect(Object.keys(schema.properties)).toEqual(['format', 'example']);
+    });
+
+    it('should convert boolean exclusive bounds', () => {
+        expect(toJsonSchema({ type: 'number', minimum: 0, exclusiveMinimum: true, maximum: 9, exclusiveMaximum: false }, spec))
+            .toEqual({ type: 'number', exclusiveMinimum: 0, maximum: 9 });
+    });
+});
+
+// ─── buildResponseContracts ───────────────────────────────────────────────────
+
+describe('buildResponseContracts', () => {
+    it('should list media types, required headers and JSON schemas per status', () => {
+        const contracts = buildResponseContracts(spec.paths['/pets/{petId}'].get, spec);
+        expect(Object.keys(contracts)).toEqual(['200', '4XX']);
+        expect(contracts['200'].headers).toEqual(['X-Request-Id']);
+        expect(contracts['4XX'].contentTypes).toEqual(['application/problem+json']);
+        expect(contracts['4XX'].schema).toEqual({ type: 'object', required: ['title'] });
+    });
+
+    it('should read Swagger 2.0 responses', () => {
+        const swagger = { swagger: '2.0', produces: ['application/json'], definitions: { Pet: { type: 'object' } } };
+        const contracts = buildResponseContracts({ responses: { 200: { schema: { $ref: '#/definitions/Pet' } }, default: { description: 'x' } } }, swagger);
+        expect(contracts).toEqual({
+            200: { contentTypes: ['application/json'], headers: [], schema: { type: 'object' } },
+            default: { contentTypes: [], headers: [], schema: null }
+        });
+    });
+});
+
+// ─── applyContractTests ───────────────────────────────────────────────────────
+
+describe('applyContractTests', () => {
+    const collection = applyContractTests(buildCollection(), spec);
+    const [getPet, health, unknown] = collection.item;
+
+    it('should add generated test blocks and keep existing test code', () => {
+        expect(getPet.event[0].listen).toBe('test');
+        expect(getPet.event[0].script.exec[0]).toMatch(/^\/\/ BEGIN GENERATED contract-tests/);
+        expect(health.event[0].script.exec[health.event[0].script.exec.length - 1]).toBe('custom();');
+        expect(unknown.event).toBeUndefined();
+    });
+
+    it('should pass responses that follow the contract', () => {
+        const results = runTests(getPet, {
+            code: 200,
+            headers: { 'Content-Type': 'application/json; charset=utf-8', 'X-Request-Id': 'abc' },
+            body: JSON.stringify({ id: 1, name: null })
+        });
+        expect(Object.values(results)).toEqual([true, true, true, true]);
+    });
+
+    it('should report drift from the contract', () => {
+        const results = runTests(getPet, {
+            code: 200,
+            headers: { 'Content-Type': 'text/html' },
+            body: '<html></html>'
+        });
+        expect(results['Content-Type is documented']).toBe('text/html is not one of application/json');
+        expect(results['Response has header X-Request-Id']).toBe('missing header X-Request-Id');
+
+        const wrongBody = runTests(getPet, { code: 200, headers: { 'Content-Type': 'application/json', 'X-Request-Id': 'a' }, body: '{"id":"x","name":"Rex"}' });
+        expect(wrongBody['Response body matches the schema']).toContain('must be integer');
+    });
+
+    it('should match status ranges and flag undocumented codes', () => {
+        const problem = runTests(getPet, { code: 404, headers: { 'Content-Type': 'application/problem+json' }, body: '{"title":"Not found"}' });
+        expect(Object.values(problem)).toEqual([true, true, true]);
+
+        const undocumented = runTests(getPet, { code: 500 });
+        expect(undocumented).toEqual({ 'Status code 500 is documented': 'documented status codes: 200, 4XX' });
+    });
+});
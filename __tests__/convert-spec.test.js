@@ -0,0 +1,168 @@
+/**
+ * Tests for the conversion pipeline behind convert.js
+ */
+
+const path = require('path');
+const { log } = require('../scripts/utils');
+const { convertSpec, resolveConvertOptions } = require('../scripts/convert-spec');
+const { OptionsError, SpecError, SyncError } = require('../scripts/errors');
+
+const samplePath = path.join(__dirname, '..', 'examples', 'sample-openapi.json');
+
+const spec = {
+    openapi: '3.0.3',
+    info: { title: 'Pets', version: '1.0.0' },
+    servers: [{ url: 'https://api.example.com/v1', description: 'Production' }],
+    tags: [{ name: 'pets' }, { name: 'admin' }],
+    paths: {
+        '/pets': {
+            get: {
+                operationId: 'listPets',
+                summary: 'List pets',
+                tags: ['pets'],
+                responses: { 200: { description: 'OK' } }
+            }
+        },
+        '/admin/stats': {
+            get: {
+                operationId: 'getStats',
+                summary: 'Get stats',
+                tags: ['admin'],
+                responses: { 200: { description: 'OK' } }
+            }
+        }
+    }
+};
+
+const requestNames = (items) => items.flatMap(item => (item.item ? requestNames(item.item) : [item.name]));
+
+beforeEach(() => {
+    jest.spyOn(log, 'info').mockImplementation(() => {});
+    jest.spyOn(log, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+// ─── resolveConvertOptions ────────────────────────────────────────────────────
+
+describe('resolveConvertOptions', () => {
+    it('should fill in the defaults', () => {
+        expect(resolveConvertOptions({ name: 'Pets', includeAuth: false, requestName: undefined })).toMatchObject({
+            name: 'Pets',
+            folderStrategy: 'tags',
+            folderDepth: 1,
+            includeAuth: false,
+            tokenScript: false,
+            requestDocs: false,
+            responseExamples: false,
+            contractTests: false,
+            deterministic: false
+        });
+    });
+
+    it('should reject unknown options and invalid values with an OptionsError', () => {
+        expect(() => resolveConvertOptions({ folderStrategy: 'flat' })).toThrow(OptionsError);
+        expect(() => resolveConvertOptions({ folderStrategy: 'flat' })).toThrow('Invalid folder strategy "flat"');
+        expect(() => resolveConvertOptions({ outputPath: 'x' })).toThrow('unknown option "outputPath"');
+        expect(() => resolveConvertOptions({ folderDepth: '2' })).toThrow('Invalid folder depth "2"');
+        expect(() => resolveConvertOptions({ requestName: '{nope}' })).toThrow('unknown placeholder {nope}');
+        expect(() => resolveConvertOptions({ sortRequests: 'size' })).toThrow('Invalid request sort "size"');
+        expect(() => resolveConvertOptions({ folderMap: { folders: {} } })).toThrow('unknown key "folders"');
+        expect(() => resolveConvertOptions({ overlays: 'overlay.yaml' })).toThrow('"overlays" must be an array');
+        expect(() => resolveConvertOptions({ baseUrlRoutes: [{ glob: '/admin/**', name: 'admin' }] }))
+            .toThrow('Base URL routes refer to named base URLs, but none are defined');
+    });
+});
+
+// ─── convertSpec ──────────────────────────────────────────────────────────────
+
+describe('convertSpec', () => {
+    it('should convert a spec object without modifying it', async () => {
+        const input = JSON.parse(JSON.stringify(spec));
+        const { collection, environments, spec: converted } = await convertSpec(input, { name: 'Pet API' });
+
+        expect(collection.info.name).toBe('Pet API');
+        expect(collection.item.map(item => item.name)).toEqual(['pets', 'admin']);
+        expect(requestNames(collection.item)).toEqual(['List pets', 'Get stats']);
+        expect(environments).toEqual([]);
+        expect(converted.openapi).toBe('3.0.3');
+        expect(input).toEqual(spec);
+    });
+
+    it('should apply filters, overlays, naming and base URLs', async () => {
+        const overlay = {
+            overlay: '1.0.0',
+            info: { title: 'Rename', version: '1' },
+            actions: [{ target: "$.paths['/pets'].get", update: { summary: 'All pets' } }]
+        };
+        const { collection } = await convertSpec(spec, {
+            filters: { excludeTags: ['admin'] },
+            overlays: [overlay],
+            requestName: '{summary} ({operationId})',
+            baseUrls: [{ url: 'https://staging.example.com' }]
+        });
+
+        expect(requestNames(collection.item)).toEqual(['All pets (listPets)']);
+        expect(collection.variable).toContainEqual(expect.objectContaining({ key: 'baseUrl', value: 'https://staging.example.com' }));
+    });
+
+    it('should build environments and give the same output for deterministic runs', async () => {
+        const first = await convertSpec(samplePath, { deterministic: true, environments: true });
+        const second = await convertSpec(samplePath, { deterministic: true, environments: true });
+
+        expect(first.environments.length).toBeGreaterThan(0);
+        expect(JSON.stringify(second.collection)).toBe(JSON.stringify(first.collection));
+    });
+
+    it('should give the same output for overlapping deterministic runs and leave the clock alone', async () => {
+        const [first, second] = await Promise.all([
+            convertSpec(samplePath, { deterministic: true }),
+            convertSpec(samplePath, { deterministic: true })
+        ]);
+
+        expect(JSON.stringify(second.collection)).toBe(JSON.stringify(first.collection));
+        expect(Date.now()).toBeGreaterThan(Date.UTC(2025, 0, 2));
+    });
+
+    it('should throw a SpecError for specs that cannot be loaded or are invalid', async () => {
+        await expect(convertSpec({ info: { title: 'No version' } })).rejects.toThrow(SpecError);
+        await expect(convertSpec(path.join(__dirname, 'missing.json'))).rejects.toThrow('Input file not found');
+
+        const error = await convertSpec({ openapi: '3.0.3', paths: {} }, { validate: true }).catch(caught => caught);
+        expect(error).toBeInstanceOf(SyncError);
+        expect(error.code).toBe('ERR_SPEC');
+        expect(error.message).toBe('Spec validation failed with 1 problem(s)');
+        expect(error.problems).toEqual([expect.objectContaining({ pointer: '', rule: 'schema' })]);
+
+        const refError = await convertSpec({ openapi: '3.0.3', info: { title: 'Refs', version: '1' }, paths: { '/x': { $ref: 'paths.yaml#/x' } } })
+            .catch(caught => caught);
+        expect(refError).toBeInstanceOf(SpecError);
+        expect(refError.message).toBe('Spec has 1 unresolvable $ref(s)');
+        expect(refError.problems).toEqual([{
+            pointer: '/paths/~1x/$ref',
+            message: expect.stringMatching(/^Cannot load \$ref "paths\.yaml#\/x": File not found/),
+            rule: 'unresolvable-ref'
+        }]);
+    });
+
+    it('should print nothing unless given a logger', async () => {
+        const print = jest.spyOn(console, 'log').mockImplementation(() => {});
+        log.info.mockRestore();
+        await convertSpec(samplePath, { filters: { excludeTags: ['Users'] } });
+        expect(print).not.toHaveBeenCalled();
+
+        const logger = { info: jest.fn(), warn: jest.fn() };
+        await convertSpec(samplePath, { filters: { excludeTags: ['Users'] }, logger });
+        expect(logger.info).toHaveBeenCalledWith(expect.stringContaining('Reading OpenAPI spec from file'));
+        expect(logger.info).toHaveBeenCalledWith(expect.stringContaining('Filtered operations'));
+        expect(print).not.toHaveBeenCalled();
+
+        await expect(convertSpec(spec, { logger: console.log })).rejects.toThrow('"logger" must have info and warn functions');
+    });
+
+    it('should throw an OptionsError before loading the spec', async () => {
+        await expect(convertSpec(path.join(__dirname, 'missing.json'), { sortFolders: 'size' })).rejects.toThrow(OptionsError);
+    });
+});
@@ -42,7 +42,7 @@ jest.mock('openapi-to-postmanv2', () => ({
     })
 }));
 
-const { readJsonFile, writeJsonFile, log } = require('../scripts/utils');
+const { readJsonFile, readSpecFile, parseSpecContent, detectSpecFormat, writeJsonFile, runWithConcurrency, matchesGlob, log } = require('../scripts/utils');
 
 describe('Utils', () => {
     const testDir = path.join(__dirname, 'temp');
@@ -79,13 +79,60 @@ describe('Utils', () => {
         });
     });
 
+    describe('detectSpecFormat', () => {
+        it('should detect format from the file extension', () => {
+            expect(detectSpecFormat('{}', { filePath: 'openapi.yaml' })).toBe('yaml');
+            expect(detectSpecFormat('openapi: 3.0.0', { filePath: 'openapi.json' })).toBe('json');
+        });
+
+        it('should detect format from the Content-Type header', () => {
+            expect(detectSpecFormat('', { contentType: 'application/json; charset=utf-8' })).toBe('json');
+            expect(detectSpecFormat('', { contentType: 'application/vnd.oai.openapi' })).toBe('yaml');
+            expect(detectSpecFormat('', { contentType: 'text/yaml' })).toBe('yaml');
+        });
+
+        it('should sniff the content when no hint is available', () => {
+            expect(detectSpecFormat('  {"openapi": "3.0.0"}')).toBe('json');
+            expect(detectSpecFormat('openapi: 3.0.0\ninfo: {}')).toBe('yaml');
+        });
+    });
+
+    describe('parseSpecContent', () => {
+        it('should parse YAML content', () => {
+            const spec = parseSpecContent('openapi: 3.0.0\ninfo:\n  title: Test\n  version: 2025-01-15\n');
+            expect(spec.openapi).toBe('3.0.0');
+            expect(spec.info.version).toBe('2025-01-15');
+        });
+
+        it('should report line and column for YAML errors', () => {
+            expect(() => parseSpecContent('openapi: 3.0.0\ninfo:\n  title: [unclosed\n', { source: 'spec.yaml' }))
+                .toThrow(/spec\.yaml at line \d+, column \d+/);
+        });
+
+        it('should reject documents that are not objects', () => {
+            expect(() => parseSpecContent('just a string')).toThrow('expected an object');
+        });
+    });
+
+    describe('readSpecFile', () => {
+        it('should read a YAML spec file', () => {
+            const yamlFile = path.join(testDir, 'spec.yml');
+            fs.writeFileSync(yamlFile, 'openapi: 3.0.0\npaths: {}\n');
+            expect(readSpecFile(yamlFile)).toEqual({ openapi: '3.0.0', paths: {} });
+        });
+
+        it('should throw error for non-existent file', () => {
+            expect(() => readSpecFile('/non/existent/spec.yaml')).toThrow('File not found');
+        });
+    });
+
     describe('writeJsonFile', () => {
-        it('should write JSON to file with pretty formatting', () => {
+        it('should write JSON to file with pretty formatting and a trailing newline', () => {
             const testData = { hello: 'world' };
             writeJsonFile(testFile, testData);
 
             const content = fs.readFileSync(testFile, 'utf8');
-            expect(content).toBe(JSON.stringify(testData, null, 2));
+            expect(content).toBe(`${JSON.stringify(testData, null, 2)}\n`);
         });
 
         it('should create parent directories if they do not exist', () => {
@@ -96,6 +143,35 @@ describe('Utils', () => {
         });
     });
 
+    describe('runWithConcurrency', () => {
+        it('should never run more tasks than the limit at once', async () => {
+            let running = 0;
+            let peak = 0;
+            const tasks = [1, 2, 3, 4, 5].map(n => async () => {
+                running++;
+                peak = Math.max(peak, running);
+                await new Promise(resolve => setTimeout(resolve, 5));
+                running--;
+                return n * 10;
+            });
+
+            const results = await runWithConcurrency(tasks, 2);
+            expect(results).toEqual([10, 20, 30, 40, 50]);
+            expect(peak).toBe(2);
+        });
+    });
+
+    describe('matchesGlob', () => {
+        it('should match single segments with * and any depth with **', () => {
+            expect(matchesGlob('/pets/{petId}', ['/pets/*'])).toBe(true);
+            expect(matchesGlob('/pets/{petId}/photos', ['/pets/*'])).toBe(false);
+            expect(matchesGlob('/pets/{petId}/photos', ['/pets/**'])).toBe(true);
+            expect(matchesGlob('/pets', ['/pets/**'])).toBe(true);
+            expect(matchesGlob('/petstore', ['/pets/**'])).toBe(false);
+            expect(matchesGlob('/v1/users', ['/admin/**', '/v?/users'])).toBe(true);
+        });
+    });
+
     describe('log', () => {
         it('should not throw when logging', () => {
             expect(() => log.info('test')).not.toThrow();
@@ -0,0 +1,152 @@
+/**
+ * Tests for deterministic collection output
+ */
+
+const schemaFaker = require('openapi-to-postmanv2/assets/json-schema-faker.js');
+const { makeDeterministic, withDeterministicFaker, seededRandom, sortKeys, sortUrl } = require('../scripts/deterministic');
+
+const spec = {
+    openapi: '3.0.3',
+    paths: {
+        '/pets': { get: { operationId: 'listPets' }, post: {} }
+    }
+};
+
+function buildCollection() {
+    return {
+        variable: [{ key: 'petId', value: '1' }, { key: 'baseUrl', value: 'http://x' }],
+        item: [
+            {
+                name: 'pets',
+                id: 'random-1',
+                item: [
+                    {
+                        name: 'List pets',
+                        id: 'random-2',
+                        request: {
+                            url: {
+                                raw: '{{baseUrl}}/pets?status=sold&limit=10#top',
+                                path: ['pets'],
+                                query: [{ key: 'status', value: 'sold' }, { key: 'limit', value: '10' }, { key: 'debug', value: '1', disabled: true }]
+                            },
+                            method: 'GET'
+                        },
+                        response: [{ id: 'random-3', name: 'OK', code: 200, originalRequest: { method: 'GET', url: { path: ['pets'] } } }]
+                    },
+                    { name: 'Create pet', id: 'random-4', request: { method: 'POST', url: { path: ['pets'] } }, response: [] },
+                    { name: 'Create pet again', id: 'random-5', request: { method: 'POST', url: { path: ['pets'] } }, response: [] }
+                ]
+            }
+        ],
+        info: { name: 'Pets', _postman_id: 'random-0', schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json' }
+    };
+}
+
+// ─── makeDeterministic ────────────────────────────────────────────────────────
+
+describe('makeDeterministic', () => {
+    it('should produce identical output for identical input', () => {
+        expect(JSON.stringify(makeDeterministic(buildCollection(), spec))).toBe(JSON.stringify(makeDeterministic(buildCollection(), spec)));
+    });
+
+    it('should derive ids from operationIds, methods and paths', () => {
+        const collection = makeDeterministic(buildCollection(), spec);
+        const [list, create, createAgain] = collection.item[0].item;
+
+        expect(collection.info._postman_id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-8[0-9a-f]{3}-[0-9a-f]{12}$/);
+        expect(list.id).not.toMatch(/^random/);
+        expect(new Set([list.id, create.id, createAgain.id, collection.item[0].id, list.response[0].id]).size).toBe(5);
+
+        // The operationId keeps the id when the path changes
+        const renamed = { openapi: '3.0.3', paths: { '/animals': { get: { operationId: 'listPets' } } } };
+        const moved = buildCollection();
+        moved.item[0].item[0].request.url.path = ['animals'];
+        expect(makeDeterministic(moved, renamed).item[0].item[0].id).toBe(list.id);
+    });
+
+    it('should put keys in a fixed order and sort variables', () => {
+        const collection = makeDeterministic(buildCollection(), spec);
+        expect(Object.keys(collection)).toEqual(['info', 'item', 'variable']);
+        expect(Object.keys(collection.item[0].item[0])).toEqual(['id', 'name', 'request', 'response']);
+        expect(Object.keys(collection.item[0].item[0].request)).toEqual(['method', 'url']);
+        expect(collection.variable.map(v => v.key)).toEqual(['baseUrl', 'petId']);
+    });
+});
+
+describe('sortUrl', () => {
+    it('should sort query params and rebuild the raw URL', () => {
+        const url = sortUrl(buildCollection().item[0].item[0].request.url);
+        expect(url.query.map(q => q.key)).toEqual(['debug', 'limit', 'status']);
+        expect(url.raw).toBe('{{baseUrl}}/pets?limit=10&status=sold#top');
+    });
+});
+
+describe('sortKeys', () => {
+    it('should leave script lines alone', () => {
+        expect(sortKeys({ script: { exec: ['b', 'a'], type: 'text/javascript' }, listen: 'test' }))
+            .toEqual({ listen: 'test', script: { type: 'text/javascript', exec: ['b', 'a'] } });
+    });
+});
+
+// ─── withDeterministicFaker ───────────────────────────────────────────────────
+
+describe('withDeterministicFaker', () => {
+    const sample = () => [
+        schemaFaker({ type: 'integer' }),
+        schemaFaker({ type: 'string', pattern: '^[a-z]{8}$' }),
+        schemaFaker({ type: 'string', format: 'date-time' }),
+        schemaFaker({ type: 'string', format: 'date' })
+    ];
+
+    it('should repeat the faker\'s values and dates, then restore it', async () => {
+        const realRandom = schemaFaker.option('random');
+        const first = await withDeterministicFaker(async () => sample());
+        const second = await withDeterministicFaker(async () => sample());
+
+        expect(first).toEqual(second);
+        expect(first[2] < '2025-01-01T00:00:00.000Z' && first[2] >= '2024-01-01').toBe(true);
+        expect(first[3]).toMatch(/^2024-\d{2}-\d{2}$/);
+        expect(schemaFaker.option('random')).toBe(realRandom);
+        expect(schemaFaker.format('date-time')).toBeUndefined();
+    });
+
+    it('should leave Math.random and Date alone', async () => {
+        const realRandom = Math.random;
+        const RealDate = Date;
+        await withDeterministicFaker(async () => {
+            expect(Math.random).toBe(realRandom);
+            expect(Date).toBe(RealDate);
+        });
+    });
+
+    it('should run overlapping conversions one at a time', async () => {
+        const realRandom = schemaFaker.option('random');
+        const order = [];
+        const run = (name) => withDeterministicFaker(async () => {
+            order.push(`${name} start`);
+            const values = sample();
+            await new Promise(resolve => setTimeout(resolve, 10));
+            order.push(`${name} end`);
+            return values.concat(sample());
+        });
+
+        const [first, second] = await Promise.all([run('a'), run('b')]);
+        expect(order).toEqual(['a start', 'a end', 'b start', 'b end']);
+        expect(second).toEqual(first);
+        expect(schemaFaker.option('random')).toBe(realRandom);
+    });
+
+    it('should restore the faker when the conversion fails', async () => {
+        const realRandom = schemaFaker.option('random');
+        await expect(withDeterministicFaker(async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+        expect(schemaFaker.option('random')).toBe(realRandom);
+        await expect(withDeterministicFaker(async () => 'next')).resolves.toBe('next');
+    });
+
+    it('should generate numbers in [0, 1)', () => {
+        const random = seededRandom(1);
+        const values = Array.from({ length: 100 }, random);
+        expect(values.every(value => value >= 0 && value < 1)).toBe(true);
+        expect(new Set(values).size).toBe(100);
+    });
+});
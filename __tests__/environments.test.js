@@ -0,0 +1,123 @@
+/**
+ * Tests for Postman environment generation
+ */
+
+const { buildEnvironments, getServers } = require('../scripts/environments');
+
+const spec = {
+    openapi: '3.0.3',
+    info: { title: 'Pets', version: '1.0.0' },
+    servers: [
+        {
+            url: 'https://{region}.api.example.com/{version}/',
+            description: 'Production',
+            variables: { region: { default: 'eu', enum: ['eu', 'us'] }, version: { default: 'v1' } }
+        },
+        { url: 'https://staging.example.com/v1', description: 'Staging' },
+        { url: 'http://localhost:8080/v1' }
+    ],
+    paths: {},
+    components: {
+        securitySchemes: {
+            apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+            apiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key' },
+            jwt: { type: 'http', scheme: 'bearer' }
+        }
+    }
+};
+
+const valuesOf = (environment) => Object.fromEntries(environment.values.map(v => [v.key, `${v.value}|${v.type}`]));
+
+// ─── getServers ───────────────────────────────────────────────────────────────
+
+describe('getServers', () => {
+    it('should resolve relative server URLs against a fetched spec URL', () => {
+        const servers = getServers({ openapi: '3.0.3', servers: [{ url: '/api/v2' }] }, 'https://svc.example.com/v3/api-docs');
+        expect(servers[0].url).toBe('https://svc.example.com/api/v2');
+    });
+
+    it('should build one server per Swagger 2.0 scheme', () => {
+        const servers = getServers({ swagger: '2.0', host: 'api.example.com', basePath: '/v1', schemes: ['https', 'http'] });
+        expect(servers.map(server => server.url)).toEqual(['https://api.example.com/v1', 'http://api.example.com/v1']);
+        expect(getServers({ swagger: '2.0' })).toEqual([]);
+    });
+});
+
+// ─── buildEnvironments ────────────────────────────────────────────────────────
+
+describe('buildEnvironments', () => {
+    const environments = buildEnvironments(spec, { collectionName: 'Pets API' });
+
+    it('should create one environment per server', () => {
+        expect(environments.map(e => e.fileName)).toEqual([
+            'production.postman_environment.json',
+            'staging.postman_environment.json',
+            'localhost.postman_environment.json'
+        ]);
+        expect(environments.map(e => e.environment.name)).toEqual(['Pets API - Production', 'Pets API - Staging', 'Pets API - localhost']);
+        expect(environments[0].environment._postman_variable_scope).toBe('environment');
+    });
+
+    it('should keep server variables as references with their defaults', () => {
+        expect(valuesOf(environments[0].environment)).toEqual({
+            baseUrl: 'https://{{region}}.api.example.com/{{version}}|default',
+            region: 'eu|default',
+            version: 'v1|default',
+            apiKeyHeader: '|secret',
+            apiKeyQuery: '|secret',
+            jwt: '|secret'
+        });
+    });
+
+    it('should list the allowed enum values of server variables', () => {
+        const [region, version] = environments[0].environment.values.slice(1, 3);
+        expect(region).toEqual({ key: 'region', value: 'eu', type: 'default', enabled: true, description: 'Allowed values: eu, us' });
+        expect(version.description).toBeUndefined();
+
+        const [withoutDefault] = buildEnvironments({
+            ...spec,
+            servers: [{ url: 'https://{stage}.example.com', variables: { stage: { enum: ['dev', 'prod'], description: 'Deployment stage' } } }]
+        }, { collectionName: 'Pets API', includeSecrets: false });
+        expect(withoutDefault.environment.values[1]).toEqual({
+            key: 'stage', value: 'dev', type: 'default', enabled: true, description: 'Deployment stage\n\nAllowed values: dev, prod'
+        });
+    });
+
+    it('should add one secret per scheme credential', () => {
+        expect(environments[1].environment.values.map(v => v.key)).toEqual(['baseUrl', 'apiKeyHeader', 'apiKeyQuery', 'jwt']);
+    });
+
+    it('should leave secrets out when auth is not included', () => {
+        const [first] = buildEnvironments(spec, { collectionName: 'Pets API', includeSecrets: false });
+        expect(first.environment.values.map(v => v.key)).toEqual(['baseUrl', 'region', 'version']);
+    });
+
+    it('should leave out access tokens cached by the token script', () => {
+        const oauthSpec = {
+            ...spec,
+            components: {
+                securitySchemes: {
+                    machine: { type: 'oauth2', flows: { clientCredentials: { tokenUrl: 'https://auth/token', scopes: {} } } }
+                }
+            }
+        };
+        const keys = (options) => buildEnvironments(oauthSpec, { collectionName: 'Pets API', ...options })[1].environment.values.map(v => v.key);
+        expect(keys()).toEqual(['baseUrl', 'machineClientId', 'machineClientSecret']);
+        expect(keys({ tokenScript: false })).toEqual(['baseUrl', 'machineClientId', 'machineClientSecret', 'machineAccessToken']);
+    });
+
+    it('should produce the same ids on every run', () => {
+        const again = buildEnvironments(spec, { collectionName: 'Pets API' });
+        expect(again[0].environment.id).toBe(environments[0].environment.id);
+        expect(environments[0].environment.id).not.toBe(environments[1].environment.id);
+        expect(environments[0].environment.id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-8[0-9a-f]{3}-[0-9a-f]{12}$/);
+    });
+
+    it('should number environments whose labels collide', () => {
+        const result = buildEnvironments({
+            openapi: '3.0.3',
+            servers: [{ url: 'https://a.example.com', description: 'EU' }, { url: 'https://b.example.com', description: 'EU' }]
+        }, { collectionName: 'X' });
+        expect(result.map(e => e.fileName)).toEqual(['eu.postman_environment.json', 'eu_2.postman_environment.json']);
+    });
+});
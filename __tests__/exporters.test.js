@@ -0,0 +1,323 @@
+/**
+ * Tests for the Bruno, Insomnia and .http exporters
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    exportCollection,
+    validateOutputFormat,
+    defaultOutputPath,
+    buildBruno,
+    buildInsomnia,
+    buildHttp,
+    buildUrl,
+    effectiveAuth
+} = require('../scripts/exporters');
+
+const bearer = { type: 'bearer', bearer: [{ key: 'token', value: '{{bearerAuth}}', type: 'string' }] };
+const apiKeyQuery = { type: 'apikey', apikey: [{ key: 'key', value: 'api_key' }, { key: 'value', value: '{{apiKey}}' }, { key: 'in', value: 'query' }] };
+
+function collection() {
+    return {
+        info: { name: 'Pet Store', description: { content: 'The pet API', type: 'text/plain' } },
+        auth: bearer,
+        variable: [
+            { key: 'baseUrl', value: 'https://api.example.com/v1', type: 'string' },
+            { key: 'petId', value: '42', type: 'string' }
+        ],
+        item: [
+            {
+                name: 'Pets',
+                auth: apiKeyQuery,
+                item: [
+                    {
+                        name: 'Get a pet',
+                        request: {
+                            method: 'GET',
+                            description: { content: 'Returns a pet', type: 'text/markdown' },
+                            header: [{ key: 'Accept', value: 'application/json' }, { key: 'X-Debug', value: '1', disabled: true }],
+                            url: {
+                                host: ['{{baseUrl}}'],
+                                path: ['pets', ':petId'],
+                                query: [{ key: 'fields', value: 'name' }, { key: 'expand', value: 'owner', disabled: true }],
+                                variable: [{ key: 'petId', value: '{{petId}}' }]
+                            }
+                        }
+                    },
+                    {
+                        name: 'Create a pet',
+                        request: {
+                            method: 'POST',
+                            auth: { type: 'basic', basic: [{ key: 'username', value: '{{user}}' }, { key: 'password', value: '{{pass}}' }] },
+                            header: [{ key: 'Content-Type', value: 'application/json' }],
+                            body: { mode: 'raw', raw: '{\n  "name": "Rex"\n}', options: { raw: { language: 'json' } } },
+                            url: { host: ['{{baseUrl}}'], path: ['pets'] }
+                        }
+                    }
+                ]
+            },
+            {
+                name: 'Upload',
+                request: {
+                    method: 'POST',
+                    auth: { type: 'noauth' },
+                    body: {
+                        mode: 'formdata',
+                        formdata: [{ key: 'title', value: 'Rex', type: 'text' }, { key: 'photo', type: 'file', src: 'rex.png' }]
+                    },
+                    url: { host: ['{{baseUrl}}'], path: ['photos'] }
+                }
+            },
+            {
+                name: 'Login',
+                request: {
+                    method: 'POST',
+                    body: { mode: 'urlencoded', urlencoded: [{ key: 'user', value: 'demo' }, { key: 'remember', value: 'yes' }] },
+                    url: { host: ['{{baseUrl}}'], path: ['login'] }
+                }
+            }
+        ]
+    };
+}
+
+const fileMap = (files) => Object.fromEntries(files.map(file => [file.path, file.content]));
+
+// ─── Shared helpers ───────────────────────────────────────────────────────────
+
+describe('validateOutputFormat', () => {
+    it('should accept the known formats and reject others', () => {
+        expect(validateOutputFormat('bruno')).toBe('bruno');
+        expect(() => validateOutputFormat('hoppscotch')).toThrow('Invalid output format "hoppscotch"');
+    });
+});
+
+describe('defaultOutputPath', () => {
+    it('should name a file for file formats and a directory for directory formats', () => {
+        expect(defaultOutputPath('postman')).toBe('postman-collection.json');
+        expect(defaultOutputPath('insomnia')).toBe('insomnia-collection.json');
+        expect(defaultOutputPath('bruno')).toBe('bruno-collection');
+        expect(defaultOutputPath('http')).toBe('http-requests');
+    });
+});
+
+describe('buildUrl', () => {
+    it('should fill in path variables and enabled query parameters', () => {
+        const { url } = collection().item[0].item[0].request;
+        expect(buildUrl(url)).toBe('{{baseUrl}}/pets/{{petId}}?fields=name');
+        expect(buildUrl(url, { pathVariable: name => `:${name}`, includeQuery: false })).toBe('{{baseUrl}}/pets/:petId');
+        expect(buildUrl('https://api.example.com/pets')).toBe('https://api.example.com/pets');
+    });
+});
+
+describe('effectiveAuth', () => {
+    it('should use the request auth, else the nearest folder auth, else the collection auth', () => {
+        const source = collection();
+        const [pets, upload, login] = source.item;
+
+        expect(effectiveAuth(pets.item[0], [pets], source)).toBe(apiKeyQuery);
+        expect(effectiveAuth(pets.item[1], [pets], source).type).toBe('basic');
+        expect(effectiveAuth(upload, [], source)).toBeNull();
+        expect(effectiveAuth(login, [], source)).toBe(bearer);
+    });
+});
+
+// ─── Bruno ────────────────────────────────────────────────────────────────────
+
+describe('buildBruno', () => {
+    const files = fileMap(buildBruno(collection()));
+
+    it('should write the collection files and one directory per folder', () => {
+        expect(Object.keys(files)).toEqual([
+            'bruno.json',
+            'collection.bru',
+            'Pets/folder.bru',
+            'Pets/Get a pet.bru',
+            'Pets/Create a pet.bru',
+            'Upload.bru',
+            'Login.bru'
+        ]);
+        expect(JSON.parse(files['bruno.json'])).toEqual({ version: '1', name: 'Pet Store', type: 'collection', ignore: ['node_modules', '.git'] });
+        expect(files['collection.bru']).toContain('vars:pre-request {\n  baseUrl: https://api.example.com/v1\n  petId: 42\n}');
+        expect(files['Pets/folder.bru']).toBe('meta {\n  name: Pets\n  seq: 1\n}\n');
+    });
+
+    it('should render requests with params, headers, inherited auth and docs', () => {
+        expect(files['Pets/Get a pet.bru']).toBe([
+            'meta {',
+            '  name: Get a pet',
+            '  type: http',
+            '  seq: 1',
+            '}',
+            '',
+            'get {',
+            '  url: {{baseUrl}}/pets/:petId?fields=name',
+            '  body: none',
+            '  auth: apikey',
+            '}',
+            '',
+            'params:query {',
+            '  fields: name',
+            '  ~expand: owner',
+            '}',
+            '',
+            'params:path {',
+            '  petId: {{petId}}',
+            '}',
+            '',
+            'headers {',
+            '  Accept: application/json',
+            '  ~X-Debug: 1',
+            '}',
+            '',
+            'auth:apikey {',
+            '  key: api_key',
+            '  value: {{apiKey}}',
+            '  placement: queryparams',
+            '}',
+            '',
+            'docs {',
+            '  Returns a pet',
+            '}',
+            ''
+        ].join('\n'));
+    });
+
+    it('should render bodies and per-request auth', () => {
+        expect(files['Pets/Create a pet.bru']).toContain('  body: json\n  auth: basic\n}');
+        expect(files['Pets/Create a pet.bru']).toContain('auth:basic {\n  username: {{user}}\n  password: {{pass}}\n}');
+        expect(files['Pets/Create a pet.bru']).toContain('body:json {\n  {\n    "name": "Rex"\n  }\n}');
+        expect(files['Upload.bru']).toContain('  body: multipartForm\n  auth: none\n}');
+        expect(files['Upload.bru']).toContain('body:multipart-form {\n  title: Rex\n  photo: @file(rex.png)\n}');
+        expect(files['Login.bru']).toContain('body:form-urlencoded {\n  user: demo\n  remember: yes\n}');
+        expect(files['Login.bru']).toContain('auth:bearer {\n  token: {{bearerAuth}}\n}');
+    });
+
+    it('should give requests with the same name their own file', () => {
+        const source = collection();
+        source.item.push(JSON.parse(JSON.stringify(source.item[1])));
+        expect(Object.keys(fileMap(buildBruno(source)))).toContain('Upload (2).bru');
+    });
+});
+
+// ─── Insomnia ─────────────────────────────────────────────────────────────────
+
+describe('buildInsomnia', () => {
+    const [file] = buildInsomnia(collection());
+    const document = JSON.parse(file.content);
+    const byName = (name) => document.resources.find(resource => resource.name === name);
+
+    it('should write a v4 export with a workspace, environment, folders and requests', () => {
+        expect(document).toMatchObject({ _type: 'export', __export_format: 4 });
+        expect(document.resources.map(resource => resource._type)).toEqual([
+            'workspace', 'environment', 'request_group', 'request', 'request', 'request', 'request'
+        ]);
+        expect(new Set(document.resources.map(resource => resource._id)).size).toBe(document.resources.length);
+        expect(byName('Base Environment').data).toEqual({ baseUrl: 'https://api.example.com/v1', petId: '42' });
+        expect(byName('Get a pet').parentId).toBe(byName('Pets')._id);
+        expect(byName('Upload').parentId).toBe(byName('Pet Store')._id);
+    });
+
+    it('should translate variables, parameters and auth', () => {
+        expect(byName('Get a pet')).toMatchObject({
+            method: 'GET',
+            url: '{{ _.baseUrl }}/pets/{{ _.petId }}',
+            parameters: [{ name: 'fields', value: 'name' }, { name: 'expand', value: 'owner', disabled: true }],
+            headers: [{ name: 'Accept', value: 'application/json' }, { name: 'X-Debug', value: '1', disabled: true }],
+            authentication: { type: 'apikey', key: 'api_key', value: '{{ _.apiKey }}', addTo: 'queryParams' },
+            description: 'Returns a pet'
+        });
+        expect(byName('Create a pet').body).toEqual({ mimeType: 'application/json', text: '{\n  "name": "Rex"\n}' });
+        expect(byName('Upload').body.params).toEqual([{ name: 'title', value: 'Rex' }, { name: 'photo', value: '', type: 'file', fileName: 'rex.png' }]);
+        expect(byName('Upload').authentication).toEqual({});
+        expect(byName('Login').authentication).toEqual({ type: 'bearer', token: '{{ _.bearerAuth }}' });
+    });
+
+    it('should produce the same ids for the same collection', () => {
+        expect(buildInsomnia(collection())[0].content).toBe(file.content);
+    });
+});
+
+// ─── .http ────────────────────────────────────────────────────────────────────
+
+describe('buildHttp', () => {
+    const files = fileMap(buildHttp(collection()));
+
+    it('should write one file per folder with the variables at the top', () => {
+        expect(Object.keys(files)).toEqual(['Pets.http', 'Pet Store.http']);
+        expect(files['Pets.http'].startsWith('@baseUrl = https://api.example.com/v1\n@petId = 42\n\n### Get a pet\n')).toBe(true);
+    });
+
+    it('should render requests with their auth', () => {
+        expect(files['Pets.http']).toContain([
+            '### Get a pet',
+            'GET {{baseUrl}}/pets/{{petId}}?fields=name&api_key={{apiKey}}',
+            'Accept: application/json',
+            '',
+            '### Create a pet',
+            'POST {{baseUrl}}/pets',
+            'Content-Type: application/json',
+            'Authorization: Basic {{user}} {{pass}}',
+            '',
+            '{',
+            '  "name": "Rex"',
+            '}'
+        ].join('\n'));
+    });
+
+    it('should render form bodies', () => {
+        expect(files['Pet Store.http']).toContain([
+            'POST {{baseUrl}}/photos',
+            'Content-Type: multipart/form-data; boundary=----OpenApiPostmanSyncBoundary',
+            '',
+            '------OpenApiPostmanSyncBoundary',
+            'Content-Disposition: form-data; name="title"',
+            '',
+            'Rex',
+            '------OpenApiPostmanSyncBoundary',
+            'Content-Disposition: form-data; name="photo"; filename="rex.png"',
+            '',
+            '< rex.png',
+            '------OpenApiPostmanSyncBoundary--'
+        ].join('\n'));
+        expect(files['Pet Store.http']).toContain([
+            'POST {{baseUrl}}/login',
+            'Content-Type: application/x-www-form-urlencoded',
+            'Authorization: Bearer {{bearerAuth}}',
+            '',
+            'user=demo',
+            '&remember=yes'
+        ].join('\n'));
+    });
+});
+
+// ─── exportCollection ─────────────────────────────────────────────────────────
+
+describe('exportCollection', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should write directory formats under the output path', () => {
+        const written = exportCollection(collection(), 'http', path.join(dir, 'http'));
+        expect(written).toEqual([path.join(dir, 'http', 'Pets.http'), path.join(dir, 'http', 'Pet Store.http')]);
+        expect(fs.readFileSync(written[0], 'utf8')).toContain('### Get a pet');
+    });
+
+    it('should write the Insomnia export to the output file', () => {
+        const outputPath = path.join(dir, 'out', 'insomnia.json');
+        expect(exportCollection(collection(), 'insomnia', outputPath)).toEqual([outputPath]);
+        expect(JSON.parse(fs.readFileSync(outputPath, 'utf8'))._type).toBe('export');
+    });
+
+    it('should leave the Postman format to the Postman writer', () => {
+        expect(() => exportCollection(collection(), 'postman', dir)).toThrow('Postman writer');
+    });
+});
@@ -0,0 +1,316 @@
+/**
+ * Tests for spec fetching: headers, proxies, redirects, retries and caching
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const {
+    fetchUrl,
+    fetchOpenApiFromUrl,
+    buildRequestHeaders,
+    parseHeaderOptions,
+    getProxyForUrl,
+    fetchOptionsFromCli,
+    log
+} = require('../scripts/utils');
+const { bundleSpec } = require('../scripts/ref-bundler');
+const { convertSpec } = require('../scripts/convert-spec');
+
+// ─── Header and proxy helpers ─────────────────────────────────────────────────
+
+describe('parseHeaderOptions', () => {
+    it('should parse "Name: value" strings', () => {
+        expect(parseHeaderOptions(['X-Api-Key: abc', 'Accept: application/yaml']))
+            .toEqual({ 'X-Api-Key': 'abc', Accept: 'application/yaml' });
+    });
+
+    it('should reject malformed headers', () => {
+        expect(() => parseHeaderOptions(['no-separator'])).toThrow('Invalid header');
+    });
+});
+
+describe('buildRequestHeaders', () => {
+    const env = { API_KEY: 'secret-key', STAGING_TOKEN: 'tok123' };
+
+    it('should expand environment variables in header values', () => {
+        expect(buildRequestHeaders({ headers: { 'X-Api-Key': '${API_KEY}' } }, env))
+            .toEqual({ 'X-Api-Key': 'secret-key' });
+    });
+
+    it('should add a bearer token from the environment', () => {
+        expect(buildRequestHeaders({ bearerTokenEnv: 'STAGING_TOKEN' }, env))
+            .toEqual({ Authorization: 'Bearer tok123' });
+    });
+
+    it('should fail clearly when a variable is missing', () => {
+        expect(() => buildRequestHeaders({ bearerTokenEnv: 'MISSING' }, env)).toThrow('MISSING');
+        expect(() => buildRequestHeaders({ headers: { X: '${NOPE}' } }, env)).toThrow('NOPE');
+    });
+});
+
+describe('fetchOptionsFromCli', () => {
+    it('should parse the timeout and retries', () => {
+        expect(fetchOptionsFromCli({ fetchTimeout: '5000', retries: '0' })).toMatchObject({ timeout: 5000, retries: 0 });
+        expect(fetchOptionsFromCli({})).toMatchObject({ timeout: 30000, retries: 3 });
+    });
+
+    it('should reject values that are not whole numbers or out of range', () => {
+        expect(() => fetchOptionsFromCli({ retries: 'abc' })).toThrow('Invalid retries "abc": expected a whole number, at least 0');
+        expect(() => fetchOptionsFromCli({ retries: '-1' })).toThrow('Invalid retries "-1"');
+        expect(() => fetchOptionsFromCli({ fetchTimeout: '0' })).toThrow('Invalid fetch timeout "0": expected a whole number of milliseconds, at least 1');
+        expect(() => fetchOptionsFromCli({ fetchTimeout: '2.5' })).toThrow('Invalid fetch timeout "2.5"');
+    });
+});
+
+describe('getProxyForUrl', () => {
+    it('should use HTTPS_PROXY for https URLs', () => {
+        const proxy = getProxyForUrl('https://api.example.com/v3/api-docs', { HTTPS_PROXY: 'http://proxy.corp:3128' });
+        expect(proxy.host).toBe('proxy.corp:3128');
+    });
+
+    it('should honor NO_PROXY', () => {
+        const env = { HTTPS_PROXY: 'http://proxy.corp:3128', NO_PROXY: 'localhost,.internal' };
+        expect(getProxyForUrl('https://localhost/spec', env)).toBeNull();
+        expect(getProxyForUrl('https://svc.internal/spec', env)).toBeNull();
+        expect(getProxyForUrl('https://example.com/spec', env)).not.toBeNull();
+    });
+
+    it('should return null without proxy settings', () => {
+        expect(getProxyForUrl('https://example.com/spec', {})).toBeNull();
+    });
+});
+
+// ─── fetchUrl against a local server ─────────────────────────────────────────
+
+describe('fetchUrl', () => {
+    let server;
+    let baseUrl;
+    let handler;
+    let cacheDir;
+
+    beforeAll((done) => {
+        server = http.createServer((req, res) => handler(req, res));
+        server.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    beforeEach(() => {
+        cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-cache-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(cacheDir, { recursive: true, force: true });
+    });
+
+    it('should follow 307 and 308 redirects with relative locations', async () => {
+        handler = (req, res) => {
+            if (req.url === '/start') {
+                res.writeHead(307, { Location: '/middle' });
+                res.end();
+            } else if (req.url === '/middle') {
+                res.writeHead(308, { Location: `${baseUrl}/spec.yaml` });
+                res.end();
+            } else {
+                res.writeHead(200, { 'Content-Type': 'application/yaml' });
+                res.end('openapi: 3.0.0\n');
+            }
+        };
+
+        const spec = await fetchOpenApiFromUrl(`${baseUrl}/start`);
+        expect(spec).toEqual({ openapi: '3.0.0' });
+    });
+
+    it('should stop after the redirect limit', async () => {
+        handler = (req, res) => {
+            res.writeHead(302, { Location: '/loop' });
+            res.end();
+        };
+
+        await expect(fetchUrl(`${baseUrl}/loop`, { maxRedirects: 3 })).rejects.toThrow('Too many redirects');
+    });
+
+    it('should retry server errors with backoff', async () => {
+        let attempts = 0;
+        handler = (req, res) => {
+            attempts++;
+            if (attempts < 3) {
+                res.writeHead(503);
+                res.end();
+            } else {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end('{"openapi":"3.0.0"}');
+            }
+        };
+
+        const response = await fetchUrl(`${baseUrl}/flaky`, { retries: 3, retryDelay: 1 });
+        expect(attempts).toBe(3);
+        expect(response.body).toBe('{"openapi":"3.0.0"}');
+    });
+
+    it('should give up after the configured retries', async () => {
+        handler = (req, res) => {
+            res.writeHead(500);
+            res.end();
+        };
+
+        await expect(fetchUrl(`${baseUrl}/down`, { retries: 1, retryDelay: 1 })).rejects.toThrow('HTTP 500');
+    });
+
+    it('should not retry client errors', async () => {
+        let attempts = 0;
+        handler = (req, res) => {
+            attempts++;
+            res.writeHead(401);
+            res.end();
+        };
+
+        await expect(fetchUrl(`${baseUrl}/secure`, { retries: 3, retryDelay: 1 })).rejects.toThrow('HTTP 401');
+        expect(attempts).toBe(1);
+    });
+
+    it('should send custom headers', async () => {
+        let received;
+        handler = (req, res) => {
+            received = req.headers;
+            res.writeHead(200);
+            res.end('{}');
+        };
+
+        process.env.FETCH_TEST_TOKEN = 'abc';
+        try {
+            await fetchUrl(`${baseUrl}/auth`, { headers: { 'X-Team': 'pets' }, bearerTokenEnv: 'FETCH_TEST_TOKEN' });
+        } finally {
+            delete process.env.FETCH_TEST_TOKEN;
+        }
+        expect(received['x-team']).toBe('pets');
+        expect(received.authorization).toBe('Bearer abc');
+    });
+
+    it('should revalidate with ETag and reuse the cached body on 304', async () => {
+        let requests = 0;
+        handler = (req, res) => {
+            requests++;
+            if (req.headers['if-none-match'] === '"v1"') {
+                res.writeHead(304);
+                res.end();
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json', ETag: '"v1"' });
+            res.end('{"openapi":"3.1.0"}');
+        };
+
+        const first = await fetchUrl(`${baseUrl}/cached`, { cacheDir });
+        const second = await fetchUrl(`${baseUrl}/cached`, { cacheDir });
+
+        expect(requests).toBe(2);
+        expect(first.fromCache).toBe(false);
+        expect(second.fromCache).toBe(true);
+        expect(second.body).toBe('{"openapi":"3.1.0"}');
+    });
+});
+
+// ─── Credentials and origins ─────────────────────────────────────────────────
+
+describe('credentials', () => {
+    const servers = {};
+    const received = { spec: [], other: [] };
+    let specUrl;
+    let otherUrl;
+
+    const listen = (name, handler) => new Promise(resolve => {
+        servers[name] = http.createServer((req, res) => {
+            received[name].push({ url: req.url, headers: req.headers });
+            handler(req, res);
+        });
+        servers[name].listen(0, '127.0.0.1', resolve);
+    });
+
+    beforeAll(async () => {
+        await listen('spec', (req, res) => {
+            if (req.url === '/moved') {
+                res.writeHead(302, { Location: `${otherUrl}/openapi.json` });
+                res.end();
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                openapi: '3.0.3',
+                info: { title: 'Pets', version: '1' },
+                paths: { '/pets': { $ref: `${otherUrl}/paths.json#/pets` } }
+            }));
+        });
+        await listen('other', (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            if (req.url.startsWith('/overlay')) {
+                res.end(JSON.stringify({ overlay: '1.0.0', info: { title: 'Docs', version: '1' }, actions: [{ target: '$.info', update: { description: 'Patched' } }] }));
+            } else {
+                res.end(JSON.stringify({
+                    openapi: '3.0.3',
+                    pets: { get: { summary: 'List pets', responses: { 200: { description: 'OK' } } } }
+                }));
+            }
+        });
+        specUrl = `http://127.0.0.1:${servers.spec.address().port}`;
+        // Another port is another origin
+        otherUrl = `http://127.0.0.1:${servers.other.address().port}`;
+    });
+
+    afterAll(async () => {
+        await Promise.all(Object.values(servers).map(server => new Promise(resolve => server.close(resolve))));
+    });
+
+    beforeEach(() => {
+        received.spec = [];
+        received.other = [];
+        process.env.FETCH_TEST_TOKEN = 'abc';
+        jest.spyOn(log, 'info').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        delete process.env.FETCH_TEST_TOKEN;
+        jest.restoreAllMocks();
+    });
+
+    const fetchOptions = { headers: { 'X-Api-Key': 'secret' }, bearerTokenEnv: 'FETCH_TEST_TOKEN', retries: 0 };
+    const leaked = (requests) => requests.filter(({ headers }) => headers['x-api-key'] || headers.authorization);
+
+    it('should not send the headers to a redirect target on another origin', async () => {
+        await fetchUrl(`${specUrl}/moved`, fetchOptions);
+
+        expect(received.spec[0].headers['x-api-key']).toBe('secret');
+        expect(received.other).toHaveLength(1);
+        expect(leaked(received.other)).toEqual([]);
+    });
+
+    it('should not send the headers to external $refs and overlays on another origin', async () => {
+        const { spec } = await convertSpec(`${specUrl}/openapi.json`, {
+            fetchOptions,
+            overlays: [`${otherUrl}/overlay.json`]
+        });
+
+        expect(spec.paths['/pets'].get.summary).toBe('List pets');
+        expect(spec.info.description).toBe('Patched');
+        expect(received.spec[0].headers.authorization).toBe('Bearer abc');
+        expect(received.other.map(request => request.url)).toEqual(['/paths.json', '/overlay.json']);
+        expect(leaked(received.other)).toEqual([]);
+    });
+
+    it('should send the headers to $refs on the spec\'s own origin', async () => {
+        const spec = { openapi: '3.0.3', info: { title: 'Pets', version: '1' }, paths: { '/pets': { $ref: 'paths.json#/pets' } } };
+        await bundleSpec(spec, { baseLocation: `${otherUrl}/openapi.json`, fetchOptions });
+
+        expect(received.other[0].headers['x-api-key']).toBe('secret');
+
+        // No spec URL, no origin to send them to
+        await bundleSpec({ ...spec, paths: { '/pets': { $ref: `${otherUrl}/paths.json#/pets` } } }, { fetchOptions });
+        expect(leaked(received.other.slice(1))).toEqual([]);
+    });
+});
@@ -0,0 +1,275 @@
+/**
+ * Tests for folder strategies and ordering
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { log } = require('../scripts/utils');
+const { wrapGeneratedDocs } = require('../scripts/request-docs');
+const {
+    organizeFolders,
+    sortCollection,
+    loadFolderMap,
+    validateFolderMap,
+    converterFolderStrategy
+} = require('../scripts/folders');
+
+const spec = {
+    openapi: '3.0.3',
+    tags: [
+        { name: 'pets', description: 'Everything about pets', externalDocs: { url: 'https://docs.example.com/pets', description: 'Pet guide' } },
+        { name: 'users', description: '' },
+        { name: 'admin', externalDocs: { url: 'https://docs.example.com/admin' } }
+    ],
+    'x-tagGroups': [
+        { name: 'Store', tags: ['pets', 'users'] }
+    ],
+    paths: {
+        '/v1/pets': {
+            get: { operationId: 'listPets', tags: ['pets'], responses: {} },
+            post: { operationId: 'createPet', tags: ['pets'], responses: {} }
+        },
+        '/v1/pets/{petId}': {
+            delete: { operationId: 'deletePet', tags: ['pets'], responses: {} }
+        },
+        '/v1/users': {
+            get: { operationId: 'listUsers', tags: ['users'], responses: {} }
+        },
+        '/v2/admin/stats': {
+            get: { operationId: 'getStats', tags: ['admin'], responses: {} }
+        }
+    }
+};
+
+function request(name, method, urlPath) {
+    return {
+        name,
+        request: {
+            method,
+            url: { raw: `{{baseUrl}}/${urlPath.join('/')}`, host: ['{{baseUrl}}'], path: urlPath }
+        }
+    };
+}
+
+function tagCollection() {
+    return {
+        info: { name: 'Pets' },
+        item: [
+            {
+                name: 'pets',
+                description: { content: 'Everything about pets', type: 'text/plain' },
+                item: [
+                    request('List pets', 'GET', ['v1', 'pets']),
+                    request('Create a pet', 'POST', ['v1', 'pets']),
+                    request('Delete a pet', 'DELETE', ['v1', 'pets', ':petId'])
+                ]
+            },
+            { name: 'users', description: { content: '', type: 'text/plain' }, item: [request('List users', 'GET', ['v1', 'users'])] },
+            { name: 'admin', item: [request('Get stats', 'GET', ['v2', 'admin', 'stats'])] }
+        ]
+    };
+}
+
+const names = (items) => items.map(item => (item.item ? { [item.name]: names(item.item) } : item.name));
+
+beforeEach(() => {
+    jest.spyOn(log, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+// ─── converterFolderStrategy ──────────────────────────────────────────────────
+
+describe('converterFolderStrategy', () => {
+    it('should ask the converter for the structure each strategy starts from', () => {
+        expect(converterFolderStrategy('tags')).toBe('tags');
+        expect(converterFolderStrategy('tag-groups')).toBe('tags');
+        expect(converterFolderStrategy('paths')).toBe('paths');
+        expect(converterFolderStrategy('path-prefix')).toBe('paths');
+    });
+
+    it('should reject unknown strategies', () => {
+        expect(() => converterFolderStrategy('flat')).toThrow('Invalid folder strategy "flat"');
+    });
+});
+
+// ─── organizeFolders ──────────────────────────────────────────────────────────
+
+describe('organizeFolders', () => {
+    it('should describe tag folders from the tag description and externalDocs', () => {
+        const collection = organizeFolders(tagCollection(), spec, { strategy: 'tags' });
+        const [pets, users, admin] = collection.item;
+
+        expect(pets.description).toEqual({
+            content: wrapGeneratedDocs('Everything about pets\n\n[Pet guide](https://docs.example.com/pets)'),
+            type: 'text/markdown'
+        });
+        expect(users.description).toEqual({ content: '', type: 'text/plain' });
+        expect(admin.description.content).toBe(wrapGeneratedDocs('[https://docs.example.com/admin](https://docs.example.com/admin)'));
+    });
+
+    it('should nest tag folders into their x-tagGroups and keep ungrouped tags at the top', () => {
+        const collection = organizeFolders(tagCollection(), spec, { strategy: 'tag-groups' });
+
+        expect(names(collection.item)).toEqual([
+            { Store: [{ pets: ['List pets', 'Create a pet', 'Delete a pet'] }, { users: ['List users'] }] },
+            { admin: ['Get stats'] }
+        ]);
+        expect(collection.item[0].item[0].description.type).toBe('text/markdown');
+    });
+
+    it('should copy a tag folder into every group that lists it', () => {
+        const withTwoGroups = { ...spec, 'x-tagGroups': [{ name: 'Store', tags: ['pets'] }, { name: 'Animals', tags: ['pets'] }] };
+        const collection = organizeFolders(tagCollection(), withTwoGroups, { strategy: 'tag-groups' });
+
+        expect(names(collection.item).slice(0, 2)).toEqual([
+            { Store: [{ pets: ['List pets', 'Create a pet', 'Delete a pet'] }] },
+            { Animals: [{ pets: ['List pets', 'Create a pet', 'Delete a pet'] }] }
+        ]);
+        expect(collection.item[0].item[0]).not.toBe(collection.item[1].item[0]);
+    });
+
+    it('should keep one folder per tag when the spec has no x-tagGroups', () => {
+        const collection = organizeFolders(tagCollection(), { ...spec, 'x-tagGroups': undefined }, { strategy: 'tag-groups' });
+
+        expect(collection.item.map(item => item.name)).toEqual(['pets', 'users', 'admin']);
+        expect(log.warn).toHaveBeenCalledWith(expect.stringContaining('no x-tagGroups'));
+    });
+
+    it('should group requests by path prefix at the chosen depth', () => {
+        expect(names(organizeFolders(tagCollection(), spec, { strategy: 'path-prefix' }).item)).toEqual([
+            { '/v1': ['List pets', 'Create a pet', 'Delete a pet', 'List users'] },
+            { '/v2': ['Get stats'] }
+        ]);
+        expect(names(organizeFolders(tagCollection(), spec, { strategy: 'path-prefix', depth: 2 }).item)).toEqual([
+            { '/v1/pets': ['List pets', 'Create a pet', 'Delete a pet'] },
+            { '/v1/users': ['List users'] },
+            { '/v2/admin': ['Get stats'] }
+        ]);
+    });
+
+    it('should reject a folder depth below one', () => {
+        expect(() => organizeFolders(tagCollection(), spec, { strategy: 'path-prefix', depth: 0 }))
+            .toThrow('Invalid folder depth "0"');
+    });
+
+    it('should move requests assigned by glob and drop folders left empty', () => {
+        const collection = organizeFolders(tagCollection(), spec, {
+            strategy: 'tags',
+            folderMap: { assign: { Admin: ['/v2/**', 'DELETE /v1/pets/*'], users: ['/v1/users'] } }
+        });
+
+        expect(names(collection.item)).toEqual([
+            { pets: ['List pets', 'Create a pet'] },
+            { users: ['List users'] },
+            { Admin: ['Delete a pet', 'Get stats'] }
+        ]);
+    });
+
+    it('should rename folders after describing them', () => {
+        const collection = organizeFolders(tagCollection(), spec, {
+            strategy: 'tag-groups',
+            folderMap: { rename: { pets: 'Pet Store', Store: 'Shop' } }
+        });
+
+        expect(collection.item[0].name).toBe('Shop');
+        expect(collection.item[0].item[0].name).toBe('Pet Store');
+        expect(collection.item[0].item[0].description.content).toContain('Everything about pets');
+    });
+});
+
+// ─── sortCollection ───────────────────────────────────────────────────────────
+
+describe('sortCollection', () => {
+    it('should leave the collection alone without sort options', () => {
+        expect(names(sortCollection(tagCollection(), spec).item)).toEqual(names(tagCollection().item));
+    });
+
+    it('should sort folders alphabetically and requests by method', () => {
+        const collection = sortCollection(tagCollection(), spec, { folders: 'alpha', requests: 'method' });
+
+        expect(names(collection.item)).toEqual([
+            { admin: ['Get stats'] },
+            { pets: ['List pets', 'Create a pet', 'Delete a pet'] },
+            { users: ['List users'] }
+        ]);
+    });
+
+    it('should sort folders by tag order and requests by path order in the spec', () => {
+        const shuffled = tagCollection();
+        shuffled.item.reverse();
+        shuffled.item[2].item.reverse();
+
+        expect(names(sortCollection(shuffled, spec, { folders: 'spec', requests: 'spec' }).item)).toEqual([
+            { pets: ['List pets', 'Create a pet', 'Delete a pet'] },
+            { users: ['List users'] },
+            { admin: ['Get stats'] }
+        ]);
+    });
+
+    it('should put entries of an explicit order list first', () => {
+        const collection = sortCollection(tagCollection(), spec, {
+            requests: 'alpha',
+            order: ['admin', 'deletePet', 'POST /v1/pets']
+        });
+
+        expect(names(collection.item)).toEqual([
+            { admin: ['Get stats'] },
+            { pets: ['Delete a pet', 'Create a pet', 'List pets'] },
+            { users: ['List users'] }
+        ]);
+    });
+
+    it('should keep folders and requests in their own positions', () => {
+        const collection = {
+            item: [
+                request('Zeta', 'GET', ['v1', 'users']),
+                { name: 'b', item: [] },
+                request('Alpha', 'GET', ['v1', 'pets']),
+                { name: 'a', item: [] }
+            ]
+        };
+
+        expect(names(sortCollection(collection, spec, { folders: 'alpha', requests: 'alpha' }).item))
+            .toEqual(['Alpha', { a: [] }, 'Zeta', { b: [] }]);
+    });
+
+    it('should reject unknown sort modes', () => {
+        expect(() => sortCollection(tagCollection(), spec, { folders: 'method' })).toThrow('Invalid folder sort "method"');
+        expect(() => sortCollection(tagCollection(), spec, { requests: 'size' })).toThrow('Invalid request sort "size"');
+    });
+});
+
+// ─── folder maps ──────────────────────────────────────────────────────────────
+
+describe('validateFolderMap', () => {
+    it('should accept rename, assign and order', () => {
+        const folderMap = { rename: { pets: 'Pets' }, assign: { Admin: ['/admin/**'] }, order: ['Pets'] };
+        expect(validateFolderMap(folderMap)).toBe(folderMap);
+    });
+
+    it('should reject unknown keys and malformed values', () => {
+        expect(() => validateFolderMap([])).toThrow('Invalid folder map: expected an object');
+        expect(() => validateFolderMap({ folders: {} })).toThrow('unknown key "folders"');
+        expect(() => validateFolderMap({ rename: { pets: 1 } })).toThrow('"rename" must map folder names');
+        expect(() => validateFolderMap({ assign: { Admin: '/admin/**' } })).toThrow('"assign" must map folder names');
+        expect(() => validateFolderMap({ order: 'pets' })).toThrow('"order" must be a list');
+    });
+});
+
+describe('loadFolderMap', () => {
+    it('should read a YAML folder map', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'folder-map-'));
+        const filePath = path.join(dir, 'folders.yaml');
+        fs.writeFileSync(filePath, 'rename:\n  pets: Pet Store\norder:\n  - Pet Store\n');
+
+        try {
+            expect(loadFolderMap(filePath)).toEqual({ rename: { pets: 'Pet Store' }, order: ['Pet Store'] });
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * Tests for the Node API entry point
+ */
+
+const api = require('../scripts');
+const { log } = require('../scripts/utils');
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('Node API', () => {
+    it('should load the CLIs without parsing arguments or running them', () => {
+        const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+        for (const cli of ['cli', 'convert', 'merge-collections', 'validate', 'sync', 'watch', 'batch', 'split-collection']) {
+            expect(typeof Object.values(require(`../scripts/${cli}`))[0]).toBe('function');
+        }
+        expect(exit).not.toHaveBeenCalled();
+    });
+
+    it('should export the functions and error classes', () => {
+        for (const name of ['convertSpec', 'mergeCollections', 'sanitizeCollection', 'validateSpec', 'readCollection', 'writeCollection']) {
+            expect(typeof api[name]).toBe('function');
+        }
+        const error = new api.SpecError('bad', { problems: [{ pointer: '/info', message: 'missing', rule: 'schema' }] });
+        expect(error).toBeInstanceOf(api.SyncError);
+        expect(error).toMatchObject({ name: 'SpecError', code: 'ERR_SPEC', message: 'bad' });
+    });
+});
+
+describe('sanitizeCollection', () => {
+    const spec = {
+        openapi: '3.0.3',
+        paths: {
+            '/users': {
+                post: {
+                    requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { email: { type: 'string', format: 'email' } } } } } },
+                    responses: {}
+                }
+            }
+        }
+    };
+    const collection = {
+        info: { name: 'Users' },
+        item: [{
+            name: 'Create a user',
+            request: {
+                method: 'POST',
+                url: { host: ['{{baseUrl}}'], path: ['users'] },
+                body: { mode: 'raw', raw: '{\n  "email": "9ZcGNifob9M@uyoD.ugb"\n}' }
+            }
+        }]
+    };
+
+    it('should return a sanitized copy', () => {
+        jest.spyOn(log, 'info').mockImplementation(() => {});
+        const sanitized = api.sanitizeCollection(collection, spec, { valuesMap: { fieldDefaults: { email: 'qa@example.com' } } });
+
+        expect(JSON.parse(sanitized.item[0].request.body.raw)).toEqual({ email: 'qa@example.com' });
+        expect(collection.item[0].request.body.raw).toBe('{\n  "email": "9ZcGNifob9M@uyoD.ugb"\n}');
+    });
+
+    it('should reject invalid arguments with an OptionsError', () => {
+        expect(() => api.sanitizeCollection({}, spec)).toThrow(api.OptionsError);
+        expect(() => api.sanitizeCollection(collection)).toThrow('Invalid spec');
+    });
+});
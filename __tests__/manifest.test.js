@@ -0,0 +1,232 @@
+/**
+ * Tests for the multi-service manifest
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadManifest, resolveServices, buildConvertArgs, buildMergeArgs } = require('../scripts/manifest');
+
+const baseDir = path.resolve('/work/collections');
+
+// ─── resolveServices ──────────────────────────────────────────────────────────
+
+describe('resolveServices', () => {
+    it('should apply defaults and resolve paths against the manifest directory', () => {
+        const [service] = resolveServices({
+            defaults: { folderStrategy: 'paths', merge: { preserveVariables: false } },
+            services: [{
+                name: 'pets',
+                input: 'specs/pets.yaml',
+                output: 'collections/pets.json',
+                valuesMap: 'values/pets.json',
+                environmentsDir: 'environments/pets',
+                merge: { preserveTests: false }
+            }]
+        }, baseDir);
+
+        expect(service.input).toBe(path.join(baseDir, 'specs/pets.yaml'));
+        expect(service.output).toBe(path.join(baseDir, 'collections/pets.json'));
+        expect(service.valuesMap).toBe(path.join(baseDir, 'values/pets.json'));
+        expect(service.environmentsDir).toBe(path.join(baseDir, 'environments/pets'));
+        expect(service.folderStrategy).toBe('paths');
+        expect(service.merge).toEqual({
+            enabled: true,
+            preserveTests: false,
+            preservePrerequest: true,
+            preserveVariables: false
+        });
+    });
+
+    it('should keep URL inputs as-is', () => {
+        const [service] = resolveServices({
+            services: [{ name: 'users', input: 'http://localhost:8080/v3/api-docs', output: 'users.json' }]
+        }, baseDir);
+        expect(service.input).toBe('http://localhost:8080/v3/api-docs');
+    });
+
+    it('should merge default headers with service headers', () => {
+        const [service] = resolveServices({
+            defaults: { headers: { 'X-Team': 'core' } },
+            services: [{ name: 'a', input: 'a.json', output: 'a.out.json', headers: { 'X-Key': '${KEY}' } }]
+        }, baseDir);
+        expect(service.headers).toEqual({ 'X-Team': 'core', 'X-Key': '${KEY}' });
+    });
+
+    it('should reject invalid manifests', () => {
+        expect(() => resolveServices({}, baseDir)).toThrow('"services" must be a non-empty array');
+        expect(() => resolveServices({ services: [{ name: 'a', input: 'a.json' }] }, baseDir))
+            .toThrow('service "a" is missing "output"');
+        expect(() => resolveServices({ services: [{ name: 'a', input: 'a', output: 'b', foldr: 'tags' }] }, baseDir))
+            .toThrow('unknown option "foldr"');
+        expect(() => resolveServices({
+            services: [{ name: 'a', input: 'a', output: 'b' }, { name: 'a', input: 'c', output: 'd' }]
+        }, baseDir)).toThrow('duplicate service name "a"');
+    });
+
+    it('should resolve overlay paths and keep overlay URLs', () => {
+        const [service] = resolveServices({
+            services: [{ name: 'a', input: 'a.json', output: 'b.json', overlays: ['overlays/a.yaml', 'https://example.com/a.yaml'] }]
+        }, baseDir);
+        expect(service.overlays).toEqual([path.join(baseDir, 'overlays/a.yaml'), 'https://example.com/a.yaml']);
+        expect(() => resolveServices({ services: [{ name: 'a', input: 'a', output: 'b', overlays: 'a.yaml' }] }, baseDir))
+            .toThrow('"overlays" in service "a" must be an array of paths');
+    });
+
+    it('should validate operation filters', () => {
+        const service = (filters) => ({ services: [{ name: 'a', input: 'a', output: 'b', filters }] });
+        expect(() => resolveServices(service({ excludeTags: ['internal'], excludeDeprecated: true }), baseDir)).not.toThrow();
+        expect(() => resolveServices(service({ excludeTag: ['internal'] }), baseDir)).toThrow('unknown filter "excludeTag"');
+        expect(() => resolveServices(service({ includePaths: '/pets/**' }), baseDir)).toThrow('must be an array of strings');
+        expect(() => resolveServices(service({ excludeDeprecated: 'yes' }), baseDir)).toThrow('must be a boolean');
+    });
+});
+
+// ─── loadManifest ─────────────────────────────────────────────────────────────
+
+describe('loadManifest', () => {
+    it('should read a YAML manifest', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-'));
+        const manifestPath = path.join(dir, 'services.yaml');
+        fs.writeFileSync(manifestPath, 'services:\n  - name: pets\n    input: pets.json\n    output: out/pets.json\n');
+
+        try {
+            const services = loadManifest(manifestPath);
+            expect(services).toHaveLength(1);
+            expect(services[0].output).toBe(path.join(dir, 'out/pets.json'));
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('should report a missing manifest', () => {
+        expect(() => loadManifest('/non/existent/manifest.json')).toThrow('Manifest not found');
+    });
+});
+
+// ─── Argument builders ────────────────────────────────────────────────────────
+
+describe('buildConvertArgs', () => {
+    it('should translate service settings into convert.js options', () => {
+        const args = buildConvertArgs({
+            input: 'spec.json',
+            format: 'bruno',
+            collectionName: 'Pets API',
+            requestName: '{operationId}|{method} {path}',
+            folderStrategy: 'tags',
+            valuesMap: 'values.json',
+            skipSanitize: false,
+            deterministic: true,
+            bearerTokenEnv: 'TOKEN',
+            headers: { 'X-Team': 'pets' }
+        }, '/tmp/new.json');
+
+        expect(args).toEqual([
+            '--input', 'spec.json', '--output', '/tmp/new.json',
+            '--format', 'bruno',
+            '--name', 'Pets API',
+            '--request-name', '{operationId}|{method} {path}',
+            '--folder-strategy', 'tags',
+            '--values-map', 'values.json',
+            '--deterministic',
+            '--bearer-token-env', 'TOKEN',
+            '--header', 'X-Team: pets'
+        ]);
+    });
+
+    it('should turn off generated auth, scripts and chaining when disabled', () => {
+        expect(buildConvertArgs({
+            input: 'spec.json', includeAuth: false, tokenScript: false, requestDocs: false, responseExamples: false, contractTests: false, chainRequests: false
+        }, '/tmp/new.json')).toEqual([
+            '--input', 'spec.json', '--output', '/tmp/new.json',
+            '--no-include-auth'
+        ]);
+        expect(buildConvertArgs({ input: 'spec.json', includeAuth: true }, '/tmp/new.json'))
+            .toEqual(['--input', 'spec.json', '--output', '/tmp/new.json']);
+        expect(buildConvertArgs({ input: 'spec.json', tokenScript: true }, '/tmp/new.json'))
+            .toEqual(['--input', 'spec.json', '--output', '/tmp/new.json', '--token-script']);
+        expect(buildConvertArgs({ input: 'spec.json', requestDocs: true }, '/tmp/new.json'))
+            .toEqual(['--input', 'spec.json', '--output', '/tmp/new.json', '--request-docs']);
+        expect(buildConvertArgs({ input: 'spec.json', responseExamples: true }, '/tmp/new.json'))
+            .toEqual(['--input', 'spec.json', '--output', '/tmp/new.json', '--response-examples']);
+        expect(buildConvertArgs({ input: 'spec.json', contractTests: true }, '/tmp/new.json'))
+            .toEqual(['--input', 'spec.json', '--output', '/tmp/new.json', '--contract-tests']);
+        expect(buildConvertArgs({ input: 'spec.json', chainRequests: true }, '/tmp/new.json'))
+            .toEqual(['--input', 'spec.json', '--output', '/tmp/new.json', '--chain-requests']);
+    });
+
+    it('should pass folder layout and sorting settings', () => {
+        expect(buildConvertArgs({
+            input: 'spec.json',
+            folderStrategy: 'path-prefix',
+            folderDepth: 2,
+            folderMap: '/work/folders.yaml',
+            sortFolders: 'alpha',
+            sortRequests: 'method'
+        }, '/tmp/new.json')).toEqual([
+            '--input', 'spec.json', '--output', '/tmp/new.json',
+            '--folder-strategy', 'path-prefix',
+            '--folder-depth', '2',
+            '--folder-map', '/work/folders.yaml',
+            '--sort-folders', 'alpha',
+            '--sort-requests', 'method'
+        ]);
+    });
+
+    it('should pass named base URLs and their routes', () => {
+        const args = buildConvertArgs({
+            input: 'spec.json',
+            baseUrl: 'https://api.example.com',
+            baseUrls: { payments: 'https://pay.example.com/api' },
+            baseUrlRoutes: { '/payments/**': 'payments' }
+        }, '/tmp/new.json');
+
+        expect(args).toEqual([
+            '--input', 'spec.json', '--output', '/tmp/new.json',
+            '--base-url', 'https://api.example.com',
+            '--base-url', 'payments=https://pay.example.com/api',
+            '--base-url-route', '/payments/**=payments'
+        ]);
+        expect(() => resolveServices({ services: [{ name: 'a', input: 'a', output: 'b', baseUrls: ['x'] }] }, baseDir))
+            .toThrow('"baseUrls" in service "a" must map names to strings');
+    });
+
+    it('should pass overlays and operation filters', () => {
+        const args = buildConvertArgs({
+            input: 'spec.json',
+            overlays: ['/o/docs.yaml', '/o/servers.yaml'],
+            filters: { includePaths: ['/pets/**', '/store/*'], excludeMethods: ['DELETE'], excludeDeprecated: true }
+        }, '/tmp/new.json');
+
+        expect(args).toEqual([
+            '--input', 'spec.json', '--output', '/tmp/new.json',
+            '--overlay', '/o/docs.yaml', '--overlay', '/o/servers.yaml',
+            '--include-paths', '/pets/**', '/store/*',
+            '--exclude-methods', 'DELETE',
+            '--exclude-deprecated'
+        ]);
+    });
+});
+
+describe('buildMergeArgs', () => {
+    it('should merge into the service output and pass preserve flags', () => {
+        const args = buildMergeArgs({
+            output: '/c/pets.json',
+            merge: { preserveTests: true, preservePrerequest: false, preserveVariables: true }
+        }, '/tmp/new.json');
+
+        expect(args).toEqual([
+            '--new', '/tmp/new.json',
+            '--existing', '/c/pets.json',
+            '--output', '/c/pets.json',
+            '--preserve-tests', '--no-preserve-prerequest', '--preserve-variables'
+        ]);
+    });
+
+    it('should write a directory tree for split services', () => {
+        const service = { input: 'spec.json', output: '/c/pets', split: true, merge: { preserveTests: true, preservePrerequest: true, preserveVariables: true } };
+
+        expect(buildConvertArgs(service, '/c/pets')).toEqual(['--input', 'spec.json', '--output', '/c/pets', '--split']);
+        expect(buildMergeArgs(service, '/tmp/new.json').slice(-1)).toEqual(['--split']);
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * Tests for request naming templates
+ */
+
+const { applyRequestNames, parseNameTemplate, renderName } = require('../scripts/naming');
+
+const spec = {
+    openapi: '3.0.3',
+    paths: {
+        '/pets': {
+            get: { operationId: 'listPets', summary: 'List all pets', tags: ['pets'], responses: {} },
+            post: { summary: '  Create   a pet ', tags: ['pets'], responses: {} }
+        },
+        '/pets/{petId}': {
+            get: { operationId: 'getPet', responses: {} },
+            delete: { responses: {} }
+        }
+    }
+};
+
+function request(name, method, urlPath) {
+    return { name, request: { name, method, url: { raw: `{{baseUrl}}/${urlPath.join('/')}`, host: ['{{baseUrl}}'], path: urlPath } } };
+}
+
+function collection() {
+    return {
+        item: [
+            {
+                name: 'pets',
+                item: [
+                    request('List all pets', 'GET', ['pets']),
+                    request('Create a pet', 'POST', ['pets']),
+                    request('Get a pet', 'GET', ['pets', ':petId']),
+                    request('Delete a pet', 'DELETE', ['pets', ':petId'])
+                ]
+            },
+            request('Health', 'GET', ['health'])
+        ]
+    };
+}
+
+const names = (items) => items.map(item => (item.item ? { [item.name]: names(item.item) } : item.name));
+
+// ─── parseNameTemplate ────────────────────────────────────────────────────────
+
+describe('parseNameTemplate', () => {
+    it('should split a template into its fallback alternatives', () => {
+        expect(parseNameTemplate('{operationId} | {method} {path}')).toEqual(['{operationId}', '{method} {path}']);
+    });
+
+    it('should reject empty templates, empty alternatives and unknown placeholders', () => {
+        expect(() => parseNameTemplate('')).toThrow('Invalid request name template');
+        expect(() => parseNameTemplate('{summary}||{path}')).toThrow('empty alternative');
+        expect(() => parseNameTemplate('{operationID}')).toThrow('unknown placeholder {operationID}');
+    });
+});
+
+// ─── renderName ───────────────────────────────────────────────────────────────
+
+describe('renderName', () => {
+    const item = request('Create a pet', 'POST', ['pets']);
+    const entry = { method: 'post', pathKey: '/pets', operation: { summary: 'Create a pet', tags: ['pets'] } };
+
+    it('should use the first alternative whose placeholders all have a value', () => {
+        expect(renderName(['{operationId}', '{tag}: {summary}'], { item, entry })).toBe('pets: Create a pet');
+    });
+
+    it('should return null when no alternative applies', () => {
+        expect(renderName(['{operationId}'], { item, entry })).toBeNull();
+    });
+});
+
+// ─── applyRequestNames ────────────────────────────────────────────────────────
+
+describe('applyRequestNames', () => {
+    it('should name requests from the operation with fallbacks', () => {
+        const result = applyRequestNames(collection(), spec, '{operationId}|{summary}|{method} {path}');
+
+        expect(names(result.item)).toEqual([
+            { pets: ['listPets', 'Create a pet', 'getPet', 'DELETE /pets/{petId}'] },
+            'GET /health'
+        ]);
+    });
+
+    it('should rename the request along with its item', () => {
+        const result = applyRequestNames(collection(), spec, '{operationId}|{method} {path}');
+        const [listPets, , , deletePet] = result.item[0].item;
+
+        expect(listPets.request.name).toBe('listPets');
+        expect(deletePet.request.name).toBe('DELETE /pets/{petId}');
+    });
+
+    it('should number names that collide within a folder', () => {
+        const result = applyRequestNames(collection(), spec, '{tag}|{method}');
+
+        expect(names(result.item)).toEqual([
+            { pets: ['pets', 'pets (2)', 'GET', 'DELETE'] },
+            'GET'
+        ]);
+    });
+
+    it('should keep the converter name when no alternative applies', () => {
+        const result = applyRequestNames(collection(), spec, '{operationId}');
+
+        expect(names(result.item)[0].pets).toEqual(['listPets', 'Create a pet', 'getPet', 'Delete a pet']);
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * Tests for the OAuth2 token pre-request script
+ */
+
+const { applyTokenScript, getTokenSchemes } = require('../scripts/oauth2-token');
+
+const spec = {
+    openapi: '3.0.3',
+    security: [{ machine: ['pets:read'] }],
+    components: {
+        securitySchemes: {
+            machine: {
+                type: 'oauth2',
+                flows: { clientCredentials: { tokenUrl: 'https://auth.example.com/token', scopes: { 'pets:read': '', 'pets:write': '' } } }
+            },
+            user: {
+                type: 'oauth2',
+                flows: {
+                    authorizationCode: { authorizationUrl: 'https://auth.example.com/authorize', tokenUrl: 'https://auth.example.com/token', scopes: {} },
+                    password: { tokenUrl: 'https://auth.example.com/token', refreshUrl: 'https://auth.example.com/refresh', scopes: { profile: '' } }
+                }
+            },
+            browser: { type: 'oauth2', flows: { implicit: { authorizationUrl: 'https://auth.example.com/authorize', scopes: {} } } },
+            key: { type: 'apiKey', in: 'header', name: 'X-Key' }
+        }
+    },
+    paths: { '/pets': { post: { security: [{ machine: ['pets:write'] }] } } }
+};
+
+/**
+ * Run a collection's pre-request script against a minimal pm sandbox
+ */
+function runScript(collection, { variables = {}, collectionVariables = {}, respond }) {
+    const requests = [];
+    const pm = {
+        variables: { get: key => (key in collectionVariables ? collectionVariables[key] : variables[key]) },
+        collectionVariables: {
+            get: key => collectionVariables[key],
+            set: (key, value) => { collectionVariables[key] = value; },
+            unset: key => { delete collectionVariables[key]; }
+        },
+        sendRequest: (request, callback) => {
+            requests.push(request);
+            callback(null, respond(request));
+        }
+    };
+    const console = { warn: jest.fn() };
+    new Function('pm', 'console', collection.event[0].script.exec.join('\n'))(pm, console);
+    return { requests, collectionVariables, console };
+}
+
+const form = (request) => Object.fromEntries(request.body.urlencoded.map(p => [p.key, p.value]));
+
+// ─── getTokenSchemes ──────────────────────────────────────────────────────────
+
+describe('getTokenSchemes', () => {
+    it('should pick client credentials and password flows with the required scopes', () => {
+        const schemes = getTokenSchemes(spec);
+        expect(schemes.map(s => `${s.name}:${s.grantType}:${s.scope}`)).toEqual([
+            'machine:client_credentials:pets:read pets:write',
+            'user:password:profile'
+        ]);
+        expect(schemes[1].refreshUrl).toBe('https://auth.example.com/refresh');
+        expect(schemes[1].variables.username).toBe('userUsername');
+    });
+
+    it('should read Swagger 2.0 application flows', () => {
+        const [scheme] = getTokenSchemes({
+            swagger: '2.0',
+            securityDefinitions: { app: { type: 'oauth2', flow: 'application', tokenUrl: 'https://t', scopes: { a: '' } } }
+        });
+        expect(scheme).toMatchObject({ grantType: 'client_credentials', tokenUrl: 'https://t', scope: 'a' });
+    });
+});
+
+// ─── applyTokenScript ─────────────────────────────────────────────────────────
+
+describe('applyTokenScript', () => {
+    const okResponse = () => ({ code: 200, json: () => ({ access_token: 'tok', expires_in: 120 }) });
+
+    it('should leave collections without suitable flows unchanged', () => {
+        const collection = applyTokenScript({ item: [] }, { openapi: '3.0.3', components: { securitySchemes: { key: spec.components.securitySchemes.key } } });
+        expect(collection.event).toBeUndefined();
+    });
+
+    it('should add a marked collection-level pre-request script', () => {
+        const { event } = applyTokenScript({ item: [] }, spec);
+        expect(event).toHaveLength(1);
+        expect(event[0].listen).toBe('prerequest');
+        expect(event[0].script.exec[0]).toMatch(/^\/\/ BEGIN GENERATED oauth2-token/);
+    });
+
+    it('should fetch and cache tokens with their expiry', () => {
+        const collection = applyTokenScript({ item: [] }, spec);
+        const { requests, collectionVariables } = runScript(collection, {
+            variables: { machineClientId: 'id', machineClientSecret: 'secret', userUsername: 'ann', userPassword: 'pw' },
+            respond: okResponse
+        });
+
+        expect(requests.map(r => r.url)).toEqual(['https://auth.example.com/token', 'https://auth.example.com/token']);
+        expect(form(requests[0])).toEqual({ grant_type: 'client_credentials', scope: 'pets:read pets:write', client_id: 'id', client_secret: 'secret' });
+        expect(form(requests[1])).toMatchObject({ grant_type: 'password', username: 'ann', password: 'pw' });
+        expect(collectionVariables.machineAccessToken).toBe('tok');
+        expect(Number(collectionVariables.machineAccessTokenExpiresAt)).toBeGreaterThan(Date.now());
+    });
+
+    it('should reuse valid tokens and refresh expired ones', () => {
+        const collection = applyTokenScript({ item: [] }, spec);
+        const { requests } = runScript(collection, {
+            collectionVariables: {
+                machineAccessToken: 'cached',
+                machineAccessTokenExpiresAt: String(Date.now() + 600000),
+                userAccessToken: 'old',
+                userAccessTokenExpiresAt: String(Date.now() - 1),
+                userRefreshToken: 'refresh'
+            },
+            respond: okResponse
+        });
+
+        expect(requests).toHaveLength(1);
+        expect(requests[0].url).toBe('https://auth.example.com/refresh');
+        expect(form(requests[0])).toMatchObject({ grant_type: 'refresh_token', refresh_token: 'refresh' });
+    });
+
+    it('should drop a rejected refresh token and warn', () => {
+        const collection = applyTokenScript({ item: [] }, { ...spec, components: { securitySchemes: { user: spec.components.securitySchemes.user } } });
+        const { collectionVariables, console } = runScript(collection, {
+            collectionVariables: { userRefreshToken: 'expired' },
+            respond: () => ({ code: 400, status: 'Bad Request', json: () => ({ error: 'invalid_grant' }) })
+        });
+
+        expect(collectionVariables.userRefreshToken).toBeUndefined();
+        expect(console.warn).toHaveBeenCalledWith('Could not get an access token for user: Bad Request');
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests for the operation filters
+ */
+
+const { filterOperations, isOperationIncluded, pruneUnusedComponents } = require('../scripts/operation-filter');
+const { log } = require('../scripts/utils');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+function buildSpec() {
+    return {
+        openapi: '3.0.3',
+        info: { title: 'Pets', version: '1.0.0' },
+        tags: [{ name: 'pets' }, { name: 'admin' }],
+        paths: {
+            '/pets': {
+                get: { operationId: 'listPets', tags: ['pets'], responses: { 200: { description: 'ok', content: { 'application/json': { schema: { type: 'array', items: ref('Pet') } } } } } },
+                post: { operationId: 'createPet', tags: ['pets'], deprecated: true, responses: { 201: { description: 'created' } } }
+            },
+            '/pets/{petId}': {
+                delete: { operationId: 'deletePet', tags: ['pets'], 'x-postman-exclude': true, responses: { 204: { description: 'gone' } } }
+            },
+            '/admin/stats': {
+                get: { operationId: 'getStats', tags: ['admin'], responses: { 200: { description: 'ok', content: { 'application/json': { schema: ref('Stats') } } } } }
+            }
+        },
+        components: {
+            schemas: {
+                Pet: { type: 'object', properties: { owner: ref('Owner') } },
+                Owner: { type: 'object', properties: { name: { type: 'string' } } },
+                Stats: { type: 'object', properties: { count: { type: 'integer' } } }
+            },
+            securitySchemes: { apiKey: { type: 'apiKey', in: 'header', name: 'X-Key' } }
+        }
+    };
+}
+
+beforeAll(() => {
+    jest.spyOn(log, 'info').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+// ─── isOperationIncluded ──────────────────────────────────────────────────────
+
+describe('isOperationIncluded', () => {
+    const operation = { operationId: 'getStats', tags: ['admin'] };
+
+    it('should require a match for every include filter that is set', () => {
+        expect(isOperationIncluded('/admin/stats', 'get', operation, {}, { includeTags: ['admin'], includeMethods: ['get'] })).toBe(true);
+        expect(isOperationIncluded('/admin/stats', 'get', operation, {}, { includeTags: ['admin'], includeMethods: ['POST'] })).toBe(false);
+        expect(isOperationIncluded('/admin/stats', 'get', operation, {}, { includeOperationIds: ['listPets'] })).toBe(false);
+    });
+
+    it('should drop operations matching any exclude filter', () => {
+        expect(isOperationIncluded('/admin/stats', 'get', operation, {}, { excludePaths: ['/admin/**'] })).toBe(false);
+        expect(isOperationIncluded('/admin/stats', 'get', operation, {}, { excludeOperationIds: ['getStats'] })).toBe(false);
+        expect(isOperationIncluded('/admin/stats', 'get', operation, {}, { excludeMethods: ['GET'] })).toBe(false);
+    });
+
+    it('should honour exclusion extensions on the path item', () => {
+        expect(isOperationIncluded('/admin/stats', 'get', operation, { 'x-postman-exclude': true }, {})).toBe(false);
+        expect(isOperationIncluded('/admin/stats', 'get', { ...operation, 'x-internal': true }, {}, { excludeExtensions: ['x-internal'] })).toBe(false);
+    });
+});
+
+// ─── filterOperations ─────────────────────────────────────────────────────────
+
+describe('filterOperations', () => {
+    it('should always drop operations marked x-postman-exclude', () => {
+        const result = filterOperations(buildSpec());
+        expect(result.paths['/pets/{petId}']).toBeUndefined();
+        expect(Object.keys(result.paths)).toEqual(['/pets', '/admin/stats']);
+    });
+
+    it('should not modify the input spec', () => {
+        const spec = buildSpec();
+        filterOperations(spec, { excludeTags: ['admin'] });
+        expect(spec.paths['/admin/stats']).toBeDefined();
+        expect(spec.components.schemas.Stats).toBeDefined();
+    });
+
+    it('should prune tags and components only the removed operations used', () => {
+        const result = filterOperations(buildSpec(), { excludeTags: ['admin'], excludeDeprecated: true });
+
+        expect(Object.keys(result.paths)).toEqual(['/pets']);
+        expect(Object.keys(result.paths['/pets'])).toEqual(['get']);
+        expect(result.tags).toEqual([{ name: 'pets' }]);
+        expect(Object.keys(result.components.schemas)).toEqual(['Pet', 'Owner']);
+        expect(result.components.securitySchemes.apiKey).toBeDefined();
+    });
+
+    it('should keep only matching paths', () => {
+        const result = filterOperations(buildSpec(), { includePaths: ['/admin/**'] });
+        expect(Object.keys(result.paths)).toEqual(['/admin/stats']);
+        expect(Object.keys(result.components.schemas)).toEqual(['Stats']);
+    });
+});
+
+// ─── pruneUnusedComponents ────────────────────────────────────────────────────
+
+describe('pruneUnusedComponents', () => {
+    it('should handle Swagger 2.0 definitions and parameters', () => {
+        const spec = {
+            swagger: '2.0',
+            paths: {
+                '/pets': { get: { parameters: [{ $ref: '#/parameters/limit' }], responses: { 200: { description: 'ok', schema: { $ref: '#/definitions/Pet' } } } } }
+            },
+            definitions: { Pet: { type: 'object' }, Unused: { type: 'object' } },
+            parameters: { limit: { name: 'limit', in: 'query', type: 'integer' }, offset: { name: 'offset', in: 'query', type: 'integer' } }
+        };
+
+        expect(pruneUnusedComponents(spec)).toBe(2);
+        expect(Object.keys(spec.definitions)).toEqual(['Pet']);
+        expect(Object.keys(spec.parameters)).toEqual(['limit']);
+    });
+});
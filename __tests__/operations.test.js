@@ -0,0 +1,32 @@
+/**
+ * Tests for operation lookup
+ */
+
+const { listOperations, operationKey, requestKey, indexOperations, forEachRequest } = require('../scripts/operations');
+
+describe('operationKey / requestKey', () => {
+    it('should ignore path parameter names', () => {
+        expect(operationKey('get', '/pets/{petId}/photos')).toBe('GET /pets/{}/photos');
+        expect(requestKey({ method: 'GET', url: { path: ['pets', ':id', 'photos'] } })).toBe('GET /pets/{}/photos');
+        expect(requestKey({ method: 'POST', url: 'https://api.example.com/pets?x=1' })).toBe('POST /pets');
+        expect(requestKey({ url: '{{baseUrl}}/pets/:id' })).toBe('GET /pets/{}');
+    });
+});
+
+describe('listOperations / indexOperations', () => {
+    const spec = { paths: { '/pets': { parameters: [], get: {}, post: { operationId: 'create' } }, '/x': null } };
+
+    it('should list operations with their path and method', () => {
+        expect(listOperations(spec).map(o => `${o.method} ${o.pathKey}`)).toEqual(['get /pets', 'post /pets']);
+        expect(indexOperations(spec).get('POST /pets').operation.operationId).toBe('create');
+    });
+});
+
+describe('forEachRequest', () => {
+    it('should visit requests with their parent folders', () => {
+        const visited = [];
+        forEachRequest([{ name: 'a', item: [{ name: 'b', request: {} }] }, { name: 'c', request: {} }, { name: 'd' }],
+            (item, parents) => visited.push([...parents.map(p => p.name), item.name].join('/')));
+        expect(visited).toEqual(['a/b', 'c']);
+    });
+});
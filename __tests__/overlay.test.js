@@ -0,0 +1,159 @@
+/**
+ * Tests for OpenAPI Overlay support
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { applyOverlay, applyOverlays, loadOverlays, validateOverlay, queryJsonPath, parseJsonPath } = require('../scripts/overlay');
+const { log } = require('../scripts/utils');
+
+function buildSpec() {
+    return {
+        openapi: '3.0.3',
+        info: { title: 'Pets', version: '1.0.0' },
+        servers: [{ url: 'http://localhost:8080' }],
+        tags: [{ name: 'pets' }],
+        paths: {
+            '/pets': {
+                get: { operationId: 'listPets', tags: ['pets'], parameters: [{ name: 'limit', in: 'query' }, { name: 'offset', in: 'query' }] },
+                post: { operationId: 'createPet', tags: ['pets'], 'x-internal': true }
+            },
+            '/pets/{petId}': {
+                get: { operationId: 'getPet', tags: ['pets'], deprecated: true }
+            }
+        }
+    };
+}
+
+const overlayOf = (actions) => ({ overlay: '1.0.0', info: { title: 'Docs', version: '1.0.0' }, actions });
+
+// ─── JSONPath ─────────────────────────────────────────────────────────────────
+
+describe('queryJsonPath', () => {
+    const spec = buildSpec();
+    const ids = (expression) => queryJsonPath(spec, expression).map(node => node.value.operationId);
+
+    it('should select members by dot and bracket notation', () => {
+        expect(ids("$.paths['/pets'].get")).toEqual(['listPets']);
+        expect(ids('$.paths["/pets/{petId}"]["get"]')).toEqual(['getPet']);
+    });
+
+    it('should support wildcards, indexes, slices and recursive descent', () => {
+        expect(ids('$.paths.*.*')).toEqual(['listPets', 'createPet', 'getPet']);
+        expect(queryJsonPath(spec, "$.paths['/pets'].get.parameters[-1].name")[0].value).toBe('offset');
+        expect(queryJsonPath(spec, "$.paths['/pets'].get.parameters[0:1]")).toHaveLength(1);
+        expect(queryJsonPath(spec, '$..operationId').map(node => node.value)).toEqual(['listPets', 'createPet', 'getPet']);
+    });
+
+    it('should support filters with comparisons and logical operators', () => {
+        expect(ids("$.paths.*[?(@['x-internal'] == true)]")).toEqual(['createPet']);
+        expect(ids('$.paths.*[?@.deprecated]')).toEqual(['getPet']);
+        expect(ids("$.paths.*[?(!@.deprecated && @.operationId != 'createPet')]")).toEqual(['listPets']);
+        expect(ids("$.paths.*[?@.operationId == 'getPet' || @['x-internal']]")).toEqual(['createPet', 'getPet']);
+    });
+
+    it('should reject malformed expressions', () => {
+        expect(() => parseJsonPath('paths.x')).toThrow('must start with "$"');
+        expect(() => parseJsonPath("$.paths['/pets'")).toThrow('expected "]"');
+    });
+});
+
+// ─── applyOverlay ─────────────────────────────────────────────────────────────
+
+describe('applyOverlay', () => {
+    it('should merge updates into every target and leave the input untouched', () => {
+        const spec = buildSpec();
+        const { spec: patched, applied } = applyOverlay(spec, overlayOf([
+            { target: '$.paths.*.get', update: { summary: 'Read', responses: { 200: { description: 'ok' } } } },
+            { target: '$.info', update: { description: 'Pet store' } }
+        ]));
+
+        expect(applied).toBe(2);
+        expect(patched.paths['/pets'].get.summary).toBe('Read');
+        expect(patched.paths['/pets/{petId}'].get.responses[200].description).toBe('ok');
+        expect(patched.info).toEqual({ title: 'Pets', version: '1.0.0', description: 'Pet store' });
+        expect(spec.paths['/pets'].get.summary).toBeUndefined();
+    });
+
+    it('should append to arrays', () => {
+        const { spec: patched } = applyOverlay(buildSpec(), overlayOf([
+            { target: '$.servers', update: { url: 'https://api.example.com' } },
+            { target: '$', update: { tags: [{ name: 'store' }] } }
+        ]));
+
+        expect(patched.servers.map(server => server.url)).toEqual(['http://localhost:8080', 'https://api.example.com']);
+        expect(patched.tags.map(tag => tag.name)).toEqual(['pets', 'store']);
+    });
+
+    it('should remove targeted nodes, including array elements', () => {
+        const { spec: patched } = applyOverlay(buildSpec(), overlayOf([
+            { target: "$.paths.*[?(@['x-internal'] == true)]", remove: true },
+            { target: "$.paths['/pets'].get.parameters[*]", remove: true },
+            { target: '$.servers[0]', remove: true }
+        ]));
+
+        expect(Object.keys(patched.paths['/pets'])).toEqual(['get']);
+        expect(patched.paths['/pets'].get.parameters).toEqual([]);
+        expect(patched.servers).toEqual([]);
+    });
+
+    it('should report targets that match nothing', () => {
+        const { applied, unmatched } = applyOverlay(buildSpec(), overlayOf([
+            { target: "$.paths['/users'].get", remove: true }
+        ]));
+        expect(applied).toBe(0);
+        expect(unmatched).toEqual(["$.paths['/users'].get"]);
+    });
+
+    it('should refuse to update primitive values', () => {
+        expect(() => applyOverlay(buildSpec(), overlayOf([{ target: '$.info.title', update: { x: 1 } }]), 'docs.yaml'))
+            .toThrow('docs.yaml: target "$.info.title" selects a string value');
+    });
+
+    it('should apply overlays in order', () => {
+        jest.spyOn(log, 'info').mockImplementation(() => {});
+        try {
+            const patched = applyOverlays(buildSpec(), [
+                { label: 'a', overlay: overlayOf([{ target: '$.info', update: { title: 'First' } }]) },
+                { label: 'b', overlay: overlayOf([{ target: '$.info', update: { title: 'Second' } }]) }
+            ]);
+            expect(patched.info.title).toBe('Second');
+        } finally {
+            jest.restoreAllMocks();
+        }
+    });
+});
+
+// ─── validateOverlay / loadOverlays ───────────────────────────────────────────
+
+describe('validateOverlay', () => {
+    it('should reject invalid overlay documents', () => {
+        expect(() => validateOverlay({ actions: [] })).toThrow('"overlay" version');
+        expect(() => validateOverlay({ overlay: '1.0.0', actions: [] })).toThrow('"actions" must be a non-empty array');
+        expect(() => validateOverlay(overlayOf([{ target: '$.info' }]))).toThrow('actions[0]: needs "update" or "remove: true"');
+        expect(() => validateOverlay(overlayOf([{ target: 'info', remove: true }]))).toThrow('Invalid JSONPath');
+    });
+});
+
+describe('loadOverlays', () => {
+    it('should read YAML overlay files', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'overlay-'));
+        const overlayPath = path.join(dir, 'docs.overlay.yaml');
+        fs.writeFileSync(overlayPath, [
+            'overlay: 1.0.0',
+            'info: { title: Docs, version: 1.0.0 }',
+            'actions:',
+            "  - target: $.paths['/pets'].get",
+            '    update: { summary: List pets }'
+        ].join('\n'));
+
+        try {
+            const [{ overlay, label }] = await loadOverlays([overlayPath]);
+            expect(label).toBe('docs.overlay.yaml');
+            expect(overlay.actions[0].update.summary).toBe('List pets');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,232 @@
+/**
+ * Tests for the external $ref bundler
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { bundleSpec, resolveRefLocation, resolvePointer } = require('../scripts/ref-bundler');
+const { silentLog } = require('../scripts/utils');
+
+let testDir;
+
+function writeFile(relativePath, content) {
+    const filePath = path.join(testDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+beforeAll(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ref-bundler-'));
+});
+
+afterAll(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+});
+
+// ─── resolveRefLocation ───────────────────────────────────────────────────────
+
+describe('resolveRefLocation', () => {
+    it('should resolve relative file refs against the base file', () => {
+        const result = resolveRefLocation('schemas/Pet.yaml#/Pet', '/specs/openapi.yaml');
+        expect(result).toEqual({ location: path.resolve('/specs/schemas/Pet.yaml'), pointer: '/Pet' });
+    });
+
+    it('should resolve relative refs against a base URL', () => {
+        const result = resolveRefLocation('common.yaml', 'https://example.com/specs/openapi.yaml');
+        expect(result).toEqual({ location: 'https://example.com/specs/common.yaml', pointer: '' });
+    });
+
+    it('should keep the base location for local refs', () => {
+        expect(resolveRefLocation('#/components/schemas/Pet', '/specs/common.yaml'))
+            .toEqual({ location: '/specs/common.yaml', pointer: '/components/schemas/Pet' });
+    });
+});
+
+// ─── resolvePointer ───────────────────────────────────────────────────────────
+
+describe('resolvePointer', () => {
+    it('should follow escaped JSON pointer segments', () => {
+        const doc = { paths: { '/pets/{id}': { get: { ok: true } } } };
+        expect(resolvePointer(doc, '/paths/~1pets~1{id}/get')).toEqual({ ok: true });
+    });
+
+    it('should return undefined for missing targets', () => {
+        expect(resolvePointer({ a: {} }, '/a/b')).toBeUndefined();
+    });
+});
+
+// ─── bundleSpec ───────────────────────────────────────────────────────────────
+
+describe('bundleSpec', () => {
+    it('should hoist external schemas into components.schemas', async () => {
+        writeFile('schemas/Pet.yaml', [
+            'type: object',
+            'properties:',
+            '  name:',
+            '    type: string',
+            '  owner:',
+            '    $ref: "../common.yaml#/components/schemas/Owner"'
+        ].join('\n'));
+        writeFile('common.yaml', [
+            'components:',
+            '  schemas:',
+            '    Owner:',
+            '      type: object',
+            '      properties:',
+            '        email:',
+            '          type: string',
+            '          format: email'
+        ].join('\n'));
+        const rootPath = writeFile('openapi.json', '{}');
+
+        const spec = {
+            openapi: '3.0.0',
+            paths: {
+                '/pets': {
+                    get: {
+                        responses: {
+                            200: {
+                                description: 'OK',
+                                content: { 'application/json': { schema: { $ref: 'schemas/Pet.yaml' } } }
+                            }
+                        }
+                    }
+                }
+            }
+        };
+
+        const bundled = await bundleSpec(spec, { baseLocation: rootPath, logger: silentLog });
+        const schema = bundled.paths['/pets'].get.responses[200].content['application/json'].schema;
+
+        expect(schema).toEqual({ $ref: '#/components/schemas/Pet' });
+        expect(bundled.components.schemas.Pet.properties.owner).toEqual({ $ref: '#/components/schemas/Owner' });
+        expect(bundled.components.schemas.Owner.properties.email.format).toBe('email');
+    });
+
+    it('should keep root component names that point at external files', async () => {
+        writeFile('schemas/Error.json', JSON.stringify({ type: 'object', properties: { code: { type: 'string' } } }));
+        const rootPath = writeFile('root.json', '{}');
+
+        const spec = {
+            openapi: '3.0.0',
+            paths: {},
+            components: { schemas: { ApiError: { $ref: 'schemas/Error.json' } } }
+        };
+
+        const bundled = await bundleSpec(spec, { baseLocation: rootPath, logger: silentLog });
+        expect(bundled.components.schemas.ApiError.properties.code.type).toBe('string');
+        expect(Object.keys(bundled.components.schemas)).toEqual(['ApiError']);
+    });
+
+    it('should handle recursive schemas across files', async () => {
+        writeFile('tree/Node.yaml', [
+            'type: object',
+            'properties:',
+            '  children:',
+            '    type: array',
+            '    items:',
+            '      $ref: "./Node.yaml"'
+        ].join('\n'));
+        const rootPath = writeFile('tree.json', '{}');
+
+        const spec = {
+            openapi: '3.0.0',
+            paths: {},
+            components: { schemas: { Tree: { $ref: 'tree/Node.yaml' } } }
+        };
+
+        const bundled = await bundleSpec(spec, { baseLocation: rootPath, logger: silentLog });
+        expect(bundled.components.schemas.Tree.properties.children.items)
+            .toEqual({ $ref: '#/components/schemas/Tree' });
+    });
+
+    it('should inline non-schema refs such as path items', async () => {
+        writeFile('paths/pets.yaml', [
+            'get:',
+            '  summary: List pets',
+            '  parameters:',
+            '    - $ref: "../params.yaml#/Limit"'
+        ].join('\n'));
+        writeFile('params.yaml', 'Limit:\n  name: limit\n  in: query\n  schema:\n    type: integer\n');
+        const rootPath = writeFile('paths-root.yaml', '');
+
+        const spec = { openapi: '3.0.0', paths: { '/pets': { $ref: 'paths/pets.yaml' } } };
+
+        const bundled = await bundleSpec(spec, { baseLocation: rootPath, logger: silentLog });
+        expect(bundled.paths['/pets'].get.summary).toBe('List pets');
+        expect(bundled.paths['/pets'].get.parameters[0].name).toBe('limit');
+    });
+
+    it('should use definitions for Swagger 2.0 specs', async () => {
+        writeFile('defs/User.json', JSON.stringify({ type: 'object' }));
+        const rootPath = writeFile('swagger.json', '{}');
+
+        const spec = {
+            swagger: '2.0',
+            paths: {
+                '/users': {
+                    post: { parameters: [{ in: 'body', name: 'body', schema: { $ref: 'defs/User.json' } }] }
+                }
+            }
+        };
+
+        const bundled = await bundleSpec(spec, { baseLocation: rootPath, logger: silentLog });
+        expect(bundled.paths['/users'].post.parameters[0].schema).toEqual({ $ref: '#/definitions/User' });
+        expect(bundled.definitions.User).toEqual({ type: 'object' });
+    });
+
+    it('should report circular non-schema refs', async () => {
+        writeFile('loop/a.yaml', 'next:\n  $ref: "./b.yaml"\n');
+        writeFile('loop/b.yaml', 'next:\n  $ref: "./a.yaml"\n');
+        const rootPath = writeFile('loop.json', '{}');
+
+        const spec = { openapi: '3.0.0', paths: { '/loop': { $ref: 'loop/a.yaml' } } };
+
+        await expect(bundleSpec(spec, { baseLocation: rootPath, logger: silentLog })).rejects.toThrow('Circular $ref detected');
+    });
+
+    it('should report unresolvable refs', async () => {
+        const rootPath = writeFile('missing.json', '{}');
+        writeFile('empty.yaml', 'a: 1\n');
+        const spec = { openapi: '3.0.0', paths: { '/x': { $ref: 'empty.yaml#/nope' } } };
+
+        await expect(bundleSpec(spec, { baseLocation: rootPath, logger: silentLog })).rejects.toThrow('Unresolvable $ref "empty.yaml#/nope" at /paths/~1x/$ref');
+        const error = await bundleSpec(spec, { baseLocation: rootPath, logger: silentLog }).catch(caught => caught);
+        expect(error.problems).toEqual([{ pointer: '/paths/~1x/$ref', message: 'Unresolvable $ref "empty.yaml#/nope"', rule: 'unresolvable-ref' }]);
+    });
+
+    it('should collect unresolvable refs with their pointers and leave them in place', async () => {
+        const rootPath = writeFile('collect.json', '{}');
+        writeFile('collect/Pet.yaml', 'type: object\nproperties:\n  owner:\n    $ref: Owner.yaml\n');
+        const spec = {
+            openapi: '3.0.0',
+            paths: { '/pets': { get: { responses: { 200: { description: 'OK', content: { 'application/json': { schema: { $ref: 'collect/Pet.yaml' } } } } } } } },
+            components: { parameters: { Limit: { $ref: 'missing.yaml#/Limit' } } }
+        };
+
+        const problems = [];
+        const bundled = await bundleSpec(spec, { baseLocation: rootPath, problems, logger: silentLog });
+
+        expect(problems).toEqual([
+            {
+                pointer: '/components/schemas/Pet/properties/owner/$ref',
+                message: `Cannot load $ref "Owner.yaml" in ${path.join(testDir, 'collect', 'Pet.yaml')}: File not found: ${path.join(testDir, 'collect', 'Owner.yaml')}`,
+                rule: 'unresolvable-ref'
+            },
+            expect.objectContaining({ pointer: '/components/parameters/Limit/$ref', message: expect.stringMatching(/^Cannot load \$ref "missing.yaml#\/Limit": /) })
+        ]);
+        expect(bundled.components.parameters.Limit).toEqual({ $ref: 'missing.yaml#/Limit' });
+        expect(bundled.components.schemas.Pet.properties.owner).toEqual({ $ref: 'Owner.yaml' });
+    });
+
+    it('should leave specs without external refs unchanged', async () => {
+        const spec = {
+            openapi: '3.0.0',
+            paths: {},
+            components: { schemas: { Pet: { type: 'object' }, Pets: { type: 'array', items: { $ref: '#/components/schemas/Pet' } } } }
+        };
+        expect(await bundleSpec(spec)).toEqual(spec);
+    });
+});
@@ -0,0 +1,208 @@
+/**
+ * Tests for request chaining
+ */
+
+const { log } = require('../scripts/utils');
+const {
+    applyRequestChaining,
+    findChains,
+    orderItems,
+    singularize,
+    chainVariable,
+    parseRuntimeExpression
+} = require('../scripts/request-chaining');
+
+const petSchema = { type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' } } };
+const json = (schema) => ({ content: { 'application/json': { schema } } });
+
+const spec = {
+    openapi: '3.0.3',
+    paths: {
+        '/pets': {
+            get: { responses: { 200: json({ type: 'array', items: { $ref: '#/components/schemas/Pet' } }) } },
+            post: { operationId: 'createPet', responses: { 201: json({ $ref: '#/components/schemas/Pet' }) } }
+        },
+        '/pets/{petId}': {
+            get: { operationId: 'getPet', responses: { 200: json({ $ref: '#/components/schemas/Pet' }) } },
+            put: { responses: { 200: json({ $ref: '#/components/schemas/Pet' }) } },
+            delete: { responses: { 204: { description: 'Deleted' } } }
+        },
+        '/pets/{petId}/photos': {
+            post: {
+                responses: {
+                    201: {
+                        ...json({ type: 'object', properties: { photoId: { type: 'string' } } }),
+                        headers: { Location: { schema: { type: 'string' } } },
+                        links: {
+                            GetPhoto: {
+                                operationRef: '#/paths/~1photos~1{key}/get',
+                                parameters: { key: '$response.body#/photoId', 'header.X-Trace': '$response.header.Location' }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        '/photos/{key}': {
+            get: { parameters: [{ name: 'X-Trace', in: 'header' }], responses: { 200: { description: 'A photo' } } }
+        }
+    },
+    components: { schemas: { Pet: petSchema } }
+};
+
+function request(method, path, variables = {}) {
+    return {
+        method,
+        url: {
+            raw: `{{baseUrl}}/${path.join('/')}`,
+            host: ['{{baseUrl}}'],
+            path,
+            variable: Object.entries(variables).map(([key, value]) => ({ key, value }))
+        }
+    };
+}
+
+function buildCollection() {
+    return {
+        item: [
+            {
+                name: 'photos',
+                item: [
+                    { name: 'Get photo', request: { ...request('GET', ['photos', ':key'], { key: 'k1' }), header: [{ key: 'X-Trace', value: 'abc' }] } },
+                    { name: 'Add photo', request: request('POST', ['pets', ':petId', 'photos'], { petId: '7' }) }
+                ]
+            },
+            {
+                name: 'pets',
+                item: [
+                    { name: 'Delete pet', request: request('DELETE', ['pets', ':petId'], { petId: '1' }) },
+                    { name: 'Update pet', request: request('PUT', ['pets', ':petId'], { petId: '1' }) },
+                    { name: 'Get pet', request: request('GET', ['pets', ':petId'], { petId: '1' }) },
+                    { name: 'List pets', request: request('GET', ['pets']) },
+                    { name: 'Create pet', request: request('POST', ['pets']) }
+                ]
+            }
+        ]
+    };
+}
+
+beforeEach(() => {
+    jest.spyOn(log, 'info').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+describe('naming helpers', () => {
+    it('should singularize resource names', () => {
+        expect(['pets', 'categories', 'addresses', 'boxes', 'status'].map(singularize)).toEqual(['pet', 'category', 'address', 'box', 'status']);
+    });
+
+    it('should name variables after the parameter or its resource', () => {
+        expect(chainVariable('petId', '/pets/{petId}')).toBe('petId');
+        expect(chainVariable('id', '/pets/{id}')).toBe('petId');
+    });
+
+    it('should parse response runtime expressions', () => {
+        expect(parseRuntimeExpression('$response.body#/data/id')).toEqual({ source: 'body', pointer: '/data/id' });
+        expect(parseRuntimeExpression('$response.header.Location')).toEqual({ source: 'header', name: 'Location' });
+        expect(parseRuntimeExpression('$request.path.petId')).toBeNull();
+    });
+});
+
+// ─── findChains ───────────────────────────────────────────────────────────────
+
+describe('findChains', () => {
+    const describeChain = (chain) => `${chain.producer.method} ${chain.producer.pathKey} -> ${chain.consumer.method} ${chain.consumer.pathKey} ${chain.parameter.in}.${chain.parameter.name} as ${chain.variable}`;
+
+    it('should follow links and guess the rest from names', () => {
+        expect(findChains(spec).map(describeChain)).toEqual([
+            'post /pets/{petId}/photos -> get /photos/{key} path.key as key',
+            'post /pets/{petId}/photos -> get /photos/{key} header.X-Trace as X-Trace',
+            'post /pets -> get /pets/{petId} path.petId as petId',
+            'post /pets -> put /pets/{petId} path.petId as petId',
+            'post /pets -> delete /pets/{petId} path.petId as petId',
+            'post /pets -> post /pets/{petId}/photos path.petId as petId'
+        ]);
+    });
+
+    it('should match "id" on responses named after the resource', () => {
+        const chains = findChains({
+            openapi: '3.0.3',
+            paths: {
+                '/animals': { post: { responses: { 200: json({ $ref: '#/components/schemas/Dog' }) } } },
+                '/dogs/{id}': { get: { responses: {} } }
+            },
+            components: { schemas: { Dog: petSchema } }
+        });
+        expect(chains.map(chain => `${chain.capture.pointer} ${chain.variable}`)).toEqual(['/id dogId']);
+    });
+});
+
+// ─── applyRequestChaining ─────────────────────────────────────────────────────
+
+describe('applyRequestChaining', () => {
+    const byName = (items) => Object.fromEntries(items.flatMap(item => (item.item ? Object.entries(byName(item.item)) : [[item.name, item]])));
+
+    it('should use variables in consumers and keep example values as initial values', () => {
+        const collection = applyRequestChaining(buildCollection(), spec);
+        const items = byName(collection.item);
+
+        expect(items['Get pet'].request.url.variable).toEqual([{ key: 'petId', value: '{{petId}}' }]);
+        expect(items['Get photo'].request.url.variable[0].value).toBe('{{key}}');
+        expect(items['Get photo'].request.header[0].value).toBe('{{X-Trace}}');
+        expect(collection.variable).toEqual([
+            { key: 'key', value: 'k1', type: 'string' },
+            { key: 'X-Trace', value: 'abc', type: 'string' },
+            { key: 'petId', value: '1', type: 'string' }
+        ]);
+    });
+
+    it('should capture values in the producers\' test scripts', () => {
+        const items = byName(applyRequestChaining(buildCollection(), spec).item);
+        const exec = items['Create pet'].event[0].script.exec;
+        const variables = {};
+        const pm = {
+            response: { code: 201, json: () => ({ id: 42 }), headers: { get: () => null } },
+            collectionVariables: { set: (key, value) => { variables[key] = value; } }
+        };
+        new Function('pm', exec.join('\n'))(pm);
+        expect(variables).toEqual({ petId: '42' });
+
+        pm.response.code = 400;
+        pm.response.json = () => ({ id: 1 });
+        new Function('pm', exec.join('\n'))(pm);
+        expect(variables).toEqual({ petId: '42' });
+    });
+
+    it('should order requests create → read → update → delete with producers first', () => {
+        const collection = applyRequestChaining(buildCollection(), spec);
+        expect(collection.item.map(item => item.name)).toEqual(['pets', 'photos']);
+        expect(collection.item[0].item.map(item => item.name)).toEqual(['Create pet', 'List pets', 'Get pet', 'Update pet', 'Delete pet']);
+        expect(collection.item[1].item.map(item => item.name)).toEqual(['Add photo', 'Get photo']);
+    });
+
+    it('should keep the converter\'s order when nothing is chained', () => {
+        const unchained = buildCollection();
+        const order = JSON.stringify(unchained.item.map(item => item.item.map(request => request.name)));
+        const collection = applyRequestChaining(unchained, { openapi: '3.0.3', paths: {} });
+
+        expect(JSON.stringify(collection.item.map(item => item.item.map(request => request.name)))).toBe(order);
+        expect(collection.variable).toBeUndefined();
+    });
+});
+
+describe('orderItems', () => {
+    it('should run deeper deletes first and keep order for unrelated items', () => {
+        const items = [
+            { name: 'Delete pet', request: request('DELETE', ['pets', ':id']) },
+            { name: 'Delete photo', request: request('DELETE', ['pets', ':id', 'photos', ':photoId']) },
+            { name: 'Ping', request: request('GET', ['ping']) },
+            { name: 'Health', request: request('GET', ['health']) }
+        ];
+        expect(orderItems(items, new Map()).map(item => item.name)).toEqual(['Ping', 'Health', 'Delete photo', 'Delete pet']);
+    });
+});
@@ -0,0 +1,216 @@
+/**
+ * Tests for Markdown request documentation
+ */
+
+const {
+    applyRequestDocs,
+    renderOperationDocs,
+    wrapGeneratedDocs,
+    mergeDescriptions,
+    typeLabel,
+    constraintsOf
+} = require('../scripts/request-docs');
+
+const spec = {
+    openapi: '3.0.3',
+    paths: {
+        '/pets/{petId}': {
+            parameters: [
+                { name: 'petId', in: 'path', required: true, description: 'The pet', schema: { type: 'integer', format: 'int64', minimum: 1 } },
+                { name: 'X-Trace', in: 'header', schema: { type: 'string' } }
+            ],
+            put: {
+                operationId: 'updatePet',
+                summary: 'Update a pet',
+                description: 'Replaces the pet.\nAll fields are sent.',
+                deprecated: true,
+                externalDocs: { url: 'https://docs.example.com/pets#update' },
+                parameters: [
+                    { name: 'X-Trace', in: 'header', required: true, deprecated: true, description: 'Trace | id', schema: { type: 'string', pattern: '^[a-f0-9]+$' } },
+                    { $ref: '#/components/parameters/Fields' }
+                ],
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/xml': { schema: { $ref: '#/components/schemas/Pet' } },
+                        'application/json': { schema: { $ref: '#/components/schemas/Pet' } }
+                    }
+                },
+                responses: {
+                    200: { $ref: '#/components/responses/Pet' },
+                    '4XX': { description: 'Client error' }
+                }
+            }
+        }
+    },
+    components: {
+        parameters: {
+            Fields: { name: 'fields', in: 'query', schema: { type: 'array', items: { type: 'string', enum: ['name', 'tag'] } } }
+        },
+        responses: { Pet: { description: 'The updated pet' } },
+        schemas: {
+            Pet: {
+                allOf: [
+                    { $ref: '#/components/schemas/Resource' },
+                    {
+                        type: 'object',
+                        required: ['name'],
+                        properties: {
+                            name: { type: 'string', maxLength: 50, description: 'Name\nsecond line' },
+                            owner: { $ref: '#/components/schemas/Owner' },
+                            parent: { $ref: '#/components/schemas/Pet' }
+                        }
+                    }
+                ]
+            },
+            Resource: { type: 'object', properties: { id: { type: 'integer', readOnly: true }, revision: { type: 'integer', default: 1 } } },
+            Owner: { type: 'object', properties: { email: { type: 'string', format: 'email', nullable: true } } }
+        }
+    }
+};
+
+const entry = {
+    pathKey: '/pets/{petId}',
+    method: 'put',
+    operation: spec.paths['/pets/{petId}'].put,
+    pathItem: spec.paths['/pets/{petId}']
+};
+
+// ─── typeLabel / constraintsOf ────────────────────────────────────────────────
+
+describe('typeLabel', () => {
+    it('should describe formats, arrays, references, unions and nullability', () => {
+        expect(typeLabel({ type: 'integer', format: 'int64' })).toBe('integer (int64)');
+        expect(typeLabel({ type: 'array', items: { $ref: '#/components/schemas/Pet' } })).toBe('array of Pet');
+        expect(typeLabel({ oneOf: [{ $ref: '#/components/schemas/Cat' }, { $ref: '#/components/schemas/Dog' }] })).toBe('Cat | Dog');
+        expect(typeLabel({ type: 'string', nullable: true })).toBe('string, nullable');
+    });
+});
+
+describe('constraintsOf', () => {
+    it('should list validation keywords', () => {
+        expect(constraintsOf({ enum: ['a', 1], minimum: 0, exclusiveMaximum: 10, default: 'a' }))
+            .toBe('one of: `a`, `1`, minimum: `0`, exclusive maximum: `10`, default: `a`');
+        expect(constraintsOf({ maximum: 5, exclusiveMaximum: true })).toBe('exclusive maximum: `5`');
+        expect(constraintsOf({ type: 'string' })).toBe('');
+    });
+});
+
+// ─── renderOperationDocs ──────────────────────────────────────────────────────
+
+describe('renderOperationDocs', () => {
+    const docs = renderOperationDocs(entry, spec);
+
+    it('should start with the deprecation warning, summary, description and externalDocs', () => {
+        expect(docs.split('\n\n').slice(0, 4)).toEqual([
+            '> **Deprecated:** this operation may be removed in a future version of the API.',
+            '**Update a pet**',
+            'Replaces the pet.\nAll fields are sent.',
+            '[External documentation](https://docs.example.com/pets#update)'
+        ]);
+    });
+
+    it('should render a parameter table with path-level parameters overridden by the operation', () => {
+        expect(docs).toContain([
+            '| Name | In | Required | Type | Constraints | Description |',
+            '| --- | --- | --- | --- | --- | --- |',
+            '| `petId` | path | yes | integer (int64) | minimum: `1` | The pet |',
+            '| `X-Trace` | header | yes | string | pattern: `^[a-f0-9]+$` | **Deprecated.** Trace \\| id |',
+            '| `fields` | query | no | array of string |  |  |'
+        ].join('\n'));
+    });
+
+    it('should outline the JSON request body without read-only properties', () => {
+        expect(docs).toContain([
+            '### Request body',
+            '',
+            '`application/xml`, `application/json` (required)',
+            '',
+            '- `revision` integer, default: `1`',
+            '- `name` string, required, max length: `50` — Name',
+            '- `owner` Owner',
+            '  - `email` string (email), nullable',
+            '- `parent` Pet'
+        ].join('\n'));
+    });
+
+    it('should list the response codes', () => {
+        expect(docs).toContain([
+            '| Code | Description |',
+            '| --- | --- |',
+            '| `200` | The updated pet |',
+            '| `4XX` | Client error |'
+        ].join('\n'));
+    });
+
+    it('should outline Swagger 2.0 body parameters', () => {
+        const swagger = {
+            swagger: '2.0',
+            consumes: ['application/json'],
+            paths: {
+                '/pets': {
+                    post: {
+                        parameters: [{ name: 'pet', in: 'body', required: true, schema: { type: 'array', items: { type: 'object', properties: { name: { type: 'string' } } } } }],
+                        responses: {}
+                    }
+                }
+            }
+        };
+        const swaggerDocs = renderOperationDocs({ pathKey: '/pets', method: 'post', operation: swagger.paths['/pets'].post, pathItem: swagger.paths['/pets'] }, swagger);
+
+        expect(swaggerDocs).toBe([
+            '### Request body',
+            '',
+            '`application/json` (required)',
+            '',
+            'Type: array of object',
+            '',
+            '- `name` string'
+        ].join('\n'));
+    });
+});
+
+// ─── applyRequestDocs ─────────────────────────────────────────────────────────
+
+describe('applyRequestDocs', () => {
+    it('should replace the descriptions of requests that match an operation', () => {
+        const matched = { name: 'Update', request: { method: 'PUT', url: { path: ['pets', ':petId'] }, description: 'old' } };
+        const unmatched = { name: 'Other', request: { method: 'GET', url: { path: ['other'] }, description: 'kept' } };
+        applyRequestDocs({ item: [{ name: 'pets', item: [matched, unmatched] }] }, spec);
+
+        expect(matched.request.description).toEqual({ content: wrapGeneratedDocs(renderOperationDocs(entry, spec)), type: 'text/markdown' });
+        expect(unmatched.request.description).toBe('kept');
+    });
+});
+
+// ─── mergeDescriptions ────────────────────────────────────────────────────────
+
+describe('mergeDescriptions', () => {
+    const oldDocs = wrapGeneratedDocs('Old reference');
+    const newDocs = { content: wrapGeneratedDocs('New reference'), type: 'text/markdown' };
+
+    it('should refresh the generated block and keep notes around it', () => {
+        const existing = { content: `Read this first.\n\n${oldDocs}\n\nSee also the runbook.`, type: 'text/markdown' };
+
+        expect(mergeDescriptions(existing, newDocs)).toEqual({
+            content: `Read this first.\n\n${wrapGeneratedDocs('New reference')}\n\nSee also the runbook.`,
+            type: 'text/markdown'
+        });
+    });
+
+    it('should put a plain new description in place of the block', () => {
+        expect(mergeDescriptions(`${oldDocs}\n\nNote`, 'Plain text')).toEqual({ content: 'Plain text\n\nNote', type: 'text/markdown' });
+        expect(mergeDescriptions(oldDocs, undefined)).toBeUndefined();
+    });
+
+    it('should replace a description without a generated block, so stale converter text does not linger', () => {
+        expect(mergeDescriptions({ content: 'Old operation description', type: 'text/plain' }, newDocs)).toBe(newDocs);
+        expect(mergeDescriptions('Old plain text', 'New plain text')).toBe('New plain text');
+    });
+
+    it('should take the new description when the existing one is empty or already in the block', () => {
+        expect(mergeDescriptions('New reference', newDocs)).toBe(newDocs);
+        expect(mergeDescriptions('', newDocs)).toBe(newDocs);
+        expect(mergeDescriptions(undefined, newDocs)).toBe(newDocs);
+    });
+});
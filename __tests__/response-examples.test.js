@@ -0,0 +1,199 @@
+/**
+ * Tests for saved responses from documented responses and named examples
+ */
+
+const { applyResponseExamples, statusCodeFor } = require('../scripts/response-examples');
+
+const petSchema = { type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' } } };
+
+const spec = {
+    openapi: '3.0.3',
+    paths: {
+        '/pets': {
+            post: {
+                operationId: 'createPet',
+                requestBody: {
+                    content: {
+                        'application/json': {
+                            schema: petSchema,
+                            examples: { dog: { summary: 'A dog', value: { name: 'Rex' } }, cat: { value: { name: 'Tom' } } }
+                        }
+                    }
+                },
+                responses: {
+                    201: {
+                        description: 'Created',
+                        content: {
+                            'application/xml': { schema: petSchema },
+                            'application/json': {
+                                schema: petSchema,
+                                examples: {
+                                    dog: { summary: 'Created dog', value: { id: 1, name: 'Rex' } },
+                                    cat: { $ref: '#/components/examples/CreatedCat' },
+                                    external: { externalValue: 'https://example.com/pet.json' }
+                                }
+                            }
+                        }
+                    },
+                    400: { $ref: '#/components/responses/BadRequest' },
+                    '4XX': { description: 'Client error' },
+                    default: { description: '', content: { 'text/plain': { examples: { down: { value: 'Service down' } } } } }
+                }
+            }
+        },
+        '/health': {
+            get: { responses: {} }
+        }
+    },
+    components: {
+        examples: { CreatedCat: { summary: 'Created cat', value: { id: 2, name: 'Tom' } } },
+        responses: { BadRequest: { description: 'Bad request', content: { 'application/json': { schema: petSchema } } } }
+    }
+};
+
+function createPetItem() {
+    const request = {
+        method: 'POST',
+        header: [{ key: 'Content-Type', value: 'application/json' }],
+        body: { mode: 'raw', raw: '{\n  "name": "Rex"\n}', options: { raw: { language: 'json' } } },
+        url: { raw: '{{baseUrl}}/pets', host: ['{{baseUrl}}'], path: ['pets'] }
+    };
+    return {
+        id: 'create-pet',
+        name: 'Create a pet',
+        request,
+        response: [
+            {
+                id: 'generated-201',
+                name: 'Created',
+                originalRequest: JSON.parse(JSON.stringify(request)),
+                status: 'Created',
+                code: 201,
+                header: [{ key: 'X-Rate', value: '5' }, { key: 'Content-Type', value: 'application/json' }],
+                body: '{\n  "id": 1,\n  "name": "Rex"\n}',
+                cookie: [],
+                _postman_previewlanguage: 'json'
+            },
+            {
+                id: 'generated-400',
+                name: 'Bad request',
+                originalRequest: JSON.parse(JSON.stringify(request)),
+                status: 'Bad Request',
+                code: 400,
+                header: [{ key: 'Content-Type', value: 'application/json' }],
+                body: '{\n  "id": 7,\n  "name": "dolor"\n}',
+                cookie: [],
+                _postman_previewlanguage: 'json'
+            }
+        ]
+    };
+}
+
+// ─── statusCodeFor ────────────────────────────────────────────────────────────
+
+describe('statusCodeFor', () => {
+    it('should save ranges and default with a representative code', () => {
+        expect(statusCodeFor('201')).toBe(201);
+        expect(statusCodeFor('4XX')).toBe(400);
+        expect(statusCodeFor('2xx')).toBe(200);
+        expect(statusCodeFor('default')).toBe(500);
+    });
+});
+
+// ─── applyResponseExamples ────────────────────────────────────────────────────
+
+describe('applyResponseExamples', () => {
+    const collection = applyResponseExamples({ item: [{ name: 'pets', item: [createPetItem()] }] }, spec);
+    const responses = collection.item[0].item[0].response;
+
+    it('should save one response per named example and documented status code', () => {
+        expect(responses.map(response => [response.code, response.name])).toEqual([
+            [201, 'Created dog'],
+            [201, 'Created cat'],
+            [400, 'Bad request'],
+            [400, 'Client error'],
+            [500, 'down']
+        ]);
+    });
+
+    it('should use the example values as bodies and keep the converter headers', () => {
+        expect(JSON.parse(responses[1].body)).toEqual({ id: 2, name: 'Tom' });
+        expect(responses[1].header).toEqual(responses[0].header);
+        expect(responses[1].header).toContainEqual({ key: 'X-Rate', value: '5' });
+        expect(responses[4].body).toBe('Service down');
+        expect(responses[4]._postman_previewlanguage).toBe('text');
+    });
+
+    it('should pair saved responses with the request example of the same name', () => {
+        expect(JSON.parse(responses[0].originalRequest.body.raw)).toEqual({ name: 'Rex' });
+        expect(JSON.parse(responses[1].originalRequest.body.raw)).toEqual({ name: 'Tom' });
+    });
+
+    it('should keep the converter response when a status has no named examples', () => {
+        expect(responses[2].id).toBe('generated-400');
+        expect(responses[2].body).toBe('{\n  "id": 7,\n  "name": "dolor"\n}');
+    });
+
+    it('should add responses the converter did not save', () => {
+        expect(responses[3]).toMatchObject({
+            name: 'Client error',
+            code: 400,
+            status: 'Bad Request',
+            header: [],
+            body: ''
+        });
+        expect(responses[3].originalRequest).toEqual(collection.item[0].item[0].request);
+        expect(responses[3].originalRequest).not.toBe(collection.item[0].item[0].request);
+    });
+
+    it('should give every saved response its own stable id', () => {
+        const ids = responses.map(response => response.id);
+        expect(new Set(ids).size).toBe(ids.length);
+
+        const again = applyResponseExamples({ item: [createPetItem()] }, spec);
+        expect(again.item[0].response.map(response => response.id)).toEqual(ids);
+    });
+
+    it('should leave requests without documented responses alone', () => {
+        const health = {
+            name: 'Health',
+            request: { method: 'GET', url: { path: ['health'] } },
+            response: [{ name: 'OK', code: 200 }]
+        };
+        applyResponseExamples({ item: [health] }, spec);
+        expect(health.response).toEqual([{ name: 'OK', code: 200 }]);
+    });
+
+    it('should use the examples of Swagger 2.0 responses as bodies', () => {
+        const swagger = {
+            swagger: '2.0',
+            produces: ['application/xml', 'application/json'],
+            paths: {
+                '/pets/{petId}': {
+                    get: {
+                        responses: {
+                            200: {
+                                description: 'A pet',
+                                schema: { type: 'object' },
+                                examples: { 'application/xml': '<pet><id>1</id></pet>', 'application/json': { id: 1, name: 'Rex' } }
+                            },
+                            404: { description: 'Not found', schema: { type: 'object' } }
+                        }
+                    }
+                }
+            }
+        };
+        const item = {
+            name: 'Get pet',
+            request: { method: 'GET', url: { path: ['pets', ':petId'] } },
+            response: [{ id: 'generated-200', name: 'A pet', code: 200, header: [{ key: 'Content-Type', value: 'application/xml' }], body: '<pet/>' }]
+        };
+        applyResponseExamples({ item: [item] }, swagger);
+
+        expect(item.response.map(response => [response.code, response.name])).toEqual([[200, 'A pet'], [404, 'Not found']]);
+        expect(JSON.parse(item.response[0].body)).toEqual({ id: 1, name: 'Rex' });
+        expect(item.response[0].header).toEqual([{ key: 'Content-Type', value: 'application/json' }]);
+        expect(item.response[0]._postman_previewlanguage).toBe('json');
+        expect(item.response[1]).toMatchObject({ body: '', header: [{ key: 'Content-Type', value: 'application/xml' }] });
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests for generated script blocks
+ */
+
+const {
+    wrapGeneratedBlock,
+    parseScript,
+    hasGeneratedBlocks,
+    mergeGeneratedBlocks,
+    mergeGeneratedEvent,
+    setGeneratedBlock
+} = require('../scripts/script-blocks');
+
+const tokenBlock = (body) => wrapGeneratedBlock('oauth2-token', [body]);
+
+// ─── parseScript ──────────────────────────────────────────────────────────────
+
+describe('parseScript', () => {
+    it('should split hand-written lines from generated blocks', () => {
+        const segments = parseScript(['// mine', ...tokenBlock('fetch();'), 'console.log(1);']);
+        expect(segments.map(segment => segment.id)).toEqual([null, 'oauth2-token', null]);
+        expect(segments[1].lines).toHaveLength(3);
+    });
+
+    it('should treat a block without an END marker as plain code', () => {
+        const [begin] = tokenBlock('x');
+        expect(parseScript([begin, 'x']).map(segment => segment.id)).toEqual([null]);
+        expect(hasGeneratedBlocks([begin, 'x'])).toBe(false);
+    });
+
+    it('should accept exec as a single string', () => {
+        expect(hasGeneratedBlocks(tokenBlock('x').join('\n'))).toBe(true);
+    });
+});
+
+// ─── mergeGeneratedBlocks ─────────────────────────────────────────────────────
+
+describe('mergeGeneratedBlocks', () => {
+    it('should replace generated blocks in place and keep custom code', () => {
+        const existing = ['// before', ...tokenBlock('old();'), '// after'];
+        expect(mergeGeneratedBlocks(existing, tokenBlock('new();'))).toEqual(['// before', ...tokenBlock('new();'), '// after']);
+    });
+
+    it('should put new blocks first and drop blocks that are no longer generated', () => {
+        expect(mergeGeneratedBlocks(['custom();'], tokenBlock('new();'))).toEqual([...tokenBlock('new();'), 'custom();']);
+        expect(mergeGeneratedBlocks(['custom();', ...tokenBlock('old();')], [])).toEqual(['custom();']);
+    });
+});
+
+describe('mergeGeneratedEvent', () => {
+    const event = (exec) => ({ listen: 'prerequest', script: { id: 'abc', type: 'text/javascript', exec } });
+
+    it('should keep the existing event and take the new blocks', () => {
+        const merged = mergeGeneratedEvent(event(['custom();', ...tokenBlock('old();')]), event(tokenBlock('new();')));
+        expect(merged.script.id).toBe('abc');
+        expect(merged.script.exec).toEqual(['custom();', ...tokenBlock('new();')]);
+    });
+
+    it('should return null when only stale generated code is left', () => {
+        expect(mergeGeneratedEvent(event(tokenBlock('old();')), null)).toBeNull();
+        expect(mergeGeneratedEvent(null, event(['x']))).toEqual(event(['x']));
+    });
+});
+
+describe('setGeneratedBlock', () => {
+    it('should create the event or update the block inside it', () => {
+        const events = setGeneratedBlock([], 'prerequest', 'oauth2-token', ['a();']);
+        expect(events).toEqual([{ listen: 'prerequest', script: { type: 'text/javascript', exec: tokenBlock('a();') } }]);
+
+        events[0].script.exec.push('custom();');
+        setGeneratedBlock(events, 'prerequest', 'oauth2-token', ['b();']);
+        expect(events[0].script.exec).toEqual([...tokenBlock('b();'), 'custom();']);
+    });
+});
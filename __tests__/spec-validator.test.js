@@ -0,0 +1,147 @@
+/**
+ * Tests for the OpenAPI spec validator
+ */
+
+const path = require('path');
+const { readSpecFile } = require('../scripts/utils');
+const {
+    validateSpec,
+    detectSpecVersion,
+    findDanglingRefs,
+    findDuplicateOperationIds,
+    findUndeclaredPathParameters,
+    toPointer,
+} = require('../scripts/spec-validator');
+
+const info = { title: 'Test API', version: '1.0.0' };
+const ok = { 200: { description: 'OK' } };
+
+// ─── detectSpecVersion ────────────────────────────────────────────────────────
+
+describe('detectSpecVersion', () => {
+    it('should map specs to their meta-schema version', () => {
+        expect(detectSpecVersion({ swagger: '2.0' })).toBe('2.0');
+        expect(detectSpecVersion({ openapi: '3.0.3' })).toBe('3.0');
+        expect(detectSpecVersion({ openapi: '3.1.0' })).toBe('3.1');
+        expect(detectSpecVersion({ openapi: '4.0.0' })).toBeNull();
+        expect(detectSpecVersion({})).toBeNull();
+    });
+});
+
+// ─── validateSpec ─────────────────────────────────────────────────────────────
+
+describe('validateSpec', () => {
+    it('should accept the sample spec', () => {
+        const spec = readSpecFile(path.join(__dirname, '..', 'examples', 'sample-openapi.json'));
+        expect(validateSpec(spec)).toEqual({ valid: true, version: '3.0', problems: [] });
+    });
+
+    it('should validate Swagger 2.0 specs', () => {
+        expect(validateSpec({ swagger: '2.0', info, paths: { '/a': { get: { responses: ok } } } }).valid).toBe(true);
+        const result = validateSpec({ swagger: '2.0', info, paths: {}, produces: 'application/json' });
+        expect(result.valid).toBe(false);
+        expect(result.problems[0].pointer).toBe('/produces');
+    });
+
+    it('should validate OpenAPI 3.1 specs', () => {
+        const spec = {
+            openapi: '3.1.0',
+            info,
+            paths: { '/a': { get: { responses: ok } } },
+            components: { schemas: { Name: { type: ['string', 'null'] } } }
+        };
+        expect(validateSpec(spec).valid).toBe(true);
+        expect(validateSpec({ openapi: '3.1.0', info: { title: 'x' }, paths: {} }).problems).toEqual([
+            { pointer: '/info', message: "must have required property 'version'", rule: 'schema' }
+        ]);
+    });
+
+    it('should report meta-schema problems with JSON pointers', () => {
+        const result = validateSpec({
+            openapi: '3.0.3',
+            info,
+            paths: { '/a': { get: { parameters: [{ name: 'q', in: 'qery', schema: { type: 'string' } }], responses: ok } } }
+        });
+        expect(result.problems).toContainEqual({
+            pointer: '/paths/~1a/get/parameters/0/in',
+            message: 'must be one of: path, query, header, cookie',
+            rule: 'schema'
+        });
+    });
+
+    it('should report unsupported or missing versions', () => {
+        expect(validateSpec({ info }).problems[0].message).toContain('Missing "openapi" or "swagger"');
+        expect(validateSpec({ openapi: '2.5', info }).problems[0].pointer).toBe('/openapi');
+    });
+});
+
+// ─── Reference and operation checks ───────────────────────────────────────────
+
+describe('findDanglingRefs', () => {
+    it('should report refs that do not resolve', () => {
+        const spec = {
+            components: {
+                schemas: {
+                    Pet: { properties: { owner: { $ref: '#/components/schemas/Owner' } } },
+                    Pets: { items: { $ref: '#/components/schemas/Pet' } }
+                }
+            }
+        };
+        expect(findDanglingRefs(spec)).toEqual([{
+            pointer: '/components/schemas/Pet/properties/owner/$ref',
+            message: '$ref "#/components/schemas/Owner" does not resolve',
+            rule: 'dangling-ref'
+        }]);
+    });
+});
+
+describe('findDuplicateOperationIds', () => {
+    it('should report the second use of an operationId', () => {
+        const spec = {
+            paths: {
+                '/pets': { get: { operationId: 'listPets' }, post: { operationId: 'listPets' } },
+                '/users': { get: { operationId: 'listUsers' } }
+            }
+        };
+        const problems = findDuplicateOperationIds(spec);
+        expect(problems).toHaveLength(1);
+        expect(problems[0].pointer).toBe('/paths/~1pets/post/operationId');
+        expect(problems[0].message).toContain('/paths/~1pets/get/operationId');
+    });
+});
+
+describe('findUndeclaredPathParameters', () => {
+    it('should accept parameters declared on the path item or through $ref', () => {
+        const spec = {
+            paths: {
+                '/pets/{petId}': {
+                    parameters: [{ name: 'petId', in: 'path', required: true }],
+                    get: {}
+                },
+                '/users/{userId}': {
+                    get: { parameters: [{ $ref: '#/components/parameters/UserId' }] }
+                }
+            },
+            components: { parameters: { UserId: { name: 'userId', in: 'path', required: true } } }
+        };
+        expect(findUndeclaredPathParameters(spec)).toEqual([]);
+    });
+
+    it('should report template variables without a path parameter', () => {
+        const spec = {
+            paths: { '/pets/{petId}': { get: { parameters: [{ name: 'petId', in: 'query' }] } } }
+        };
+        expect(findUndeclaredPathParameters(spec)).toEqual([{
+            pointer: '/paths/~1pets~1{petId}/get',
+            message: 'Path parameter "petId" is used in the path template but not declared',
+            rule: 'undeclared-path-parameter'
+        }]);
+    });
+});
+
+describe('toPointer', () => {
+    it('should escape "~" and "/" in segments', () => {
+        expect(toPointer(['paths', '/a~b', 'get'])).toBe('/paths/~1a~0b/get');
+        expect(toPointer([])).toBe('');
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ * Tests for the sync and diff subcommands
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sync, diff, hasChanges } = require('../scripts/sync');
+const { readCollection, isCollectionTree } = require('../scripts/collection-tree');
+const { log } = require('../scripts/utils');
+
+const SAMPLE_SPEC = path.join(__dirname, '..', 'examples', 'sample-openapi.json');
+
+let tmpDir;
+
+beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-test-'));
+    for (const level of ['info', 'success', 'warn']) {
+        jest.spyOn(log, level).mockImplementation(() => {});
+    }
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+});
+
+// The options commander gives the sync and diff subcommands by default
+function options(overrides = {}) {
+    return {
+        input: SAMPLE_SPEC,
+        output: path.join(tmpDir, 'collection.json'),
+        header: [],
+        folderStrategy: 'tags',
+        folderDepth: '1',
+        overlay: [],
+        baseUrl: [],
+        baseUrlRoute: [],
+        includeAuth: true,
+        tokenScript: false,
+        requestDocs: false,
+        responseExamples: false,
+        contractTests: false,
+        chainRequests: false,
+        deterministic: true,
+        cache: false,
+        preserveTests: true,
+        preservePrerequest: true,
+        preserveVariables: true,
+        ...overrides
+    };
+}
+
+function findRequest(items, name) {
+    for (const item of items) {
+        if (item.name === name) return item;
+        const found = item.item && findRequest(item.item, name);
+        if (found) return found;
+    }
+    return null;
+}
+
+describe('sync', () => {
+    it('should write the new collection when there is none yet', async () => {
+        const result = await sync(options());
+
+        expect(result.existed).toBe(false);
+        expect(result.diff.added).toContain('Pets/List all pets');
+        expect(result.diff.removed).toEqual([]);
+        expect(readCollection(path.join(tmpDir, 'collection.json')).info.name).toBe(result.collection.info.name);
+    });
+
+    it('should merge into the existing collection, keeping custom scripts', async () => {
+        await sync(options());
+        const collectionPath = path.join(tmpDir, 'collection.json');
+        const existing = readCollection(collectionPath);
+        findRequest(existing.item, 'List all pets').event.push({ listen: 'prerequest', script: { type: 'text/javascript', exec: ['// custom setup'] } });
+        fs.writeFileSync(collectionPath, JSON.stringify(existing));
+
+        const result = await sync(options({ excludeTags: ['Users'] }));
+
+        expect(result.existed).toBe(true);
+        expect(result.diff.added).toEqual([]);
+        expect(result.diff.removed.sort()).toEqual(['Users/Create a user', 'Users/Get a user by ID', 'Users/List all users']);
+        const prerequest = findRequest(readCollection(collectionPath).item, 'List all pets').event.find(event => event.listen === 'prerequest');
+        expect(prerequest.script.exec).toContain('// custom setup');
+    });
+
+    it('should keep a directory tree a directory tree', async () => {
+        await sync(options({ output: path.join(tmpDir, 'tree'), split: true }));
+        await sync(options({ output: path.join(tmpDir, 'tree') }));
+        expect(isCollectionTree(path.join(tmpDir, 'tree'))).toBe(true);
+    });
+
+    it('should write nothing on a dry run', async () => {
+        await sync(options({ dryRun: true }));
+        expect(fs.existsSync(path.join(tmpDir, 'collection.json'))).toBe(false);
+    });
+});
+
+describe('diff', () => {
+    it('should report the endpoints a sync would change without writing files', async () => {
+        await sync(options());
+        const before = fs.readFileSync(path.join(tmpDir, 'collection.json'), 'utf8');
+
+        const unchanged = await diff(options());
+        expect(hasChanges(unchanged.diff)).toBe(false);
+
+        const filtered = await diff(options({ includePaths: ['/pets'] }));
+        expect(hasChanges(filtered.diff)).toBe(true);
+        expect(filtered.diff.removed).toContain('Pets/Get a pet by ID');
+        expect(fs.readFileSync(path.join(tmpDir, 'collection.json'), 'utf8')).toBe(before);
+    });
+
+    it('should print only the JSON diff on stdout with --json', async () => {
+        const info = log.info;
+        const stderr = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await diff(options({ json: true, valuesMap: path.join(tmpDir, 'missing-values.json') }));
+
+        expect(console.log).toHaveBeenCalledTimes(1);
+        expect(JSON.parse(console.log.mock.calls[0][0]).added).toContain('Pets/List all pets');
+        expect(stderr.mock.calls.map(args => args.join(' '))).toContainEqual(expect.stringContaining('Values map file not found'));
+        expect(log.info).toBe(info);
+    });
+});
@@ -0,0 +1,69 @@
+/**
+ * Tests for the validate command
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validate } = require('../scripts/validate');
+
+let tmpDir;
+let stdout;
+
+beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-test-'));
+    stdout = [];
+    jest.spyOn(console, 'log').mockImplementation((...args) => stdout.push(args.join(' ')));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(process, 'exit').mockImplementation((code) => {
+        throw new Error(`exit ${code}`);
+    });
+});
+
+afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+});
+
+function writeSpec(spec) {
+    const specPath = path.join(tmpDir, 'openapi.json');
+    fs.writeFileSync(specPath, JSON.stringify(spec));
+    return specPath;
+}
+
+describe('validate', () => {
+    it('should report unresolvable external $refs as problems with their pointer', async () => {
+        const input = writeSpec({
+            openapi: '3.0.3',
+            info: { title: 'Pets', version: '1.0.0' },
+            paths: {
+                '/pets': {
+                    get: { responses: { 200: { description: 'OK', content: { 'application/json': { schema: { $ref: 'schemas/Pet.yaml' } } } } } }
+                }
+            }
+        });
+
+        await expect(validate({ input, header: [], json: true })).rejects.toThrow('exit 1');
+
+        const result = JSON.parse(stdout.join('\n'));
+        expect(result.valid).toBe(false);
+        expect(result.problems).toEqual([{
+            pointer: '/paths/~1pets/get/responses/200/content/application~1json/schema/$ref',
+            message: `Cannot load $ref "schemas/Pet.yaml": File not found: ${path.join(tmpDir, 'schemas', 'Pet.yaml')}`,
+            rule: 'unresolvable-ref'
+        }]);
+    });
+
+    it('should pass specs whose refs all resolve', async () => {
+        fs.mkdirSync(path.join(tmpDir, 'schemas'));
+        fs.writeFileSync(path.join(tmpDir, 'schemas', 'Pet.yaml'), 'type: object\n');
+        const input = writeSpec({
+            openapi: '3.0.3',
+            info: { title: 'Pets', version: '1.0.0' },
+            paths: { '/pets': { get: { responses: { 200: { description: 'OK', content: { 'application/json': { schema: { $ref: 'schemas/Pet.yaml' } } } } } } } }
+        });
+
+        const result = await validate({ input, header: [], json: true });
+        expect(result).toEqual({ valid: true, version: '3.0', problems: [] });
+    });
+});
@@ -9,6 +9,8 @@ const {
     buildSchemaMap,
     findFieldSchema,
     buildEndpointKey,
+    getSchemaType,
+    getItemSchema,
     FORMAT_DEFAULTS,
     FIELD_NAME_DEFAULTS,
 } = require('../scripts/value-sanitizer');
@@ -96,6 +98,10 @@ describe('resolveValue', () => {
         expect(result).toBe('Buddy');
     });
 
+    it('should use Swagger 2.0 x-example values', () => {
+        expect(resolveValue('name', { 'x-example': 'Rex' })).toBe('Rex');
+    });
+
     it('should prefer enum first value', () => {
         const result = resolveValue('status', { enum: ['available', 'pending', 'sold'] });
         expect(result).toBe('available');
@@ -142,6 +148,86 @@ describe('resolveValue', () => {
     });
 });
 
+// ─── OpenAPI 3.1 / JSON Schema 2020-12 keywords ───────────────────────────────
+
+describe('OpenAPI 3.1 schema keywords', () => {
+    it('should use the first non-null entry of a type array', () => {
+        expect(getSchemaType({ type: ['string', 'null'] })).toBe('string');
+        expect(getSchemaType({ type: ['null', 'integer'] })).toBe('integer');
+        expect(getSchemaType({ type: 'boolean' })).toBe('boolean');
+        expect(resolveValue('unknownField', { type: ['boolean', 'null'] })).toBe(true);
+    });
+
+    it('should prefer const over everything but user values', () => {
+        expect(resolveValue('status', { const: 'archived', enum: ['active'] })).toBe('archived');
+        expect(resolveValue('status', { const: 'archived' }, { fieldDefaults: { status: 'x' } })).toBe('x');
+    });
+
+    it('should use the first entry of the examples array', () => {
+        expect(resolveValue('name', { examples: ['Whiskers', 'Rex'] })).toBe('Whiskers');
+    });
+
+    it('should respect numeric exclusiveMinimum/exclusiveMaximum', () => {
+        const value = resolveValue('unknownField', { type: 'integer', exclusiveMinimum: 0, exclusiveMaximum: 4 });
+        expect(value).toBeGreaterThan(0);
+        expect(value).toBeLessThan(4);
+        expect(resolveValue('unknownField', { type: 'integer', exclusiveMinimum: 500 })).toBeGreaterThan(500);
+        expect(resolveValue('unknownField', { type: ['number', 'null'], exclusiveMaximum: 0, minimum: -1 })).toBeLessThan(0);
+    });
+
+    it('should keep supporting 3.0 boolean exclusive bounds', () => {
+        expect(resolveValue('unknownField', { type: 'integer', minimum: 10, maximum: 10.5, exclusiveMinimum: true })).toBe(10);
+        expect(resolveValue('unknownField', { type: 'integer', minimum: 0, maximum: 1, exclusiveMaximum: true })).toBe(0);
+    });
+
+    it('should respect multipleOf', () => {
+        expect(resolveValue('unknownField', { type: 'integer', minimum: 0, maximum: 100, multipleOf: 10 }) % 10).toBe(0);
+    });
+
+    it('should pick tuple element schemas from prefixItems', () => {
+        const schema = { type: 'array', prefixItems: [{ type: 'number' }, { type: 'string' }], items: { type: 'boolean' } };
+        expect(getItemSchema(schema, 0)).toEqual({ type: 'number' });
+        expect(getItemSchema(schema, 1)).toEqual({ type: 'string' });
+        expect(getItemSchema(schema, 2)).toEqual({ type: 'boolean' });
+        expect(getItemSchema({ items: { type: 'string' } }, 5)).toEqual({ type: 'string' });
+        expect(getItemSchema(null, 0)).toEqual({});
+    });
+
+    it('should sanitize random primitives inside tuple arrays', () => {
+        const spec = {
+            openapi: '3.1.0',
+            components: {
+                schemas: {
+                    Place: {
+                        type: 'object',
+                        properties: {
+                            position: {
+                                type: 'array',
+                                prefixItems: [{ type: 'string', const: 'WGS84' }, { type: 'integer', maximum: 90 }]
+                            }
+                        }
+                    }
+                }
+            }
+        };
+        const collection = {
+            item: [{
+                name: 'Create Place',
+                request: {
+                    method: 'POST',
+                    url: { path: ['places'] },
+                    body: { mode: 'raw', raw: JSON.stringify({ position: ['lorem ipsum', 78171233] }) }
+                }
+            }]
+        };
+
+        const result = sanitizeCollection(collection, spec);
+        const [datum, latitude] = JSON.parse(result.item[0].request.body.raw).position;
+        expect(datum).toBe('WGS84');
+        expect(latitude).toBeLessThanOrEqual(90);
+    });
+});
+
 // ─── buildSchemaMap ───────────────────────────────────────────────────────────
 
 describe('buildSchemaMap', () => {
@@ -169,6 +255,58 @@ describe('buildSchemaMap', () => {
         expect(map.User.age.minimum).toBe(0);
     });
 
+    it('should read Swagger 2.0 definitions', () => {
+        const map = buildSchemaMap({
+            swagger: '2.0',
+            definitions: {
+                Pet: {
+                    type: 'object',
+                    properties: {
+                        tag: { type: 'string', 'x-example': 'friendly' },
+                        category: { $ref: '#/definitions/Category' }
+                    }
+                },
+                Category: { type: 'string', enum: ['dogs', 'cats'] }
+            }
+        });
+        expect(map.Pet.tag['x-example']).toBe('friendly');
+        expect(map.Pet.category.enum).toEqual(['dogs', 'cats']);
+    });
+
+    it('should add Swagger 2.0 body and formData parameters under the endpoint key', () => {
+        const map = buildSchemaMap({
+            swagger: '2.0',
+            parameters: {
+                Limit: { name: 'limit', in: 'query', type: 'integer', maximum: 50, 'x-example': 20 }
+            },
+            paths: {
+                '/pets': {
+                    get: { parameters: [{ $ref: '#/parameters/Limit' }] },
+                    post: {
+                        parameters: [{
+                            name: 'body',
+                            in: 'body',
+                            schema: { type: 'object', properties: { nickname: { type: 'string', example: 'Rex' } } }
+                        }]
+                    }
+                },
+                '/pets/{petId}/photo': {
+                    post: {
+                        parameters: [
+                            { name: 'petId', in: 'path', type: 'string', format: 'uuid' },
+                            { name: 'caption', in: 'formData', type: 'string', 'x-example': 'At the beach' }
+                        ]
+                    }
+                }
+            }
+        });
+
+        expect(map['GET:/pets'].limit).toEqual({ type: 'integer', maximum: 50, 'x-example': 20, example: 20 });
+        expect(map['POST:/pets'].nickname.example).toBe('Rex');
+        expect(map['POST:/pets/{petId}/photo'].caption.example).toBe('At the beach');
+        expect(map['POST:/pets/{petId}/photo'].petId.format).toBe('uuid');
+    });
+
     it('should return empty map for spec without schemas', () => {
         expect(buildSchemaMap({})).toEqual({});
         expect(buildSchemaMap(null)).toEqual({});
@@ -197,6 +335,18 @@ describe('findFieldSchema', () => {
     it('should return null for unknown fields', () => {
         expect(findFieldSchema('unknown', schemaMap)).toBeNull();
     });
+
+    it('should prefer the parameters of the current endpoint', () => {
+        const map = { ...schemaMap, 'GET:/pets': { name: { type: 'string', example: 'Whiskers' } } };
+        expect(findFieldSchema('name', map, 'GET:/pets').example).toBe('Whiskers');
+        expect(findFieldSchema('name', map, 'GET:/users').example).toBe('Buddy');
+    });
+
+    it('should not apply the parameters of other endpoints', () => {
+        const map = { ...schemaMap, 'GET:/pets': { status: { type: 'string', enum: ['available', 'sold'] } } };
+        expect(findFieldSchema('status', map, 'GET:/orders')).toBeNull();
+        expect(findFieldSchema('status', map)).toBeNull();
+    });
 });
 
 // ─── buildEndpointKey ─────────────────────────────────────────────────────────
@@ -380,6 +530,32 @@ describe('sanitizeCollection', () => {
         expect(body.age).toBe(5);
     });
 
+    it('should use Swagger 2.0 formData x-example values', () => {
+        const swaggerSpec = {
+            swagger: '2.0',
+            paths: {
+                '/pets': {
+                    post: {
+                        parameters: [{ name: 'nickname', in: 'formData', type: 'string', 'x-example': 'Rex' }]
+                    }
+                }
+            }
+        };
+        const collection = {
+            item: [{
+                name: 'Create Pet',
+                request: {
+                    method: 'POST',
+                    url: { path: ['pets'] },
+                    body: { mode: 'urlencoded', urlencoded: [{ key: 'nickname', value: 'dolor sit', type: 'text' }] }
+                }
+            }]
+        };
+
+        const result = sanitizeCollection(collection, swaggerSpec);
+        expect(result.item[0].request.body.urlencoded[0].value).toBe('Rex');
+    });
+
     it('should handle empty collection gracefully', () => {
         expect(sanitizeCollection({}, {})).toEqual({});
         expect(sanitizeCollection(null, {})).toBeNull();
@@ -0,0 +1,183 @@
+/**
+ * Tests for watch mode
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { watch, createSpecWatcher } = require('../scripts/watch');
+const { log } = require('../scripts/utils');
+
+const SAMPLE_SPEC = path.join(__dirname, '..', 'examples', 'sample-openapi.json');
+
+let tmpDir;
+let specPath;
+let collectionPath;
+
+beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-test-'));
+    specPath = path.join(tmpDir, 'openapi.json');
+    collectionPath = path.join(tmpDir, 'collection.json');
+    fs.copyFileSync(SAMPLE_SPEC, specPath);
+    for (const level of ['info', 'success', 'warn', 'error']) {
+        jest.spyOn(log, level).mockImplementation(() => {});
+    }
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+});
+
+// The options commander gives the sync subcommand by default
+function options(overrides = {}) {
+    return {
+        input: specPath,
+        output: collectionPath,
+        header: [],
+        retries: '0',
+        folderStrategy: 'tags',
+        folderDepth: '1',
+        overlay: [],
+        baseUrl: [],
+        baseUrlRoute: [],
+        includeAuth: true,
+        tokenScript: false,
+        requestDocs: false,
+        responseExamples: false,
+        contractTests: false,
+        chainRequests: false,
+        deterministic: true,
+        cache: false,
+        preserveTests: true,
+        preservePrerequest: true,
+        preserveVariables: true,
+        ...overrides
+    };
+}
+
+function editSpec(edit) {
+    const spec = JSON.parse(fs.readFileSync(specPath, 'utf8'));
+    edit(spec);
+    fs.writeFileSync(specPath, JSON.stringify(spec, null, 2));
+}
+
+describe('createSpecWatcher', () => {
+    it('should sync on the first poll and skip unchanged specs', async () => {
+        const watcher = createSpecWatcher(options());
+
+        const first = await watcher.poll();
+        expect(first.changed).toBe(true);
+        expect(first.result.diff.added).toHaveLength(8);
+        const written = fs.statSync(collectionPath).mtimeMs;
+
+        // Same content, saved again
+        fs.writeFileSync(specPath, fs.readFileSync(specPath));
+        expect(await watcher.poll()).toEqual({ changed: false });
+        expect(fs.statSync(collectionPath).mtimeMs).toBe(written);
+    });
+
+    it('should merge changes and report the endpoint diff', async () => {
+        const watcher = createSpecWatcher(options());
+        await watcher.poll();
+
+        editSpec(spec => {
+            delete spec.paths['/users/{userId}'];
+        });
+        const { changed, result } = await watcher.poll();
+
+        expect(changed).toBe(true);
+        expect(result.diff.removed).toEqual(['Users/Get a user by ID']);
+        expect(JSON.stringify(JSON.parse(fs.readFileSync(collectionPath, 'utf8')))).not.toContain('Get a user by ID');
+    });
+
+    it('should sync when an overlay or the values map changes', async () => {
+        const overlayPath = path.join(tmpDir, 'docs.overlay.json');
+        const valuesMapPath = path.join(tmpDir, 'values.json');
+        const writeOverlay = (title) => fs.writeFileSync(overlayPath, JSON.stringify({
+            overlay: '1.0.0',
+            info: { title: 'Docs', version: '1' },
+            actions: [{ target: '$.info', update: { title } }]
+        }));
+        writeOverlay('Patched');
+        fs.writeFileSync(valuesMapPath, '{}');
+        const watcher = createSpecWatcher(options({ overlay: [overlayPath], valuesMap: valuesMapPath }));
+        await watcher.poll();
+
+        writeOverlay('Patched again');
+        const { changed, result } = await watcher.poll();
+        expect(changed).toBe(true);
+        expect(result.collection.info.name).toBe('Patched again');
+
+        fs.writeFileSync(valuesMapPath, '{ "fieldDefaults": {} }');
+        expect((await watcher.poll()).changed).toBe(true);
+        expect((await watcher.poll()).changed).toBe(false);
+    });
+
+    it('should report a broken spec once and pick up the fix', async () => {
+        const watcher = createSpecWatcher(options());
+        await watcher.poll();
+
+        fs.writeFileSync(specPath, '{ "openapi": ');
+        expect((await watcher.poll()).error).toBeDefined();
+        expect((await watcher.poll()).error).toBeDefined();
+        expect(log.error).toHaveBeenCalledTimes(1);
+
+        fs.copyFileSync(SAMPLE_SPEC, specPath);
+        editSpec(spec => {
+            spec.info.title = 'Renamed';
+        });
+        const { changed, result } = await watcher.poll();
+        expect(changed).toBe(true);
+        expect(result.collection.info.name).toBe('Renamed');
+    });
+
+    describe('with a URL', () => {
+        let server;
+        let body;
+
+        beforeAll((done) => {
+            server = http.createServer((req, res) => {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(body);
+            });
+            server.listen(0, '127.0.0.1', done);
+        });
+
+        afterAll((done) => {
+            server.close(done);
+        });
+
+        it('should poll the URL and sync when the served spec changes', async () => {
+            body = fs.readFileSync(SAMPLE_SPEC, 'utf8');
+            const watcher = createSpecWatcher(options({ input: `http://127.0.0.1:${server.address().port}/v3/api-docs` }));
+
+            expect((await watcher.poll()).changed).toBe(true);
+            expect((await watcher.poll()).changed).toBe(false);
+
+            const spec = JSON.parse(body);
+            delete spec.paths['/users'];
+            body = JSON.stringify(spec);
+            const { changed, result } = await watcher.poll();
+            expect(changed).toBe(true);
+            expect(result.diff.removed.sort()).toEqual(['Users/Create a user', 'Users/List all users']);
+        });
+    });
+});
+
+describe('watch', () => {
+    it('should sync until the signal aborts', async () => {
+        const controller = new AbortController();
+        log.success.mockImplementation(() => controller.abort());
+
+        await watch(options({ interval: '100' }), controller.signal);
+        expect(fs.existsSync(collectionPath)).toBe(true);
+    });
+
+    it('should reject invalid intervals', async () => {
+        await expect(watch(options({ interval: 'soon' }))).rejects.toThrow('Invalid interval "soon"');
+        await expect(watch(options({ interval: '10' }))).rejects.toThrow('expected at least 100 milliseconds');
+    });
+});
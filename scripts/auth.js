@@ -0,0 +1,370 @@
+/**
+ * Security scheme to Postman auth mapping
+ *
+ * Replaces the converter's auth with blocks built from the spec's security
+ * schemes. Credentials live in secret variables named after the scheme:
+ * - apiKey in header or query: apikey auth with {{<scheme>}}
+ * - apiKey in cookie: a "Cookie: <name>={{<scheme>}}" header
+ * - http basic and digest: {{<scheme>Username}} / {{<scheme>Password}}
+ * - http bearer: bearer auth with {{<scheme>}}; other http schemes use the Authorization header
+ * - oauth2: OAuth 2.0 auth with {{<scheme>ClientId}}, {{<scheme>ClientSecret}} and {{<scheme>AccessToken}}
+ * - openIdConnect: bearer auth with {{<scheme>AccessToken}}
+ *
+ * Operation-level security overrides the spec-level one, "security: []"
+ * becomes "No Auth", and auth shared by the requests of a folder is set once
+ * on the folder instead of on every request. A requirement naming several
+ * schemes at once gets its first scheme as auth and further header and
+ * cookie API keys as request headers; other schemes are reported, not applied.
+ * The credential variables are declared on the collection with empty values.
+ */
+
+const _ = require('lodash');
+const { isObject, log } = require('./utils');
+const { listOperations, operationKey, requestKey } = require('./operations');
+
+const NO_AUTH = { type: 'noauth' };
+
+// OAuth2 flows in order of preference, with their Postman grant types
+const OAUTH2_FLOWS = [
+    ['clientCredentials', 'client_credentials'],
+    ['authorizationCode', 'authorization_code'],
+    ['password', 'password_credentials'],
+    ['implicit', 'implicit']
+];
+
+// Swagger 2.0 flow names
+const SWAGGER2_FLOWS = {
+    application: 'clientCredentials',
+    accessCode: 'authorizationCode',
+    password: 'password',
+    implicit: 'implicit'
+};
+
+/**
+ * Name of a variable holding a credential of a security scheme
+ */
+function schemeVariable(schemeName, suffix = '') {
+    return `${String(schemeName).replace(/[^\w.-]/g, '_')}${suffix}`;
+}
+
+/**
+ * Security schemes of a spec (components.securitySchemes or securityDefinitions)
+ */
+function getSecuritySchemes(spec) {
+    if (spec.swagger) return spec.securityDefinitions || {};
+    return (spec.components && spec.components.securitySchemes) || {};
+}
+
+/**
+ * OAuth2 flows of a scheme in OpenAPI 3 form ({ clientCredentials: {...} })
+ */
+function getOAuth2Flows(scheme) {
+    if (isObject(scheme.flows)) return scheme.flows;
+
+    // Swagger 2.0 declares a single flow on the scheme itself
+    const flow = SWAGGER2_FLOWS[scheme.flow];
+    if (!flow) return {};
+    return { [flow]: { authorizationUrl: scheme.authorizationUrl, tokenUrl: scheme.tokenUrl, scopes: scheme.scopes } };
+}
+
+/**
+ * The OAuth2 flow used for a scheme, as [flowName, flow, grantType]
+ */
+function pickOAuth2Flow(scheme) {
+    const flows = getOAuth2Flows(scheme);
+    const match = OAUTH2_FLOWS.find(([name]) => isObject(flows[name]));
+    return match ? [match[0], flows[match[0]], match[1]] : [null, {}, null];
+}
+
+/**
+ * Credential variables that the auth of a security scheme references
+ */
+function securitySchemeVariables(schemeName, scheme) {
+    if (!isObject(scheme)) return [];
+    const variable = (suffix) => schemeVariable(schemeName, suffix);
+
+    switch (scheme.type) {
+        case 'apiKey':
+            return [variable()];
+        case 'basic':
+            return [variable('Username'), variable('Password')];
+        case 'http': {
+            const httpScheme = String(scheme.scheme || '').toLowerCase();
+            if (httpScheme === 'basic' || httpScheme === 'digest') return [variable('Username'), variable('Password')];
+            return [variable()];
+        }
+        case 'oauth2': {
+            const [flowName] = pickOAuth2Flow(scheme);
+            const flows = getOAuth2Flows(scheme);
+            const variables = [variable('ClientId'), variable('ClientSecret'), variable('AccessToken')];
+            // The token script (oauth2-token.js) uses the password flow when there is no clientCredentials flow
+            const usesPassword = flowName === 'password' || (!isObject(flows.clientCredentials) && isObject(flows.password));
+            return usesPassword ? [...variables, variable('Username'), variable('Password')] : variables;
+        }
+        case 'openIdConnect':
+            return [variable('AccessToken')];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Build the Postman auth block for one security scheme
+ *
+ * @param {string} schemeName - Key of the scheme in securitySchemes
+ * @param {object} scheme - Security Scheme Object
+ * @param {string[]} scopes - Scopes required by the security requirement
+ * @returns {object|null} Postman auth, or null for unsupported schemes
+ */
+function buildAuth(schemeName, scheme, scopes = []) {
+    const ref = (suffix = '') => `{{${schemeVariable(schemeName, suffix)}}}`;
+    const params = (entries) => Object.entries(entries)
+        .filter(([, value]) => value !== undefined && value !== '')
+        .map(([key, value]) => ({ key, value, type: 'string' }));
+
+    switch (scheme.type) {
+        case 'apiKey':
+            if (scheme.in === 'cookie') {
+                return { type: 'apikey', apikey: params({ key: 'Cookie', value: `${scheme.name}=${ref()}`, in: 'header' }) };
+            }
+            return { type: 'apikey', apikey: params({ key: scheme.name, value: ref(), in: scheme.in === 'query' ? 'query' : 'header' }) };
+
+        case 'basic':
+            return { type: 'basic', basic: params({ username: ref('Username'), password: ref('Password') }) };
+
+        case 'http': {
+            const httpScheme = String(scheme.scheme || '').toLowerCase();
+            if (httpScheme === 'basic' || httpScheme === 'digest') {
+                return { type: httpScheme, [httpScheme]: params({ username: ref('Username'), password: ref('Password') }) };
+            }
+            if (httpScheme === 'bearer') {
+                return { type: 'bearer', bearer: params({ token: ref() }) };
+            }
+            // Other HTTP schemes carry their credentials in the Authorization header
+            return { type: 'apikey', apikey: params({ key: 'Authorization', value: `${scheme.scheme} ${ref()}`, in: 'header' }) };
+        }
+
+        case 'oauth2': {
+            const [flowName, flow, grantType] = pickOAuth2Flow(scheme);
+            if (!flowName) return null;
+            const requestedScopes = scopes.length > 0 ? scopes : Object.keys(flow.scopes || {});
+            return {
+                type: 'oauth2',
+                oauth2: params({
+                    grant_type: grantType,
+                    authUrl: flow.authorizationUrl,
+                    accessTokenUrl: flow.tokenUrl,
+                    refreshTokenUrl: flow.refreshUrl,
+                    clientId: ref('ClientId'),
+                    clientSecret: ref('ClientSecret'),
+                    username: flowName === 'password' ? ref('Username') : undefined,
+                    password: flowName === 'password' ? ref('Password') : undefined,
+                    scope: requestedScopes.join(' '),
+                    accessToken: ref('AccessToken'),
+                    tokenName: schemeName,
+                    addTokenTo: 'header'
+                })
+            };
+        }
+
+        case 'openIdConnect':
+            return { type: 'bearer', bearer: params({ token: ref('AccessToken') }) };
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Request header carrying a header or cookie API key, for schemes that are
+ * required together with the one used as auth
+ */
+function apiKeyHeader(schemeName, scheme) {
+    if (!isObject(scheme) || scheme.type !== 'apiKey' || !scheme.name) return null;
+    const ref = `{{${schemeVariable(schemeName)}}}`;
+    if (scheme.in === 'header') return { key: scheme.name, value: ref, type: 'text' };
+    if (scheme.in === 'cookie') return { key: 'Cookie', value: `${scheme.name}=${ref}`, type: 'text' };
+    return null;
+}
+
+/**
+ * Resolve a security requirement list to one Postman auth block, plus the
+ * headers and leftovers of a requirement naming several schemes.
+ * The first alternative whose first scheme is supported is used; an empty list means No Auth.
+ *
+ * @returns {{auth: object, headers: object[], schemeNames: string[], dropped: string[]}}
+ *   The auth, extra request headers, the schemes whose variables they use and the schemes left out
+ */
+function resolveSecurity(security, schemes) {
+    const none = { auth: NO_AUTH, headers: [], schemeNames: [], dropped: [] };
+    if (!Array.isArray(security) || security.length === 0) return none;
+
+    for (const requirement of security) {
+        if (!isObject(requirement)) continue;
+        // "{}" makes authentication optional
+        if (Object.keys(requirement).length === 0) return none;
+
+        const entries = Object.entries(requirement);
+        for (const [index, [schemeName, scopes]] of entries.entries()) {
+            const scheme = schemes[schemeName];
+            const auth = isObject(scheme) ? buildAuth(schemeName, scheme, Array.isArray(scopes) ? scopes : []) : null;
+            if (!auth) continue;
+
+            // The other schemes of the requirement are needed as well
+            const result = { auth, headers: [], schemeNames: [schemeName], dropped: [] };
+            entries.forEach(([otherName], otherIndex) => {
+                if (otherIndex === index) return;
+                const header = apiKeyHeader(otherName, schemes[otherName]);
+                if (header) {
+                    result.headers.push(header);
+                    result.schemeNames.push(otherName);
+                } else {
+                    result.dropped.push(otherName);
+                }
+            });
+            return result;
+        }
+    }
+    return none;
+}
+
+/**
+ * Resolve a security requirement list to one Postman auth block (see resolveSecurity)
+ */
+function resolveSecurityAuth(security, schemes) {
+    return resolveSecurity(security, schemes).auth;
+}
+
+/**
+ * Map "METHOD /path/{}" keys to the resolved security of each operation
+ */
+function buildOperationSecurityMap(spec, schemes) {
+    const securityByOperation = new Map();
+    for (const { pathKey, method, operation } of listOperations(spec)) {
+        const security = operation.security !== undefined ? operation.security : spec.security;
+        securityByOperation.set(operationKey(method, pathKey), resolveSecurity(security, schemes));
+    }
+    return securityByOperation;
+}
+
+/**
+ * Declare the credential variables of the schemes in use, with empty values,
+ * so requests never reference undefined variables
+ */
+function declareSchemeVariables(collection, schemes, schemeNames) {
+    const keys = _.uniq(schemeNames.flatMap(name => securitySchemeVariables(name, schemes[name])));
+    const declared = new Set((collection.variable || []).map(variable => variable.key));
+    const missing = keys.filter(key => !declared.has(key));
+    if (missing.length > 0) {
+        collection.variable = [...(collection.variable || []), ...missing.map(key => ({ key, value: '', type: 'string' }))];
+    }
+}
+
+/**
+ * Most common auth among the requests of a folder (first one wins ties)
+ */
+function mostCommonAuth(auths) {
+    const counts = new Map();
+    for (const auth of auths) {
+        const key = JSON.stringify(auth);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    let best = null;
+    for (const [key, count] of counts) {
+        if (!best || count > best.count) best = { key, count };
+    }
+    return best ? JSON.parse(best.key) : NO_AUTH;
+}
+
+/**
+ * Replace the auth of a collection with the spec's security requirements.
+ *
+ * @param {object} collection - Postman collection (modified in place)
+ * @param {object} spec - The OpenAPI document the collection was converted from
+ * @param {object} options
+ * @param {boolean} [options.includeAuth=true] - false removes all auth from the collection
+ * @param {object} [options.logger=log] - Logger for schemes that cannot be applied
+ * @returns {object} The collection
+ */
+function applyAuth(collection, spec, { includeAuth = true, logger = log } = {}) {
+    const schemes = getSecuritySchemes(spec);
+    const securityByOperation = buildOperationSecurityMap(spec, schemes);
+    const rootSecurity = resolveSecurity(includeAuth ? spec.security : [], schemes);
+    const rootAuth = rootSecurity.auth;
+    const usedSchemes = [];
+    const reported = new Set();
+
+    // Effective auth of every request, before deciding where to put it
+    const desired = new Map();
+    const collect = (items) => {
+        for (const item of items || []) {
+            if (item.item) {
+                collect(item.item);
+            } else if (isObject(item.request)) {
+                if (!includeAuth) {
+                    desired.set(item, NO_AUTH);
+                    continue;
+                }
+                const resolved = securityByOperation.get(requestKey(item.request)) || rootSecurity;
+                desired.set(item, resolved.auth);
+                usedSchemes.push(...resolved.schemeNames);
+
+                if (resolved.headers.length > 0) {
+                    const headers = (item.request.header || []).filter(header => !resolved.headers.some(extra => extra.key === header.key));
+                    item.request.header = [...headers, ...resolved.headers];
+                }
+
+                const requirement = [...resolved.schemeNames, ...resolved.dropped].join('", "');
+                if (resolved.dropped.length > 0 && !reported.has(requirement)) {
+                    reported.add(requirement);
+                    logger.warn(`Schemes "${requirement}" are required together: "${resolved.dropped.join('", "')}" cannot be added, set it on the requests yourself`);
+                }
+            }
+        }
+    };
+    const leafAuths = (items) => (items || []).flatMap(item => (item.item ? leafAuths(item.item) : desired.get(item) || []));
+
+    // Put each auth as high up as possible: folders take their most common request auth
+    const assign = (items, inherited) => {
+        for (const item of items || []) {
+            if (item.item) {
+                delete item.auth;
+                const folderAuth = mostCommonAuth(leafAuths(item.item));
+                if (!_.isEqual(folderAuth, inherited)) item.auth = folderAuth;
+                assign(item.item, folderAuth);
+            } else if (isObject(item.request)) {
+                const auth = desired.get(item);
+                delete item.request.auth;
+                if (!_.isEqual(auth, inherited)) item.request.auth = auth;
+                for (const response of item.response || []) {
+                    if (isObject(response.originalRequest)) {
+                        delete response.originalRequest.auth;
+                        if (auth.type !== 'noauth') response.originalRequest.auth = auth;
+                    }
+                }
+            }
+        }
+    };
+
+    collect(collection.item);
+    if (rootAuth.type === 'noauth') {
+        delete collection.auth;
+    } else {
+        collection.auth = rootAuth;
+    }
+    assign(collection.item, rootAuth);
+    declareSchemeVariables(collection, schemes, [...rootSecurity.schemeNames, ...usedSchemes]);
+
+    return collection;
+}
+
+module.exports = {
+    applyAuth,
+    buildAuth,
+    resolveSecurityAuth,
+    resolveSecurity,
+    securitySchemeVariables,
+    getSecuritySchemes,
+    getOAuth2Flows,
+    schemeVariable
+};
@@ -0,0 +1,224 @@
+/**
+ * Base URL handling
+ *
+ * Points every request of a collection (including the originalRequest of
+ * saved responses) at a base URL variable instead of a hard-coded host:
+ *
+ *   {{baseUrl}}/pets/:petId
+ *
+ * The variable's value carries scheme, host, port and any path prefix, so
+ * "--base-url https://gateway.example.com:8443/api/v1" becomes one collection
+ * variable. Several named base URLs can be routed by path glob for services
+ * whose endpoints sit behind different gateways.
+ */
+
+const { isObject, matchesGlob } = require('./utils');
+
+const DEFAULT_VARIABLE = 'baseUrl';
+const VARIABLE_NAME = /^[A-Za-z_][\w.-]*$/;
+const VARIABLE_REFERENCE = /^\{\{([^{}]+)\}\}$/;
+
+/**
+ * Parse a "--base-url" value: "https://host/api" or "name=https://host/api"
+ */
+function parseBaseUrlOption(value) {
+    const match = /^([A-Za-z_][\w.-]*)=(.+)$/.exec(value);
+    if (match) {
+        return { name: match[1], url: match[2] };
+    }
+    return { name: DEFAULT_VARIABLE, url: value };
+}
+
+/**
+ * Parse a "--base-url-route" value: "/payments/**=payments"
+ */
+function parseBaseUrlRoute(value) {
+    const index = value.lastIndexOf('=');
+    if (index <= 0 || index === value.length - 1) {
+        throw new Error(`Invalid base URL route "${value}" (expected "<path glob>=<name>")`);
+    }
+    return { glob: value.slice(0, index), name: value.slice(index + 1) };
+}
+
+/**
+ * Split a URL string into Postman URL parts, keeping {{variables}} in the host intact
+ */
+function parseUrlString(raw) {
+    const hashIndex = raw.indexOf('#');
+    const withoutHash = hashIndex === -1 ? raw : raw.slice(0, hashIndex);
+    const queryIndex = withoutHash.indexOf('?');
+    const base = queryIndex === -1 ? withoutHash : withoutHash.slice(0, queryIndex);
+
+    const protocolMatch = /^([a-z][a-z0-9+.-]*):\/\//i.exec(base);
+    const rest = protocolMatch ? base.slice(protocolMatch[0].length) : base;
+    const [authority, ...path] = rest.split('/');
+    const portMatch = /^(.*):(\d+)$/.exec(authority);
+    const hostname = portMatch ? portMatch[1] : authority;
+
+    return {
+        protocol: protocolMatch ? protocolMatch[1] : undefined,
+        host: VARIABLE_REFERENCE.test(hostname) ? [hostname] : hostname.split('.').filter(Boolean),
+        port: portMatch ? portMatch[2] : undefined,
+        path: path.filter((segment, i) => segment !== '' || i < path.length - 1),
+        suffix: raw.slice(base.length)
+    };
+}
+
+/**
+ * Check whether a Postman URL's host is a single {{variable}}
+ */
+function hasVariableHost(url) {
+    const host = typeof url === 'string' ? parseUrlString(url).host : url.host;
+    const hostList = Array.isArray(host) ? host : [host];
+    return hostList.length === 1 && typeof hostList[0] === 'string' && VARIABLE_REFERENCE.test(hostList[0]);
+}
+
+/**
+ * Path segments of a base URL (e.g. ["api", "v1"]); none for {{variable}} references
+ */
+function basePathSegments(url) {
+    if (VARIABLE_REFERENCE.test(url)) return [];
+    return parseUrlString(url).path.filter(Boolean);
+}
+
+/**
+ * Request path in spec form ("/pets/{petId}") for route matching
+ */
+function specPath(segments) {
+    return '/' + segments.map(segment => (segment.startsWith(':') ? `{${segment.slice(1)}}` : segment)).join('/');
+}
+
+/**
+ * Point a Postman URL (object or string) at a base URL variable.
+ * Hard-coded hosts lose their scheme and port, and a leading base path prefix is stripped.
+ */
+function rewriteUrl(url, variable, prefixSegments) {
+    const isString = typeof url === 'string';
+    const parts = isString ? parseUrlString(url) : url;
+
+    let path = Array.isArray(parts.path) ? [...parts.path] : (parts.path ? String(parts.path).split('/').filter(Boolean) : []);
+    if (!hasVariableHost(url) && prefixSegments.length > 0 &&
+        prefixSegments.every((segment, i) => path[i] === segment)) {
+        path = path.slice(prefixSegments.length);
+    }
+
+    const suffix = isString ? parts.suffix : rawSuffix(url.raw);
+    const raw = `{{${variable}}}` + (path.length > 0 ? '/' + path.join('/') : '') + suffix;
+
+    if (isString) return raw;
+
+    const rewritten = { ...url, raw, host: [`{{${variable}}}`], path };
+    delete rewritten.protocol;
+    delete rewritten.port;
+    return rewritten;
+}
+
+/**
+ * Query string and fragment of a raw URL, including the leading "?" or "#"
+ */
+function rawSuffix(raw) {
+    if (typeof raw !== 'string') return '';
+    const match = /[?#]/.exec(raw);
+    return match ? raw.slice(match.index) : '';
+}
+
+/**
+ * Set (or add) a collection variable
+ */
+function setCollectionVariable(collection, key, value) {
+    if (!Array.isArray(collection.variable)) {
+        collection.variable = [];
+    }
+    const existing = collection.variable.find(variable => variable.key === key);
+    if (existing) {
+        existing.value = value;
+    } else {
+        collection.variable.push({ key, value, type: 'string' });
+    }
+}
+
+/**
+ * Point every request in a collection at base URL variables.
+ *
+ * @param {object} collection - Postman collection (modified in place)
+ * @param {object} options
+ * @param {Array<{name: string, url: string}>} options.baseUrls - Base URLs; "baseUrl" is the default.
+ *   A url of the form "{{name}}" uses an existing variable without setting its value.
+ * @param {Array<{glob: string, name: string}>} [options.routes] - Send matching request paths to a named base URL
+ * @returns {object} The collection
+ */
+function applyBaseUrls(collection, { baseUrls = [], routes = [] } = {}) {
+    const byName = new Map();
+    for (const { name, url } of baseUrls) {
+        if (!VARIABLE_NAME.test(name)) {
+            throw new Error(`Invalid base URL name "${name}"`);
+        }
+        if (byName.has(name)) {
+            throw new Error(`Base URL "${name}" is defined more than once`);
+        }
+        byName.set(name, url.replace(/\/+$/, ''));
+    }
+    for (const route of routes) {
+        if (!byName.has(route.name)) {
+            throw new Error(`Base URL route "${route.glob}" refers to undefined base URL "${route.name}"`);
+        }
+    }
+
+    // "{{name}}" values reuse a variable as-is; anything else becomes the variable's value
+    const variableFor = (name) => {
+        const reference = VARIABLE_REFERENCE.exec(byName.get(name) || '');
+        return reference ? reference[1] : name;
+    };
+    for (const [name, url] of byName) {
+        if (!VARIABLE_REFERENCE.test(url)) {
+            setCollectionVariable(collection, name, url);
+        }
+    }
+
+    const prefixes = new Map([...byName].map(([name, url]) => [name, basePathSegments(url)]));
+    const defaultName = byName.has(DEFAULT_VARIABLE) ? DEFAULT_VARIABLE : null;
+
+    const rewriteRequest = (request, path) => {
+        if (!isObject(request) || request.url === undefined) return;
+
+        const route = routes.find(r => matchesGlob(path, [r.glob]));
+        const name = route ? route.name : defaultName;
+
+        // Without a matching base URL only hard-coded hosts are replaced, by the default variable
+        if (name) {
+            request.url = rewriteUrl(request.url, variableFor(name), prefixes.get(name));
+        } else if (!hasVariableHost(request.url)) {
+            request.url = rewriteUrl(request.url, DEFAULT_VARIABLE, []);
+        }
+    };
+
+    const traverse = (items) => {
+        for (const item of items || []) {
+            if (item.item) {
+                traverse(item.item);
+                continue;
+            }
+            if (!isObject(item.request)) continue;
+
+            const url = item.request.url;
+            const segments = typeof url === 'string' ? parseUrlString(url).path : (url && url.path) || [];
+            const path = specPath(Array.isArray(segments) ? segments : [segments]);
+
+            rewriteRequest(item.request, path);
+            for (const response of item.response || []) {
+                rewriteRequest(response.originalRequest, path);
+            }
+        }
+    };
+
+    traverse(collection.item);
+    return collection;
+}
+
+module.exports = {
+    applyBaseUrls,
+    parseBaseUrlOption,
+    parseBaseUrlRoute,
+    rewriteUrl,
+    DEFAULT_VARIABLE
+};
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+/**
+ * Batch Collection Sync
+ *
+ * Converts and merges the collections of every service listed in a manifest,
+ * running a bounded number of services in parallel. A failing service is
+ * reported in the summary without stopping the others.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { program } = require('commander');
+const chalk = require('chalk');
+const { log, runWithConcurrency, sanitizeFilename } = require('./utils');
+const { loadManifest, buildConvertArgs, buildMergeArgs } = require('./manifest');
+
+const CONVERT_SCRIPT = path.join(__dirname, 'convert.js');
+const MERGE_SCRIPT = path.join(__dirname, 'merge-collections.js');
+
+// CLI Configuration
+program
+    .name('batch')
+    .description('Convert and merge collections for every service in a manifest')
+    .version('1.0.0')
+    .requiredOption('-m, --manifest <path>', 'Manifest file (JSON or YAML) listing the services')
+    .option('-c, --concurrency <count>', 'Maximum number of services processed in parallel', '4')
+    .option('-s, --service <name...>', 'Only process the named services')
+    .option('-v, --verbose', 'Show the output of each service run', false);
+
+/**
+ * Main batch function
+ */
+async function batch(options) {
+    try {
+        const manifestPath = path.resolve(options.manifest);
+        let services = loadManifest(manifestPath);
+
+        if (options.service) {
+            const unknown = options.service.filter(name => !services.some(s => s.name === name));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown service(s) in manifest: ${unknown.join(', ')}`);
+            }
+            services = services.filter(s => options.service.includes(s.name));
+        }
+
+        const concurrency = parseInt(options.concurrency, 10);
+        if (!Number.isInteger(concurrency) || concurrency < 1) {
+            throw new Error(`Invalid concurrency: ${options.concurrency}`);
+        }
+
+        log.info(`Processing ${services.length} service(s) from ${manifestPath} (concurrency ${concurrency})`);
+
+        const results = await runWithConcurrency(services.map(service => () => processService(service, options)), concurrency);
+
+        displaySummary(results);
+
+        if (results.some(result => !result.success)) {
+            process.exit(1);
+        }
+
+        return results;
+
+    } catch (error) {
+        log.error(`Batch failed: ${error.message}`);
+        if (options.verbose) {
+            console.error(error.stack);
+        }
+        process.exit(1);
+    }
+}
+
+/**
+ * Run a Node script as a child process, resolving to its combined output
+ */
+function runScript(script, args) {
+    return new Promise((resolve, reject) => {
+        execFile(process.execPath, [script, ...args], { maxBuffer: 16 * 1024 * 1024 }, (error, stdout, stderr) => {
+            const output = `${stdout}${stderr}`;
+            if (error) {
+                error.output = output;
+                reject(error);
+            } else {
+                resolve(output);
+            }
+        });
+    });
+}
+
+/**
+ * Convert one service and merge it into its existing collection
+ */
+async function processService(service, options) {
+    const startTime = Date.now();
+    const tempPath = path.join(os.tmpdir(), `openapi-postman-sync-${process.pid}-${sanitizeFilename(service.name)}.json`);
+    let stage = 'convert';
+    let output = '';
+
+    try {
+        // Merging works on Postman collections; other formats are written directly
+        if (service.merge.enabled && (!service.format || service.format === 'postman')) {
+            // The new collection is a single file; the merge writes the directory tree
+            output += await runScript(CONVERT_SCRIPT, buildConvertArgs({ ...service, split: false }, tempPath));
+            stage = 'merge';
+            output += await runScript(MERGE_SCRIPT, buildMergeArgs(service, tempPath));
+        } else {
+            output += await runScript(CONVERT_SCRIPT, buildConvertArgs(service, service.output));
+        }
+
+        log.success(`${service.name}: ${path.relative(process.cwd(), service.output)}`);
+        if (options.verbose) console.log(chalk.gray(output));
+        return { service: service.name, success: true, duration: Date.now() - startTime };
+
+    } catch (error) {
+        output += error.output || error.message;
+        log.error(`${service.name}: ${stage} failed`);
+        if (options.verbose) console.log(chalk.gray(output));
+        return { service: service.name, success: false, stage, error: lastErrorLine(output), duration: Date.now() - startTime };
+
+    } finally {
+        fs.rmSync(tempPath, { force: true });
+    }
+}
+
+/**
+ * Pick the most useful line of a failed run's output for the summary
+ */
+function lastErrorLine(output) {
+    const lines = output.split('\n').map(line => line.trim()).filter(Boolean);
+    const errorLine = [...lines].reverse().find(line => line.includes('failed'));
+    return errorLine || lines[lines.length - 1] || 'unknown error';
+}
+
+/**
+ * Display per-service results
+ */
+function displaySummary(results) {
+    const succeeded = results.filter(r => r.success);
+    const failed = results.filter(r => !r.success);
+
+    console.log('');
+    log.info('=== Batch Summary ===');
+
+    if (succeeded.length > 0) {
+        console.log(chalk.green(`\n✓ Succeeded (${succeeded.length}):`));
+        succeeded.forEach(r => console.log(chalk.green(`  ✓ ${r.service} (${(r.duration / 1000).toFixed(1)}s)`)));
+    }
+
+    if (failed.length > 0) {
+        console.log(chalk.red(`\n✖ Failed (${failed.length}):`));
+        failed.forEach(r => console.log(chalk.red(`  ✖ ${r.service} [${r.stage}]: ${r.error}`)));
+    }
+
+    console.log('');
+}
+
+// Run batch when called from the command line
+if (require.main === module) {
+    program.parse();
+    batch(program.opts());
+}
+
+module.exports = { batch };
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+/**
+ * openapi-postman-sync CLI
+ *
+ * One binary for every step:
+ *
+ *   openapi-postman-sync convert  -i openapi.yaml -o collection.json
+ *   openapi-postman-sync merge    -n new-collection.json -e collection.json
+ *   openapi-postman-sync sync     -i openapi.yaml -o collection.json [--watch]
+ *   openapi-postman-sync validate -i openapi.yaml
+ *   openapi-postman-sync diff     -i openapi.yaml -o collection.json
+ *
+ * Options left off the command line come from the nearest config file
+ * (see config.js), with the overrides of --service applied on top.
+ */
+
+const { Command } = require('commander');
+const { log, stderrLog } = require('./utils');
+const { loadCliConfig, applyConfig } = require('./config');
+const { convert, addConvertOptions } = require('./convert');
+const { merge, addMergeOptions } = require('./merge-collections');
+const { validate, addValidateOptions } = require('./validate');
+const { sync, diff, hasChanges } = require('./sync');
+const { watch, DEFAULT_INTERVAL } = require('./watch');
+const { OUTPUT_FORMATS } = require('./exporters');
+
+// Switches a config file can turn on; --no-<switch> turns them off again
+const CONFIG_SWITCHES = ['split', 'exclude-deprecated', 'deterministic', 'validate', 'skip-sanitize', 'chain-requests', 'token-script', 'contract-tests', 'response-examples', 'request-docs'];
+
+const HANDLERS = {
+    convert,
+    merge,
+    validate,
+    sync: (options) => (options.watch ? watch(options) : sync(options)),
+    diff: async (options) => {
+        const result = await diff(options);
+        if (options.exitCode && hasChanges(result.diff)) {
+            process.exit(1);
+        }
+        return result;
+    }
+};
+
+/**
+ * Action running a subcommand with the config applied.
+ * required maps option names to their config keys: options that are
+ * required, but may come from the config file instead of the command line.
+ */
+function configuredAction(run, { failure, required = {} }) {
+    return async (_options, command) => {
+        let options = command.opts();
+        try {
+            const { options: config, configPath } = loadCliConfig(command.parent.opts());
+            options = applyConfig(command, config);
+            if (configPath && options.verbose) {
+                log.debug(`Using config file: ${configPath}`);
+            }
+
+            for (const [key, configKey] of Object.entries(required)) {
+                if (!options[key]) {
+                    const flag = command.options.find(option => option.attributeName() === key).long;
+                    throw new Error(`Missing required option ${flag} (or "${configKey}" in the config file)`);
+                }
+            }
+
+            return await run(options);
+
+        } catch (error) {
+            // Keep stdout machine-readable for --json
+            const logger = options.json ? stderrLog : log;
+            logger.error(`${failure}: ${error.message}`);
+            (error.problems || []).forEach(problem => logger.error(`${problem.pointer || '/'}: ${problem.message}`));
+            if (options.verbose) {
+                console.error(error.stack);
+            }
+            process.exit(1);
+        }
+    };
+}
+
+/**
+ * Add --no-<switch> for the command's config switches
+ */
+function addConfigSwitches(command) {
+    for (const name of CONFIG_SWITCHES) {
+        if (command.options.some(option => option.long === `--${name}`)) {
+            command.option(`--no-${name}`, `Turn off --${name} when the config file sets it`);
+        }
+    }
+    return command;
+}
+
+/**
+ * Build the CLI program
+ *
+ * @param {object} [handlers] - Subcommand implementations, called with the resolved options
+ */
+function createProgram(handlers = HANDLERS) {
+    const program = new Command();
+
+    program
+        .name('openapi-postman-sync')
+        .description('Keep Postman collections in sync with OpenAPI specifications')
+        .version('1.0.0')
+        .option('-c, --config <path>', 'Config file (default: the nearest .openapi-postman-syncrc or openapi-postman-sync.config.js)')
+        .option('--no-config', 'Ignore config files')
+        .option('-s, --service <name>', 'Apply the overrides of this service from the config file');
+
+    const convertCommand = program
+        .command('convert')
+        .description('Convert an OpenAPI spec to a Postman collection')
+        .option('-i, --input <path>', 'OpenAPI spec file path or URL (JSON or YAML)')
+        .option('-o, --output <path>', 'Output file, or directory for bruno and http (default: postman-collection.json, bruno-collection, insomnia-collection.json or http-requests)')
+        .option('-f, --format <format>', `Output format: ${OUTPUT_FORMATS.map(format => `"${format}"`).join(', ')}`, 'postman')
+        .option('--split', 'Write the Postman collection as a directory tree at --output: one JSON file per request, scripts as .js files', false);
+    addConfigSwitches(addConvertOptions(convertCommand))
+        .option('-v, --verbose', 'Enable verbose logging', false)
+        .action(configuredAction(handlers.convert, { failure: 'Conversion failed', required: { input: 'input' } }));
+
+    const mergeCommand = program
+        .command('merge')
+        .description('Merge a new collection into an existing one, preserving custom scripts')
+        .requiredOption('-n, --new <path>', 'Newly generated collection file or directory path')
+        .option('-e, --existing <path>', 'Existing collection file or directory path')
+        .option('-o, --output <path>', 'Output merged collection file or directory path (default: --existing)')
+        .option('--split', 'Write the merged collection as a directory tree (the default when the existing collection is one)', false);
+    addConfigSwitches(addMergeOptions(mergeCommand))
+        .option('--dry-run', 'Show changes without writing output', false)
+        .option('-v, --verbose', 'Enable verbose logging', false)
+        .action(configuredAction(handlers.merge, { failure: 'Merge failed', required: { existing: 'output' } }));
+
+    const syncCommand = program
+        .command('sync')
+        .description('Convert an OpenAPI spec and merge it into the existing collection')
+        .option('-i, --input <path>', 'OpenAPI spec file path or URL (JSON or YAML)')
+        .option('-o, --output <path>', 'Collection file or directory to update (created if missing)', 'postman-collection.json')
+        .option('--split', 'Write the collection as a directory tree (the default when the existing collection is one)', false);
+    addConfigSwitches(addMergeOptions(addConvertOptions(syncCommand)))
+        .option('--dry-run', 'Show changes without writing output', false)
+        .option('-w, --watch', 'Keep running and sync again whenever the spec file or URL changes', false)
+        .option('--interval <ms>', 'How often --watch checks the spec, in milliseconds', String(DEFAULT_INTERVAL))
+        .option('-v, --verbose', 'Enable verbose logging', false)
+        .action(configuredAction(handlers.sync, { failure: 'Sync failed', required: { input: 'input' } }));
+
+    const validateCommand = program
+        .command('validate')
+        .description('Validate an OpenAPI specification')
+        .option('-i, --input <path>', 'OpenAPI spec file path or URL (JSON or YAML)');
+    addValidateOptions(validateCommand)
+        .option('-v, --verbose', 'Enable verbose logging', false)
+        .action(configuredAction(handlers.validate, { failure: 'Validation failed', required: { input: 'input' } }));
+
+    const diffCommand = program
+        .command('diff')
+        .description('Show the endpoints a sync would add to and remove from the collection, without writing files')
+        .option('-i, --input <path>', 'OpenAPI spec file path or URL (JSON or YAML)')
+        .option('-o, --output <path>', 'Collection file or directory a sync would update', 'postman-collection.json');
+    addConfigSwitches(addConvertOptions(diffCommand))
+        .option('--json', 'Print the diff as JSON', false)
+        .option('--exit-code', 'Exit with status 1 when endpoints would be added or removed', false)
+        .option('-v, --verbose', 'Enable verbose logging', false)
+        .action(configuredAction(handlers.diff, { failure: 'Diff failed', required: { input: 'input' } }));
+
+    return program;
+}
+
+// Run when called from the command line
+if (require.main === module) {
+    createProgram().parseAsync();
+}
+
+module.exports = { createProgram };
@@ -0,0 +1,324 @@
+/**
+ * Collection merging
+ *
+ * mergeCollections merges a newly generated collection into an existing
+ * one: requests are matched by method and path, and custom scripts,
+ * collection variables and notes around generated docs are kept while
+ * endpoint definitions come from the new collection. It works on
+ * collection objects and throws MergeError; merge-collections.js is the
+ * CLI around it.
+ */
+
+const _ = require('lodash');
+const { silentLog, isObject } = require('./utils');
+const { MergeError } = require('./errors');
+const { hasGeneratedBlocks, mergeGeneratedEvent } = require('./script-blocks');
+const { mergeDescriptions } = require('./request-docs');
+
+const MERGE_DEFAULTS = {
+    preserveTests: true,
+    preservePrerequest: true,
+    preserveVariables: true,
+    logger: silentLog
+};
+
+/**
+ * Merge a new collection into an existing one
+ *
+ * @param {object} newCollection - Newly generated collection
+ * @param {object} existingCollection - Existing collection with custom scripts
+ * @param {object} [options]
+ * @param {boolean} [options.preserveTests=true] - Keep the collection-level test script
+ * @param {boolean} [options.preservePrerequest=true] - Keep the collection-level pre-request script
+ * @param {boolean} [options.preserveVariables=true] - Keep collection variables the new collection lacks
+ * @param {object} [options.logger] - Logger for the preserved scripts (default: silent)
+ * @returns {{collection: object, diff: {added: string[], removed: string[], preserved: string[]}}}
+ * @throws {MergeError}
+ */
+function mergeCollections(newCollection, existingCollection, options = {}) {
+    for (const [label, collection] of [['new', newCollection], ['existing', existingCollection]]) {
+        if (!isObject(collection) || !isObject(collection.info) || !Array.isArray(collection.item)) {
+            throw new MergeError(`Invalid ${label} collection: expected an object with info and an item list`);
+        }
+    }
+    options = { ...MERGE_DEFAULTS, ..._.omitBy(options, _.isUndefined) };
+
+    // The inputs are left untouched
+    newCollection = _.cloneDeep(newCollection);
+    existingCollection = _.cloneDeep(existingCollection);
+
+    try {
+        // Create a map of existing items by their path/name for quick lookup
+        const existingItemsMap = buildItemsMap(existingCollection.item);
+        const existingFoldersMap = buildFoldersMap(existingCollection.item);
+
+        // Merge items
+        const mergedItems = mergeItems(newCollection.item, existingItemsMap, '', existingFoldersMap);
+
+        // Build merged collection
+        const mergedCollection = {
+            ...newCollection,
+            info: {
+                ...newCollection.info,
+                // Preserve the existing collection ID for Postman sync
+                _postman_id: existingCollection.info._postman_id || newCollection.info._postman_id
+            },
+            item: mergedItems
+        };
+
+        // Preserve collection-level scripts
+        if (options.preservePrerequest && existingCollection.event) {
+            const existingPreRequest = existingCollection.event.find(e => e.listen === 'prerequest');
+            if (existingPreRequest) {
+                mergedCollection.event = [...(mergedCollection.event || [])];
+                const newIndex = mergedCollection.event.findIndex(e => e.listen === 'prerequest');
+                const newPreRequest = newIndex === -1 ? null : mergedCollection.event[newIndex];
+                if (!newPreRequest) {
+                    // Generated blocks the new collection no longer has are dropped
+                    const preserved = mergeGeneratedEvent(existingPreRequest, null);
+                    if (preserved) {
+                        mergedCollection.event.push(preserved);
+                        options.logger.info('Preserved collection-level pre-request script');
+                    }
+                } else if (hasGeneratedBlocks(newPreRequest.script && newPreRequest.script.exec)) {
+                    mergedCollection.event[newIndex] = mergeGeneratedEvent(existingPreRequest, newPreRequest);
+                    options.logger.info('Updated generated code in the collection-level pre-request script, kept custom code');
+                }
+            }
+        }
+
+        if (options.preserveTests && existingCollection.event) {
+            const existingTest = existingCollection.event.find(e => e.listen === 'test');
+            if (existingTest) {
+                if (!mergedCollection.event) mergedCollection.event = [];
+                const newTest = mergedCollection.event.find(e => e.listen === 'test');
+                if (!newTest) {
+                    mergedCollection.event.push(existingTest);
+                    options.logger.info('Preserved collection-level test script');
+                }
+            }
+        }
+
+        // Preserve collection variables
+        if (options.preserveVariables && existingCollection.variable) {
+            const newVarKeys = new Set((newCollection.variable || []).map(v => v.key));
+
+            if (!mergedCollection.variable) mergedCollection.variable = [];
+
+            // Variables the new collection only declares, like credentials, keep their values
+            mergedCollection.variable = mergedCollection.variable.map(variable => {
+                const existing = existingCollection.variable.find(v => v.key === variable.key);
+                return variable.value === '' && existing && existing.value !== undefined && existing.value !== ''
+                    ? { ...variable, value: existing.value }
+                    : variable;
+            });
+
+            // Add existing variables that aren't in the new collection
+            for (const variable of existingCollection.variable) {
+                if (!newVarKeys.has(variable.key)) {
+                    mergedCollection.variable.push(variable);
+                }
+            }
+        }
+
+        // Diff between the existing and the merged collection
+        return { collection: mergedCollection, diff: calculateDiff(existingCollection, mergedCollection) };
+    } catch (error) {
+        throw new MergeError(error.message, { cause: error });
+    }
+}
+
+/**
+ * Build a map of items by their unique path
+ */
+function buildItemsMap(items, parentPath = '', map = {}) {
+    for (const item of items) {
+        const itemPath = parentPath ? `${parentPath}/${item.name}` : item.name;
+
+        if (item.item) {
+            // It's a folder, recurse
+            buildItemsMap(item.item, itemPath, map);
+        } else {
+            // It's a request
+            const key = generateItemKey(item, itemPath);
+            map[key] = { item, path: itemPath };
+        }
+    }
+
+    return map;
+}
+
+/**
+ * Build a map of folders by their path of folder names
+ */
+function buildFoldersMap(items, parentPath = '', map = {}) {
+    for (const item of items) {
+        if (item.item) {
+            const itemPath = parentPath ? `${parentPath}/${item.name}` : item.name;
+            map[itemPath] = item;
+            buildFoldersMap(item.item, itemPath, map);
+        }
+    }
+
+    return map;
+}
+
+/**
+ * Generate a unique key for an item based on method + path
+ */
+function generateItemKey(item, itemPath) {
+    if (item.request) {
+        const method = typeof item.request.method === 'string'
+            ? item.request.method
+            : 'GET';
+
+        let urlPath = '';
+        if (item.request.url) {
+            if (typeof item.request.url === 'string') {
+                urlPath = item.request.url;
+            } else if (item.request.url.path) {
+                urlPath = Array.isArray(item.request.url.path)
+                    ? item.request.url.path.join('/')
+                    : item.request.url.path;
+            }
+        }
+
+        return `${method}:${urlPath}`;
+    }
+
+    return itemPath;
+}
+
+/**
+ * Merge items from new collection with existing items
+ */
+function mergeItems(newItems, existingItemsMap, parentPath, existingFoldersMap = {}) {
+    return newItems.map(newItem => {
+        const itemPath = parentPath ? `${parentPath}/${newItem.name}` : newItem.name;
+
+        if (newItem.item) {
+            // It's a folder, recurse; notes around its generated docs are kept
+            const folder = {
+                ...newItem,
+                item: mergeItems(newItem.item, existingItemsMap, itemPath, existingFoldersMap)
+            };
+            const existingFolder = existingFoldersMap[itemPath];
+            if (existingFolder) {
+                const description = mergeDescriptions(existingFolder.description, newItem.description);
+                if (description === undefined) {
+                    delete folder.description;
+                } else {
+                    folder.description = description;
+                }
+            }
+            return folder;
+        } else {
+            // It's a request, try to find matching existing item
+            const key = generateItemKey(newItem, itemPath);
+            const existing = existingItemsMap[key];
+
+            if (existing) {
+                return mergeRequest(newItem, existing.item);
+            }
+
+            return newItem;
+        }
+    });
+}
+
+/**
+ * Merge a single request, preserving scripts from existing.
+ * Generated blocks (e.g. contract tests, docs) come from the new request;
+ * code and notes written around them in the existing request are kept.
+ */
+function mergeRequest(newRequest, existingRequest) {
+    const merged = _.cloneDeep(newRequest);
+
+    // Refresh the generated docs, keep notes written around them
+    if (merged.request && existingRequest.request) {
+        const description = mergeDescriptions(existingRequest.request.description, merged.request.description);
+        if (description === undefined) {
+            delete merged.request.description;
+        } else {
+            merged.request.description = description;
+        }
+    }
+
+    // Preserve events (pre-request scripts and tests)
+    if (existingRequest.event && existingRequest.event.length > 0) {
+        if (!merged.event) merged.event = [];
+
+        for (const existingEvent of existingRequest.event) {
+            const hasScript = existingEvent.script &&
+                existingEvent.script.exec &&
+                existingEvent.script.exec.length > 0 &&
+                existingEvent.script.exec.some(line => line.trim() !== '');
+
+            if (hasScript) {
+                // Check if new request already has this event type
+                const existingEventIndex = merged.event.findIndex(e => e.listen === existingEvent.listen);
+                const newEvent = existingEventIndex === -1 ? null : merged.event[existingEventIndex];
+
+                if (!newEvent) {
+                    // Add the existing event, without generated blocks the new request no longer has
+                    const preserved = mergeGeneratedEvent(existingEvent, null);
+                    if (preserved) merged.event.push(preserved);
+                } else if (hasGeneratedBlocks(newEvent.script && newEvent.script.exec)) {
+                    // Refresh the generated part, keep hand-written code
+                    merged.event[existingEventIndex] = mergeGeneratedEvent(existingEvent, newEvent);
+                } else if (!hasNonEmptyScript(newEvent)) {
+                    // Replace empty script with existing one
+                    merged.event[existingEventIndex] = existingEvent;
+                }
+            }
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Check if an event has a non-empty script
+ */
+function hasNonEmptyScript(event) {
+    return event.script &&
+        event.script.exec &&
+        event.script.exec.length > 0 &&
+        event.script.exec.some(line => line.trim() !== '');
+}
+
+/**
+ * Calculate diff between collections
+ */
+function calculateDiff(existingCollection, mergedCollection) {
+    const existingEndpoints = new Set();
+    const mergedEndpoints = new Set();
+
+    const collectEndpoints = (items, set, prefix = '') => {
+        for (const item of items) {
+            if (item.item) {
+                collectEndpoints(item.item, set, prefix + item.name + '/');
+            } else {
+                set.add(prefix + item.name);
+            }
+        }
+    };
+
+    collectEndpoints(existingCollection.item, existingEndpoints);
+    collectEndpoints(mergedCollection.item, mergedEndpoints);
+
+    return {
+        added: [...mergedEndpoints].filter(e => !existingEndpoints.has(e)),
+        removed: [...existingEndpoints].filter(e => !mergedEndpoints.has(e)),
+        preserved: [...mergedEndpoints].filter(e => existingEndpoints.has(e))
+    };
+}
+
+module.exports = {
+    mergeCollections,
+    mergeItems,
+    mergeRequest,
+    generateItemKey,
+    calculateDiff,
+    MERGE_DEFAULTS
+};
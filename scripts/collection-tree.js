@@ -0,0 +1,273 @@
+/**
+ * Collection directory trees
+ *
+ * Splits a Postman collection into a directory tree that diffs and merges
+ * well in git, and reassembles it:
+ *
+ *   collection.json            collection without its items, plus "order"
+ *   collection.prerequest.js   collection scripts, one file per event
+ *   Pets/
+ *     folder.json              folder without its items, plus "order"
+ *     Get a pet.json           one request, responses included
+ *     Get a pet.test.js        the request's test script
+ *
+ * Scripts are plain .js files so they can be reviewed and linted; the JSON
+ * files keep their events without the code. "order" lists the entries of a
+ * directory in collection order. Entries added by hand and missing from it
+ * are appended alphabetically; deleting a script file deletes the script.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, writeJsonFile, uniqueFileName } = require('./utils');
+
+const COLLECTION_FILE = 'collection.json';
+const FOLDER_FILE = 'folder.json';
+const SCRIPT_EVENTS = ['prerequest', 'test'];
+
+// ─── Splitting ────────────────────────────────────────────────────────────────
+
+/**
+ * Lines of a script's exec (Postman allows a string or an array of lines)
+ */
+function execLines(event) {
+    const exec = event && event.script && event.script.exec;
+    if (Array.isArray(exec)) return exec;
+    return typeof exec === 'string' ? exec.split('\n') : [];
+}
+
+/**
+ * Move an entity's scripts into .js files next to its JSON file.
+ * Events keep their other properties; events without code are dropped.
+ */
+function splitEvents(entity, baseName, dir, files) {
+    if (!Array.isArray(entity.event)) return entity;
+
+    const event = entity.event
+        .filter(candidate => execLines(candidate).some(line => line.trim() !== ''))
+        .map(candidate => {
+            const { exec, ...script } = candidate.script;
+            files.push({ path: path.posix.join(dir, `${baseName}.${candidate.listen}.js`), content: `${execLines(candidate).join('\n')}\n` });
+            return { ...candidate, script };
+        });
+
+    const result = { ...entity };
+    if (event.length > 0) {
+        result.event = event;
+    } else {
+        delete result.event;
+    }
+    return result;
+}
+
+/**
+ * Split items into the files of one directory and its subdirectories
+ */
+function splitItems(items, dir, usedNames, files) {
+    return (items || []).map(item => {
+        if (item.item) {
+            const folderDir = uniqueFileName(item.name, usedNames);
+            const folderPath = path.posix.join(dir, folderDir);
+            const { item: children, ...rest } = item;
+            const scriptFiles = [];
+            const childFiles = [];
+            const folder = splitEvents(rest, 'folder', folderPath, scriptFiles);
+            const order = splitItems(children, folderPath, new Set([FOLDER_FILE]), childFiles);
+            files.push({ path: path.posix.join(folderPath, FOLDER_FILE), content: jsonContent({ ...folder, order }) }, ...scriptFiles, ...childFiles);
+            return folderDir;
+        }
+
+        const fileName = uniqueFileName(item.name, usedNames, '.json');
+        const scriptFiles = [];
+        const request = splitEvents(item, fileName.slice(0, -'.json'.length), dir, scriptFiles);
+        files.push({ path: path.posix.join(dir, fileName), content: jsonContent(request) }, ...scriptFiles);
+        return fileName;
+    });
+}
+
+/**
+ * JSON file content, formatted like writeJsonFile
+ */
+function jsonContent(data) {
+    return `${JSON.stringify(data, null, 2)}\n`;
+}
+
+/**
+ * Split a collection into the files of its directory tree
+ *
+ * @param {object} collection - Postman collection
+ * @returns {Array<{path: string, content: string}>} Files, with paths relative to the tree root
+ */
+function splitCollection(collection) {
+    const { item: items, ...rest } = collection;
+    const scriptFiles = [];
+    const itemFiles = [];
+    const meta = splitEvents(rest, 'collection', '', scriptFiles);
+    const order = splitItems(items, '', new Set([COLLECTION_FILE]), itemFiles);
+
+    return [{ path: COLLECTION_FILE, content: jsonContent({ ...meta, order }) }, ...scriptFiles, ...itemFiles];
+}
+
+// ─── Reassembling ─────────────────────────────────────────────────────────────
+
+/**
+ * Put the code of an entity's .js files back into its events
+ */
+function joinEvents(entity, baseName, dir) {
+    const scriptPath = (listen) => path.join(dir, `${baseName}.${listen}.js`);
+    const readLines = (filePath) => fs.readFileSync(filePath, 'utf8').replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+
+    const event = (Array.isArray(entity.event) ? entity.event : [])
+        .filter(candidate => fs.existsSync(scriptPath(candidate.listen)))
+        .map(candidate => ({ ...candidate, script: { ...candidate.script, exec: readLines(scriptPath(candidate.listen)) } }));
+
+    // Scripts added as files, without an event in the JSON yet
+    for (const listen of SCRIPT_EVENTS) {
+        if (!event.some(candidate => candidate.listen === listen) && fs.existsSync(scriptPath(listen))) {
+            event.push({ listen, script: { type: 'text/javascript', exec: readLines(scriptPath(listen)) } });
+        }
+    }
+
+    const result = { ...entity };
+    if (event.length > 0) {
+        result.event = event;
+    } else {
+        delete result.event;
+    }
+    return result;
+}
+
+/**
+ * Entries of a directory in collection order: the listed ones, then any others alphabetically
+ */
+function orderedEntries(dir, order, metaFile) {
+    const present = fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => (entry.isDirectory()
+            ? fs.existsSync(path.join(dir, entry.name, FOLDER_FILE))
+            : entry.name.endsWith('.json') && entry.name !== metaFile))
+        .map(entry => entry.name);
+    const listed = (Array.isArray(order) ? order : []).filter(name => present.includes(name));
+    const unlisted = present.filter(name => !listed.includes(name)).sort();
+    return [...listed, ...unlisted];
+}
+
+/**
+ * Read the items of one directory
+ */
+function readItems(dir, order, metaFile) {
+    return orderedEntries(dir, order, metaFile).map(name => {
+        const entryPath = path.join(dir, name);
+
+        if (fs.statSync(entryPath).isDirectory()) {
+            const { order: folderOrder, ...folder } = readJsonFile(path.join(entryPath, FOLDER_FILE));
+            return { ...joinEvents(folder, 'folder', entryPath), item: readItems(entryPath, folderOrder, FOLDER_FILE) };
+        }
+
+        return joinEvents(readJsonFile(entryPath), name.slice(0, -'.json'.length), dir);
+    });
+}
+
+/**
+ * Reassemble a collection from its directory tree
+ *
+ * @param {string} dir - Tree root, holding collection.json
+ * @returns {object} Postman collection
+ */
+function readCollectionTree(dir) {
+    if (!isCollectionTree(dir)) {
+        throw new Error(`Not a collection directory: ${dir} has no ${COLLECTION_FILE}`);
+    }
+
+    const { order, ...collection } = readJsonFile(path.join(dir, COLLECTION_FILE));
+    return { ...joinEvents(collection, 'collection', dir), item: readItems(dir, order, COLLECTION_FILE) };
+}
+
+// ─── Writing ──────────────────────────────────────────────────────────────────
+
+/**
+ * Remove empty directories below a directory
+ */
+function removeEmptyDirectories(dir) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (!entry.isDirectory()) continue;
+        const entryPath = path.join(dir, entry.name);
+        removeEmptyDirectories(entryPath);
+        if (fs.readdirSync(entryPath).length === 0) fs.rmdirSync(entryPath);
+    }
+}
+
+/**
+ * Write a collection as a directory tree.
+ * Files of requests, folders and scripts that no longer exist are removed;
+ * files the tree did not write (a README, lint config) are left alone.
+ *
+ * @param {object} collection - Postman collection
+ * @param {string} dir - Tree root
+ * @returns {string[]} Paths of the written files
+ */
+function writeCollectionTree(collection, dir) {
+    let previousFiles = [];
+    if (fs.existsSync(dir)) {
+        if (!fs.statSync(dir).isDirectory()) {
+            throw new Error(`Cannot write a collection directory to ${dir}: it is a file`);
+        }
+        if (isCollectionTree(dir)) {
+            previousFiles = splitCollection(readCollectionTree(dir)).map(file => path.join(dir, ...file.path.split('/')));
+        } else if (fs.readdirSync(dir).length > 0) {
+            throw new Error(`Refusing to write a collection directory to ${dir}: it is not empty and has no ${COLLECTION_FILE}`);
+        }
+    }
+
+    const written = splitCollection(collection).map(file => {
+        const filePath = path.join(dir, ...file.path.split('/'));
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, file.content, 'utf8');
+        return filePath;
+    });
+
+    // Files of the previous tree that the new one does not have
+    const keep = new Set(written);
+    previousFiles.filter(filePath => !keep.has(filePath)).forEach(filePath => fs.rmSync(filePath, { force: true }));
+    removeEmptyDirectories(dir);
+    return written;
+}
+
+// ─── Either form ──────────────────────────────────────────────────────────────
+
+/**
+ * Whether a path is a collection directory tree
+ */
+function isCollectionTree(location) {
+    return fs.existsSync(path.join(location, COLLECTION_FILE)) && fs.statSync(location).isDirectory();
+}
+
+/**
+ * Read a collection from a JSON file or a directory tree
+ */
+function readCollection(location) {
+    return isCollectionTree(location) ? readCollectionTree(location) : readJsonFile(location);
+}
+
+/**
+ * Write a collection as a JSON file, or as a directory tree when split is set
+ *
+ * @returns {string[]} Paths of the written files
+ */
+function writeCollection(location, collection, { split = false } = {}) {
+    if (split) {
+        return writeCollectionTree(collection, location);
+    }
+    writeJsonFile(location, collection);
+    return [location];
+}
+
+module.exports = {
+    splitCollection,
+    readCollectionTree,
+    writeCollectionTree,
+    isCollectionTree,
+    readCollection,
+    writeCollection,
+    COLLECTION_FILE,
+    FOLDER_FILE
+};
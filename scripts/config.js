@@ -0,0 +1,336 @@
+/**
+ * Config files for the openapi-postman-sync CLI
+ *
+ * Defaults for every subcommand live in the nearest .openapi-postman-syncrc
+ * (JSON or YAML) or openapi-postman-sync.config.js, searched from the working
+ * directory upwards. Keys are the option names of a batch manifest service;
+ * "services" holds per-service overrides, selected with --service:
+ *
+ * {
+ *   "folderStrategy": "tags",
+ *   "deterministic": true,
+ *   "merge": { "preserveVariables": false },
+ *   "services": {
+ *     "pets": {
+ *       "input": "http://localhost:8080/v3/api-docs",
+ *       "output": "collections/pets.postman_collection.json",
+ *       "collectionName": "Pets API"
+ *     }
+ *   }
+ * }
+ *
+ * Relative paths are resolved against the config file's directory. Flags
+ * given on the command line always win over the config.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const { parseSpecContent } = require('./utils');
+const { isUrlInput } = require('./manifest');
+const { OUTPUT_FORMATS } = require('./exporters');
+const { FOLDER_STRATEGIES, FOLDER_SORTS, REQUEST_SORTS } = require('./folders');
+
+// Searched in this order in each directory
+const CONFIG_FILES = [
+    '.openapi-postman-syncrc',
+    '.openapi-postman-syncrc.json',
+    '.openapi-postman-syncrc.yaml',
+    '.openapi-postman-syncrc.yml',
+    'openapi-postman-sync.config.js'
+];
+
+const PATH_KEYS = ['output', 'folderMap', 'envFile', 'environmentsDir', 'valuesMap', 'cacheDir'];
+
+// Options whose CLI flag has another name
+const CLI_OPTION_NAMES = {
+    collectionName: 'name',
+    environmentsDir: 'environments',
+    overlays: 'overlay'
+};
+
+const string = { type: 'string', minLength: 1 };
+const boolean = { type: 'boolean' };
+const stringList = { type: 'array', items: string };
+const stringMap = { type: 'object', additionalProperties: { type: 'string' } };
+
+const OPTIONS_SCHEMA = {
+    input: string,
+    output: string,
+    format: { enum: OUTPUT_FORMATS },
+    split: boolean,
+    collectionName: string,
+    requestName: string,
+    folderStrategy: { enum: FOLDER_STRATEGIES },
+    folderDepth: { type: 'integer', minimum: 1 },
+    folderMap: string,
+    sortFolders: { enum: FOLDER_SORTS },
+    sortRequests: { enum: REQUEST_SORTS },
+    baseUrl: string,
+    baseUrls: stringMap,
+    baseUrlRoutes: stringMap,
+    envFile: string,
+    environmentsDir: string,
+    valuesMap: string,
+    overlays: stringList,
+    validate: boolean,
+    skipSanitize: boolean,
+    deterministic: boolean,
+    includeAuth: boolean,
+    tokenScript: boolean,
+    requestDocs: boolean,
+    responseExamples: boolean,
+    contractTests: boolean,
+    chainRequests: boolean,
+    headers: stringMap,
+    bearerTokenEnv: string,
+    fetchTimeout: { type: 'integer', minimum: 1 },
+    retries: { type: 'integer', minimum: 0 },
+    cacheDir: string,
+    cache: boolean,
+    filters: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            includeTags: stringList,
+            excludeTags: stringList,
+            includePaths: stringList,
+            excludePaths: stringList,
+            includeMethods: stringList,
+            excludeMethods: stringList,
+            includeOperationIds: stringList,
+            excludeOperationIds: stringList,
+            excludeExtensions: stringList,
+            excludeDeprecated: boolean
+        }
+    },
+    merge: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            preserveTests: boolean,
+            preservePrerequest: boolean,
+            preserveVariables: boolean
+        }
+    }
+};
+
+const CONFIG_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        ...OPTIONS_SCHEMA,
+        services: {
+            type: 'object',
+            additionalProperties: { type: 'object', additionalProperties: false, properties: OPTIONS_SCHEMA }
+        }
+    }
+};
+
+let validator = null;
+
+// ─── Loading ──────────────────────────────────────────────────────────────────
+
+/**
+ * Find the nearest config file, from a directory upwards
+ *
+ * @returns {string|null} Absolute path of the config file
+ */
+function findConfigFile(startDir) {
+    let dir = path.resolve(startDir);
+    for (;;) {
+        const found = CONFIG_FILES.map(name => path.join(dir, name)).find(filePath => fs.existsSync(filePath));
+        if (found) return found;
+        const parent = path.dirname(dir);
+        if (parent === dir) return null;
+        dir = parent;
+    }
+}
+
+/**
+ * Describe one schema violation, naming the option by its dotted path
+ */
+function formatSchemaError(error) {
+    const where = error.instancePath.split('/').slice(1)
+        .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .join('.');
+
+    if (error.keyword === 'additionalProperties') {
+        return `unknown option "${where ? `${where}.` : ''}${error.params.additionalProperty}"`;
+    }
+    if (error.keyword === 'enum') {
+        return `"${where}" must be one of: ${error.params.allowedValues.join(', ')}`;
+    }
+    return where ? `"${where}" ${error.message}` : `the config ${error.message}`;
+}
+
+/**
+ * Check a config against the schema
+ *
+ * @param {object} config
+ * @param {string} [configPath] - File the config was read from, for the error message
+ * @throws {Error} Listing every problem found
+ */
+function validateConfig(config, configPath) {
+    if (!validator) {
+        validator = new Ajv({ allErrors: true }).compile(CONFIG_SCHEMA);
+    }
+    if (!validator(config)) {
+        const problems = [...new Set(validator.errors.map(formatSchemaError))];
+        throw new Error(`Invalid config${configPath ? ` file ${configPath}` : ''}: ${problems.join('; ')}`);
+    }
+}
+
+/**
+ * Resolve the relative paths of one set of options against a directory
+ */
+function resolvePaths(options, baseDir) {
+    const resolved = { ...options };
+    if (resolved.input && !isUrlInput(resolved.input)) {
+        resolved.input = path.resolve(baseDir, resolved.input);
+    }
+    for (const key of PATH_KEYS) {
+        if (resolved[key]) resolved[key] = path.resolve(baseDir, resolved[key]);
+    }
+    if (resolved.overlays) {
+        resolved.overlays = resolved.overlays.map(entry => (isUrlInput(entry) ? entry : path.resolve(baseDir, entry)));
+    }
+    return resolved;
+}
+
+/**
+ * Read and validate a config file, resolving its paths
+ */
+function loadConfig(configPath) {
+    if (!fs.existsSync(configPath)) {
+        throw new Error(`Config file not found: ${configPath}`);
+    }
+
+    let config;
+    if (configPath.endsWith('.js')) {
+        // Re-read on every load, like the rc files
+        delete require.cache[require.resolve(configPath)];
+        config = require(configPath);
+    } else {
+        config = parseSpecContent(fs.readFileSync(configPath, 'utf8'), { filePath: configPath });
+    }
+
+    validateConfig(config, configPath);
+
+    const baseDir = path.dirname(configPath);
+    const { services, ...defaults } = config;
+    return {
+        ...resolvePaths(defaults, baseDir),
+        ...(services && {
+            services: Object.fromEntries(Object.entries(services).map(([name, service]) => [name, resolvePaths(service, baseDir)]))
+        })
+    };
+}
+
+/**
+ * The config's options for one service: its overrides on top of the defaults.
+ * Headers and merge settings are merged key by key, like in a manifest.
+ */
+function selectService(config, serviceName) {
+    const { services = {}, ...defaults } = config;
+    if (!serviceName) return defaults;
+
+    if (!Object.prototype.hasOwnProperty.call(services, serviceName)) {
+        const known = Object.keys(services);
+        throw new Error(`Unknown service "${serviceName}": ${known.length > 0
+            ? `the config file defines ${known.join(', ')}`
+            : 'the config file defines no services'}`);
+    }
+
+    const service = services[serviceName];
+    const selected = { ...defaults, ...service };
+    for (const key of ['headers', 'merge']) {
+        if (defaults[key] || service[key]) selected[key] = { ...(defaults[key] || {}), ...(service[key] || {}) };
+    }
+    return selected;
+}
+
+/**
+ * Load the config options for a CLI run
+ *
+ * @param {object} options
+ * @param {string|false} [options.config] - Config file; false to ignore config files
+ * @param {string} [options.service] - Service whose overrides apply
+ * @param {string} [cwd] - Where the search for a config file starts
+ * @returns {{options: object, configPath: string|null}}
+ */
+function loadCliConfig({ config, service } = {}, cwd = process.cwd()) {
+    const configPath = config === false ? null : (config ? path.resolve(cwd, config) : findConfigFile(cwd));
+    if (!configPath) {
+        if (service) {
+            throw new Error(`--service "${service}" needs a config file, but none was found`);
+        }
+        return { options: {}, configPath: null };
+    }
+    return { options: selectService(loadConfig(configPath), service), configPath };
+}
+
+// ─── Applying ─────────────────────────────────────────────────────────────────
+
+/**
+ * Translate config options into CLI option values, keyed like commander's opts()
+ */
+function configToCliOptions(config) {
+    const options = {};
+    for (const [key, value] of Object.entries(config)) {
+        if (['baseUrl', 'baseUrls', 'baseUrlRoutes', 'headers', 'filters', 'merge'].includes(key)) continue;
+        options[CLI_OPTION_NAMES[key] || key] = typeof value === 'number' ? String(value) : value;
+    }
+
+    // The collection to update is the existing collection of a merge
+    if (config.output) options.existing = config.output;
+
+    if (config.baseUrl || config.baseUrls) {
+        options.baseUrl = [
+            ...(config.baseUrl ? [config.baseUrl] : []),
+            ...Object.entries(config.baseUrls || {}).map(([name, url]) => `${name}=${url}`)
+        ];
+    }
+    if (config.baseUrlRoutes) {
+        options.baseUrlRoute = Object.entries(config.baseUrlRoutes).map(([glob, name]) => `${glob}=${name}`);
+    }
+    if (config.headers) {
+        options.header = Object.entries(config.headers).map(([name, value]) => `${name}: ${value}`);
+    }
+    for (const [key, value] of Object.entries(config.filters || {})) {
+        options[key === 'excludeExtensions' ? 'excludeExtension' : key] = value;
+    }
+    Object.assign(options, config.merge);
+
+    return options;
+}
+
+/**
+ * Fill a parsed command's options from the config.
+ * Options given on the command line keep their values, lists included.
+ *
+ * @param {import('commander').Command} command - Command after parsing
+ * @param {object} config - Options from selectService
+ * @returns {object} The command's options
+ */
+function applyConfig(command, config) {
+    const values = configToCliOptions(config);
+    for (const option of command.options) {
+        const key = option.attributeName();
+        if (values[key] !== undefined && command.getOptionValueSource(key) !== 'cli') {
+            command.setOptionValueWithSource(key, values[key], 'config');
+        }
+    }
+    return command.opts();
+}
+
+module.exports = {
+    findConfigFile,
+    loadConfig,
+    validateConfig,
+    selectService,
+    loadCliConfig,
+    configToCliOptions,
+    applyConfig,
+    CONFIG_FILES
+};
@@ -0,0 +1,239 @@
+/**
+ * Contract tests from response schemas
+ *
+ * Adds a test script to every request that checks the response against the
+ * operation's documented responses, so Newman runs catch drift between a
+ * service and its spec:
+ * - the status code is documented (exact code, "4XX"-style range or default)
+ * - the Content-Type is one of the documented media types
+ * - required response headers are present
+ * - JSON bodies match the response schema, with $refs inlined
+ *
+ * The script is a generated block (see script-blocks.js): merges refresh it and
+ * keep hand-written assertions in the same test script.
+ */
+
+const { isObject } = require('./utils');
+const { resolvePointer } = require('./ref-bundler');
+const { indexOperations, requestKey, forEachRequest } = require('./operations');
+const { setGeneratedBlock } = require('./script-blocks');
+
+const BLOCK_ID = 'contract-tests';
+
+// OpenAPI keywords that JSON Schema validators do not know
+const OPENAPI_ONLY_KEYWORDS = new Set([
+    'nullable', 'x-nullable', 'discriminator', 'xml', 'externalDocs', 'example', 'examples', 'deprecated', 'format'
+]);
+
+// Keywords whose value maps names to schemas
+const SCHEMA_MAP_KEYWORDS = new Set(['properties', 'patternProperties', 'definitions', '$defs', 'dependentSchemas']);
+
+// Keywords whose value is data rather than a schema
+const LITERAL_KEYWORDS = new Set(['enum', 'const', 'default', 'required', 'type']);
+
+/**
+ * Turn an OpenAPI schema into a self-contained JSON Schema for a response.
+ * Local $refs are inlined; a $ref back into a schema being inlined becomes {}.
+ * "format" is dropped as validators reject formats they do not know.
+ *
+ * @param {object} schema - OpenAPI Schema Object
+ * @param {object} spec - The bundled OpenAPI document, for $ref lookups
+ * @returns {object} JSON Schema
+ */
+function toJsonSchema(schema, spec, refStack = []) {
+    if (Array.isArray(schema)) return schema.map(entry => toJsonSchema(entry, spec, refStack));
+    if (!isObject(schema)) return schema;
+
+    if (typeof schema.$ref === 'string') {
+        const ref = schema.$ref;
+        const target = ref.startsWith('#') ? resolvePointer(spec, ref.slice(1)) : undefined;
+        if (!isObject(target) || refStack.includes(ref)) return {};
+        return toJsonSchema(target, spec, [...refStack, ref]);
+    }
+
+    const result = {};
+    for (const [key, value] of Object.entries(schema)) {
+        if (OPENAPI_ONLY_KEYWORDS.has(key) || key.startsWith('x-')) continue;
+
+        if (LITERAL_KEYWORDS.has(key)) {
+            result[key] = value;
+        } else if (SCHEMA_MAP_KEYWORDS.has(key) && isObject(value)) {
+            result[key] = Object.fromEntries(Object.entries(value).map(([name, entry]) => [name, toJsonSchema(entry, spec, refStack)]));
+        } else if (isObject(value) || Array.isArray(value)) {
+            result[key] = toJsonSchema(value, spec, refStack);
+        } else {
+            result[key] = value;
+        }
+    }
+
+    // OpenAPI 3.0 "nullable" and Swagger 2.0 "x-nullable"
+    if ((schema.nullable === true || schema['x-nullable'] === true) && typeof result.type === 'string') {
+        result.type = [result.type, 'null'];
+        if (Array.isArray(result.enum) && !result.enum.includes(null)) result.enum = [...result.enum, null];
+    }
+
+    // Draft 4 style boolean exclusive bounds
+    for (const [exclusive, bound] of [['exclusiveMinimum', 'minimum'], ['exclusiveMaximum', 'maximum']]) {
+        if (result[exclusive] === true && typeof result[bound] === 'number') {
+            result[exclusive] = result[bound];
+            delete result[bound];
+        } else if (typeof result[exclusive] === 'boolean') {
+            delete result[exclusive];
+        }
+    }
+
+    // Write-only properties are never sent back
+    if (Array.isArray(result.required) && isObject(schema.properties)) {
+        const writeOnly = (name) => {
+            const property = schema.properties[name];
+            const resolved = isObject(property) && typeof property.$ref === 'string' && property.$ref.startsWith('#')
+                ? resolvePointer(spec, property.$ref.slice(1))
+                : property;
+            return isObject(resolved) && resolved.writeOnly === true;
+        };
+        result.required = result.required.filter(name => !writeOnly(name));
+        if (result.required.length === 0) delete result.required;
+    }
+
+    return result;
+}
+
+/**
+ * Resolve a local $ref of a response or header object
+ */
+function resolveObject(node, spec) {
+    if (isObject(node) && typeof node.$ref === 'string' && node.$ref.startsWith('#')) {
+        return resolvePointer(spec, node.$ref.slice(1));
+    }
+    return node;
+}
+
+/**
+ * Check whether a media type carries JSON
+ */
+function isJsonMediaType(mediaType) {
+    return /^application\/(.+\+)?json$/i.test(mediaType.split(';')[0].trim()) || mediaType === '*/*';
+}
+
+/**
+ * What each documented response of an operation promises
+ *
+ * @param {object} operation - Operation Object
+ * @param {object} spec - The bundled OpenAPI document
+ * @returns {Object<string, { contentTypes: string[], headers: string[], schema: object|null }>} Keyed by status code
+ */
+function buildResponseContracts(operation, spec) {
+    const contracts = {};
+
+    for (const [status, responseNode] of Object.entries(operation.responses || {})) {
+        const response = resolveObject(responseNode, spec);
+        if (!isObject(response)) continue;
+
+        let contentTypes = [];
+        let schema = null;
+
+        if (spec.swagger) {
+            // Swagger 2.0: one schema for all the produced media types
+            const produces = operation.produces || spec.produces || ['application/json'];
+            if (response.schema) {
+                contentTypes = produces;
+                if (produces.some(isJsonMediaType)) schema = toJsonSchema(response.schema, spec);
+            }
+        } else if (isObject(response.content)) {
+            contentTypes = Object.keys(response.content);
+            const jsonType = contentTypes.find(isJsonMediaType);
+            const media = jsonType && response.content[jsonType];
+            if (isObject(media) && media.schema) schema = toJsonSchema(media.schema, spec);
+        }
+
+        // Content-Type is described by the media types, not the headers
+        const headers = Object.entries(response.headers || {})
+            .filter(([name, header]) => name.toLowerCase() !== 'content-type' && (resolveObject(header, spec) || {}).required === true)
+            .map(([name]) => name);
+
+        contracts[String(status).toUpperCase() === 'DEFAULT' ? 'default' : String(status).toUpperCase()] = {
+            contentTypes: contentTypes.map(type => type.split(';')[0].trim().toLowerCase()),
+            headers,
+            schema
+        };
+    }
+
+    return contracts;
+}
+
+/**
+ * Build the test script (without block markers) checking responses against their contracts
+ */
+function buildContractScript(contracts) {
+    const config = JSON.stringify(contracts, null, 4).split('\n');
+
+    return [
+        '(function () {',
+        `    const contracts = ${config[0]}`,
+        ...config.slice(1, -1).map(line => `    ${line}`),
+        `    ${config[config.length - 1]};`,
+        '',
+        '    const status = String(pm.response.code);',
+        '    const contract = contracts[status] || contracts[status.charAt(0) + \'XX\'] || contracts[\'default\'];',
+        '',
+        '    pm.test(\'Status code \' + status + \' is documented\', function () {',
+        '        pm.expect(Boolean(contract), \'documented status codes: \' + Object.keys(contracts).join(\', \')).to.be.true;',
+        '    });',
+        '    if (!contract) return;',
+        '',
+        '    const contentType = (pm.response.headers.get(\'Content-Type\') || \'\').split(\';\')[0].trim().toLowerCase();',
+        '    if (contract.contentTypes.length > 0 && pm.response.text() !== \'\') {',
+        '        pm.test(\'Content-Type is documented\', function () {',
+        '            const documented = contract.contentTypes.some(function (type) {',
+        '                return type === contentType || type === \'*/*\' ||',
+        '                    (type.slice(-2) === \'/*\' && contentType.indexOf(type.slice(0, -1)) === 0);',
+        '            });',
+        '            pm.expect(documented, contentType + \' is not one of \' + contract.contentTypes.join(\', \')).to.be.true;',
+        '        });',
+        '    }',
+        '',
+        '    contract.headers.forEach(function (header) {',
+        '        pm.test(\'Response has header \' + header, function () {',
+        '            pm.response.to.have.header(header);',
+        '        });',
+        '    });',
+        '',
+        '    if (contract.schema && /^application\\/(.+\\+)?json$/.test(contentType)) {',
+        '        pm.test(\'Response body matches the schema\', function () {',
+        '            pm.response.to.have.jsonSchema(contract.schema);',
+        '        });',
+        '    }',
+        '})();'
+    ];
+}
+
+/**
+ * Add contract tests to every request whose operation documents responses
+ *
+ * @param {object} collection - Postman collection (modified in place)
+ * @param {object} spec - The bundled OpenAPI document the collection was converted from
+ * @returns {object} The collection
+ */
+function applyContractTests(collection, spec) {
+    const operations = indexOperations(spec);
+
+    forEachRequest(collection.item, (item) => {
+        const entry = operations.get(requestKey(item.request));
+        if (!entry) return;
+
+        const contracts = buildResponseContracts(entry.operation, spec);
+        if (Object.keys(contracts).length === 0) return;
+
+        item.event = setGeneratedBlock(item.event || [], 'test', BLOCK_ID, buildContractScript(contracts));
+    });
+
+    return collection;
+}
+
+module.exports = {
+    applyContractTests,
+    buildResponseContracts,
+    buildContractScript,
+    toJsonSchema,
+    BLOCK_ID
+};
@@ -0,0 +1,355 @@
+/**
+ * Conversion pipeline
+ *
+ * convertSpec turns an OpenAPI document into a Postman collection and its
+ * environments. It writes no files and never exits the process: it returns
+ * its results and throws the typed errors of errors.js. Progress goes to
+ * options.logger and is dropped when there is none. convert.js is the
+ * CLI around it; files named on the command line (folder map, values map,
+ * env file) are read there and passed in as objects.
+ */
+
+const Converter = require('openapi-to-postmanv2');
+const { loadSpec, urlOrigin, deepClone, isObject, silentLog } = require('./utils');
+const { OptionsError, SpecError, ConversionError, rethrowAs, rethrowAsSync } = require('./errors');
+const { sanitizeCollection } = require('./value-sanitizer');
+const { bundleSpec } = require('./ref-bundler');
+const { loadOverlays, applyOverlays, validateOverlay } = require('./overlay');
+const { buildEnvironments } = require('./environments');
+const { applyBaseUrls } = require('./base-url');
+const { applyAuth } = require('./auth');
+const { applyTokenScript } = require('./oauth2-token');
+const { applyContractTests } = require('./contract-tests');
+const { applyResponseExamples } = require('./response-examples');
+const { applyRequestDocs } = require('./request-docs');
+const { applyRequestChaining } = require('./request-chaining');
+const { makeDeterministic, withDeterministicFaker } = require('./deterministic');
+const { applyRequestNames, parseNameTemplate } = require('./naming');
+const {
+    organizeFolders,
+    sortCollection,
+    validateFolderMap,
+    converterFolderStrategy,
+    FOLDER_SORTS,
+    REQUEST_SORTS
+} = require('./folders');
+const { validateSpec } = require('./spec-validator');
+const { filterOperations, DEFAULT_EXCLUDE_EXTENSIONS } = require('./operation-filter');
+
+const CONVERT_DEFAULTS = {
+    folderStrategy: 'tags',
+    folderDepth: 1,
+    validate: false,
+    includeAuth: true,
+    tokenScript: false,
+    requestDocs: false,
+    responseExamples: false,
+    contractTests: false,
+    chainRequests: false,
+    skipSanitize: false,
+    deterministic: false,
+    environments: false,
+    logger: silentLog
+};
+
+const OPTION_KEYS = new Set([
+    ...Object.keys(CONVERT_DEFAULTS),
+    'location', 'fetchOptions', 'name', 'requestName', 'folderMap', 'sortFolders', 'sortRequests',
+    'filters', 'overlays', 'baseUrls', 'baseUrlRoutes', 'variables', 'valuesMap'
+]);
+
+// ─── Options ──────────────────────────────────────────────────────────────────
+
+/**
+ * Check convertSpec options and fill in the defaults
+ *
+ * @throws {OptionsError} For unknown options and invalid values
+ */
+function resolveConvertOptions(options = {}) {
+    if (!isObject(options)) {
+        throw new OptionsError('Invalid options: expected an object');
+    }
+    for (const key of Object.keys(options)) {
+        if (!OPTION_KEYS.has(key)) {
+            throw new OptionsError(`Invalid options: unknown option "${key}"`);
+        }
+    }
+
+    const defined = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    const resolved = { ...CONVERT_DEFAULTS, ...defined };
+
+    rethrowAsSync(OptionsError, () => {
+        converterFolderStrategy(resolved.folderStrategy);
+        if (!Number.isInteger(resolved.folderDepth) || resolved.folderDepth < 1) {
+            throw new Error(`Invalid folder depth "${resolved.folderDepth}": expected a positive integer`);
+        }
+        if (resolved.folderMap !== undefined) validateFolderMap(resolved.folderMap);
+        if (resolved.requestName !== undefined) parseNameTemplate(resolved.requestName);
+        if (resolved.sortFolders && !FOLDER_SORTS.includes(resolved.sortFolders)) {
+            throw new Error(`Invalid folder sort "${resolved.sortFolders}": expected one of ${FOLDER_SORTS.join(', ')}`);
+        }
+        if (resolved.sortRequests && !REQUEST_SORTS.includes(resolved.sortRequests)) {
+            throw new Error(`Invalid request sort "${resolved.sortRequests}": expected one of ${REQUEST_SORTS.join(', ')}`);
+        }
+        if (!isObject(resolved.logger) || typeof resolved.logger.info !== 'function' || typeof resolved.logger.warn !== 'function') {
+            throw new Error('Invalid options: "logger" must have info and warn functions');
+        }
+        for (const key of ['filters', 'variables', 'valuesMap', 'fetchOptions']) {
+            if (resolved[key] !== undefined && !isObject(resolved[key])) {
+                throw new Error(`Invalid options: "${key}" must be an object`);
+            }
+        }
+        for (const key of ['overlays', 'baseUrls', 'baseUrlRoutes']) {
+            if (resolved[key] !== undefined && !Array.isArray(resolved[key])) {
+                throw new Error(`Invalid options: "${key}" must be an array`);
+            }
+        }
+        if ((resolved.baseUrlRoutes || []).length > 0 && (resolved.baseUrls || []).length === 0) {
+            throw new Error('Base URL routes refer to named base URLs, but none are defined');
+        }
+    });
+
+    return resolved;
+}
+
+// ─── Spec ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Overlay documents from paths, URLs or objects, in order
+ */
+async function resolveOverlays(entries, fetchOptions) {
+    const overlays = [];
+    for (const [index, entry] of entries.entries()) {
+        if (typeof entry === 'string') {
+            overlays.push(...await loadOverlays([entry], fetchOptions));
+        } else {
+            const label = `overlays[${index}]`;
+            validateOverlay(entry, `overlay ${label}`);
+            overlays.push({ overlay: entry, label });
+        }
+    }
+    return overlays;
+}
+
+/**
+ * Load, bundle, patch, validate and filter the spec
+ */
+async function prepareSpec(input, options) {
+    const logger = options.logger;
+    // Retries and cache hits of every fetch are logged too
+    const fetchOptions = { ...options.fetchOptions, logger };
+    const { spec: loaded, location } = typeof input === 'string'
+        ? await loadSpec(input, fetchOptions)
+        : { spec: deepClone(input), location: options.location };
+
+    if (!isObject(loaded) || (!loaded.openapi && !loaded.swagger)) {
+        throw new SpecError('Invalid OpenAPI specification: missing "openapi" or "swagger" field');
+    }
+
+    // Resolve external $refs into one self-contained spec
+    const refProblems = [];
+    let spec = await bundleSpec(loaded, { baseLocation: location, fetchOptions, logger, problems: refProblems });
+    if (refProblems.length > 0) {
+        throw new SpecError(`Spec has ${refProblems.length} unresolvable $ref(s)`, { problems: refProblems });
+    }
+
+    // Patch the spec for this run with OpenAPI Overlay documents; only an
+    // overlay on the spec's own server gets the spec's credentials
+    if (options.overlays && options.overlays.length > 0) {
+        const overlayFetchOptions = { ...fetchOptions, credentialsOrigin: urlOrigin(location) };
+        spec = applyOverlays(spec, await resolveOverlays(options.overlays, overlayFetchOptions), logger);
+    }
+
+    // Structural validation against the OpenAPI meta-schemas
+    if (options.validate) {
+        const { valid, problems } = validateSpec(spec);
+        if (!valid) {
+            throw new SpecError(`Spec validation failed with ${problems.length} problem(s)`, { problems });
+        }
+    }
+
+    // Keep only the operations selected by the include/exclude filters
+    const filters = options.filters || {};
+    spec = filterOperations(spec, {
+        ...filters,
+        excludeExtensions: [...DEFAULT_EXCLUDE_EXTENSIONS, ...(filters.excludeExtensions || [])]
+    }, logger);
+
+    return { spec, location };
+}
+
+// ─── Collection ───────────────────────────────────────────────────────────────
+
+/**
+ * Run openapi-to-postmanv2 on the prepared spec
+ */
+async function runConverter(spec, options) {
+    const conversionOptions = {
+        folderStrategy: converterFolderStrategy(options.folderStrategy),
+        // Auth is rebuilt from the security schemes after conversion
+        includeAuthInfoInExample: false,
+        requestParametersResolution: 'Example',
+        exampleParametersResolution: 'Example',
+        optimizeConversion: true,
+        stackLimit: 50
+    };
+
+    const convert = () => new Promise((resolve, reject) => {
+        Converter.convert({ type: 'json', data: spec }, conversionOptions, (err, conversionResult) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(conversionResult);
+            }
+        });
+    });
+    const result = options.deterministic ? await withDeterministicFaker(convert) : await convert();
+
+    if (!result.result) {
+        throw new ConversionError(`Conversion failed: ${result.reason}`);
+    }
+    return result.output[0].data;
+}
+
+/**
+ * Add variables to the collection, replacing the values of variables it already has
+ */
+function addEnvironmentVariables(collection, envVars) {
+    if (!collection.variable) {
+        collection.variable = [];
+    }
+
+    for (const [key, value] of Object.entries(envVars)) {
+        const existing = collection.variable.find(variable => variable.key === key);
+        if (existing) {
+            existing.value = value;
+            continue;
+        }
+        collection.variable.push({
+            key,
+            value,
+            type: 'string'
+        });
+    }
+
+    return collection;
+}
+
+/**
+ * Turn the converter's output into the finished collection
+ */
+function buildCollection(collection, spec, options) {
+    const folderMap = options.folderMap || {};
+
+    // Override collection name if provided
+    if (options.name) {
+        collection.info.name = options.name;
+    }
+
+    // Reshape the converter's folders before auth is hoisted onto them
+    collection = organizeFolders(collection, spec, {
+        strategy: options.folderStrategy,
+        depth: options.folderDepth,
+        folderMap,
+        logger: options.logger
+    });
+
+    // Names that survive summary edits, unique within each folder
+    if (options.requestName) {
+        collection = applyRequestNames(collection, spec, options.requestName);
+    }
+
+    // Saved responses for QA to browse: every status code and named example
+    if (options.responseExamples) {
+        collection = applyResponseExamples(collection, spec);
+    }
+
+    // Reference documentation for Postman's documentation view
+    if (options.requestDocs) {
+        collection = applyRequestDocs(collection, spec);
+    }
+
+    // Auth from the security schemes, set once per folder where possible
+    collection = applyAuth(collection, spec, { includeAuth: options.includeAuth, logger: options.logger });
+    if (options.includeAuth && options.tokenScript) {
+        collection = applyTokenScript(collection, spec);
+    }
+
+    // Test scripts checking responses against the spec
+    if (options.contractTests) {
+        collection = applyContractTests(collection, spec);
+    }
+
+    // Point every request (and saved response) at base URL variables
+    if (options.baseUrls && options.baseUrls.length > 0) {
+        collection = applyBaseUrls(collection, {
+            baseUrls: options.baseUrls.map(({ name = 'baseUrl', url }) => ({ name, url })),
+            routes: options.baseUrlRoutes || []
+        });
+    }
+
+    if (options.variables) {
+        collection = addEnvironmentVariables(collection, options.variables);
+    }
+
+    // Sanitize random values with realistic defaults
+    if (!options.skipSanitize) {
+        collection = sanitizeCollection(collection, spec, options.valuesMap || null, options.logger);
+    }
+
+    // Feed captured IDs into later requests; runs after sanitizing so the
+    // realistic example values become the variables' initial values
+    if (options.chainRequests) {
+        collection = applyRequestChaining(collection, spec, options.logger);
+    }
+
+    // Explicit sorting comes last and overrides the run order from chaining
+    collection = sortCollection(collection, spec, {
+        folders: options.sortFolders,
+        requests: options.sortRequests,
+        order: folderMap.order
+    });
+
+    // Stable ids and ordering, so unchanged specs give unchanged files
+    if (options.deterministic) {
+        collection = makeDeterministic(collection, spec);
+    }
+
+    return collection;
+}
+
+/**
+ * Convert an OpenAPI spec into a Postman collection
+ *
+ * @param {object|string} input - OpenAPI document, or a file path or URL to load it from
+ * @param {object} [options] - See ConvertOptions in index.d.ts
+ * @returns {Promise<{collection: object, environments: Array<{fileName: string, environment: object}>, spec: object}>}
+ *   The collection, one environment per server when options.environments is set, and the spec as converted
+ * @throws {OptionsError|SpecError|ConversionError}
+ */
+async function convertSpec(input, options = {}) {
+    const resolved = resolveConvertOptions(options);
+    const { spec, location } = await rethrowAs(SpecError, () => prepareSpec(input, resolved));
+
+    return rethrowAs(ConversionError, async () => {
+        const collection = buildCollection(await runConverter(spec, resolved), spec, resolved);
+
+        // One environment per server, all driving the collection's {{baseUrl}}
+        const environments = resolved.environments
+            ? buildEnvironments(spec, {
+                collectionName: collection.info.name,
+                location,
+                includeSecrets: resolved.includeAuth,
+                tokenScript: resolved.includeAuth && resolved.tokenScript
+            })
+            : [];
+
+        return { collection, environments, spec };
+    });
+}
+
+module.exports = {
+    convertSpec,
+    resolveConvertOptions,
+    CONVERT_DEFAULTS
+};
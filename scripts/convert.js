@@ -4,208 +4,217 @@
  * OpenAPI to Postman Collection Converter
  * 
  * Converts OpenAPI specifications to Postman collections with support for:
- * - File and URL inputs
- * - Custom collection naming
- * - Folder organization options
+ * - File and URL inputs (JSON or YAML)
+ * - Multi-file specs with external $ref pointers
+ * - OpenAPI Overlay documents applied before conversion
+ * - Include/exclude filters for operations
+ * - Custom collection naming and request naming templates
+ * - Postman auth from security schemes, with secret variables
+ * - OAuth2 token pre-request script for client credentials and password flows
+ * - Markdown request documentation from the operations
+ * - Saved responses for every documented status code and named example
+ * - Contract tests checking responses against the documented responses
+ * - Request chaining from OpenAPI links and ID heuristics, in CRUD run order
+ * - Deterministic output for diff-friendly collection repositories
+ * - Postman environments generated from servers[]
+ * - Folders by tag, x-tagGroups or path prefix, with a folder map and sorting
+ * - Bruno, Insomnia v4 and .http output besides Postman collections
+ * - Directory tree output with one file per request and scripts as .js files
  * - Integration with merge script for preserving custom scripts
+ *
+ * The conversion itself is convertSpec (convert-spec.js); this file reads
+ * the files named on the command line and writes the results.
  */
 
 const fs = require('fs');
 const path = require('path');
-const { program } = require('commander');
-const Converter = require('openapi-to-postmanv2');
-const chalk = require('chalk');
-const { readJsonFile, writeJsonFile, log, fetchOpenApiFromUrl } = require('./utils');
-const { sanitizeCollection } = require('./value-sanitizer');
+const { Command } = require('commander');
+const { readJsonFile, writeJsonFile, log, fetchOptionsFromCli, collectValues } = require('./utils');
+const { convertSpec } = require('./convert-spec');
+const { parseBaseUrlOption, parseBaseUrlRoute } = require('./base-url');
+const { exportCollection, validateOutputFormat, defaultOutputPath, OUTPUT_FORMATS } = require('./exporters');
+const { writeCollection } = require('./collection-tree');
+const { loadFolderMap, FOLDER_STRATEGIES } = require('./folders');
+const { DEFAULT_EXCLUDE_EXTENSIONS } = require('./operation-filter');
 
-// CLI Configuration
+/**
+ * Add the fetch and conversion options shared with the openapi-postman-sync
+ * convert, sync and diff subcommands (see cli.js)
+ */
+function addConvertOptions(command) {
+  return command
+    .option('-H, --header <header>', 'HTTP header for URL inputs as "Name: value"; values may use ${ENV_VAR} (repeatable)', collectValues, [])
+    .option('--bearer-token-env <name>', 'Environment variable holding a bearer token for URL inputs')
+    .option('--fetch-timeout <ms>', 'Timeout per fetch attempt in milliseconds', '30000')
+    .option('--retries <count>', 'Retries for failed fetches, with exponential backoff', '3')
+    .option('--cache-dir <path>', 'Cache directory for ETag/Last-Modified revalidation of URL inputs', '.cache/openapi-postman-sync')
+    .option('--no-cache', 'Always download URL inputs, ignoring the cache')
+    .option('-n, --name <name>', 'Collection name (defaults to OpenAPI title)')
+    .option('--request-name <template>', 'Request name template with "|" fallbacks, e.g. "{operationId}|{summary}|{method} {path}"')
+    .option('--folder-strategy <strategy>', `Folder organization: ${FOLDER_STRATEGIES.map(strategy => `"${strategy}"`).join(', ')}`, 'tags')
+    .option('--folder-depth <segments>', 'Path segments per folder for the "path-prefix" strategy', '1')
+    .option('--folder-map <path>', 'JSON/YAML file renaming folders, assigning operations to folders by path glob and listing an explicit order')
+    .option('--sort-folders <order>', 'Sort folders: "spec" (tag order in the spec) or "alpha"')
+    .option('--sort-requests <order>', 'Sort requests within folders: "spec" (path order in the spec), "alpha" or "method"')
+    .option('--include-tags <tags...>', 'Only convert operations with one of these tags')
+    .option('--exclude-tags <tags...>', 'Skip operations with any of these tags')
+    .option('--include-paths <globs...>', 'Only convert paths matching these globs (e.g. "/pets/**")')
+    .option('--exclude-paths <globs...>', 'Skip paths matching these globs')
+    .option('--include-methods <methods...>', 'Only convert these HTTP methods')
+    .option('--exclude-methods <methods...>', 'Skip these HTTP methods')
+    .option('--include-operation-ids <ids...>', 'Only convert these operationIds')
+    .option('--exclude-operation-ids <ids...>', 'Skip these operationIds')
+    .option('--exclude-deprecated', 'Skip operations marked deprecated', false)
+    .option('--exclude-extension <names...>', `Skip operations where one of these vendor extensions is true (always: ${DEFAULT_EXCLUDE_EXTENSIONS.join(', ')})`)
+    .option('--include-auth', 'Add Postman auth from the OpenAPI security schemes (default)', true)
+    .option('--no-include-auth', 'Leave all requests without auth')
+    .option('--token-script', 'Add a pre-request script fetching OAuth2 client credentials/password tokens', false)
+    .option('--request-docs', 'Render parameters, request body, responses and deprecation notes into Markdown request descriptions', false)
+    .option('--response-examples', 'Save one response per documented status code and per named example', false)
+    .option('--contract-tests', 'Add test scripts checking status, Content-Type, headers and body schema', false)
+    .option('--chain-requests', 'Capture IDs from responses into {{variables}} used by later requests, ordered create → read → update → delete', false)
+    .option('--base-url <[name=]url>', 'Base URL for the {{baseUrl}} variable; "name=url" defines another base URL variable (repeatable)', collectValues, [])
+    .option('--base-url-route <glob=name>', 'Send requests whose path matches the glob to a named base URL (repeatable)', collectValues, [])
+    .option('--environments <dir>', 'Write one Postman environment per servers[] entry into this directory')
+    .option('--env-file <path>', 'Path to environment variables JSON file')
+    .option('--values-map <path>', 'Path to JSON file with realistic value overrides for generated fields')
+    .option('--overlay <path>', 'OpenAPI Overlay 1.0 file or URL applied to the spec before conversion (repeatable, applied in order)', collectValues, [])
+    .option('--deterministic', 'Same spec, same bytes: seeded example values, hash-based ids, sorted keys, variables and query params', false)
+    .option('--validate', 'Validate the spec against the OpenAPI meta-schemas and stop on problems', false)
+    .option('--skip-sanitize', 'Skip value sanitization (keep random generated values)', false);
+}
+
+// CLI Configuration (a Command of its own, so cli.js can require this file)
+const program = new Command();
 program
-  .name('openapi-postman-sync')
+  .name('convert')
   .description('Convert OpenAPI specifications to Postman collections')
   .version('1.0.0')
-  .requiredOption('-i, --input <path>', 'OpenAPI spec file path or URL')
-  .option('-o, --output <path>', 'Output Postman collection file path', 'postman-collection.json')
-  .option('-n, --name <name>', 'Collection name (defaults to OpenAPI title)')
-  .option('--folder-strategy <strategy>', 'Folder organization: "tags" or "paths"', 'tags')
-  .option('--include-auth', 'Include authentication from OpenAPI security schemes', true)
-  .option('--base-url <url>', 'Override base URL for requests')
-  .option('--env-file <path>', 'Path to environment variables JSON file')
-  .option('--values-map <path>', 'Path to JSON file with realistic value overrides for generated fields')
-  .option('--skip-sanitize', 'Skip value sanitization (keep random generated values)', false)
+  .requiredOption('-i, --input <path>', 'OpenAPI spec file path or URL (JSON or YAML)')
+  .option('-o, --output <path>', 'Output file, or directory for bruno and http (default: postman-collection.json, bruno-collection, insomnia-collection.json or http-requests)')
+  .option('-f, --format <format>', `Output format: ${OUTPUT_FORMATS.map(format => `"${format}"`).join(', ')}`, 'postman')
+  .option('--split', 'Write the Postman collection as a directory tree at --output: one JSON file per request, scripts as .js files', false);
+addConvertOptions(program)
   .option('-v, --verbose', 'Enable verbose logging', false);
 
-program.parse();
-
-const options = program.opts();
-
 /**
- * Main conversion function
+ * Build convertSpec options from the CLI options, reading the files they name
+ *
+ * @param {object} options - CLI options
+ * @param {object} [logger=log] - Logger for these messages and the conversion's
  */
-async function convert() {
-  try {
-    log.info('Starting OpenAPI to Postman conversion...');
-
-    // Load OpenAPI spec
-    let openApiSpec;
-
-    if (options.input.startsWith('http://') || options.input.startsWith('https://')) {
-      log.info(`Fetching OpenAPI spec from URL: ${options.input}`);
-      openApiSpec = await fetchOpenApiFromUrl(options.input);
-    } else {
-      const inputPath = path.resolve(options.input);
-      log.info(`Reading OpenAPI spec from file: ${inputPath}`);
-
-      if (!fs.existsSync(inputPath)) {
-        throw new Error(`Input file not found: ${inputPath}`);
-      }
-
-      openApiSpec = readJsonFile(inputPath);
-    }
-
-    // Validate OpenAPI spec
-    if (!openApiSpec.openapi && !openApiSpec.swagger) {
-      throw new Error('Invalid OpenAPI specification: missing "openapi" or "swagger" field');
-    }
-
-    const specVersion = openApiSpec.openapi || openApiSpec.swagger;
-    log.info(`Detected OpenAPI version: ${specVersion}`);
-
-    // Conversion options
-    const conversionOptions = {
-      folderStrategy: options.folderStrategy,
-      includeAuthInfoInExample: options.includeAuth,
-      requestParametersResolution: 'Example',
-      exampleParametersResolution: 'Example',
-      optimizeConversion: true,
-      stackLimit: 50
-    };
-
-    if (options.verbose) {
-      log.debug('Conversion options:', JSON.stringify(conversionOptions, null, 2));
-    }
-
-    // Convert OpenAPI to Postman
-    log.info('Converting OpenAPI spec to Postman collection...');
-
-    const result = await new Promise((resolve, reject) => {
-      Converter.convert(
-        { type: 'json', data: openApiSpec },
-        conversionOptions,
-        (err, conversionResult) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(conversionResult);
-          }
-        }
-      );
-    });
-
-    if (!result.result) {
-      throw new Error(`Conversion failed: ${result.reason}`);
-    }
-
-    let collection = result.output[0].data;
-
-    // Override collection name if provided
-    if (options.name) {
-      collection.info.name = options.name;
-    }
-
-    // Override base URL if provided
-    if (options.baseUrl) {
-      collection = overrideBaseUrl(collection, options.baseUrl);
-    }
-
-    // Add environment variables if provided
-    if (options.envFile) {
-      const envVars = readJsonFile(path.resolve(options.envFile));
-      collection = addEnvironmentVariables(collection, envVars);
-    }
-
-    // Sanitize random values with realistic defaults
-    if (!options.skipSanitize) {
-      log.info('Sanitizing generated values with realistic defaults...');
-      let userValuesMap = null;
-      if (options.valuesMap) {
-        const valuesMapPath = path.resolve(options.valuesMap);
-        if (fs.existsSync(valuesMapPath)) {
-          userValuesMap = readJsonFile(valuesMapPath);
-          log.info(`Loaded custom values map from: ${valuesMapPath}`);
-        } else {
-          log.warn(`Values map file not found: ${valuesMapPath} — using built-in defaults only`);
-        }
-      }
-      collection = sanitizeCollection(collection, openApiSpec, userValuesMap);
+function convertOptionsFromCli(options, logger = log) {
+  let valuesMap;
+  if (!options.skipSanitize && options.valuesMap) {
+    const valuesMapPath = path.resolve(options.valuesMap);
+    if (fs.existsSync(valuesMapPath)) {
+      valuesMap = readJsonFile(valuesMapPath);
+      logger.info(`Loaded custom values map from: ${valuesMapPath}`);
     } else {
-      log.info('Value sanitization skipped (--skip-sanitize)');
+      logger.warn(`Values map file not found: ${valuesMapPath} — using built-in defaults only`);
     }
+  }
 
-    // Write output
-    const outputPath = path.resolve(options.output);
-    writeJsonFile(outputPath, collection);
+  return {
+    name: options.name,
+    requestName: options.requestName,
+    folderStrategy: options.folderStrategy,
+    folderDepth: Number(options.folderDepth),
+    folderMap: options.folderMap ? loadFolderMap(path.resolve(options.folderMap)) : undefined,
+    sortFolders: options.sortFolders,
+    sortRequests: options.sortRequests,
+    filters: {
+      includeTags: options.includeTags,
+      excludeTags: options.excludeTags,
+      includePaths: options.includePaths,
+      excludePaths: options.excludePaths,
+      includeMethods: options.includeMethods,
+      excludeMethods: options.excludeMethods,
+      includeOperationIds: options.includeOperationIds,
+      excludeOperationIds: options.excludeOperationIds,
+      excludeDeprecated: options.excludeDeprecated,
+      excludeExtensions: options.excludeExtension
+    },
+    overlays: options.overlay,
+    validate: options.validate,
+    includeAuth: options.includeAuth,
+    tokenScript: options.tokenScript,
+    requestDocs: options.requestDocs,
+    responseExamples: options.responseExamples,
+    contractTests: options.contractTests,
+    chainRequests: options.chainRequests,
+    baseUrls: options.baseUrl.map(parseBaseUrlOption),
+    baseUrlRoutes: options.baseUrlRoute.map(parseBaseUrlRoute),
+    variables: options.envFile ? readJsonFile(path.resolve(options.envFile)) : undefined,
+    valuesMap,
+    skipSanitize: options.skipSanitize,
+    deterministic: options.deterministic,
+    environments: Boolean(options.environments),
+    fetchOptions: fetchOptionsFromCli(options),
+    logger
+  };
+}
 
-    // Summary
-    const itemCount = countItems(collection.item);
-    log.success(`✓ Conversion complete!`);
-    log.info(`  Collection: ${collection.info.name}`);
-    log.info(`  Endpoints: ${itemCount}`);
-    log.info(`  Output: ${outputPath}`);
+/**
+ * Main conversion function: convert, then write the collection and environments
+ */
+async function convert(options) {
+  log.info('Starting OpenAPI to Postman conversion...');
+  validateOutputFormat(options.format);
+  if (options.split && options.format !== 'postman') {
+    throw new Error(`--split only applies to the postman format, not "${options.format}"`);
+  }
 
-    return collection;
+  const convertOptions = convertOptionsFromCli(options);
+  if (options.skipSanitize) {
+    log.info('Value sanitization skipped (--skip-sanitize)');
+  }
 
-  } catch (error) {
-    log.error(`Conversion failed: ${error.message}`);
-    if (options.verbose) {
-      console.error(error.stack);
-    }
-    process.exit(1);
+  log.info('Converting OpenAPI spec to Postman collection...');
+  const { collection, environments, spec } = await convertSpec(options.input, convertOptions);
+  if (options.validate) {
+    log.info('Spec passed structural validation');
+  }
+  log.info(`Detected OpenAPI version: ${spec.openapi || spec.swagger}`);
+
+  // Write output, in another client's format when asked
+  const outputPath = path.resolve(options.output || defaultOutputPath(options.format));
+  if (options.format === 'postman') {
+    const files = writeCollection(outputPath, collection, { split: options.split });
+    if (options.split) log.info(`Wrote ${files.length} collection file(s)`);
+  } else {
+    const files = exportCollection(collection, options.format, outputPath);
+    log.info(`Wrote ${files.length} ${options.format} file(s)`);
   }
-}
 
-/**
- * Override base URL in all requests
- */
-function overrideBaseUrl(collection, baseUrl) {
-  const traverse = (items) => {
-    for (const item of items) {
-      if (item.item) {
-        traverse(item.item);
-      } else if (item.request) {
-        // Replace the host with a variable
-        if (item.request.url) {
-          if (typeof item.request.url === 'string') {
-            item.request.url = item.request.url.replace(/^https?:\/\/[^\/]+/, baseUrl);
-          } else if (item.request.url.raw) {
-            item.request.url.raw = item.request.url.raw.replace(/^https?:\/\/[^\/]+/, baseUrl);
-            item.request.url.host = [baseUrl.replace(/^https?:\/\//, '')];
-          }
-        }
-      }
-    }
-  };
+  // One environment per server, all driving the collection's {{baseUrl}}
+  const environmentPaths = options.environments ? writeEnvironments(environments, options.environments) : [];
+
+  // Summary
+  const itemCount = countItems(collection.item);
+  log.success(`✓ Conversion complete!`);
+  log.info(`  Collection: ${collection.info.name}`);
+  log.info(`  Endpoints: ${itemCount}`);
+  log.info(`  Output: ${outputPath}`);
+  environmentPaths.forEach(environmentPath => log.info(`  Environment: ${environmentPath}`));
 
-  traverse(collection.item);
   return collection;
 }
 
 /**
- * Add environment variables to collection
+ * Write convertSpec's environments into a directory
+ *
+ * @returns {string[]} Paths of the written environment files
  */
-function addEnvironmentVariables(collection, envVars) {
-  if (!collection.variable) {
-    collection.variable = [];
+function writeEnvironments(environments, dir) {
+  if (environments.length === 0) {
+    log.warn('The spec declares no servers — no environments written');
   }
-
-  for (const [key, value] of Object.entries(envVars)) {
-    collection.variable.push({
-      key,
-      value,
-      type: 'string'
-    });
-  }
-
-  return collection;
+  return environments.map(({ fileName, environment }) => {
+    const environmentPath = path.resolve(dir, fileName);
+    writeJsonFile(environmentPath, environment);
+    return environmentPath;
+  });
 }
 
 /**
@@ -222,7 +231,19 @@ function countItems(items, count = 0) {
   return count;
 }
 
-// Run conversion
-convert();
+// Run conversion when called from the command line
+if (require.main === module) {
+  program.parse();
+  const options = program.opts();
+
+  convert(options).catch(error => {
+    log.error(`Conversion failed: ${error.message}`);
+    (error.problems || []).forEach(problem => log.error(`${problem.pointer || '/'}: ${problem.message}`));
+    if (options.verbose) {
+      console.error(error.stack);
+    }
+    process.exit(1);
+  });
+}
 
-module.exports = { convert };
+module.exports = { convert, convertOptionsFromCli, addConvertOptions, writeEnvironments, countItems };
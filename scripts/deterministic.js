@@ -0,0 +1,237 @@
+/**
+ * Deterministic collection output
+ *
+ * Makes two conversions of the same spec produce byte-identical files, so
+ * collection repositories only show real changes in their diffs:
+ * - the converter's generated example values come from its example faker
+ *   seeded with a fixed seed, and generated dates are counted back from a
+ *   fixed day instead of the current time (Math.random and Date are left alone)
+ * - ids are hashes: requests from their operationId (or method and path),
+ *   folders from their path in the collection, responses from their request
+ * - object keys follow one fixed order, variables, path variables and query
+ *   parameters are sorted by key
+ */
+
+const _ = require('lodash');
+const { isObject, stableUuid } = require('./utils');
+const { indexOperations, requestKey } = require('./operations');
+
+// The converter fakes example values with this copy of json-schema-faker; it is
+// not part of the converter's public API, which is why package.json pins the
+// converter to an exact version
+const schemaFaker = require('openapi-to-postmanv2/assets/json-schema-faker.js');
+
+const RANDOM_SEED = 0x5eed;
+
+// "Now" for generated dates; only ever used as an anchor for fake values
+const FIXED_NOW = Date.UTC(2025, 0, 1);
+
+// Generated dates fall within the year before FIXED_NOW
+const DATE_RANGE = 365 * 24 * 60 * 60 * 1000;
+
+// Formats the faker derives from the current time
+const DATE_FORMATS = {
+    'date-time': date => date.toISOString(),
+    datetime: date => date.toISOString(),
+    date: date => date.toISOString().slice(0, 10),
+    time: date => date.toISOString().slice(11)
+};
+
+// Deterministic conversions share the faker, so they run one at a time
+let fakerQueue = Promise.resolve();
+
+// Keys that come first, in this order; any other key follows alphabetically
+const KEY_ORDER = [
+    'info', '_postman_id', 'id', 'name', 'schema', 'description', 'item', 'request', 'response',
+    'listen', 'script', 'method', 'header', 'body', 'url', 'raw', 'protocol', 'host', 'port', 'path',
+    'query', 'hash', 'variable', 'key', 'value', 'type', 'enabled', 'disabled',
+    'originalRequest', 'status', 'code', 'cookie', 'auth', 'event', 'protocolProfileBehavior'
+];
+const KEY_RANK = new Map(KEY_ORDER.map((key, index) => [key, index]));
+
+// Keys whose values are user data, not collection structure
+const OPAQUE_KEYS = new Set(['exec', 'options', 'graphql']);
+
+/**
+ * Small seeded pseudo-random generator (mulberry32) with Math.random's contract
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Run a conversion with the faker seeded and its dates fixed, restoring it afterwards
+ *
+ * Runs wait for each other, so overlapping conversions never see (or restore)
+ * another run's faker settings.
+ *
+ * @param {Function} fn - Async function doing the conversion
+ * @returns {Promise<*>} What fn resolves to
+ */
+function withDeterministicFaker(fn) {
+    const run = fakerQueue.then(() => withSeededFaker(fn));
+    fakerQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Seed the faker and replace its date formats for the duration of fn
+ */
+async function withSeededFaker(fn) {
+    const realRandom = schemaFaker.option('random');
+    const realFormats = Object.fromEntries(Object.keys(DATE_FORMATS).map(name => [name, schemaFaker.format(name)]));
+    const random = seededRandom(RANDOM_SEED);
+    const fakeDate = () => new Date(FIXED_NOW - Math.floor(random() * DATE_RANGE));
+
+    schemaFaker.option({ random });
+    schemaFaker.format(_.mapValues(DATE_FORMATS, format => () => format(fakeDate())));
+    try {
+        return await fn();
+    } finally {
+        schemaFaker.option({ random: realRandom });
+        schemaFaker.format(realFormats);
+    }
+}
+
+/**
+ * Compare object keys: known keys in KEY_ORDER order first, then alphabetically
+ */
+function compareKeys(a, b) {
+    const rankA = KEY_RANK.has(a) ? KEY_RANK.get(a) : Infinity;
+    const rankB = KEY_RANK.has(b) ? KEY_RANK.get(b) : Infinity;
+    if (rankA !== rankB) return rankA - rankB;
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Copy a value with its object keys in canonical order
+ */
+function sortKeys(value) {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (!isObject(value)) return value;
+
+    const sorted = {};
+    for (const key of Object.keys(value).sort(compareKeys)) {
+        sorted[key] = OPAQUE_KEYS.has(key) ? value[key] : sortKeys(value[key]);
+    }
+    return sorted;
+}
+
+/**
+ * Sort an array of { key } entries by key, keeping the order of equal keys
+ */
+function sortByKey(entries) {
+    return entries
+        .map((entry, index) => ({ entry, index }))
+        .sort((a, b) => {
+            const keyA = String(a.entry.key || '');
+            const keyB = String(b.entry.key || '');
+            return keyA < keyB ? -1 : keyA > keyB ? 1 : a.index - b.index;
+        })
+        .map(({ entry }) => entry);
+}
+
+/**
+ * Sort the query parameters and path variables of a URL, rebuilding its raw form
+ */
+function sortUrl(url) {
+    if (!isObject(url)) return url;
+
+    if (Array.isArray(url.variable)) url.variable = sortByKey(url.variable);
+    if (Array.isArray(url.query) && url.query.length > 0) {
+        url.query = sortByKey(url.query);
+        if (typeof url.raw === 'string') {
+            const [withoutHash, ...hash] = url.raw.split('#');
+            const base = withoutHash.split('?')[0];
+            const query = url.query
+                .filter(param => !param.disabled)
+                .map(param => (param.value === undefined || param.value === null ? param.key : `${param.key}=${param.value}`))
+                .join('&');
+            url.raw = `${base}${query ? `?${query}` : ''}${hash.length > 0 ? `#${hash.join('#')}` : ''}`;
+        }
+    }
+    return url;
+}
+
+/**
+ * Give an id that is unique within the collection, numbering repeats
+ */
+function uniqueId(usedIds, ...parts) {
+    let id = stableUuid(...parts);
+    for (let n = 2; usedIds.has(id); n++) {
+        id = stableUuid(...parts, n);
+    }
+    usedIds.add(id);
+    return id;
+}
+
+/**
+ * Rewrite a converted collection into its canonical form
+ *
+ * @param {object} collection - Postman collection (modified in place)
+ * @param {object} spec - The bundled OpenAPI document the collection was converted from
+ * @returns {object} The canonical collection (a new object with sorted keys)
+ */
+function makeDeterministic(collection, spec) {
+    const operations = indexOperations(spec);
+    const usedIds = new Set();
+
+    collection.info = collection.info || {};
+    collection.info._postman_id = stableUuid('collection', collection.info.name || '');
+    if (Array.isArray(collection.variable)) collection.variable = sortByKey(collection.variable);
+
+    const visit = (items, folderPath) => {
+        for (const item of items || []) {
+            if (item.item) {
+                const itemPath = [...folderPath, item.name];
+                item.id = uniqueId(usedIds, 'folder', ...itemPath);
+                visit(item.item, itemPath);
+                continue;
+            }
+            if (!isObject(item.request)) continue;
+
+            const key = requestKey(item.request);
+            const entry = operations.get(key);
+            item.id = entry && entry.operation.operationId
+                ? uniqueId(usedIds, 'operation', entry.operation.operationId)
+                : uniqueId(usedIds, 'request', key);
+            sortUrl(item.request.url);
+
+            for (const response of item.response || []) {
+                response.id = uniqueId(usedIds, item.id, 'response', response.name || '', String(response.code || ''));
+                if (isObject(response.originalRequest)) sortUrl(response.originalRequest.url);
+            }
+            for (const event of item.event || []) {
+                if (event.id !== undefined) event.id = uniqueId(usedIds, item.id, 'event', event.listen);
+                if (isObject(event.script) && event.script.id !== undefined) {
+                    event.script.id = uniqueId(usedIds, item.id, 'script', event.listen);
+                }
+            }
+        }
+    };
+    visit(collection.item, []);
+
+    for (const event of collection.event || []) {
+        if (event.id !== undefined) event.id = uniqueId(usedIds, 'collection', 'event', event.listen);
+        if (isObject(event.script) && event.script.id !== undefined) {
+            event.script.id = uniqueId(usedIds, 'collection', 'script', event.listen);
+        }
+    }
+
+    return sortKeys(collection);
+}
+
+module.exports = {
+    makeDeterministic,
+    withDeterministicFaker,
+    seededRandom,
+    sortKeys,
+    sortUrl
+};
@@ -0,0 +1,146 @@
+/**
+ * Postman environment generation
+ *
+ * Builds one Postman environment per entry in the spec's servers[] (or per
+ * scheme of a Swagger 2.0 host), so the collection can keep {{baseUrl}} in
+ * every request and switching between dev, staging and prod is a matter of
+ * picking an environment. Each environment carries:
+ * - baseUrl, with server variables kept as {{variable}} references
+ * - one entry per server variable, set to its default (or its first enum
+ *   value), with the allowed enum values listed in the entry's description
+ * - empty secret entries for the credentials every security scheme needs
+ *   (named as in the collection's auth, see auth.js); access tokens that the
+ *   generated token script caches in collection variables are left out, since
+ *   an environment value would take precedence over them
+ */
+
+const { isObject, sanitizeFilename, stableUuid } = require('./utils');
+const { getSecuritySchemes, securitySchemeVariables } = require('./auth');
+const { getTokenSchemes } = require('./oauth2-token');
+
+/**
+ * List the servers of a spec as { url, description, variables }.
+ * Relative server URLs are resolved against the spec's URL when it was fetched.
+ */
+function getServers(spec, location) {
+    if (spec.swagger) {
+        if (!spec.host) return [];
+        const schemes = Array.isArray(spec.schemes) && spec.schemes.length > 0 ? spec.schemes : ['https'];
+        return schemes.map(scheme => ({
+            url: `${scheme}://${spec.host}${spec.basePath || ''}`,
+            description: schemes.length > 1 ? scheme.toUpperCase() : spec.host,
+            variables: {}
+        }));
+    }
+
+    return (spec.servers || [])
+        .filter(server => isObject(server) && typeof server.url === 'string')
+        .map(server => {
+            let url = server.url;
+            if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(url) && !url.startsWith('{') &&
+                typeof location === 'string' && /^https?:\/\//.test(location)) {
+                url = new URL(url, location).href;
+            }
+            return { url, description: server.description, variables: server.variables || {} };
+        });
+}
+
+/**
+ * Pick a short label for a server, e.g. "Production" or "localhost"
+ */
+function serverLabel(server) {
+    if (server.description) return server.description;
+    try {
+        return new URL(server.url.replace(/\{([^}]+)\}/g, '$1')).hostname;
+    } catch (error) {
+        return server.url;
+    }
+}
+
+/**
+ * Build the environment entry of a server variable
+ */
+function serverVariableValue(name, variable) {
+    const options = isObject(variable) && Array.isArray(variable.enum) ? variable.enum.map(String) : [];
+    let value = '';
+    if (isObject(variable) && variable.default !== undefined) {
+        value = String(variable.default);
+    } else if (options.length > 0) {
+        value = options[0];
+    }
+
+    const entry = { key: name, value, type: 'default', enabled: true };
+    const description = [
+        isObject(variable) && typeof variable.description === 'string' ? variable.description.trim() : '',
+        options.length > 0 ? `Allowed values: ${options.join(', ')}` : ''
+    ].filter(Boolean).join('\n\n');
+    if (description) entry.description = description;
+    return entry;
+}
+
+/**
+ * Build a Postman environment for one server
+ */
+function buildEnvironment(server, { collectionName, secrets = [] }) {
+    const label = serverLabel(server);
+    const values = [{
+        key: 'baseUrl',
+        value: server.url.replace(/\{([^}]+)\}/g, '{{$1}}').replace(/\/+$/, ''),
+        type: 'default',
+        enabled: true
+    }];
+
+    for (const [name, variable] of Object.entries(server.variables)) {
+        values.push(serverVariableValue(name, variable));
+    }
+
+    for (const key of secrets) {
+        values.push({ key, value: '', type: 'secret', enabled: true });
+    }
+
+    return {
+        id: stableUuid(collectionName, label),
+        name: `${collectionName} - ${label}`,
+        values,
+        _postman_variable_scope: 'environment'
+    };
+}
+
+/**
+ * Build one Postman environment per server of a spec.
+ *
+ * @param {object} spec - Bundled OpenAPI document
+ * @param {object} options
+ * @param {string} options.collectionName - Used in environment names and ids
+ * @param {string} [options.location] - Where the spec was loaded from, for relative server URLs
+ * @param {boolean} [options.includeSecrets=true] - Add secret entries for the security schemes' credentials
+ * @param {boolean} [options.tokenScript=true] - The collection has the generated OAuth2 token script
+ * @returns {Array<{ fileName: string, environment: object }>}
+ */
+function buildEnvironments(spec, { collectionName, location, includeSecrets = true, tokenScript = true } = {}) {
+    const scriptedTokens = new Set(tokenScript ? getTokenSchemes(spec).map(scheme => scheme.variables.accessToken) : []);
+    const secrets = includeSecrets
+        ? [...new Set(Object.entries(getSecuritySchemes(spec)).flatMap(([name, scheme]) => securitySchemeVariables(name, scheme)))]
+            .filter(key => !scriptedTokens.has(key))
+        : [];
+    const usedFileNames = new Set();
+
+    return getServers(spec, location).map(server => {
+        const environment = buildEnvironment(server, { collectionName, secrets });
+
+        const baseName = sanitizeFilename(serverLabel(server)).replace(/^_+|_+$/g, '') || 'server';
+        let fileName = `${baseName}.postman_environment.json`;
+        for (let n = 2; usedFileNames.has(fileName); n++) {
+            fileName = `${baseName}_${n}.postman_environment.json`;
+        }
+        usedFileNames.add(fileName);
+
+        return { fileName, environment };
+    });
+}
+
+module.exports = {
+    buildEnvironments,
+    buildEnvironment,
+    getServers
+};
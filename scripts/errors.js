@@ -0,0 +1,86 @@
+/**
+ * Typed errors of the Node API
+ *
+ * Every error thrown by convertSpec, mergeCollections and sanitizeCollection
+ * is a SyncError, so callers can tell failures apart by class or by code:
+ * - OptionsError (ERR_OPTIONS): invalid options or arguments, before any work is done
+ * - SpecError (ERR_SPEC): the spec cannot be loaded, bundled, patched or validated
+ * - ConversionError (ERR_CONVERSION): the spec could not be turned into a collection
+ * - MergeError (ERR_MERGE): the collections could not be merged
+ *
+ * The underlying error, if any, is kept as `cause`.
+ */
+
+class SyncError extends Error {
+    constructor(message, { cause, code = 'ERR_SYNC' } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        if (cause !== undefined) this.cause = cause;
+    }
+}
+
+class OptionsError extends SyncError {
+    constructor(message, { cause } = {}) {
+        super(message, { cause, code: 'ERR_OPTIONS' });
+    }
+}
+
+class SpecError extends SyncError {
+    /**
+     * @param {string} message
+     * @param {object} [details]
+     * @param {Array<{pointer: string, message: string, rule: string}>} [details.problems] - Validation problems
+     */
+    constructor(message, { cause, problems = [] } = {}) {
+        super(message, { cause, code: 'ERR_SPEC' });
+        this.problems = problems;
+    }
+}
+
+class ConversionError extends SyncError {
+    constructor(message, { cause } = {}) {
+        super(message, { cause, code: 'ERR_CONVERSION' });
+    }
+}
+
+class MergeError extends SyncError {
+    constructor(message, { cause } = {}) {
+        super(message, { cause, code: 'ERR_MERGE' });
+    }
+}
+
+/**
+ * Run fn, rethrowing plain errors as ErrorClass with the same message.
+ * SyncErrors pass through unchanged.
+ */
+async function rethrowAs(ErrorClass, fn) {
+    try {
+        return await fn();
+    } catch (error) {
+        if (error instanceof SyncError) throw error;
+        throw new ErrorClass(error.message, { cause: error });
+    }
+}
+
+/**
+ * Synchronous rethrowAs
+ */
+function rethrowAsSync(ErrorClass, fn) {
+    try {
+        return fn();
+    } catch (error) {
+        if (error instanceof SyncError) throw error;
+        throw new ErrorClass(error.message, { cause: error });
+    }
+}
+
+module.exports = {
+    SyncError,
+    OptionsError,
+    SpecError,
+    ConversionError,
+    MergeError,
+    rethrowAs,
+    rethrowAsSync
+};
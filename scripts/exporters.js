@@ -0,0 +1,588 @@
+/**
+ * Bruno, Insomnia and .http exports
+ *
+ * Turns the finished Postman collection (sanitized values, variables and
+ * auth included) into another client's format:
+ * - bruno: a collection directory of .bru files, one subdirectory per folder
+ * - insomnia: an Insomnia v4 export file
+ * - http: .http files for VS Code REST Client, one per folder
+ *
+ * Requests carry their effective auth (their own, a folder's or the
+ * collection's). Postman scripts use the pm API and are not exported.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isObject, stableUuid, uniqueFileName } = require('./utils');
+
+const OUTPUT_FORMATS = ['postman', 'bruno', 'insomnia', 'http'];
+
+// Where convert writes each format when no --output is given
+const DEFAULT_OUTPUTS = {
+    postman: 'postman-collection.json',
+    bruno: 'bruno-collection',
+    insomnia: 'insomnia-collection.json',
+    http: 'http-requests'
+};
+
+// ─── Shared helpers ───────────────────────────────────────────────────────────
+
+/**
+ * Text of a Postman description (a string or { content, type })
+ */
+function descriptionText(description) {
+    if (typeof description === 'string') return description;
+    return isObject(description) && typeof description.content === 'string' ? description.content : '';
+}
+
+/**
+ * Auth parameters of a Postman auth block as an object
+ */
+function authParams(auth) {
+    const params = isObject(auth) && Array.isArray(auth[auth.type]) ? auth[auth.type] : [];
+    return Object.fromEntries(params.map(param => [param.key, param.value === undefined ? '' : String(param.value)]));
+}
+
+/**
+ * The auth a request is sent with: its own, else the nearest folder's, else the collection's
+ *
+ * @returns {object|null} Postman auth block, or null for no auth
+ */
+function effectiveAuth(item, parents, collection) {
+    const auth = [item.request.auth, ...[...parents].reverse().map(parent => parent.auth), collection.auth]
+        .find(candidate => isObject(candidate));
+    return auth && auth.type !== 'noauth' ? auth : null;
+}
+
+/**
+ * Walk the collection, calling onFolder and onRequest in order with their parent folders
+ */
+function walkItems(items, { onFolder = () => {}, onRequest = () => {} }, parents = []) {
+    (items || []).forEach((item, index) => {
+        if (item.item) {
+            onFolder(item, parents, index);
+            walkItems(item.item, { onFolder, onRequest }, [...parents, item]);
+        } else if (isObject(item.request)) {
+            onRequest(item, parents, index);
+        }
+    });
+}
+
+/**
+ * Build a request URL from a Postman url object.
+ * Path variables (":petId") are passed to pathVariable, which returns their replacement.
+ */
+function buildUrl(url, { pathVariable = (name, value) => value || `{{${name}}}`, includeQuery = true } = {}) {
+    if (typeof url === 'string') return url;
+    if (!isObject(url)) return '';
+
+    const variables = new Map((url.variable || []).map(variable => [variable.key, variable.value]));
+    const host = Array.isArray(url.host) ? url.host.join('.') : (url.host || '');
+    const segments = Array.isArray(url.path) ? url.path : (url.path ? String(url.path).split('/') : []);
+    let result = '';
+
+    if (host || segments.length > 0) {
+        result = `${url.protocol ? `${url.protocol}://` : ''}${host}${url.port ? `:${url.port}` : ''}`;
+        const pathText = segments
+            .map(segment => (/^:.+/.test(segment) ? pathVariable(segment.slice(1), variables.get(segment.slice(1))) : segment))
+            .join('/');
+        if (pathText !== '') result += `/${pathText}`;
+    } else if (typeof url.raw === 'string') {
+        result = url.raw.split('?')[0];
+    }
+
+    const query = (url.query || []).filter(param => !param.disabled);
+    if (includeQuery && query.length > 0) {
+        result += `?${query.map(param => (param.value === undefined || param.value === null ? param.key : `${param.key}=${param.value}`)).join('&')}`;
+    }
+    return result;
+}
+
+/**
+ * The raw body text and its media type
+ */
+function rawBody(request) {
+    const body = request.body;
+    if (!isObject(body) || body.mode !== 'raw' || typeof body.raw !== 'string' || body.raw === '') return null;
+
+    const contentType = (request.header || []).find(header => String(header.key).toLowerCase() === 'content-type');
+    const language = body.options && body.options.raw && body.options.raw.language;
+    const mediaType = contentType ? String(contentType.value).split(';')[0].trim()
+        : language === 'json' ? 'application/json'
+            : language === 'xml' ? 'application/xml'
+                : 'text/plain';
+    return { text: body.raw, mediaType };
+}
+
+/**
+ * Form fields of a urlencoded or multipart body
+ */
+function formFields(request, mode) {
+    const body = request.body;
+    return isObject(body) && body.mode === mode && Array.isArray(body[mode]) ? body[mode] : [];
+}
+
+// ─── Bruno ────────────────────────────────────────────────────────────────────
+
+/**
+ * A Bruno dictionary block; disabled entries are prefixed with "~"
+ */
+function bruDictionary(name, entries) {
+    const lines = entries
+        .filter(entry => entry.key !== undefined && entry.key !== '')
+        .map(entry => `  ${entry.disabled ? '~' : ''}${entry.key}: ${String(entry.value === undefined || entry.value === null ? '' : entry.value).replace(/\r?\n/g, ' ')}`);
+    return lines.length > 0 ? [`${name} {`, ...lines, '}'] : [];
+}
+
+/**
+ * A Bruno text block, indented by two spaces
+ */
+function bruText(name, text) {
+    return [`${name} {`, ...text.split('\n').map(line => (line === '' ? '' : `  ${line}`)), '}'];
+}
+
+/**
+ * Bruno auth mode and block for a Postman auth
+ */
+function bruAuth(auth) {
+    if (!auth) return { mode: 'none', block: [] };
+    const params = authParams(auth);
+
+    switch (auth.type) {
+        case 'basic':
+        case 'digest':
+            return {
+                mode: auth.type,
+                block: bruDictionary(`auth:${auth.type}`, [{ key: 'username', value: params.username }, { key: 'password', value: params.password }])
+            };
+        case 'bearer':
+            return { mode: 'bearer', block: bruDictionary('auth:bearer', [{ key: 'token', value: params.token }]) };
+        case 'apikey':
+            return {
+                mode: 'apikey',
+                block: bruDictionary('auth:apikey', [
+                    { key: 'key', value: params.key },
+                    { key: 'value', value: params.value },
+                    { key: 'placement', value: params.in === 'query' ? 'queryparams' : 'header' }
+                ])
+            };
+        case 'oauth2': {
+            const grantType = params.grant_type === 'authorization_code_with_pkce' ? 'authorization_code' : (params.grant_type || 'client_credentials');
+            const entries = [
+                { key: 'grant_type', value: grantType },
+                grantType === 'authorization_code' ? { key: 'authorization_url', value: params.authUrl } : null,
+                { key: 'access_token_url', value: params.accessTokenUrl },
+                { key: 'client_id', value: params.clientId },
+                { key: 'client_secret', value: params.clientSecret },
+                grantType === 'password' ? { key: 'username', value: params.username } : null,
+                grantType === 'password' ? { key: 'password', value: params.password } : null,
+                { key: 'scope', value: params.scope },
+                grantType === 'authorization_code' ? { key: 'pkce', value: params.grant_type === 'authorization_code_with_pkce' } : null
+            ].filter(Boolean);
+            return { mode: 'oauth2', block: bruDictionary('auth:oauth2', entries) };
+        }
+        default:
+            return { mode: 'none', block: [] };
+    }
+}
+
+/**
+ * Render one request as a .bru file
+ */
+function bruRequest(item, auth, seq) {
+    const request = item.request;
+    const method = String(request.method || 'GET').toLowerCase();
+    const url = isObject(request.url) ? request.url : {};
+    const raw = rawBody(request);
+    const { mode: authMode, block: authBlock } = bruAuth(auth);
+
+    let bodyMode = 'none';
+    let bodyBlock = [];
+    if (raw) {
+        bodyMode = /json/i.test(raw.mediaType) ? 'json' : /xml/i.test(raw.mediaType) ? 'xml' : 'text';
+        bodyBlock = bruText(`body:${bodyMode}`, raw.text);
+    } else if (formFields(request, 'urlencoded').length > 0) {
+        bodyMode = 'formUrlEncoded';
+        bodyBlock = bruDictionary('body:form-urlencoded', formFields(request, 'urlencoded'));
+    } else if (formFields(request, 'formdata').length > 0) {
+        bodyMode = 'multipartForm';
+        bodyBlock = bruDictionary('body:multipart-form', formFields(request, 'formdata').map(field => ({
+            ...field,
+            value: field.type === 'file' ? `@file(${[].concat(field.src || '').join('|')})` : field.value
+        })));
+    }
+
+    const docs = descriptionText(request.description);
+    const blocks = [
+        ['meta {', `  name: ${item.name}`, '  type: http', `  seq: ${seq}`, '}'],
+        [`${method} {`, `  url: ${buildUrl(request.url, { pathVariable: name => `:${name}` })}`, `  body: ${bodyMode}`, `  auth: ${authMode}`, '}'],
+        bruDictionary('params:query', url.query || []),
+        bruDictionary('params:path', url.variable || []),
+        bruDictionary('headers', request.header || []),
+        authBlock,
+        bodyBlock,
+        docs ? bruText('docs', docs) : []
+    ];
+    return `${blocks.filter(block => block.length > 0).map(block => block.join('\n')).join('\n\n')}\n`;
+}
+
+/**
+ * Build a Bruno collection directory
+ *
+ * @param {object} collection - Postman collection
+ * @returns {Array<{ path: string, content: string }>} Files, relative to the collection directory
+ */
+function buildBruno(collection) {
+    const name = (collection.info && collection.info.name) || 'Collection';
+    const files = [
+        {
+            path: 'bruno.json',
+            content: `${JSON.stringify({ version: '1', name, type: 'collection', ignore: ['node_modules', '.git'] }, null, 2)}\n`
+        }
+    ];
+
+    const collectionBlocks = [
+        bruDictionary('vars:pre-request', (collection.variable || []).filter(variable => !variable.disabled)),
+        descriptionText(collection.info && collection.info.description) ? bruText('docs', descriptionText(collection.info.description)) : []
+    ].filter(block => block.length > 0);
+    if (collectionBlocks.length > 0) {
+        files.push({ path: 'collection.bru', content: `${collectionBlocks.map(block => block.join('\n')).join('\n\n')}\n` });
+    }
+
+    // Directory of every folder, and the names used in each directory
+    const directories = new Map([[collection, '']]);
+    const usedNames = new Map();
+    const namesIn = (directory) => {
+        if (!usedNames.has(directory)) usedNames.set(directory, new Set(['bruno.json', 'collection.bru', 'folder.bru']));
+        return usedNames.get(directory);
+    };
+
+    walkItems(collection.item, {
+        onFolder: (folder, parents, index) => {
+            const parentDirectory = directories.get(parents.length > 0 ? parents[parents.length - 1] : collection);
+            const directory = path.posix.join(parentDirectory, uniqueFileName(folder.name, namesIn(parentDirectory)));
+            directories.set(folder, directory);
+            files.push({ path: path.posix.join(directory, 'folder.bru'), content: `meta {\n  name: ${folder.name}\n  seq: ${index + 1}\n}\n` });
+        },
+        onRequest: (item, parents, index) => {
+            const directory = directories.get(parents.length > 0 ? parents[parents.length - 1] : collection);
+            files.push({
+                path: path.posix.join(directory, uniqueFileName(item.name, namesIn(directory), '.bru')),
+                content: bruRequest(item, effectiveAuth(item, parents, collection), index + 1)
+            });
+        }
+    });
+
+    return files;
+}
+
+// ─── Insomnia ─────────────────────────────────────────────────────────────────
+
+/**
+ * Postman {{variable}} references in Insomnia's template syntax
+ */
+function insomniaTemplate(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/g, (match, name) => (/^[A-Za-z_]\w*$/.test(name) ? `{{ _.${name} }}` : `{{ _['${name}'] }}`));
+}
+
+/**
+ * Insomnia authentication for a Postman auth
+ */
+function insomniaAuth(auth) {
+    if (!auth) return {};
+    const params = authParams(auth);
+    const t = insomniaTemplate;
+
+    switch (auth.type) {
+        case 'basic':
+        case 'digest':
+            return { type: auth.type, username: t(params.username), password: t(params.password) };
+        case 'bearer':
+            return { type: 'bearer', token: t(params.token) };
+        case 'apikey':
+            return { type: 'apikey', key: params.key, value: t(params.value), addTo: params.in === 'query' ? 'queryParams' : 'header' };
+        case 'oauth2': {
+            const pkce = params.grant_type === 'authorization_code_with_pkce';
+            const result = {
+                type: 'oauth2',
+                grantType: pkce ? 'authorization_code' : (params.grant_type || 'client_credentials'),
+                accessTokenUrl: t(params.accessTokenUrl),
+                clientId: t(params.clientId),
+                clientSecret: t(params.clientSecret),
+                scope: params.scope || ''
+            };
+            if (params.authUrl) result.authorizationUrl = t(params.authUrl);
+            if (params.username) result.username = t(params.username);
+            if (params.password) result.password = t(params.password);
+            if (pkce) result.usePkce = true;
+            return result;
+        }
+        default:
+            return {};
+    }
+}
+
+/**
+ * Insomnia body for a Postman request
+ */
+function insomniaBody(request) {
+    const raw = rawBody(request);
+    if (raw) return { mimeType: raw.mediaType, text: insomniaTemplate(raw.text) };
+
+    const field = (entry) => ({
+        name: entry.key,
+        value: entry.type === 'file' ? '' : insomniaTemplate(entry.value),
+        ...(entry.type === 'file' ? { type: 'file', fileName: [].concat(entry.src || '')[0] || '' } : {}),
+        ...(entry.disabled ? { disabled: true } : {})
+    });
+    if (formFields(request, 'urlencoded').length > 0) {
+        return { mimeType: 'application/x-www-form-urlencoded', params: formFields(request, 'urlencoded').map(field) };
+    }
+    if (formFields(request, 'formdata').length > 0) {
+        return { mimeType: 'multipart/form-data', params: formFields(request, 'formdata').map(field) };
+    }
+    return {};
+}
+
+/**
+ * Build an Insomnia v4 export
+ *
+ * @param {object} collection - Postman collection
+ * @returns {Array<{ path: string, content: string }>} The export file
+ */
+function buildInsomnia(collection) {
+    const name = (collection.info && collection.info.name) || 'Collection';
+    const id = (prefix, ...parts) => `${prefix}_${stableUuid('insomnia', prefix, name, ...parts).replace(/-/g, '')}`;
+    const workspaceId = id('wrk');
+
+    const resources = [
+        {
+            _id: workspaceId,
+            _type: 'workspace',
+            parentId: null,
+            name,
+            description: descriptionText(collection.info && collection.info.description),
+            scope: 'collection'
+        },
+        {
+            _id: id('env'),
+            _type: 'environment',
+            parentId: workspaceId,
+            name: 'Base Environment',
+            data: Object.fromEntries((collection.variable || [])
+                .filter(variable => !variable.disabled && variable.key)
+                .map(variable => [variable.key, insomniaTemplate(variable.value)]))
+        }
+    ];
+
+    const ids = new Map([[collection, workspaceId]]);
+    const parentId = (parents) => ids.get(parents.length > 0 ? parents[parents.length - 1] : collection);
+    const folderPath = (parents) => parents.map(parent => parent.name);
+
+    walkItems(collection.item, {
+        onFolder: (folder, parents, index) => {
+            const folderId = id('fld', ...folderPath(parents), folder.name, index);
+            ids.set(folder, folderId);
+            resources.push({
+                _id: folderId,
+                _type: 'request_group',
+                parentId: parentId(parents),
+                name: folder.name,
+                description: descriptionText(folder.description),
+                environment: {},
+                metaSortKey: index
+            });
+        },
+        onRequest: (item, parents, index) => {
+            const request = item.request;
+            resources.push({
+                _id: id('req', ...folderPath(parents), item.name, index),
+                _type: 'request',
+                parentId: parentId(parents),
+                name: item.name,
+                description: descriptionText(request.description),
+                method: String(request.method || 'GET').toUpperCase(),
+                url: insomniaTemplate(buildUrl(request.url, { includeQuery: false })),
+                parameters: ((isObject(request.url) && request.url.query) || []).map(param => ({
+                    name: param.key,
+                    value: insomniaTemplate(param.value),
+                    ...(param.disabled ? { disabled: true } : {})
+                })),
+                headers: (request.header || []).map(header => ({
+                    name: header.key,
+                    value: insomniaTemplate(header.value),
+                    ...(header.disabled ? { disabled: true } : {})
+                })),
+                body: insomniaBody(request),
+                authentication: insomniaAuth(effectiveAuth(item, parents, collection)),
+                metaSortKey: index
+            });
+        }
+    });
+
+    const document = { _type: 'export', __export_format: 4, __export_source: 'openapi-postman-sync', resources };
+    return [{ path: '', content: `${JSON.stringify(document, null, 2)}\n` }];
+}
+
+// ─── .http (VS Code REST Client) ──────────────────────────────────────────────
+
+/**
+ * Header lines and extra query parameters for a Postman auth
+ */
+function httpAuth(auth) {
+    if (!auth) return { headers: [], query: [] };
+    const params = authParams(auth);
+
+    switch (auth.type) {
+        case 'basic':
+            return { headers: [`Authorization: Basic ${params.username} ${params.password}`], query: [] };
+        case 'digest':
+            return { headers: [`Authorization: Digest ${params.username} ${params.password}`], query: [] };
+        case 'bearer':
+            return { headers: [`Authorization: Bearer ${params.token}`], query: [] };
+        case 'oauth2':
+            return { headers: params.accessToken ? [`Authorization: Bearer ${params.accessToken}`] : [], query: [] };
+        case 'apikey':
+            return params.in === 'query'
+                ? { headers: [], query: [`${params.key}=${params.value}`] }
+                : { headers: [`${params.key}: ${params.value}`], query: [] };
+        default:
+            return { headers: [], query: [] };
+    }
+}
+
+/**
+ * Render one request in .http syntax
+ */
+function httpRequest(item, auth) {
+    const request = item.request;
+    const { headers: authHeaders, query: authQuery } = httpAuth(auth);
+    let url = buildUrl(request.url);
+    if (authQuery.length > 0) url += `${url.includes('?') ? '&' : '?'}${authQuery.join('&')}`;
+
+    const headers = (request.header || [])
+        .filter(header => !header.disabled && header.key)
+        .map(header => `${header.key}: ${header.value === undefined ? '' : header.value}`);
+    const lines = [`### ${item.name}`, `${String(request.method || 'GET').toUpperCase()} ${url}`];
+
+    const raw = rawBody(request);
+    const urlencoded = formFields(request, 'urlencoded').filter(field => !field.disabled);
+    const formdata = formFields(request, 'formdata').filter(field => !field.disabled);
+    let body = null;
+
+    if (raw) {
+        body = raw.text;
+    } else if (urlencoded.length > 0) {
+        if (!headers.some(header => /^content-type:/i.test(header))) headers.push('Content-Type: application/x-www-form-urlencoded');
+        body = urlencoded.map(field => `${field.key}=${field.value === undefined ? '' : field.value}`).join('\n&');
+    } else if (formdata.length > 0) {
+        const boundary = '----OpenApiPostmanSyncBoundary';
+        const index = headers.findIndex(header => /^content-type:/i.test(header));
+        if (index !== -1) headers.splice(index, 1);
+        headers.push(`Content-Type: multipart/form-data; boundary=${boundary}`);
+        body = [
+            ...formdata.flatMap(field => (field.type === 'file'
+                ? [`--${boundary}`, `Content-Disposition: form-data; name="${field.key}"; filename="${path.basename([].concat(field.src || 'file')[0])}"`, '', `< ${[].concat(field.src || '')[0] || ''}`]
+                : [`--${boundary}`, `Content-Disposition: form-data; name="${field.key}"`, '', field.value === undefined ? '' : String(field.value)])),
+            `--${boundary}--`
+        ].join('\n');
+    }
+
+    lines.push(...headers, ...authHeaders);
+    if (body !== null) lines.push('', body);
+    return lines.join('\n');
+}
+
+/**
+ * Build .http files, one per folder; requests outside folders go in a file named after the collection
+ *
+ * @param {object} collection - Postman collection
+ * @returns {Array<{ path: string, content: string }>} Files, relative to the output directory
+ */
+function buildHttp(collection) {
+    const name = (collection.info && collection.info.name) || 'Collection';
+    const variables = (collection.variable || [])
+        .filter(variable => !variable.disabled && variable.key && !/\r?\n/.test(String(variable.value === undefined ? '' : variable.value)))
+        .map(variable => `@${variable.key} = ${variable.value === undefined ? '' : variable.value}`);
+
+    const groups = new Map();
+    const group = (key, label) => {
+        if (!groups.has(key)) groups.set(key, { label, requests: [] });
+        return groups.get(key);
+    };
+
+    walkItems(collection.item, {
+        onRequest: (item, parents) => {
+            const folder = parents.length > 0 ? parents[parents.length - 1] : collection;
+            const label = parents.length > 0 ? parents.map(parent => parent.name).join(' - ') : name;
+            group(folder, label).requests.push(httpRequest(item, effectiveAuth(item, parents, collection)));
+        }
+    });
+
+    const usedNames = new Set();
+    return [...groups.values()].map(({ label, requests }) => ({
+        path: uniqueFileName(label, usedNames, '.http'),
+        content: `${[variables.join('\n'), ...requests].filter(Boolean).join('\n\n')}\n`
+    }));
+}
+
+// ─── Writing ──────────────────────────────────────────────────────────────────
+
+const EXPORTERS = {
+    bruno: { build: buildBruno, directory: true },
+    insomnia: { build: buildInsomnia, directory: false },
+    http: { build: buildHttp, directory: true }
+};
+
+/**
+ * Check an output format name
+ */
+function validateOutputFormat(format) {
+    if (!OUTPUT_FORMATS.includes(format)) {
+        throw new Error(`Invalid output format "${format}": expected one of ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    return format;
+}
+
+/**
+ * Default output path of a format: a file or, for bruno and http, a directory
+ */
+function defaultOutputPath(format) {
+    return DEFAULT_OUTPUTS[validateOutputFormat(format)];
+}
+
+/**
+ * Write a collection in another client's format
+ *
+ * @param {object} collection - Postman collection
+ * @param {string} format - "bruno", "insomnia" or "http"
+ * @param {string} outputPath - Directory (bruno, http) or file (insomnia) to write
+ * @returns {string[]} Paths of the written files
+ */
+function exportCollection(collection, format, outputPath) {
+    validateOutputFormat(format);
+    const exporter = EXPORTERS[format];
+    if (!exporter) {
+        throw new Error(`Format "${format}" is written by the Postman writer, not an exporter`);
+    }
+
+    return exporter.build(collection).map(file => {
+        const filePath = exporter.directory ? path.join(outputPath, file.path) : outputPath;
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, file.content, 'utf8');
+        return filePath;
+    });
+}
+
+module.exports = {
+    exportCollection,
+    validateOutputFormat,
+    defaultOutputPath,
+    buildBruno,
+    buildInsomnia,
+    buildHttp,
+    buildUrl,
+    effectiveAuth,
+    OUTPUT_FORMATS
+};
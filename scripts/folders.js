@@ -0,0 +1,352 @@
+/**
+ * Folder strategies and ordering
+ *
+ * Reshapes the folders of a converted collection beyond the converter's own
+ * "tags" and "paths" strategies:
+ * - tag-groups: tag folders nested in the x-tagGroups groups they belong to
+ * - path-prefix: one folder per path prefix of a chosen depth ("/v1/pets")
+ * - a folder map that moves operations into named folders by glob and renames
+ *   folders
+ * - tag folders described by the tag's description and externalDocs
+ * - folders and requests sorted by spec order, name, HTTP method or an
+ *   explicit order list
+ *
+ * A folder map (JSON or YAML) looks like:
+ *
+ *   rename: { pets: "Pet Store" }
+ *   assign: { Admin: ["/admin/**", "DELETE /pets/*"] }
+ *   order: ["Pet Store", "Users", "createPet", "GET /pets"]
+ */
+
+const _ = require('lodash');
+const { isObject, matchesGlob, readSpecFile, log } = require('./utils');
+const { listOperations, indexOperations, operationKey, requestKey, forEachRequest } = require('./operations');
+const { wrapGeneratedDocs } = require('./request-docs');
+
+const FOLDER_STRATEGIES = ['tags', 'paths', 'tag-groups', 'path-prefix'];
+
+// What the converter is asked for before the folders are reshaped
+const CONVERTER_STRATEGIES = { tags: 'tags', paths: 'paths', 'tag-groups': 'tags', 'path-prefix': 'paths' };
+
+const FOLDER_SORTS = ['spec', 'alpha'];
+const REQUEST_SORTS = ['spec', 'alpha', 'method'];
+
+const METHOD_ORDER = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS', 'TRACE'];
+
+const FOLDER_MAP_KEYS = new Set(['rename', 'assign', 'order']);
+
+/**
+ * Check a folder strategy name
+ */
+function validateFolderStrategy(strategy) {
+    if (!FOLDER_STRATEGIES.includes(strategy)) {
+        throw new Error(`Invalid folder strategy "${strategy}": expected one of ${FOLDER_STRATEGIES.join(', ')}`);
+    }
+    return strategy;
+}
+
+/**
+ * Converter folderStrategy option for one of our strategies
+ */
+function converterFolderStrategy(strategy) {
+    return CONVERTER_STRATEGIES[validateFolderStrategy(strategy)];
+}
+
+/**
+ * Check a folder map document
+ */
+function validateFolderMap(folderMap, source = 'folder map') {
+    if (!isObject(folderMap)) {
+        throw new Error(`Invalid ${source}: expected an object`);
+    }
+    for (const key of Object.keys(folderMap)) {
+        if (!FOLDER_MAP_KEYS.has(key)) {
+            throw new Error(`Invalid ${source}: unknown key "${key}" (expected rename, assign or order)`);
+        }
+    }
+    if (folderMap.rename !== undefined &&
+        (!isObject(folderMap.rename) || !Object.values(folderMap.rename).every(value => typeof value === 'string'))) {
+        throw new Error(`Invalid ${source}: "rename" must map folder names to new names`);
+    }
+    if (folderMap.assign !== undefined &&
+        (!isObject(folderMap.assign) || !Object.values(folderMap.assign).every(globs => Array.isArray(globs) && globs.every(glob => typeof glob === 'string')))) {
+        throw new Error(`Invalid ${source}: "assign" must map folder names to lists of path globs`);
+    }
+    if (folderMap.order !== undefined &&
+        (!Array.isArray(folderMap.order) || !folderMap.order.every(entry => typeof entry === 'string'))) {
+        throw new Error(`Invalid ${source}: "order" must be a list of names`);
+    }
+    return folderMap;
+}
+
+/**
+ * Read and validate a folder map file (JSON or YAML)
+ */
+function loadFolderMap(filePath) {
+    return validateFolderMap(readSpecFile(filePath), `folder map ${filePath}`);
+}
+
+/**
+ * Build a folder item
+ */
+function folder(name, items, description) {
+    const result = { name, item: items };
+    if (description) result.description = description;
+    return result;
+}
+
+/**
+ * Nest top-level tag folders into their x-tagGroups groups
+ */
+function groupTagFolders(items, spec, logger) {
+    const groups = Array.isArray(spec['x-tagGroups']) ? spec['x-tagGroups'].filter(group => isObject(group) && group.name) : [];
+    if (groups.length === 0) {
+        logger.warn('The spec has no x-tagGroups — keeping one folder per tag');
+        return items;
+    }
+
+    const tagFolders = new Map(items.filter(item => item.item).map(item => [item.name, item]));
+    const grouped = new Set();
+    const result = [];
+
+    for (const group of groups) {
+        const members = (group.tags || []).filter(tag => tagFolders.has(tag));
+        if (members.length === 0) continue;
+        // A tag listed in several groups appears in each of them
+        result.push(folder(group.name, members.map(tag => (grouped.has(tag) ? _.cloneDeep(tagFolders.get(tag)) : tagFolders.get(tag)))));
+        members.forEach(tag => grouped.add(tag));
+    }
+
+    return [...result, ...items.filter(item => !(item.item && grouped.has(item.name)))];
+}
+
+/**
+ * Group every request into one folder per path prefix of the given depth
+ */
+function groupByPathPrefix(items, depth) {
+    const folders = new Map();
+    forEachRequest(items, (item) => {
+        const url = item.request.url;
+        const path = isObject(url) && Array.isArray(url.path)
+            ? url.path
+            : String(typeof url === 'string' ? url : '').replace(/^\{\{[^}]+\}\}|^[a-z]+:\/\/[^/]+/i, '').split(/[?#]/)[0].split('/');
+        const segments = path.filter(segment => segment !== '').map(segment => segment.replace(/^:(.+)$/, '{$1}'));
+        const prefix = `/${segments.slice(0, depth).join('/')}`;
+        if (!folders.has(prefix)) folders.set(prefix, []);
+        folders.get(prefix).push(item);
+    });
+    return [...folders].map(([name, requests]) => folder(name, requests));
+}
+
+/**
+ * Check whether a request matches one of the folder map's globs.
+ * A glob may start with an HTTP method ("DELETE /pets/*").
+ */
+function matchesAssignment(item, entry, globs) {
+    const method = String(item.request.method || 'GET').toUpperCase();
+    const specPath = entry ? entry.pathKey : requestKey(item.request).replace(/^\S+ /, '');
+
+    return globs.some(glob => {
+        const match = /^([A-Za-z]+)\s+(\/.*)$/.exec(glob);
+        if (match) return match[1].toUpperCase() === method && matchesGlob(specPath, [match[2]]);
+        return matchesGlob(specPath, [glob]);
+    });
+}
+
+/**
+ * Move requests assigned by the folder map into their folders; emptied folders are removed
+ */
+function assignRequests(items, assign, operations) {
+    const targets = Object.entries(assign);
+    const moved = new Map(targets.map(([name]) => [name, []]));
+
+    // Requests already somewhere in their target folder stay where they are
+    const take = (list, topFolder) => list.filter(item => {
+        if (item.item) {
+            item.item = take(item.item, topFolder || item.name);
+            return item.item.length > 0;
+        }
+        if (!isObject(item.request)) return true;
+        const entry = operations.get(requestKey(item.request));
+        const target = targets.find(([, globs]) => matchesAssignment(item, entry, globs));
+        if (!target || target[0] === topFolder) return true;
+        moved.get(target[0]).push(item);
+        return false;
+    });
+
+    const remaining = take(items, null);
+    for (const [name, requests] of moved) {
+        if (requests.length === 0) continue;
+        const existing = remaining.find(item => item.item && item.name === name);
+        if (existing) {
+            existing.item.push(...requests);
+        } else {
+            remaining.push(folder(name, requests));
+        }
+    }
+    return remaining;
+}
+
+/**
+ * Folder description from a tag's description and externalDocs, as a
+ * generated docs block so merges keep notes written around it
+ */
+function tagDescription(tag) {
+    const parts = [];
+    if (typeof tag.description === 'string' && tag.description.trim() !== '') parts.push(tag.description.trim());
+    if (isObject(tag.externalDocs) && tag.externalDocs.url) {
+        parts.push(`[${tag.externalDocs.description || tag.externalDocs.url}](${tag.externalDocs.url})`);
+    }
+    return parts.length > 0 ? { content: wrapGeneratedDocs(parts.join('\n\n')), type: 'text/markdown' } : null;
+}
+
+/**
+ * Reshape the folders of a converted collection
+ *
+ * @param {object} collection - Postman collection (modified in place)
+ * @param {object} spec - The bundled OpenAPI document
+ * @param {object} options
+ * @param {string} [options.strategy='tags'] - One of FOLDER_STRATEGIES
+ * @param {number} [options.depth=1] - Path segments per folder for "path-prefix"
+ * @param {object} [options.folderMap] - rename/assign/order, see loadFolderMap
+ * @param {object} [options.logger=log]
+ * @returns {object} The collection
+ */
+function organizeFolders(collection, spec, { strategy = 'tags', depth = 1, folderMap = {}, logger = log } = {}) {
+    validateFolderStrategy(strategy);
+    let items = collection.item || [];
+
+    if (strategy === 'tag-groups') items = groupTagFolders(items, spec, logger);
+    if (strategy === 'path-prefix') {
+        if (!Number.isInteger(depth) || depth < 1) {
+            throw new Error(`Invalid folder depth "${depth}": expected a positive integer`);
+        }
+        items = groupByPathPrefix(items, depth);
+    }
+
+    if (folderMap.assign) items = assignRequests(items, folderMap.assign, indexOperations(spec));
+
+    // Tag folders take their description from the tag
+    if (strategy === 'tags' || strategy === 'tag-groups') {
+        const tags = new Map((spec.tags || []).filter(tag => isObject(tag) && tag.name).map(tag => [tag.name, tag]));
+        const describe = (list) => list.filter(item => item.item).forEach(item => {
+            const description = tags.has(item.name) && tagDescription(tags.get(item.name));
+            if (description) item.description = description;
+            describe(item.item);
+        });
+        describe(items);
+    }
+
+    if (folderMap.rename) {
+        const rename = (list) => list.filter(item => item.item).forEach(item => {
+            if (Object.prototype.hasOwnProperty.call(folderMap.rename, item.name)) item.name = folderMap.rename[item.name];
+            rename(item.item);
+        });
+        rename(items);
+    }
+
+    collection.item = items;
+    return collection;
+}
+
+/**
+ * Sort folders and requests at every level of a collection. Folders and
+ * requests keep the positions they occupy; names in the explicit order list
+ * come first, in list order, and the rest follow the sort mode.
+ *
+ * @param {object} collection - Postman collection (modified in place)
+ * @param {object} spec - The bundled OpenAPI document
+ * @param {object} options
+ * @param {string} [options.folders] - "spec" (tag and x-tagGroups order) or "alpha"
+ * @param {string} [options.requests] - "spec" (path order), "alpha" or "method"
+ * @param {string[]} [options.order] - Folder names, request names, operationIds or "METHOD /path" entries
+ * @returns {object} The collection
+ */
+function sortCollection(collection, spec, { folders, requests, order = [] } = {}) {
+    if (folders && !FOLDER_SORTS.includes(folders)) {
+        throw new Error(`Invalid folder sort "${folders}": expected one of ${FOLDER_SORTS.join(', ')}`);
+    }
+    if (requests && !REQUEST_SORTS.includes(requests)) {
+        throw new Error(`Invalid request sort "${requests}": expected one of ${REQUEST_SORTS.join(', ')}`);
+    }
+    if (!folders && !requests && order.length === 0) return collection;
+
+    const operations = indexOperations(spec);
+    const specOrder = new Map(listOperations(spec).map((entry, index) => [operationKey(entry.method, entry.pathKey), index]));
+    const tagOrder = [
+        ...(Array.isArray(spec['x-tagGroups']) ? spec['x-tagGroups'].map(group => isObject(group) && group.name) : []),
+        ...(spec.tags || []).map(tag => isObject(tag) && tag.name)
+    ].filter(Boolean);
+
+    const explicitRank = (item) => {
+        const names = [item.name];
+        if (!item.item && isObject(item.request)) {
+            const key = requestKey(item.request);
+            const entry = operations.get(key);
+            names.push(key);
+            if (entry) names.push(`${entry.method.toUpperCase()} ${entry.pathKey}`, entry.operation.operationId);
+        }
+        const ranks = names.map(name => order.indexOf(name)).filter(rank => rank !== -1);
+        return ranks.length > 0 ? Math.min(...ranks) : Infinity;
+    };
+
+    const folderKey = (item) => {
+        if (folders === 'spec') {
+            const index = tagOrder.indexOf(item.name);
+            return [index === -1 ? Infinity : index];
+        }
+        if (folders === 'alpha') return [String(item.name).toLowerCase()];
+        return [];
+    };
+
+    const requestSortKey = (item) => {
+        const key = requestKey(item.request);
+        if (requests === 'spec') return [specOrder.has(key) ? specOrder.get(key) : Infinity];
+        if (requests === 'alpha') return [String(item.name).toLowerCase()];
+        if (requests === 'method') {
+            const method = String(item.request.method || 'GET').toUpperCase();
+            const index = METHOD_ORDER.indexOf(method);
+            return [index === -1 ? METHOD_ORDER.length : index, key.replace(/^\S+ /, '')];
+        }
+        return [];
+    };
+
+    const compare = (a, b) => {
+        if (a.rank !== b.rank) return a.rank - b.rank;
+        for (let i = 0; i < a.key.length; i++) {
+            if (a.key[i] !== b.key[i]) return a.key[i] < b.key[i] ? -1 : 1;
+        }
+        return a.index - b.index;
+    };
+
+    const sortLevel = (items) => {
+        const entries = items.map((item, index) => {
+            if (item.item) item.item = sortLevel(item.item);
+            const isFolder = Boolean(item.item);
+            return {
+                item,
+                index,
+                isFolder,
+                rank: explicitRank(item),
+                key: isFolder ? folderKey(item) : (isObject(item.request) ? requestSortKey(item) : [])
+            };
+        });
+        const sortedFolders = entries.filter(entry => entry.isFolder).sort(compare);
+        const sortedRequests = entries.filter(entry => !entry.isFolder).sort(compare);
+        return entries.map(entry => (entry.isFolder ? sortedFolders.shift() : sortedRequests.shift()).item);
+    };
+
+    collection.item = sortLevel(collection.item || []);
+    return collection;
+}
+
+module.exports = {
+    organizeFolders,
+    sortCollection,
+    loadFolderMap,
+    validateFolderMap,
+    converterFolderStrategy,
+    FOLDER_STRATEGIES,
+    FOLDER_SORTS,
+    REQUEST_SORTS
+};
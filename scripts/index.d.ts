@@ -0,0 +1,260 @@
+/**
+ * Type declarations for the openapi-postman-sync Node API (index.js)
+ */
+
+/** A Postman collection (v2.1 format) */
+export interface PostmanCollection {
+    info: { name: string; _postman_id?: string; schema?: string; description?: unknown; [key: string]: unknown };
+    item: PostmanItem[];
+    event?: PostmanEvent[];
+    variable?: Array<{ key: string; value?: unknown; type?: string; [key: string]: unknown }>;
+    auth?: PostmanAuth;
+    [key: string]: unknown;
+}
+
+/** A folder (with item) or a request (with request) */
+export interface PostmanItem {
+    name: string;
+    id?: string;
+    item?: PostmanItem[];
+    request?: Record<string, unknown>;
+    response?: Array<Record<string, unknown>>;
+    event?: PostmanEvent[];
+    auth?: PostmanAuth;
+    description?: string | { content: string; type?: string };
+    [key: string]: unknown;
+}
+
+export interface PostmanEvent {
+    listen: 'prerequest' | 'test';
+    script: { type?: string; exec?: string[] | string; [key: string]: unknown };
+}
+
+export interface PostmanAuth {
+    type: string;
+    [key: string]: unknown;
+}
+
+/** A Postman environment */
+export interface PostmanEnvironment {
+    id: string;
+    name: string;
+    values: Array<{ key: string; value: string; type: string; enabled: boolean }>;
+    [key: string]: unknown;
+}
+
+/** Receives progress messages; the CLI's logger prints them in color */
+export interface Logger {
+    info(message: string): void;
+    warn(message: string): void;
+    success?(message: string): void;
+    error?(message: string): void;
+}
+
+/** An OpenAPI 3.x or Swagger 2.0 document */
+export type OpenApiDocument = Record<string, unknown>;
+
+export interface FetchOptions {
+    /** Headers sent with a URL input, and to no other origin; values may reference ${ENV_VAR} */
+    headers?: Record<string, string>;
+    /** Environment variable holding a bearer token for a URL input, sent to no other origin */
+    bearerTokenEnv?: string;
+    /** Timeout per fetch attempt in milliseconds (default 30000) */
+    timeout?: number;
+    /** Retries for failed fetches, with exponential backoff (default 3) */
+    retries?: number;
+    /** ETag/Last-Modified cache directory, or null for no cache */
+    cacheDir?: string | null;
+}
+
+export interface OperationFilters {
+    includeTags?: string[];
+    excludeTags?: string[];
+    /** Path globs, e.g. "/pets/**" */
+    includePaths?: string[];
+    excludePaths?: string[];
+    includeMethods?: string[];
+    excludeMethods?: string[];
+    includeOperationIds?: string[];
+    excludeOperationIds?: string[];
+    excludeDeprecated?: boolean;
+    /** Vendor extensions that exclude an operation when true, besides x-postman-exclude */
+    excludeExtensions?: string[];
+}
+
+export interface FolderMap {
+    /** Folder name → new name */
+    rename?: Record<string, string>;
+    /** Folder name → path globs ("/admin/**" or "DELETE /pets/*") of the requests to move there */
+    assign?: Record<string, string[]>;
+    /** Folder names, request names, operationIds or "METHOD /path" entries to put first */
+    order?: string[];
+}
+
+export interface ConvertOptions {
+    /** Where an object spec came from, for relative $refs and server URLs */
+    location?: string;
+    /** Options for loading the spec, overlays and external $refs from URLs */
+    fetchOptions?: FetchOptions;
+    /** Collection name (defaults to the spec's title) */
+    name?: string;
+    /** Request name template with "|" fallbacks, e.g. "{operationId}|{method} {path}" */
+    requestName?: string;
+    /** Folder organization (default "tags") */
+    folderStrategy?: 'tags' | 'paths' | 'tag-groups' | 'path-prefix';
+    /** Path segments per folder for "path-prefix" (default 1) */
+    folderDepth?: number;
+    folderMap?: FolderMap;
+    sortFolders?: 'spec' | 'alpha';
+    sortRequests?: 'spec' | 'alpha' | 'method';
+    filters?: OperationFilters;
+    /** OpenAPI Overlay documents, or file paths or URLs to load them from, applied in order */
+    overlays?: Array<Record<string, unknown> | string>;
+    /** Stop with a SpecError listing the problems when the spec fails validation (default false) */
+    validate?: boolean;
+    /** Postman auth from the security schemes (default true) */
+    includeAuth?: boolean;
+    /** OAuth2 token pre-request script (default false) */
+    tokenScript?: boolean;
+    /** Markdown request documentation (default false) */
+    requestDocs?: boolean;
+    /** One saved response per documented status code and named example (default false) */
+    responseExamples?: boolean;
+    /** Contract test scripts (default false) */
+    contractTests?: boolean;
+    /** Request chaining, and the CRUD run order when something was chained (default false) */
+    chainRequests?: boolean;
+    /** Base URL variables; name defaults to "baseUrl" */
+    baseUrls?: Array<{ name?: string; url: string }>;
+    /** Send requests whose path matches the glob to a named base URL */
+    baseUrlRoutes?: Array<{ glob: string; name: string }>;
+    /** Extra collection variables */
+    variables?: Record<string, string>;
+    /** Value overrides for the sanitizer, like the --values-map file */
+    valuesMap?: Record<string, unknown>;
+    /** Keep the converter's random example values (default false) */
+    skipSanitize?: boolean;
+    /** Same spec, same collection: stable ids, key order and example values (default false) */
+    deterministic?: boolean;
+    /** Build one environment per servers[] entry (default false) */
+    environments?: boolean;
+    /** Where progress messages go (default: nowhere) */
+    logger?: Logger;
+}
+
+export interface ConvertResult {
+    collection: PostmanCollection;
+    /** One per server when options.environments is set, otherwise empty */
+    environments: Array<{ fileName: string; environment: PostmanEnvironment }>;
+    /** The spec as converted: bundled, patched by overlays and filtered */
+    spec: OpenApiDocument;
+}
+
+export interface MergeOptions {
+    /** Keep the existing collection-level test script (default true) */
+    preserveTests?: boolean;
+    /** Keep the existing collection-level pre-request script (default true) */
+    preservePrerequest?: boolean;
+    /** Keep collection variables the new collection lacks (default true) */
+    preserveVariables?: boolean;
+    /** Where messages about preserved scripts go (default: nowhere) */
+    logger?: Logger;
+}
+
+export interface MergeDiff {
+    /** Request paths ("Folder/Request") only in the merged collection */
+    added: string[];
+    /** Request paths only in the existing collection */
+    removed: string[];
+    /** Request paths in both */
+    preserved: string[];
+}
+
+export interface MergeResult {
+    collection: PostmanCollection;
+    diff: MergeDiff;
+}
+
+export interface ValidationProblem {
+    /** JSON pointer to the problem */
+    pointer: string;
+    message: string;
+    rule: string;
+}
+
+export interface ValidationResult {
+    valid: boolean;
+    version: string | null;
+    problems: ValidationProblem[];
+}
+
+export type OutputFormat = 'postman' | 'bruno' | 'insomnia' | 'http';
+
+/**
+ * Convert an OpenAPI spec into a Postman collection
+ *
+ * @param input OpenAPI document, or a file path or URL to load it from
+ * @throws {OptionsError | SpecError | ConversionError}
+ */
+export function convertSpec(input: OpenApiDocument | string, options?: ConvertOptions): Promise<ConvertResult>;
+
+/**
+ * Merge a newly generated collection into an existing one, keeping custom scripts
+ *
+ * @throws {MergeError}
+ */
+export function mergeCollections(newCollection: PostmanCollection, existingCollection: PostmanCollection, options?: MergeOptions): MergeResult;
+
+/**
+ * Replace random example values with realistic ones; returns a sanitized copy
+ *
+ * @throws {OptionsError | ConversionError}
+ */
+export function sanitizeCollection(collection: PostmanCollection, spec: OpenApiDocument, options?: { valuesMap?: Record<string, unknown>; logger?: Logger }): PostmanCollection;
+
+/** Validate a bundled spec against the OpenAPI meta-schemas plus reference and parameter checks */
+export function validateSpec(spec: OpenApiDocument): ValidationResult;
+
+/** Write a collection in another client's format; returns the written paths */
+export function exportCollection(collection: PostmanCollection, format: Exclude<OutputFormat, 'postman'>, outputPath: string): string[];
+
+/** Read a collection from a JSON file or a split directory tree */
+export function readCollection(location: string): PostmanCollection;
+
+/** Write a collection as a JSON file, or as a directory tree when split is set; returns the written paths */
+export function writeCollection(location: string, collection: PostmanCollection, options?: { split?: boolean }): string[];
+
+/** The files of a collection's directory tree, with paths relative to its root */
+export function splitCollection(collection: PostmanCollection): Array<{ path: string; content: string }>;
+
+export class SyncError extends Error {
+    constructor(message: string, details?: { cause?: unknown; code?: string });
+    readonly code: string;
+    readonly cause?: unknown;
+}
+
+/** Invalid options or arguments (code ERR_OPTIONS) */
+export class OptionsError extends SyncError {
+    constructor(message: string, details?: { cause?: unknown });
+    readonly code: 'ERR_OPTIONS';
+}
+
+/** The spec cannot be loaded, bundled, patched or validated (code ERR_SPEC) */
+export class SpecError extends SyncError {
+    constructor(message: string, details?: { cause?: unknown; problems?: ValidationProblem[] });
+    readonly code: 'ERR_SPEC';
+    /** Validation problems and unresolvable $refs, with their JSON pointers */
+    readonly problems: ValidationProblem[];
+}
+
+/** The spec could not be turned into a collection (code ERR_CONVERSION) */
+export class ConversionError extends SyncError {
+    constructor(message: string, details?: { cause?: unknown });
+    readonly code: 'ERR_CONVERSION';
+}
+
+/** The collections could not be merged (code ERR_MERGE) */
+export class MergeError extends SyncError {
+    constructor(message: string, details?: { cause?: unknown });
+    readonly code: 'ERR_MERGE';
+}
@@ -0,0 +1,66 @@
+/**
+ * openapi-postman-sync Node API
+ *
+ * The functions behind the CLIs, for use from Node tooling and tests:
+ *
+ *   const { convertSpec, mergeCollections } = require('openapi-postman-sync');
+ *   const { collection } = await convertSpec('openapi.yaml', { deterministic: true });
+ *   const { collection: merged, diff } = mergeCollections(collection, existing);
+ *
+ * Nothing here parses the command line, exits the process or prints unless
+ * given a logger. Failures are thrown as the typed errors of errors.js.
+ * Types are in index.d.ts.
+ */
+
+const { deepClone, isObject, silentLog } = require('./utils');
+const { convertSpec } = require('./convert-spec');
+const { mergeCollections } = require('./collection-merge');
+const { sanitizeCollection: sanitizeValues } = require('./value-sanitizer');
+const { validateSpec } = require('./spec-validator');
+const { exportCollection } = require('./exporters');
+const { readCollection, writeCollection, splitCollection } = require('./collection-tree');
+const {
+    SyncError,
+    OptionsError,
+    SpecError,
+    ConversionError,
+    MergeError,
+    rethrowAsSync
+} = require('./errors');
+
+/**
+ * Replace the converter's random example values with realistic ones
+ *
+ * @param {object} collection - Postman collection (not modified)
+ * @param {object} spec - The bundled OpenAPI document the collection was made from
+ * @param {object} [options]
+ * @param {object} [options.valuesMap] - Value overrides, like the --values-map file
+ * @param {object} [options.logger] - Logger for the sanitization summary (default: silent)
+ * @returns {object} The sanitized copy of the collection
+ * @throws {OptionsError|ConversionError}
+ */
+function sanitizeCollection(collection, spec, { valuesMap = null, logger = silentLog } = {}) {
+    if (!isObject(collection) || !Array.isArray(collection.item)) {
+        throw new OptionsError('Invalid collection: expected an object with an item list');
+    }
+    if (!isObject(spec)) {
+        throw new OptionsError('Invalid spec: expected an OpenAPI document');
+    }
+    return rethrowAsSync(ConversionError, () => sanitizeValues(deepClone(collection), spec, valuesMap, logger));
+}
+
+module.exports = {
+    convertSpec,
+    mergeCollections,
+    sanitizeCollection,
+    validateSpec,
+    exportCollection,
+    readCollection,
+    writeCollection,
+    splitCollection,
+    SyncError,
+    OptionsError,
+    SpecError,
+    ConversionError,
+    MergeError
+};
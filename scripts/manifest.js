@@ -0,0 +1,244 @@
+/**
+ * Multi-service manifest support
+ *
+ * A manifest lists every service whose collection is maintained from an
+ * OpenAPI spec, so one batch run can convert and merge all of them:
+ *
+ * {
+ *   "defaults": { "folderStrategy": "tags", "merge": { "preserveVariables": true } },
+ *   "services": [
+ *     {
+ *       "name": "pets",
+ *       "input": "specs/pets.yaml",
+ *       "output": "collections/pets.postman_collection.json",
+ *       "collectionName": "Pets API",
+ *       "valuesMap": "values/pets.json",
+ *       "baseUrls": { "adoptions": "https://adoptions-gateway.example.com/api" },
+ *       "baseUrlRoutes": { "/adoptions/**": "adoptions" },
+ *       "overlays": ["overlays/pets.overlay.yaml"],
+ *       "filters": { "excludeTags": ["internal"], "excludeDeprecated": true },
+ *       "merge": { "enabled": true, "preserveTests": true }
+ *     }
+ *   ]
+ * }
+ *
+ * Relative paths are resolved against the manifest's directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseSpecContent, isObject } = require('./utils');
+
+const MERGE_DEFAULTS = {
+    enabled: true,
+    preserveTests: true,
+    preservePrerequest: true,
+    preserveVariables: true
+};
+
+const SERVICE_KEYS = new Set([
+    'name', 'input', 'output', 'format', 'split', 'collectionName', 'requestName', 'folderStrategy', 'folderDepth',
+    'folderMap', 'sortFolders', 'sortRequests', 'baseUrl', 'baseUrls', 'baseUrlRoutes',
+    'envFile', 'environmentsDir', 'valuesMap', 'skipSanitize', 'includeAuth', 'tokenScript',
+    'requestDocs', 'responseExamples', 'contractTests', 'chainRequests', 'deterministic', 'headers', 'bearerTokenEnv', 'overlays', 'filters', 'merge'
+]);
+
+// Operation filter keys and the convert.js flags they map to
+const FILTER_FLAGS = {
+    includeTags: '--include-tags',
+    excludeTags: '--exclude-tags',
+    includePaths: '--include-paths',
+    excludePaths: '--exclude-paths',
+    includeMethods: '--include-methods',
+    excludeMethods: '--exclude-methods',
+    includeOperationIds: '--include-operation-ids',
+    excludeOperationIds: '--exclude-operation-ids',
+    excludeExtensions: '--exclude-extension'
+};
+
+/**
+ * Check whether an input is a URL rather than a file path
+ */
+function isUrlInput(input) {
+    return input.startsWith('http://') || input.startsWith('https://');
+}
+
+/**
+ * Read and validate a manifest file (JSON or YAML).
+ * Returns the list of fully resolved service definitions.
+ */
+function loadManifest(manifestPath) {
+    let content;
+    try {
+        content = fs.readFileSync(manifestPath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error(`Manifest not found: ${manifestPath}`);
+        }
+        throw error;
+    }
+
+    const manifest = parseSpecContent(content, { filePath: manifestPath });
+    return resolveServices(manifest, path.dirname(path.resolve(manifestPath)));
+}
+
+/**
+ * Apply manifest defaults to each service, validate it and resolve its paths
+ */
+function resolveServices(manifest, baseDir) {
+    if (!Array.isArray(manifest.services) || manifest.services.length === 0) {
+        throw new Error('Invalid manifest: "services" must be a non-empty array');
+    }
+
+    const defaults = manifest.defaults || {};
+    const seenNames = new Set();
+
+    return manifest.services.map((service, index) => {
+        const label = service && service.name ? `service "${service.name}"` : `services[${index}]`;
+
+        if (!isObject(service)) {
+            throw new Error(`Invalid manifest: ${label} must be an object`);
+        }
+        for (const key of Object.keys(service)) {
+            if (!SERVICE_KEYS.has(key)) {
+                throw new Error(`Invalid manifest: unknown option "${key}" in ${label}`);
+            }
+        }
+        for (const key of ['name', 'input', 'output']) {
+            if (typeof service[key] !== 'string' || service[key] === '') {
+                throw new Error(`Invalid manifest: ${label} is missing "${key}"`);
+            }
+        }
+        if (service.overlays !== undefined &&
+            (!Array.isArray(service.overlays) || !service.overlays.every(entry => typeof entry === 'string'))) {
+            throw new Error(`Invalid manifest: "overlays" in ${label} must be an array of paths`);
+        }
+        for (const key of ['baseUrls', 'baseUrlRoutes']) {
+            if (service[key] !== undefined &&
+                (!isObject(service[key]) || !Object.values(service[key]).every(value => typeof value === 'string'))) {
+                throw new Error(`Invalid manifest: "${key}" in ${label} must map names to strings`);
+            }
+        }
+        if (service.filters !== undefined) {
+            validateFilters(service.filters, label);
+        }
+        if (seenNames.has(service.name)) {
+            throw new Error(`Invalid manifest: duplicate service name "${service.name}"`);
+        }
+        seenNames.add(service.name);
+
+        const resolved = {
+            ...defaults,
+            ...service,
+            headers: { ...(defaults.headers || {}), ...(service.headers || {}) },
+            merge: { ...MERGE_DEFAULTS, ...(defaults.merge || {}), ...(service.merge || {}) }
+        };
+
+        resolved.input = isUrlInput(resolved.input) ? resolved.input : path.resolve(baseDir, resolved.input);
+        resolved.output = path.resolve(baseDir, resolved.output);
+        for (const key of ['envFile', 'environmentsDir', 'valuesMap', 'folderMap']) {
+            if (resolved[key]) resolved[key] = path.resolve(baseDir, resolved[key]);
+        }
+        if (resolved.overlays) {
+            resolved.overlays = resolved.overlays.map(entry => (isUrlInput(entry) ? entry : path.resolve(baseDir, entry)));
+        }
+
+        return resolved;
+    });
+}
+
+/**
+ * Check a service's operation filters
+ */
+function validateFilters(filters, label) {
+    if (!isObject(filters)) {
+        throw new Error(`Invalid manifest: "filters" in ${label} must be an object`);
+    }
+    for (const [key, value] of Object.entries(filters)) {
+        if (key === 'excludeDeprecated') {
+            if (typeof value !== 'boolean') {
+                throw new Error(`Invalid manifest: "filters.excludeDeprecated" in ${label} must be a boolean`);
+            }
+        } else if (!FILTER_FLAGS[key]) {
+            throw new Error(`Invalid manifest: unknown filter "${key}" in ${label}`);
+        } else if (!Array.isArray(value) || !value.every(entry => typeof entry === 'string')) {
+            throw new Error(`Invalid manifest: "filters.${key}" in ${label} must be an array of strings`);
+        }
+    }
+}
+
+/**
+ * Build convert.js arguments for a service
+ */
+function buildConvertArgs(service, outputPath) {
+    const args = ['--input', service.input, '--output', outputPath];
+
+    if (service.format) args.push('--format', service.format);
+    if (service.split) args.push('--split');
+    if (service.collectionName) args.push('--name', service.collectionName);
+    if (service.requestName) args.push('--request-name', service.requestName);
+    if (service.folderStrategy) args.push('--folder-strategy', service.folderStrategy);
+    if (service.folderDepth) args.push('--folder-depth', String(service.folderDepth));
+    if (service.folderMap) args.push('--folder-map', service.folderMap);
+    if (service.sortFolders) args.push('--sort-folders', service.sortFolders);
+    if (service.sortRequests) args.push('--sort-requests', service.sortRequests);
+    if (service.baseUrl) args.push('--base-url', service.baseUrl);
+    for (const [name, url] of Object.entries(service.baseUrls || {})) {
+        args.push('--base-url', `${name}=${url}`);
+    }
+    for (const [glob, name] of Object.entries(service.baseUrlRoutes || {})) {
+        args.push('--base-url-route', `${glob}=${name}`);
+    }
+    if (service.envFile) args.push('--env-file', service.envFile);
+    if (service.environmentsDir) args.push('--environments', service.environmentsDir);
+    if (service.valuesMap) args.push('--values-map', service.valuesMap);
+    if (service.skipSanitize) args.push('--skip-sanitize');
+    if (service.deterministic) args.push('--deterministic');
+    if (service.includeAuth === false) args.push('--no-include-auth');
+    if (service.tokenScript) args.push('--token-script');
+    if (service.requestDocs) args.push('--request-docs');
+    if (service.responseExamples) args.push('--response-examples');
+    if (service.contractTests) args.push('--contract-tests');
+    if (service.chainRequests) args.push('--chain-requests');
+    if (service.bearerTokenEnv) args.push('--bearer-token-env', service.bearerTokenEnv);
+    for (const [name, value] of Object.entries(service.headers || {})) {
+        args.push('--header', `${name}: ${value}`);
+    }
+
+    for (const overlay of service.overlays || []) {
+        args.push('--overlay', overlay);
+    }
+
+    const filters = service.filters || {};
+    for (const [key, flag] of Object.entries(FILTER_FLAGS)) {
+        if (filters[key] && filters[key].length > 0) args.push(flag, ...filters[key]);
+    }
+    if (filters.excludeDeprecated) args.push('--exclude-deprecated');
+
+    return args;
+}
+
+/**
+ * Build merge-collections.js arguments for a service
+ */
+function buildMergeArgs(service, newCollectionPath) {
+    const { merge } = service;
+    const args = [
+        '--new', newCollectionPath,
+        '--existing', service.output,
+        '--output', service.output,
+        merge.preserveTests ? '--preserve-tests' : '--no-preserve-tests',
+        merge.preservePrerequest ? '--preserve-prerequest' : '--no-preserve-prerequest',
+        merge.preserveVariables ? '--preserve-variables' : '--no-preserve-variables'
+    ];
+    if (service.split) args.push('--split');
+    return args;
+}
+
+module.exports = {
+    loadManifest,
+    resolveServices,
+    buildConvertArgs,
+    buildMergeArgs,
+    isUrlInput
+};
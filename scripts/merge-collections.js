@@ -6,301 +6,104 @@
  * Intelligently merges a newly generated collection with an existing one,
  * preserving custom scripts (pre-request scripts, tests), while updating
  * endpoint definitions from the new OpenAPI spec.
+ * Collections can be JSON files or directory trees (see collection-tree.js).
+ * The merge itself is mergeCollections (collection-merge.js).
  */
 
 const fs = require('fs');
 const path = require('path');
-const { program } = require('commander');
-const _ = require('lodash');
+const { Command } = require('commander');
 const chalk = require('chalk');
-const { readJsonFile, writeJsonFile, log } = require('./utils');
+const { log } = require('./utils');
+const { readCollection, writeCollection, isCollectionTree } = require('./collection-tree');
+const { mergeCollections } = require('./collection-merge');
 
-// CLI Configuration
+/**
+ * Add the script preservation options shared with the openapi-postman-sync
+ * merge and sync subcommands (see cli.js)
+ */
+function addMergeOptions(command) {
+    return command
+        .option('--preserve-tests', 'Preserve test scripts from existing collection', true)
+        .option('--no-preserve-tests', 'Do not preserve test scripts from existing collection')
+        .option('--preserve-prerequest', 'Preserve pre-request scripts from existing collection', true)
+        .option('--no-preserve-prerequest', 'Do not preserve pre-request scripts from existing collection')
+        .option('--preserve-variables', 'Preserve collection variables from existing', true)
+        .option('--no-preserve-variables', 'Do not preserve collection variables from existing');
+}
+
+// CLI Configuration (a Command of its own, so cli.js can require this file)
+const program = new Command();
 program
     .name('merge-collections')
     .description('Merge Postman collections while preserving custom scripts')
     .version('1.0.0')
-    .requiredOption('-n, --new <path>', 'Newly generated collection file path')
-    .requiredOption('-e, --existing <path>', 'Existing collection file path')
-    .option('-o, --output <path>', 'Output merged collection file path')
-    .option('--preserve-tests', 'Preserve test scripts from existing collection', true)
-    .option('--preserve-prerequest', 'Preserve pre-request scripts from existing collection', true)
-    .option('--preserve-variables', 'Preserve collection variables from existing', true)
+    .requiredOption('-n, --new <path>', 'Newly generated collection file or directory path')
+    .requiredOption('-e, --existing <path>', 'Existing collection file or directory path')
+    .option('-o, --output <path>', 'Output merged collection file or directory path')
+    .option('--split', 'Write the merged collection as a directory tree (the default when the existing collection is one)', false);
+addMergeOptions(program)
     .option('--dry-run', 'Show changes without writing output', false)
     .option('-v, --verbose', 'Enable verbose logging', false);
 
-program.parse();
-
-const options = program.opts();
-
 /**
  * Main merge function
  */
-async function merge() {
-    try {
-        log.info('Starting collection merge...');
-
-        // Load collections
-        const newCollectionPath = path.resolve(options.new);
-        const existingCollectionPath = path.resolve(options.existing);
-
-        if (!fs.existsSync(newCollectionPath)) {
-            throw new Error(`New collection file not found: ${newCollectionPath}`);
-        }
-
-        if (!fs.existsSync(existingCollectionPath)) {
-            log.warn(`Existing collection not found. Using new collection as-is.`);
-            const newCollection = readJsonFile(newCollectionPath);
-            const outputPath = options.output ? path.resolve(options.output) : existingCollectionPath;
-
-            if (!options.dryRun) {
-                writeJsonFile(outputPath, newCollection);
-            }
-            return newCollection;
-        }
-
-        const newCollection = readJsonFile(newCollectionPath);
-        const existingCollection = readJsonFile(existingCollectionPath);
-
-        log.info(`New collection: ${newCollection.info.name}`);
-        log.info(`Existing collection: ${existingCollection.info.name}`);
-
-        // Create a map of existing items by their path/name for quick lookup
-        const existingItemsMap = buildItemsMap(existingCollection.item);
-
-        if (options.verbose) {
-            log.debug(`Found ${Object.keys(existingItemsMap).length} existing endpoints`);
-        }
-
-        // Merge items
-        const mergedItems = mergeItems(newCollection.item, existingItemsMap, '');
-
-        // Build merged collection
-        const mergedCollection = {
-            ...newCollection,
-            info: {
-                ...newCollection.info,
-                // Preserve the existing collection ID for Postman sync
-                _postman_id: existingCollection.info._postman_id || newCollection.info._postman_id
-            },
-            item: mergedItems
-        };
-
-        // Preserve collection-level scripts
-        if (options.preservePrerequest && existingCollection.event) {
-            const existingPreRequest = existingCollection.event.find(e => e.listen === 'prerequest');
-            if (existingPreRequest) {
-                if (!mergedCollection.event) mergedCollection.event = [];
-                const newPreRequest = mergedCollection.event.find(e => e.listen === 'prerequest');
-                if (!newPreRequest) {
-                    mergedCollection.event.push(existingPreRequest);
-                    log.info('Preserved collection-level pre-request script');
-                }
-            }
-        }
+async function merge(options) {
+    log.info('Starting collection merge...');
 
-        if (options.preserveTests && existingCollection.event) {
-            const existingTest = existingCollection.event.find(e => e.listen === 'test');
-            if (existingTest) {
-                if (!mergedCollection.event) mergedCollection.event = [];
-                const newTest = mergedCollection.event.find(e => e.listen === 'test');
-                if (!newTest) {
-                    mergedCollection.event.push(existingTest);
-                    log.info('Preserved collection-level test script');
-                }
-            }
-        }
-
-        // Preserve collection variables
-        if (options.preserveVariables && existingCollection.variable) {
-            const existingVarKeys = new Set(existingCollection.variable.map(v => v.key));
-            const newVarKeys = new Set((newCollection.variable || []).map(v => v.key));
-
-            if (!mergedCollection.variable) mergedCollection.variable = [];
-
-            // Add existing variables that aren't in the new collection
-            for (const variable of existingCollection.variable) {
-                if (!newVarKeys.has(variable.key)) {
-                    mergedCollection.variable.push(variable);
-                    if (options.verbose) {
-                        log.debug(`Preserved variable: ${variable.key}`);
-                    }
-                }
-            }
-        }
-
-        // Calculate and display diff
-        const diff = calculateDiff(existingCollection, mergedCollection);
-        displayDiff(diff);
-
-        // Write output
-        if (!options.dryRun) {
-            const outputPath = options.output ? path.resolve(options.output) : existingCollectionPath;
-            writeJsonFile(outputPath, mergedCollection);
-            log.success(`✓ Merged collection written to: ${outputPath}`);
-        } else {
-            log.info('Dry run - no files written');
-        }
-
-        return mergedCollection;
+    // Load collections
+    const newCollectionPath = path.resolve(options.new);
+    const existingCollectionPath = path.resolve(options.existing);
 
-    } catch (error) {
-        log.error(`Merge failed: ${error.message}`);
-        if (options.verbose) {
-            console.error(error.stack);
-        }
-        process.exit(1);
+    if (!fs.existsSync(newCollectionPath)) {
+        throw new Error(`New collection file not found: ${newCollectionPath}`);
     }
-}
 
-/**
- * Build a map of items by their unique path
- */
-function buildItemsMap(items, parentPath = '', map = {}) {
-    for (const item of items) {
-        const itemPath = parentPath ? `${parentPath}/${item.name}` : item.name;
+    if (!fs.existsSync(existingCollectionPath)) {
+        log.warn(`Existing collection not found. Using new collection as-is.`);
+        const newCollection = readCollection(newCollectionPath);
+        const outputPath = options.output ? path.resolve(options.output) : existingCollectionPath;
 
-        if (item.item) {
-            // It's a folder, recurse
-            buildItemsMap(item.item, itemPath, map);
-        } else {
-            // It's a request
-            const key = generateItemKey(item, itemPath);
-            map[key] = { item, path: itemPath };
-        }
-    }
-
-    return map;
-}
-
-/**
- * Generate a unique key for an item based on method + path
- */
-function generateItemKey(item, itemPath) {
-    if (item.request) {
-        const method = typeof item.request.method === 'string'
-            ? item.request.method
-            : 'GET';
-
-        let urlPath = '';
-        if (item.request.url) {
-            if (typeof item.request.url === 'string') {
-                urlPath = item.request.url;
-            } else if (item.request.url.path) {
-                urlPath = Array.isArray(item.request.url.path)
-                    ? item.request.url.path.join('/')
-                    : item.request.url.path;
-            }
+        if (!options.dryRun) {
+            writeCollection(outputPath, newCollection, { split: options.split });
         }
-
-        return `${method}:${urlPath}`;
+        return newCollection;
     }
 
-    return itemPath;
-}
-
-/**
- * Merge items from new collection with existing items
- */
-function mergeItems(newItems, existingItemsMap, parentPath) {
-    return newItems.map(newItem => {
-        const itemPath = parentPath ? `${parentPath}/${newItem.name}` : newItem.name;
-
-        if (newItem.item) {
-            // It's a folder, recurse
-            return {
-                ...newItem,
-                item: mergeItems(newItem.item, existingItemsMap, itemPath)
-            };
-        } else {
-            // It's a request, try to find matching existing item
-            const key = generateItemKey(newItem, itemPath);
-            const existing = existingItemsMap[key];
+    const newCollection = readCollection(newCollectionPath);
+    const existingCollection = readCollection(existingCollectionPath);
 
-            if (existing) {
-                return mergeRequest(newItem, existing.item);
-            }
+    log.info(`New collection: ${newCollection.info.name}`);
+    log.info(`Existing collection: ${existingCollection.info.name}`);
 
-            return newItem;
-        }
+    const { collection: mergedCollection, diff } = mergeCollections(newCollection, existingCollection, {
+        preserveTests: options.preserveTests,
+        preservePrerequest: options.preservePrerequest,
+        preserveVariables: options.preserveVariables,
+        logger: log
     });
-}
-
-/**
- * Merge a single request, preserving scripts from existing
- */
-function mergeRequest(newRequest, existingRequest) {
-    const merged = _.cloneDeep(newRequest);
-
-    // Preserve events (pre-request scripts and tests)
-    if (existingRequest.event && existingRequest.event.length > 0) {
-        if (!merged.event) merged.event = [];
-
-        for (const existingEvent of existingRequest.event) {
-            const hasScript = existingEvent.script &&
-                existingEvent.script.exec &&
-                existingEvent.script.exec.length > 0 &&
-                existingEvent.script.exec.some(line => line.trim() !== '');
-
-            if (hasScript) {
-                // Check if new request already has this event type
-                const existingEventIndex = merged.event.findIndex(e => e.listen === existingEvent.listen);
 
-                if (existingEventIndex === -1) {
-                    // Add the existing event
-                    merged.event.push(existingEvent);
-                } else if (!hasNonEmptyScript(merged.event[existingEventIndex])) {
-                    // Replace empty script with existing one
-                    merged.event[existingEventIndex] = existingEvent;
-                }
-            }
-        }
+    // Display diff
+    displayDiff(diff, options);
+
+    // Write output
+    if (!options.dryRun) {
+        const outputPath = options.output ? path.resolve(options.output) : existingCollectionPath;
+        // Keep the layout of the existing collection
+        writeCollection(outputPath, mergedCollection, { split: options.split || isCollectionTree(existingCollectionPath) });
+        log.success(`✓ Merged collection written to: ${outputPath}`);
+    } else {
+        log.info('Dry run - no files written');
     }
 
-    return merged;
-}
-
-/**
- * Check if an event has a non-empty script
- */
-function hasNonEmptyScript(event) {
-    return event.script &&
-        event.script.exec &&
-        event.script.exec.length > 0 &&
-        event.script.exec.some(line => line.trim() !== '');
-}
-
-/**
- * Calculate diff between collections
- */
-function calculateDiff(existingCollection, mergedCollection) {
-    const existingEndpoints = new Set();
-    const mergedEndpoints = new Set();
-
-    const collectEndpoints = (items, set, prefix = '') => {
-        for (const item of items) {
-            if (item.item) {
-                collectEndpoints(item.item, set, prefix + item.name + '/');
-            } else {
-                set.add(prefix + item.name);
-            }
-        }
-    };
-
-    collectEndpoints(existingCollection.item, existingEndpoints);
-    collectEndpoints(mergedCollection.item, mergedEndpoints);
-
-    return {
-        added: [...mergedEndpoints].filter(e => !existingEndpoints.has(e)),
-        removed: [...existingEndpoints].filter(e => !mergedEndpoints.has(e)),
-        preserved: [...mergedEndpoints].filter(e => existingEndpoints.has(e))
-    };
+    return mergedCollection;
 }
 
 /**
  * Display diff summary
  */
-function displayDiff(diff) {
+function displayDiff(diff, options) {
     console.log('');
     log.info('=== Merge Summary ===');
 
@@ -326,7 +129,18 @@ function displayDiff(diff) {
     console.log('');
 }
 
-// Run merge
-merge();
+// Run merge when called from the command line
+if (require.main === module) {
+    program.parse();
+    const options = program.opts();
+
+    merge(options).catch(error => {
+        log.error(`Merge failed: ${error.message}`);
+        if (options.verbose) {
+            console.error(error.stack);
+        }
+        process.exit(1);
+    });
+}
 
-module.exports = { merge };
+module.exports = { merge, addMergeOptions, displayDiff };
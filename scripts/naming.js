@@ -0,0 +1,123 @@
+/**
+ * Request naming templates
+ *
+ * The converter names requests after the operation summary, so a reworded
+ * summary renames the request and merges see it as removed and added. A
+ * naming template builds the names from parts of the operation instead:
+ *
+ *   {operationId}|{summary}|{method} {path}
+ *
+ * Alternatives separated by "|" are tried in order; the first one whose
+ * placeholders all have a value is used. Requests that end up with the same
+ * name in the same folder get " (2)", " (3)", ... suffixes.
+ */
+
+const { indexOperations, requestKey, forEachRequest } = require('./operations');
+
+// Placeholder values for a request and its operation (which may be missing)
+const PLACEHOLDERS = {
+    operationId: ({ entry }) => entry && entry.operation.operationId,
+    summary: ({ entry }) => entry && entry.operation.summary,
+    tag: ({ entry }) => entry && Array.isArray(entry.operation.tags) ? entry.operation.tags[0] : undefined,
+    method: ({ item, entry }) => (entry ? entry.method : item.request.method || 'GET').toUpperCase(),
+    path: ({ item, entry }) => (entry ? entry.pathKey : requestPath(item.request)),
+    name: ({ item }) => item.name
+};
+
+const PLACEHOLDER_PATTERN = /\{([^{}]*)\}/g;
+
+/**
+ * Path of a request that matches no operation, e.g. "/pets/:petId"
+ */
+function requestPath(request) {
+    const url = request.url || {};
+    if (typeof url === 'string') return url.replace(/^\{\{[^}]+\}\}|^[a-z]+:\/\/[^/]+/i, '').split(/[?#]/)[0];
+    return `/${(Array.isArray(url.path) ? url.path.join('/') : url.path || '').replace(/^\//, '')}`;
+}
+
+/**
+ * Parse a naming template into its alternatives
+ *
+ * @param {string} template - e.g. "{operationId}|{method} {path}"
+ * @returns {string[]} The alternatives, in order
+ */
+function parseNameTemplate(template) {
+    if (typeof template !== 'string' || template.trim() === '') {
+        throw new Error('Invalid request name template: expected a non-empty string');
+    }
+    const alternatives = template.split('|').map(alternative => alternative.trim());
+    for (const alternative of alternatives) {
+        if (alternative === '') {
+            throw new Error(`Invalid request name template "${template}": empty alternative`);
+        }
+        for (const [, placeholder] of alternative.matchAll(PLACEHOLDER_PATTERN)) {
+            if (!PLACEHOLDERS[placeholder]) {
+                throw new Error(`Invalid request name template "${template}": unknown placeholder {${placeholder}} (expected ${Object.keys(PLACEHOLDERS).map(name => `{${name}}`).join(', ')})`);
+            }
+        }
+    }
+    return alternatives;
+}
+
+/**
+ * Render the first alternative whose placeholders all have a value
+ *
+ * @returns {string|null} The name, or null when no alternative applies
+ */
+function renderName(alternatives, context) {
+    for (const alternative of alternatives) {
+        let complete = true;
+        const name = alternative.replace(PLACEHOLDER_PATTERN, (match, placeholder) => {
+            const value = PLACEHOLDERS[placeholder](context);
+            if (typeof value !== 'string' || value.trim() === '') {
+                complete = false;
+                return '';
+            }
+            return value.trim().replace(/\s+/g, ' ');
+        });
+        if (complete && name.trim() !== '') return name.trim();
+    }
+    return null;
+}
+
+/**
+ * Rename every request from a naming template
+ *
+ * @param {object} collection - Postman collection (modified in place)
+ * @param {object} spec - The bundled OpenAPI document the collection was converted from
+ * @param {string} template - Naming template, see parseNameTemplate
+ * @returns {object} The collection
+ */
+function applyRequestNames(collection, spec, template) {
+    const alternatives = parseNameTemplate(template);
+    const operations = indexOperations(spec);
+    const namesByFolder = new Map();
+
+    forEachRequest(collection.item, (item, parents) => {
+        const entry = operations.get(requestKey(item.request));
+        const name = renderName(alternatives, { item, entry }) || item.name;
+
+        // Names are unique within a folder, in the order the requests appear
+        const folder = parents.length > 0 ? parents[parents.length - 1] : collection;
+        if (!namesByFolder.has(folder)) namesByFolder.set(folder, new Set());
+        const used = namesByFolder.get(folder);
+        let unique = name;
+        for (let n = 2; used.has(unique); n++) {
+            unique = `${name} (${n})`;
+        }
+        used.add(unique);
+
+        // The converter also names the request itself, which exporters and Postman may show
+        item.name = unique;
+        if (item.request.name !== undefined) item.request.name = unique;
+    });
+
+    return collection;
+}
+
+module.exports = {
+    applyRequestNames,
+    parseNameTemplate,
+    renderName,
+    PLACEHOLDERS
+};
@@ -0,0 +1,172 @@
+/**
+ * OAuth2 token pre-request script
+ *
+ * For oauth2 schemes with a clientCredentials or password flow, generates a
+ * collection-level pre-request script that fetches an access token from the
+ * flow's tokenUrl before a request is sent. The token is cached in the
+ * {{<scheme>AccessToken}} collection variable (the one the OAuth 2.0 auth from
+ * auth.js sends) with its expiry in {{<scheme>AccessTokenExpiresAt}}, and is
+ * fetched again, with the refresh token when the server issued one, shortly
+ * before it expires.
+ *
+ * The script is a generated block (see script-blocks.js), so merges update it
+ * and keep any code written around it.
+ */
+
+const { isObject } = require('./utils');
+const { getSecuritySchemes, getOAuth2Flows, schemeVariable } = require('./auth');
+const { setGeneratedBlock } = require('./script-blocks');
+const { listOperations } = require('./operations');
+
+const BLOCK_ID = 'oauth2-token';
+
+// Tokens are renewed this long before they expire
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+/**
+ * Scopes the spec's security requirements ask for, per scheme name
+ */
+function collectRequiredScopes(spec) {
+    const scopesByScheme = new Map();
+    const addRequirements = (security) => {
+        for (const requirement of Array.isArray(security) ? security : []) {
+            if (!isObject(requirement)) continue;
+            for (const [schemeName, scopes] of Object.entries(requirement)) {
+                if (!scopesByScheme.has(schemeName)) scopesByScheme.set(schemeName, new Set());
+                (Array.isArray(scopes) ? scopes : []).forEach(scope => scopesByScheme.get(schemeName).add(scope));
+            }
+        }
+    };
+
+    addRequirements(spec.security);
+    listOperations(spec).forEach(({ operation }) => addRequirements(operation.security));
+    return scopesByScheme;
+}
+
+/**
+ * OAuth2 schemes a token can be fetched for without user interaction
+ *
+ * @param {object} spec - OpenAPI document
+ * @returns {Array<object>} One entry per scheme with its grant type, URLs, scopes and variable names
+ */
+function getTokenSchemes(spec) {
+    const requiredScopes = collectRequiredScopes(spec);
+
+    return Object.entries(getSecuritySchemes(spec))
+        .filter(([, scheme]) => isObject(scheme) && scheme.type === 'oauth2')
+        .map(([name, scheme]) => {
+            const flows = getOAuth2Flows(scheme);
+            const [grantType, flow] = isObject(flows.clientCredentials)
+                ? ['client_credentials', flows.clientCredentials]
+                : ['password', flows.password];
+            if (!isObject(flow) || typeof flow.tokenUrl !== 'string' || flow.tokenUrl === '') return null;
+
+            const required = [...(requiredScopes.get(name) || [])];
+            const variable = (suffix) => schemeVariable(name, suffix);
+            return {
+                name,
+                grantType,
+                tokenUrl: flow.tokenUrl,
+                refreshUrl: flow.refreshUrl || flow.tokenUrl,
+                scope: (required.length > 0 ? required : Object.keys(flow.scopes || {})).join(' '),
+                variables: {
+                    clientId: variable('ClientId'),
+                    clientSecret: variable('ClientSecret'),
+                    username: grantType === 'password' ? variable('Username') : undefined,
+                    password: grantType === 'password' ? variable('Password') : undefined,
+                    accessToken: variable('AccessToken'),
+                    expiresAt: variable('AccessTokenExpiresAt'),
+                    refreshToken: variable('RefreshToken')
+                }
+            };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Build the pre-request script (without block markers) for the given token schemes
+ */
+function buildTokenScript(tokenSchemes) {
+    const config = JSON.stringify(tokenSchemes, null, 4).split('\n');
+
+    return [
+        '(function () {',
+        `    const schemes = ${config[0]}`,
+        ...config.slice(1, -1).map(line => `    ${line}`),
+        `    ${config[config.length - 1]};`,
+        '',
+        '    schemes.forEach(function (scheme) {',
+        '        const vars = scheme.variables;',
+        '        const token = pm.collectionVariables.get(vars.accessToken);',
+        '        const expiresAt = Number(pm.collectionVariables.get(vars.expiresAt) || 0);',
+        `        if (token && expiresAt - ${EXPIRY_MARGIN_MS} > Date.now()) return;`,
+        '',
+        '        const refreshToken = pm.collectionVariables.get(vars.refreshToken);',
+        '        const form = refreshToken',
+        '            ? { grant_type: \'refresh_token\', refresh_token: refreshToken }',
+        '            : { grant_type: scheme.grantType, scope: scheme.scope };',
+        '        if (!refreshToken && scheme.grantType === \'password\') {',
+        '            form.username = pm.variables.get(vars.username);',
+        '            form.password = pm.variables.get(vars.password);',
+        '        }',
+        '        form.client_id = pm.variables.get(vars.clientId);',
+        '        form.client_secret = pm.variables.get(vars.clientSecret);',
+        '',
+        '        pm.sendRequest({',
+        '            url: refreshToken ? scheme.refreshUrl : scheme.tokenUrl,',
+        '            method: \'POST\',',
+        '            header: { \'Content-Type\': \'application/x-www-form-urlencoded\', Accept: \'application/json\' },',
+        '            body: {',
+        '                mode: \'urlencoded\',',
+        '                urlencoded: Object.keys(form)',
+        '                    .filter(function (key) { return form[key]; })',
+        '                    .map(function (key) { return { key: key, value: String(form[key]) }; })',
+        '            }',
+        '        }, function (error, response) {',
+        '            let data = null;',
+        '            try {',
+        '                data = !error && response.code < 400 ? response.json() : null;',
+        '            } catch (parseError) {',
+        '                data = null;',
+        '            }',
+        '            if (!data || !data.access_token) {',
+        '                // A rejected refresh token is dropped so the next request fetches a new token',
+        '                pm.collectionVariables.unset(vars.refreshToken);',
+        '                console.warn(\'Could not get an access token for \' + scheme.name + \': \' + (error || response.status));',
+        '                return;',
+        '            }',
+        '            pm.collectionVariables.set(vars.accessToken, data.access_token);',
+        '            pm.collectionVariables.set(vars.expiresAt, String(Date.now() + (Number(data.expires_in) || 3600) * 1000));',
+        '            if (data.refresh_token) {',
+        '                pm.collectionVariables.set(vars.refreshToken, data.refresh_token);',
+        '            } else {',
+        '                pm.collectionVariables.unset(vars.refreshToken);',
+        '            }',
+        '        });',
+        '    });',
+        '})();'
+    ];
+}
+
+/**
+ * Add the token pre-request script to a collection when its spec has
+ * clientCredentials or password OAuth2 flows.
+ *
+ * @param {object} collection - Postman collection (modified in place)
+ * @param {object} spec - The OpenAPI document the collection was converted from
+ * @returns {object} The collection
+ */
+function applyTokenScript(collection, spec) {
+    const tokenSchemes = getTokenSchemes(spec);
+    if (tokenSchemes.length === 0) return collection;
+
+    collection.event = setGeneratedBlock(collection.event || [], 'prerequest', BLOCK_ID, buildTokenScript(tokenSchemes));
+    return collection;
+}
+
+module.exports = {
+    applyTokenScript,
+    buildTokenScript,
+    getTokenSchemes,
+    BLOCK_ID
+};
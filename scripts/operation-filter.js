@@ -0,0 +1,207 @@
+/**
+ * Operation Filters
+ *
+ * Narrows a spec down to the operations that belong in a collection, so that
+ * partner and internal collections can be published from the same spec.
+ *
+ * An operation is kept when it matches every include filter that is set and
+ * none of the exclude filters. Components that are no longer referenced after
+ * filtering are dropped, so the value sanitizer and the collection variables
+ * only see what the remaining operations use.
+ */
+
+const { deepClone, isObject, matchesGlob, log } = require('./utils');
+const { HTTP_METHODS } = require('./operations');
+
+// Operations (or path items) carrying a truthy value for one of these are always dropped
+const DEFAULT_EXCLUDE_EXTENSIONS = ['x-postman-exclude'];
+
+// Component sections that are referenced by name rather than by $ref
+const NAME_REFERENCED_SECTIONS = new Set(['securitySchemes']);
+
+/**
+ * Decide whether an operation passes the filters
+ */
+function isOperationIncluded(pathKey, method, operation, pathItem, filters) {
+    const {
+        includeTags = [], excludeTags = [],
+        includePaths = [], excludePaths = [],
+        includeMethods = [], excludeMethods = [],
+        includeOperationIds = [], excludeOperationIds = [],
+        excludeDeprecated = false,
+        excludeExtensions = DEFAULT_EXCLUDE_EXTENSIONS
+    } = filters;
+
+    const tags = operation.tags || [];
+    const upperMethod = method.toUpperCase();
+    const normalizeMethods = (methods) => methods.map(m => m.toUpperCase());
+
+    if (excludeExtensions.some(extension => operation[extension] || pathItem[extension])) return false;
+    if (excludeDeprecated && operation.deprecated === true) return false;
+
+    if (includeTags.length > 0 && !tags.some(tag => includeTags.includes(tag))) return false;
+    if (tags.some(tag => excludeTags.includes(tag))) return false;
+
+    if (includePaths.length > 0 && !matchesGlob(pathKey, includePaths)) return false;
+    if (excludePaths.length > 0 && matchesGlob(pathKey, excludePaths)) return false;
+
+    if (includeMethods.length > 0 && !normalizeMethods(includeMethods).includes(upperMethod)) return false;
+    if (normalizeMethods(excludeMethods).includes(upperMethod)) return false;
+
+    if (includeOperationIds.length > 0 && !includeOperationIds.includes(operation.operationId)) return false;
+    if (operation.operationId && excludeOperationIds.includes(operation.operationId)) return false;
+
+    return true;
+}
+
+/**
+ * Collect every local $ref in a node
+ */
+function collectRefs(node, refs) {
+    if (Array.isArray(node)) {
+        node.forEach(element => collectRefs(element, refs));
+    } else if (isObject(node)) {
+        if (typeof node.$ref === 'string' && node.$ref.startsWith('#/')) {
+            refs.add(node.$ref);
+        }
+        Object.values(node).forEach(value => collectRefs(value, refs));
+    }
+}
+
+/**
+ * List the component containers of a spec as { section: object } with their $ref prefix
+ */
+function getComponentSections(spec) {
+    if (spec.swagger) {
+        return ['definitions', 'parameters', 'responses']
+            .filter(section => isObject(spec[section]))
+            .map(section => ({ container: spec[section], prefix: `#/${section}/`, owner: spec, section }));
+    }
+
+    const components = isObject(spec.components) ? spec.components : {};
+    return Object.keys(components)
+        .filter(section => !NAME_REFERENCED_SECTIONS.has(section) && isObject(components[section]))
+        .map(section => ({ container: components[section], prefix: `#/components/${section}/`, owner: components, section }));
+}
+
+/**
+ * Drop components that nothing outside the components (directly or transitively) references
+ */
+function pruneUnusedComponents(spec) {
+    const sections = getComponentSections(spec);
+    const containers = new Set(sections.map(section => section.container));
+
+    // Refs from everything except the component containers themselves
+    const pending = new Set();
+    const walkRoots = (node) => {
+        if (containers.has(node)) return;
+        if (Array.isArray(node)) {
+            node.forEach(walkRoots);
+        } else if (isObject(node)) {
+            if (typeof node.$ref === 'string' && node.$ref.startsWith('#/')) pending.add(node.$ref);
+            Object.values(node).forEach(walkRoots);
+        }
+    };
+    walkRoots(spec);
+
+    // Follow refs through the components they point at
+    const used = new Map(sections.map(section => [section.prefix, new Set()]));
+    const queue = [...pending];
+    while (queue.length > 0) {
+        const ref = queue.shift();
+        const section = sections.find(s => ref.startsWith(s.prefix));
+        if (!section) continue;
+
+        const name = ref.slice(section.prefix.length).split('/')[0].replace(/~1/g, '/').replace(/~0/g, '~');
+        const usedNames = used.get(section.prefix);
+        if (usedNames.has(name) || !(name in section.container)) continue;
+        usedNames.add(name);
+
+        const refs = new Set();
+        collectRefs(section.container[name], refs);
+        queue.push(...refs);
+    }
+
+    let removed = 0;
+    for (const { container, prefix, owner, section } of sections) {
+        for (const name of Object.keys(container)) {
+            if (!used.get(prefix).has(name)) {
+                delete container[name];
+                removed++;
+            }
+        }
+        if (Object.keys(container).length === 0) {
+            delete owner[section];
+        }
+    }
+    if (!spec.swagger && isObject(spec.components) && Object.keys(spec.components).length === 0) {
+        delete spec.components;
+    }
+
+    return removed;
+}
+
+/**
+ * Filter the operations of a spec.
+ *
+ * @param {object} spec - A bundled OpenAPI document (not modified)
+ * @param {object} filters
+ * @param {string[]} filters.includeTags / filters.excludeTags - Operation tags
+ * @param {string[]} filters.includePaths / filters.excludePaths - Path globs, e.g. "/admin/**"
+ * @param {string[]} filters.includeMethods / filters.excludeMethods - HTTP methods
+ * @param {string[]} filters.includeOperationIds / filters.excludeOperationIds - operationIds
+ * @param {boolean} filters.excludeDeprecated - Drop operations marked deprecated: true
+ * @param {string[]} filters.excludeExtensions - Vendor extensions that exclude an operation
+ *   when truthy (defaults to ["x-postman-exclude"])
+ * @param {object} [logger=log] - Logger for the filtering summary
+ * @returns {object} The filtered spec
+ */
+function filterOperations(spec, filters = {}, logger = log) {
+    const filtered = deepClone(spec);
+    let kept = 0;
+    let removed = 0;
+
+    for (const [pathKey, pathItem] of Object.entries(filtered.paths || {})) {
+        if (!isObject(pathItem)) continue;
+
+        for (const method of HTTP_METHODS) {
+            if (!isObject(pathItem[method])) continue;
+
+            if (isOperationIncluded(pathKey, method, pathItem[method], pathItem, filters)) {
+                kept++;
+            } else {
+                delete pathItem[method];
+                removed++;
+            }
+        }
+
+        if (!HTTP_METHODS.some(method => pathItem[method])) {
+            delete filtered.paths[pathKey];
+        }
+    }
+
+    if (removed === 0) {
+        return filtered;
+    }
+
+    // Tags that no remaining operation uses would become empty folders
+    if (Array.isArray(filtered.tags)) {
+        const usedTags = new Set();
+        for (const pathItem of Object.values(filtered.paths || {})) {
+            HTTP_METHODS.forEach(method => ((pathItem[method] || {}).tags || []).forEach(tag => usedTags.add(tag)));
+        }
+        filtered.tags = filtered.tags.filter(tag => usedTags.has(tag.name));
+    }
+
+    const prunedComponents = pruneUnusedComponents(filtered);
+    logger.info(`Filtered operations: kept ${kept}, removed ${removed} (dropped ${prunedComponents} unused component(s))`);
+
+    return filtered;
+}
+
+module.exports = {
+    filterOperations,
+    isOperationIncluded,
+    pruneUnusedComponents,
+    DEFAULT_EXCLUDE_EXTENSIONS
+};
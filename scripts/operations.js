@@ -0,0 +1,81 @@
+/**
+ * Operation lookup
+ *
+ * Helpers for walking the operations of a spec and finding the operation a
+ * converted collection request came from. Requests are matched on method and
+ * path, ignoring path parameter names ("/pets/:id" matches "/pets/{petId}").
+ */
+
+const { isObject } = require('./utils');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * List every operation of a spec
+ *
+ * @returns {Array<{ pathKey: string, method: string, operation: object, pathItem: object }>}
+ */
+function listOperations(spec) {
+    const operations = [];
+    for (const [pathKey, pathItem] of Object.entries(spec.paths || {})) {
+        if (!isObject(pathItem)) continue;
+        for (const method of HTTP_METHODS) {
+            if (isObject(pathItem[method])) {
+                operations.push({ pathKey, method, operation: pathItem[method], pathItem });
+            }
+        }
+    }
+    return operations;
+}
+
+/**
+ * Key for matching collection requests to operations, ignoring path parameter names
+ */
+function operationKey(method, pathTemplate) {
+    const normalized = pathTemplate.split('/').filter(Boolean)
+        .map(segment => segment.replace(/\{[^}]+\}/g, '{}').replace(/^:.+$/, '{}'))
+        .join('/');
+    return `${method.toUpperCase()} /${normalized}`;
+}
+
+/**
+ * Key of a collection request
+ */
+function requestKey(request) {
+    const url = request.url || {};
+    const path = typeof url === 'string'
+        ? url.replace(/^\{\{[^}]+\}\}|^[a-z]+:\/\/[^/]+/i, '').split(/[?#]/)[0]
+        : (Array.isArray(url.path) ? url.path.join('/') : url.path || '');
+    return operationKey(request.method || 'GET', path);
+}
+
+/**
+ * Map operation keys to the operations of a spec
+ *
+ * @returns {Map<string, { pathKey: string, method: string, operation: object, pathItem: object }>}
+ */
+function indexOperations(spec) {
+    return new Map(listOperations(spec).map(entry => [operationKey(entry.method, entry.pathKey), entry]));
+}
+
+/**
+ * Call fn for every request item of a collection, with its parent folders
+ */
+function forEachRequest(items, fn, parents = []) {
+    for (const item of items || []) {
+        if (item.item) {
+            forEachRequest(item.item, fn, [...parents, item]);
+        } else if (isObject(item.request)) {
+            fn(item, parents);
+        }
+    }
+}
+
+module.exports = {
+    HTTP_METHODS,
+    listOperations,
+    operationKey,
+    requestKey,
+    indexOperations,
+    forEachRequest
+};
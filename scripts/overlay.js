@@ -0,0 +1,547 @@
+/**
+ * OpenAPI Overlay support
+ *
+ * Applies OpenAPI Overlay 1.0 documents to a loaded spec, so generated specs
+ * can be patched (summaries, examples, servers, ...) without touching the
+ * service that produced them:
+ *
+ * overlay: 1.0.0
+ * info: { title: Pet docs, version: 1.0.0 }
+ * actions:
+ *   - target: $.paths['/pets'].get
+ *     update: { summary: List all pets }
+ *   - target: $.paths.*.*[?(@['x-internal'] == true)]
+ *     remove: true
+ *
+ * Targets are JSONPath expressions (RFC 9535): names, wildcards, indexes,
+ * slices, recursive descent and filters with comparisons, &&, || and !.
+ */
+
+const path = require('path');
+const { deepClone, isObject, log, readSpecFile, fetchOpenApiFromUrl } = require('./utils');
+
+// ─── JSONPath parsing ─────────────────────────────────────────────────────────
+
+/**
+ * Parse a JSONPath expression into a list of segments:
+ * [{ descendant: boolean, selectors: [{ type: 'name'|'wildcard'|'index'|'slice'|'filter', ... }] }]
+ */
+function parseJsonPath(expression) {
+    let pos = 0;
+
+    const fail = (message) => {
+        throw new Error(`Invalid JSONPath "${expression}" at position ${pos}: ${message}`);
+    };
+    const peek = (text) => expression.startsWith(text, pos);
+    const skipSpaces = () => {
+        while (pos < expression.length && /\s/.test(expression[pos])) pos++;
+    };
+    const expect = (text) => {
+        skipSpaces();
+        if (!peek(text)) fail(`expected "${text}"`);
+        pos += text.length;
+    };
+
+    const parseName = () => {
+        const match = /^[A-Za-z_$\u0080-\uFFFF][\w$\u0080-\uFFFF-]*/.exec(expression.slice(pos));
+        if (!match) fail('expected a member name');
+        pos += match[0].length;
+        return match[0];
+    };
+
+    const parseString = () => {
+        const quote = expression[pos];
+        let value = '';
+        pos++;
+        while (pos < expression.length && expression[pos] !== quote) {
+            if (expression[pos] === '\\') {
+                pos++;
+                const escaped = expression[pos];
+                const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '/': '/' };
+                if (escaped === 'u') {
+                    value += String.fromCharCode(parseInt(expression.slice(pos + 1, pos + 5), 16));
+                    pos += 4;
+                } else {
+                    value += escapes[escaped] || escaped;
+                }
+            } else {
+                value += expression[pos];
+            }
+            pos++;
+        }
+        if (pos >= expression.length) fail('unterminated string');
+        pos++;
+        return value;
+    };
+
+    const parseInteger = () => {
+        const match = /^-?\d+/.exec(expression.slice(pos));
+        if (!match) return null;
+        pos += match[0].length;
+        return parseInt(match[0], 10);
+    };
+
+    const parseLiteral = () => {
+        skipSpaces();
+        if (peek("'") || peek('"')) return parseString();
+        for (const [text, value] of [['true', true], ['false', false], ['null', null]]) {
+            if (peek(text)) {
+                pos += text.length;
+                return value;
+            }
+        }
+        const match = /^-?\d+(\.\d+)?([eE][-+]?\d+)?/.exec(expression.slice(pos));
+        if (!match) fail('expected a literal');
+        pos += match[0].length;
+        return Number(match[0]);
+    };
+
+    // Filter expressions: or → and → unary → comparison
+    const parseComparable = () => {
+        skipSpaces();
+        if (peek('@') || peek('$')) {
+            const root = expression[pos];
+            pos++;
+            return { type: 'path', root, segments: parseSegments() };
+        }
+        return { type: 'literal', value: parseLiteral() };
+    };
+
+    const parseUnary = () => {
+        skipSpaces();
+        if (peek('!') && !peek('!=')) {
+            pos++;
+            return { type: 'not', operand: parseUnary() };
+        }
+        if (peek('(')) {
+            pos++;
+            const inner = parseOr();
+            expect(')');
+            return inner;
+        }
+
+        const left = parseComparable();
+        skipSpaces();
+        const operator = ['==', '!=', '<=', '>=', '<', '>'].find(op => peek(op));
+        if (!operator) {
+            if (left.type !== 'path') fail('expected a comparison operator');
+            return { type: 'exists', path: left };
+        }
+        pos += operator.length;
+        return { type: 'compare', operator, left, right: parseComparable() };
+    };
+
+    const parseAnd = () => {
+        let left = parseUnary();
+        skipSpaces();
+        while (peek('&&')) {
+            pos += 2;
+            left = { type: 'and', left, right: parseUnary() };
+            skipSpaces();
+        }
+        return left;
+    };
+
+    const parseOr = () => {
+        let left = parseAnd();
+        skipSpaces();
+        while (peek('||')) {
+            pos += 2;
+            left = { type: 'or', left, right: parseAnd() };
+            skipSpaces();
+        }
+        return left;
+    };
+
+    const parseSelector = () => {
+        skipSpaces();
+        if (peek("'") || peek('"')) return { type: 'name', name: parseString() };
+        if (peek('*')) {
+            pos++;
+            return { type: 'wildcard' };
+        }
+        if (peek('?')) {
+            pos++;
+            return { type: 'filter', expression: parseOr() };
+        }
+
+        const start = parseInteger();
+        skipSpaces();
+        if (!peek(':')) {
+            if (start === null) fail('expected a selector');
+            return { type: 'index', index: start };
+        }
+        pos++;
+        skipSpaces();
+        const end = parseInteger();
+        skipSpaces();
+        let step = null;
+        if (peek(':')) {
+            pos++;
+            skipSpaces();
+            step = parseInteger();
+        }
+        return { type: 'slice', start, end, step: step === null ? 1 : step };
+    };
+
+    const parseBracket = () => {
+        pos++;
+        const selectors = [parseSelector()];
+        skipSpaces();
+        while (peek(',')) {
+            pos++;
+            selectors.push(parseSelector());
+            skipSpaces();
+        }
+        expect(']');
+        return selectors;
+    };
+
+    // Segments following a root identifier ($ or @)
+    function parseSegments() {
+        const segments = [];
+        for (;;) {
+            if (peek('..')) {
+                pos += 2;
+                if (peek('[')) {
+                    segments.push({ descendant: true, selectors: parseBracket() });
+                } else if (peek('*')) {
+                    pos++;
+                    segments.push({ descendant: true, selectors: [{ type: 'wildcard' }] });
+                } else {
+                    segments.push({ descendant: true, selectors: [{ type: 'name', name: parseName() }] });
+                }
+            } else if (peek('.')) {
+                pos++;
+                if (peek('*')) {
+                    pos++;
+                    segments.push({ descendant: false, selectors: [{ type: 'wildcard' }] });
+                } else {
+                    segments.push({ descendant: false, selectors: [{ type: 'name', name: parseName() }] });
+                }
+            } else if (peek('[')) {
+                segments.push({ descendant: false, selectors: parseBracket() });
+            } else {
+                return segments;
+            }
+        }
+    }
+
+    skipSpaces();
+    if (!peek('$')) fail('must start with "$"');
+    pos++;
+    const segments = parseSegments();
+    skipSpaces();
+    if (pos < expression.length) fail(`unexpected "${expression[pos]}"`);
+    return segments;
+}
+
+// ─── JSONPath evaluation ──────────────────────────────────────────────────────
+
+/**
+ * List the direct children of a value as nodes
+ */
+function childNodes(node) {
+    const { value } = node;
+    if (Array.isArray(value)) {
+        return value.map((child, index) => ({ value: child, parent: value, key: index }));
+    }
+    if (isObject(value)) {
+        return Object.keys(value).map(key => ({ value: value[key], parent: value, key }));
+    }
+    return [];
+}
+
+/**
+ * List a node and all of its descendants, parents first
+ */
+function descendantNodes(node) {
+    const nodes = [node];
+    for (const child of childNodes(node)) {
+        nodes.push(...descendantNodes(child));
+    }
+    return nodes;
+}
+
+/**
+ * Indexes selected by a slice, following RFC 9535 bounds
+ */
+function sliceIndexes(length, { start, end, step }) {
+    if (step === 0) return [];
+    const normalize = (index) => (index < 0 ? length + index : index);
+    const indexes = [];
+
+    if (step > 0) {
+        const lower = Math.min(Math.max(start === null ? 0 : normalize(start), 0), length);
+        const upper = Math.min(Math.max(end === null ? length : normalize(end), 0), length);
+        for (let i = lower; i < upper; i += step) indexes.push(i);
+    } else {
+        const upper = Math.min(Math.max(start === null ? length - 1 : normalize(start), -1), length - 1);
+        const lower = Math.min(Math.max(end === null ? -1 : normalize(end), -1), length - 1);
+        for (let i = upper; i > lower; i += step) indexes.push(i);
+    }
+    return indexes;
+}
+
+/**
+ * Evaluate a filter-expression operand against the current node
+ */
+function evaluateOperand(operand, current, root) {
+    if (operand.type === 'literal') {
+        return { found: true, value: operand.value };
+    }
+    const start = operand.root === '@' ? current : root;
+    const nodes = evaluateSegments(operand.segments, [{ value: start, parent: null, key: null }], root);
+    return nodes.length === 1 ? { found: true, value: nodes[0].value } : { found: false };
+}
+
+/**
+ * Compare two operands; missing values only equal each other
+ */
+function compareOperands(operator, left, right) {
+    const equal = () => {
+        if (!left.found || !right.found) return left.found === right.found;
+        if (typeof left.value === 'object' || typeof right.value === 'object') {
+            return JSON.stringify(left.value) === JSON.stringify(right.value);
+        }
+        return left.value === right.value;
+    };
+
+    if (operator === '==') return equal();
+    if (operator === '!=') return !equal();
+
+    const comparable = left.found && right.found && (
+        (typeof left.value === 'number' && typeof right.value === 'number') ||
+        (typeof left.value === 'string' && typeof right.value === 'string')
+    );
+    if (!comparable) return (operator === '<=' || operator === '>=') && equal();
+
+    switch (operator) {
+        case '<': return left.value < right.value;
+        case '<=': return left.value <= right.value;
+        case '>': return left.value > right.value;
+        default: return left.value >= right.value;
+    }
+}
+
+/**
+ * Evaluate a filter expression with @ bound to the current node
+ */
+function evaluateFilter(expression, current, root) {
+    switch (expression.type) {
+        case 'or': return evaluateFilter(expression.left, current, root) || evaluateFilter(expression.right, current, root);
+        case 'and': return evaluateFilter(expression.left, current, root) && evaluateFilter(expression.right, current, root);
+        case 'not': return !evaluateFilter(expression.operand, current, root);
+        case 'exists': {
+            const start = expression.path.root === '@' ? current : root;
+            return evaluateSegments(expression.path.segments, [{ value: start, parent: null, key: null }], root).length > 0;
+        }
+        default:
+            return compareOperands(
+                expression.operator,
+                evaluateOperand(expression.left, current, root),
+                evaluateOperand(expression.right, current, root)
+            );
+    }
+}
+
+/**
+ * Apply one selector to a node
+ */
+function applySelector(selector, node, root) {
+    const { value } = node;
+
+    switch (selector.type) {
+        case 'name':
+            return isObject(value) && Object.prototype.hasOwnProperty.call(value, selector.name)
+                ? [{ value: value[selector.name], parent: value, key: selector.name }]
+                : [];
+        case 'wildcard':
+            return childNodes(node);
+        case 'index': {
+            if (!Array.isArray(value)) return [];
+            const index = selector.index < 0 ? value.length + selector.index : selector.index;
+            return index >= 0 && index < value.length ? [{ value: value[index], parent: value, key: index }] : [];
+        }
+        case 'slice':
+            return Array.isArray(value)
+                ? sliceIndexes(value.length, selector).map(index => ({ value: value[index], parent: value, key: index }))
+                : [];
+        default:
+            return childNodes(node).filter(child => evaluateFilter(selector.expression, child.value, root));
+    }
+}
+
+/**
+ * Evaluate parsed segments starting from a list of nodes
+ */
+function evaluateSegments(segments, nodes, root) {
+    let current = nodes;
+    for (const segment of segments) {
+        const inputs = segment.descendant ? current.flatMap(descendantNodes) : current;
+        current = inputs.flatMap(node => segment.selectors.flatMap(selector => applySelector(selector, node, root)));
+    }
+    return current;
+}
+
+/**
+ * Select nodes from a document with a JSONPath expression.
+ * Each result is { value, parent, key }; the root has no parent.
+ */
+function queryJsonPath(document, expression) {
+    const segments = parseJsonPath(expression);
+    return evaluateSegments(segments, [{ value: document, parent: null, key: null }], document);
+}
+
+// ─── Overlay application ──────────────────────────────────────────────────────
+
+/**
+ * Recursively merge an update into a target: objects merge, arrays append, anything else is replaced
+ */
+function mergeUpdate(target, update) {
+    if (Array.isArray(target)) {
+        target.push(...(Array.isArray(update) ? update : [update]).map(deepClone));
+        return;
+    }
+
+    for (const [key, value] of Object.entries(update)) {
+        if (isObject(target[key]) && isObject(value)) {
+            mergeUpdate(target[key], value);
+        } else if (Array.isArray(target[key]) && Array.isArray(value)) {
+            target[key].push(...value.map(deepClone));
+        } else {
+            target[key] = deepClone(value);
+        }
+    }
+}
+
+/**
+ * Check the structure of an overlay document
+ */
+function validateOverlay(overlay, label = 'overlay') {
+    if (!isObject(overlay)) {
+        throw new Error(`Invalid ${label}: must be an object`);
+    }
+    if (typeof overlay.overlay !== 'string' || !/^1\.\d+\.\d+/.test(overlay.overlay)) {
+        throw new Error(`Invalid ${label}: unsupported or missing "overlay" version (expected 1.x.y)`);
+    }
+    if (!Array.isArray(overlay.actions) || overlay.actions.length === 0) {
+        throw new Error(`Invalid ${label}: "actions" must be a non-empty array`);
+    }
+
+    overlay.actions.forEach((action, index) => {
+        const where = `${label} actions[${index}]`;
+        if (!isObject(action) || typeof action.target !== 'string') {
+            throw new Error(`Invalid ${where}: "target" must be a JSONPath string`);
+        }
+        if (action.update === undefined && action.remove !== true) {
+            throw new Error(`Invalid ${where}: needs "update" or "remove: true"`);
+        }
+        if (action.update !== undefined && !isObject(action.update) && !Array.isArray(action.update)) {
+            throw new Error(`Invalid ${where}: "update" must be an object or array`);
+        }
+        parseJsonPath(action.target);
+    });
+}
+
+/**
+ * Apply an overlay document to a spec.
+ *
+ * @param {object} spec - OpenAPI document (not modified)
+ * @param {object} overlay - Overlay 1.0 document
+ * @param {string} label - Name used in messages, e.g. the overlay's file path
+ * @returns {{ spec: object, applied: number, unmatched: string[] }}
+ */
+function applyOverlay(spec, overlay, label = 'overlay') {
+    validateOverlay(overlay, label);
+
+    const patched = deepClone(spec);
+    let applied = 0;
+    const unmatched = [];
+
+    for (const action of overlay.actions) {
+        const nodes = queryJsonPath(patched, action.target);
+        if (nodes.length === 0) {
+            unmatched.push(action.target);
+            continue;
+        }
+
+        if (action.remove === true) {
+            // Remove each node once, array elements from the end so earlier indexes stay valid
+            const removals = nodes
+                .filter((node, index) => node.parent !== null &&
+                    nodes.findIndex(other => other.parent === node.parent && other.key === node.key) === index)
+                .sort((a, b) => (typeof b.key === 'number' ? b.key : -1) - (typeof a.key === 'number' ? a.key : -1));
+            for (const { parent, key } of removals) {
+                if (Array.isArray(parent)) {
+                    parent.splice(key, 1);
+                } else {
+                    delete parent[key];
+                }
+            }
+        } else {
+            for (const node of nodes) {
+                if (!isObject(node.value) && !Array.isArray(node.value)) {
+                    throw new Error(`${label}: target "${action.target}" selects a ${node.value === null ? 'null' : typeof node.value} value, which cannot be updated`);
+                }
+                mergeUpdate(node.value, action.update);
+            }
+        }
+        applied++;
+    }
+
+    return { spec: patched, applied, unmatched };
+}
+
+/**
+ * Apply several overlays in order, logging what each one changed
+ *
+ * @param {object} spec - OpenAPI document (not modified)
+ * @param {Array<{ overlay: object, label: string }>} overlays
+ * @param {object} [logger=log]
+ * @returns {object} The patched spec
+ */
+function applyOverlays(spec, overlays, logger = log) {
+    let patched = spec;
+    for (const { overlay, label } of overlays) {
+        const result = applyOverlay(patched, overlay, label);
+        patched = result.spec;
+
+        const title = overlay.info && overlay.info.title ? ` (${overlay.info.title})` : '';
+        logger.info(`Applied overlay ${label}${title}: ${result.applied} of ${overlay.actions.length} action(s)`);
+        result.unmatched.forEach(target => logger.warn(`  Overlay target matched nothing: ${target}`));
+    }
+    return patched;
+}
+
+/**
+ * Read overlay documents from files or URLs (JSON or YAML)
+ *
+ * @param {string[]} inputs - Overlay file paths or URLs, in the order they are applied
+ * @param {object} fetchOptions - Options for URL inputs (see fetchUrl); their headers and token
+ *   are only sent to fetchOptions.credentialsOrigin, the origin of the spec URL
+ * @returns {Promise<Array<{ overlay: object, label: string }>>}
+ */
+async function loadOverlays(inputs, fetchOptions = {}) {
+    // No credentials unless the caller names the origin they belong to
+    fetchOptions = { ...fetchOptions, credentialsOrigin: fetchOptions.credentialsOrigin || null };
+    const overlays = [];
+    for (const input of inputs) {
+        const isUrl = input.startsWith('http://') || input.startsWith('https://');
+        const overlay = isUrl ? await fetchOpenApiFromUrl(input, fetchOptions) : readSpecFile(path.resolve(input));
+        const label = isUrl ? input : path.basename(input);
+
+        validateOverlay(overlay, `overlay ${label}`);
+        overlays.push({ overlay, label });
+    }
+    return overlays;
+}
+
+module.exports = {
+    loadOverlays,
+    applyOverlay,
+    applyOverlays,
+    validateOverlay,
+    queryJsonPath,
+    parseJsonPath
+};
@@ -0,0 +1,315 @@
+/**
+ * External $ref Bundler
+ *
+ * Turns a multi-file OpenAPI spec into one self-contained document by
+ * following relative file refs and URL refs (e.g. "schemas/Pet.yaml" or
+ * "common.yaml#/components/schemas/Error").
+ *
+ * - Schemas are hoisted into components.schemas (definitions for Swagger 2.0)
+ *   and referenced locally, so recursive schemas stay representable and the
+ *   value sanitizer can see every schema by name.
+ * - Everything else (path items, parameters, responses, ...) is inlined.
+ * - Circular refs that cannot be hoisted are reported as errors.
+ * - Refs that cannot be resolved are reported with the JSON pointer of the
+ *   $ref in the bundled document, like the problems of spec-validator.js.
+ */
+
+const path = require('path');
+const { readSpecFile, fetchOpenApiFromUrl, urlOrigin, deepClone, isObject, log } = require('./utils');
+
+// Keys whose value is a single schema when found inside a schema
+const SCHEMA_KEYS = new Set([
+    'items', 'additionalProperties', 'additionalItems', 'not', 'contains', 'propertyNames',
+    'if', 'then', 'else', 'unevaluatedItems', 'unevaluatedProperties'
+]);
+
+// Keys whose value is a list of schemas when found inside a schema
+const SCHEMA_LIST_KEYS = new Set(['allOf', 'anyOf', 'oneOf', 'prefixItems']);
+
+// Keys whose value is a name → schema map when found inside a schema
+const SCHEMA_MAP_KEYS = new Set(['properties', 'patternProperties', '$defs', 'definitions', 'dependentSchemas']);
+
+/**
+ * Check whether a location is an http(s) URL
+ */
+function isUrl(location) {
+    return /^https?:\/\//i.test(location);
+}
+
+/**
+ * Resolve a $ref against the location of the document it appears in.
+ * Returns { location, pointer } where location is an absolute file path or URL.
+ */
+function resolveRefLocation(ref, baseLocation) {
+    const hashIndex = ref.indexOf('#');
+    const target = hashIndex === -1 ? ref : ref.slice(0, hashIndex);
+    const pointer = hashIndex === -1 ? '' : ref.slice(hashIndex + 1);
+
+    if (!target) {
+        return { location: baseLocation, pointer };
+    }
+
+    if (isUrl(target)) {
+        return { location: target, pointer };
+    }
+
+    if (baseLocation && isUrl(baseLocation)) {
+        return { location: new URL(target, baseLocation).href, pointer };
+    }
+
+    const baseDir = baseLocation ? path.dirname(baseLocation) : process.cwd();
+    return { location: path.resolve(baseDir, decodeURIComponent(target)), pointer };
+}
+
+/**
+ * Follow a JSON pointer (e.g. "/components/schemas/Pet") inside a document
+ */
+function resolvePointer(document, pointer) {
+    if (!pointer || pointer === '/') return document;
+
+    const parts = pointer.replace(/^\//, '').split('/')
+        .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'));
+
+    let resolved = document;
+    for (const part of parts) {
+        if (resolved === null || typeof resolved !== 'object' || !(part in resolved)) {
+            return undefined;
+        }
+        resolved = resolved[part];
+    }
+    return resolved;
+}
+
+/**
+ * Build a JSON pointer from path segments
+ */
+function toPointer(segments) {
+    return segments.map(segment => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+/**
+ * Pick a component name for a hoisted schema
+ */
+function deriveSchemaName(location, pointer) {
+    let name;
+    const segments = pointer.split('/').filter(Boolean);
+
+    if (segments.length > 0) {
+        name = decodeURIComponent(segments[segments.length - 1]).replace(/~1/g, '/').replace(/~0/g, '~');
+    } else {
+        const pathname = isUrl(location) ? new URL(location).pathname : location;
+        name = path.basename(pathname, path.extname(pathname));
+    }
+
+    return name.replace(/[^A-Za-z0-9._-]/g, '_') || 'Schema';
+}
+
+/**
+ * Work out what kind of node a child key holds, given the kind of its parent
+ */
+function childKind(key, parentKind, parentKey) {
+    if (parentKind === 'schemaMap' || parentKind === 'schemaList') return 'schema';
+    if (key === 'schema') return 'schema';
+
+    if (parentKind === 'schema') {
+        if (SCHEMA_KEYS.has(key)) return 'schema';
+        if (SCHEMA_LIST_KEYS.has(key)) return 'schemaList';
+        if (SCHEMA_MAP_KEYS.has(key)) return 'schemaMap';
+        return 'other';
+    }
+
+    if (key === 'schemas' && parentKey === 'components') return 'schemaMap';
+    if (key === 'definitions' && parentKey === null) return 'schemaMap';
+    return 'other';
+}
+
+/**
+ * Bundle all external $refs of a spec into a single self-contained document.
+ *
+ * @param {object} spec - The root OpenAPI document (not modified)
+ * @param {object} options
+ * @param {string} options.baseLocation - File path or URL the root document was loaded from
+ * @param {object} options.fetchOptions - Options passed to fetchOpenApiFromUrl for URL refs; their
+ *   headers and token are only sent to the origin of a URL baseLocation
+ * @param {object} [options.logger=log] - Logger for the bundling summary
+ * @param {Array<{pointer: string, message: string, rule: string}>} [options.problems] - Collects the refs
+ *   that cannot be resolved, which are then left in place; without it they are thrown as one error
+ *   carrying the same list in error.problems
+ * @returns {Promise<object>} The bundled spec
+ */
+async function bundleSpec(spec, { baseLocation, fetchOptions, logger = log, problems } = {}) {
+    const root = deepClone(spec);
+    const isSwagger2 = Boolean(root.swagger);
+
+    let container;
+    let containerPath;
+    if (isSwagger2) {
+        root.definitions = root.definitions || {};
+        container = root.definitions;
+        containerPath = ['definitions'];
+    } else {
+        root.components = root.components || {};
+        root.components.schemas = root.components.schemas || {};
+        container = root.components.schemas;
+        containerPath = ['components', 'schemas'];
+    }
+    const localPrefix = `#${toPointer(containerPath)}/`;
+
+    const rootLocation = baseLocation
+        ? (isUrl(baseLocation) ? baseLocation : path.resolve(baseLocation))
+        : null;
+    // Credentials meant for the spec's server stay with it
+    const refFetchOptions = { ...fetchOptions, credentialsOrigin: urlOrigin(rootLocation) };
+    const documents = new Map();
+    const failedDocuments = new Map();
+    const unresolved = [];
+    // Unresolvable refs left in place, so later passes do not report them again
+    const keptRefs = new WeakSet();
+    const hoisted = new Map();
+    const usedNames = new Set(Object.keys(container));
+    let refCount = 0;
+
+    const loadDocument = async (location) => {
+        if (failedDocuments.has(location)) throw failedDocuments.get(location);
+        if (!documents.has(location)) {
+            try {
+                documents.set(location, isUrl(location)
+                    ? await fetchOpenApiFromUrl(location, refFetchOptions)
+                    : readSpecFile(location));
+            } catch (error) {
+                failedDocuments.set(location, error);
+                throw error;
+            }
+        }
+        return documents.get(location);
+    };
+
+    // Resolve a $ref, or note why it cannot be resolved and return null
+    const loadTarget = async (ref, base, at) => {
+        const fail = (message) => {
+            unresolved.push({ pointer: toPointer([...at, '$ref']), message, rule: 'unresolvable-ref' });
+            return null;
+        };
+        const source = base && base !== rootLocation ? ` in ${base}` : '';
+
+        const { location, pointer } = resolveRefLocation(ref, base);
+        if (!location) {
+            return fail(`Cannot resolve $ref "${ref}": the root document location is unknown`);
+        }
+        let document;
+        try {
+            document = await loadDocument(location);
+        } catch (error) {
+            return fail(`Cannot load $ref "${ref}"${source}: ${error.message}`);
+        }
+        const target = resolvePointer(document, pointer);
+        if (target === undefined) {
+            return fail(`Unresolvable $ref "${ref}"${source}`);
+        }
+        return { location, pointer, key: `${location}#${pointer}`, target: deepClone(target) };
+    };
+
+    const uniqueName = (name) => {
+        let candidate = name;
+        let counter = 2;
+        while (usedNames.has(candidate)) {
+            candidate = `${name}_${counter++}`;
+        }
+        usedNames.add(candidate);
+        return candidate;
+    };
+
+    // "at" is the path of the node in the bundled document, for problem pointers
+    const walk = async (node, base, kind, parentKey, stack, at, ownName) => {
+        if (Array.isArray(node)) {
+            const result = [];
+            for (const [index, element] of node.entries()) {
+                result.push(await walk(element, base, kind === 'schemaList' ? 'schema' : kind, parentKey, stack, [...at, index]));
+            }
+            return result;
+        }
+
+        if (!isObject(node) || keptRefs.has(node)) return node;
+
+        // Local refs in the root document are already self-contained
+        if (typeof node.$ref === 'string' && (base !== rootLocation || !node.$ref.startsWith('#'))) {
+            const loaded = await loadTarget(node.$ref, base, at);
+            if (!loaded) {
+                const kept = { ...node };
+                keptRefs.add(kept);
+                return kept;
+            }
+            const { location, pointer, key, target } = loaded;
+            refCount++;
+
+            if (kind === 'schema') {
+                if (hoisted.has(key)) {
+                    return { $ref: localPrefix + hoisted.get(key) };
+                }
+
+                const name = ownName || uniqueName(deriveSchemaName(location, pointer));
+                hoisted.set(key, name);
+                const resolved = await walk(target, location, 'schema', null, stack, ownName ? at : [...containerPath, name]);
+
+                if (ownName) return resolved;
+                container[name] = resolved;
+                return { $ref: localPrefix + name };
+            }
+
+            if (stack.includes(key)) {
+                throw new Error(`Circular $ref detected: ${[...stack, key].join(' -> ')}`);
+            }
+
+            const resolved = await walk(target, location, kind, parentKey, [...stack, key], at);
+            const { $ref, ...siblings } = node;
+            return isObject(resolved) ? { ...resolved, ...siblings } : resolved;
+        }
+
+        const result = {};
+        for (const [key, value] of Object.entries(node)) {
+            result[key] = await walk(value, base, childKind(key, kind, parentKey), key, stack, [...at, key]);
+        }
+        return result;
+    };
+
+    // Resolve the root's own schema entries first so that external schemas they
+    // point at keep the name the root gave them
+    for (const name of Object.keys(container)) {
+        container[name] = await walk(container[name], rootLocation, 'schema', null, [], [...containerPath, name], name);
+    }
+
+    const bundled = await walk(root, rootLocation, 'other', null, [], []);
+
+    if (unresolved.length > 0) {
+        if (!Array.isArray(problems)) {
+            const error = new Error(unresolved.map(problem => `${problem.message} at ${problem.pointer}`).join('; '));
+            error.problems = unresolved;
+            throw error;
+        }
+        problems.push(...unresolved);
+    }
+
+    if (Object.keys(container).length === 0) {
+        if (isSwagger2) delete bundled.definitions;
+        else delete bundled.components.schemas;
+    } else if (isSwagger2) {
+        bundled.definitions = container;
+    } else {
+        bundled.components.schemas = container;
+    }
+    if (!isSwagger2 && Object.keys(bundled.components).length === 0) {
+        delete bundled.components;
+    }
+
+    if (refCount > 0) {
+        logger.info(`Bundled ${refCount} external $ref(s) from ${documents.size} document(s)`);
+    }
+
+    return bundled;
+}
+
+module.exports = {
+    bundleSpec,
+    resolveRefLocation,
+    resolvePointer
+};
@@ -0,0 +1,468 @@
+/**
+ * Request chaining
+ *
+ * Wires the values one request returns into the requests that need them, so
+ * a collection run can create a resource and then read, update and delete it:
+ * - OpenAPI links: each link parameter fed from "$response.body#/pointer" or
+ *   "$response.header.Name" becomes a capture on the linking operation
+ * - where no link feeds a path parameter, name heuristics pick a create (POST)
+ *   operation whose response has the value: "petId" matches "petId", or "id"
+ *   on a response for the pet resource (POST /pets, or a Pet schema)
+ *
+ * Producing requests get a generated test block that stores the values in
+ * collection variables; consuming requests use {{variable}} in place of the
+ * example value, which becomes the variable's initial value. Requests are then
+ * ordered create → read → update → delete, with producers before consumers.
+ */
+
+const { isObject, log } = require('./utils');
+const { resolvePointer } = require('./ref-bundler');
+const { listOperations, operationKey, requestKey, forEachRequest } = require('./operations');
+const { setGeneratedBlock } = require('./script-blocks');
+
+const BLOCK_ID = 'request-chaining';
+
+// Run order of the HTTP methods: create, read, update, delete
+const METHOD_ORDER = { POST: 0, GET: 1, HEAD: 1, OPTIONS: 1, PUT: 2, PATCH: 2, DELETE: 3 };
+
+/**
+ * Resolve a local $ref of a response, link or parameter object
+ */
+function resolveObject(node, spec) {
+    if (isObject(node) && typeof node.$ref === 'string' && node.$ref.startsWith('#')) {
+        return resolvePointer(spec, node.$ref.slice(1));
+    }
+    return node;
+}
+
+/**
+ * Naive English singular of a path segment ("pets" → "pet", "categories" → "category")
+ */
+function singularize(word) {
+    if (/ies$/i.test(word)) return word.slice(0, -3) + 'y';
+    if (/(ss|x|ch|sh)es$/i.test(word)) return word.slice(0, -2);
+    if (/[^su]s$/i.test(word)) return word.slice(0, -1);
+    return word;
+}
+
+/**
+ * Lowercase a name and drop separators, for comparisons
+ */
+function normalizeName(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Resource a path parameter identifies: "petId" → "pet"; a bare "id" takes the
+ * resource from the path segment before it ("/pets/{id}" → "pet")
+ */
+function parameterResource(paramName, pathKey) {
+    const match = /^(.+?)[-_]?(id|Id|ID|uuid|Uuid|UUID)$/.exec(paramName);
+    if (match) return match[1];
+
+    const segments = pathKey.split('/').filter(Boolean);
+    const index = segments.indexOf(`{${paramName}}`);
+    const previous = index > 0 ? segments[index - 1] : '';
+    return previous && !previous.startsWith('{') ? singularize(previous) : null;
+}
+
+/**
+ * Collection variable for a path parameter: its own name, or "<resource>Id"
+ * for generic names such as "id"
+ */
+function chainVariable(paramName, pathKey) {
+    if (/^(id|uuid)$/i.test(paramName)) {
+        const resource = parameterResource(paramName, pathKey);
+        if (resource) return `${resource.replace(/[^\w]+(\w)/g, (m, c) => c.toUpperCase())}Id`;
+    }
+    return paramName;
+}
+
+/**
+ * Parse a link runtime expression into a capture source
+ *
+ * @returns {{ source: 'body', pointer: string } | { source: 'header', name: string } | null}
+ */
+function parseRuntimeExpression(expression) {
+    if (typeof expression !== 'string') return null;
+    if (expression === '$response.body') return { source: 'body', pointer: '' };
+    let match = /^\$response\.body#(\/.*)?$/.exec(expression);
+    if (match) return { source: 'body', pointer: match[1] || '' };
+    match = /^\$response\.header\.(.+)$/.exec(expression);
+    if (match) return { source: 'header', name: match[1] };
+    return null;
+}
+
+/**
+ * Find the operation an operationRef points to ("#/paths/~1pets~1{petId}/get")
+ */
+function resolveOperationRef(operationRef, spec) {
+    const match = /^#\/paths\/([^/]+)\/([a-z]+)$/.exec(operationRef || '');
+    if (!match) return null;
+    const pathKey = decodeURIComponent(match[1]).replace(/~1/g, '/').replace(/~0/g, '~');
+    return isObject(spec.paths && spec.paths[pathKey]) && isObject(spec.paths[pathKey][match[2]])
+        ? { pathKey, method: match[2] }
+        : null;
+}
+
+/**
+ * Where a parameter of an operation goes ("path", "query", "header"), if declared
+ */
+function parameterLocation(entry, name, spec) {
+    const parameters = [...(entry.pathItem.parameters || []), ...(entry.operation.parameters || [])]
+        .map(parameter => resolveObject(parameter, spec))
+        .filter(isObject);
+    const parameter = parameters.find(p => p.name === name);
+    if (parameter) return parameter.in;
+    return entry.pathKey.includes(`{${name}}`) ? 'path' : null;
+}
+
+/**
+ * Chains declared with OpenAPI links
+ */
+function findLinkChains(spec, operations) {
+    const byOperationId = new Map(operations.filter(entry => entry.operation.operationId).map(entry => [entry.operation.operationId, entry]));
+    const byKey = new Map(operations.map(entry => [operationKey(entry.method, entry.pathKey), entry]));
+    const chains = [];
+
+    for (const producer of operations) {
+        for (const [status, responseNode] of Object.entries(producer.operation.responses || {})) {
+            const response = resolveObject(responseNode, spec);
+            if (!isObject(response) || !isObject(response.links)) continue;
+
+            for (const linkNode of Object.values(response.links)) {
+                const link = resolveObject(linkNode, spec);
+                if (!isObject(link) || !isObject(link.parameters)) continue;
+
+                let consumer = link.operationId ? byOperationId.get(link.operationId) : null;
+                if (!consumer && link.operationRef) {
+                    const target = resolveOperationRef(link.operationRef, spec);
+                    consumer = target && byKey.get(operationKey(target.method, target.pathKey));
+                }
+                if (!consumer) continue;
+
+                for (const [qualifiedName, expression] of Object.entries(link.parameters)) {
+                    const capture = parseRuntimeExpression(expression);
+                    if (!capture) continue;
+
+                    const qualified = /^(path|query|header|cookie)\.(.+)$/.exec(qualifiedName);
+                    const name = qualified ? qualified[2] : qualifiedName;
+                    const location = qualified ? qualified[1] : parameterLocation(consumer, name, spec);
+                    if (!['path', 'query', 'header'].includes(location)) continue;
+
+                    chains.push({
+                        producer,
+                        consumer,
+                        status: String(status).toUpperCase() === 'DEFAULT' ? 'default' : String(status).toUpperCase(),
+                        capture,
+                        parameter: { name, in: location },
+                        variable: location === 'path' ? chainVariable(name, consumer.pathKey) : name
+                    });
+                }
+            }
+        }
+    }
+
+    return chains;
+}
+
+/**
+ * Top-level property names of a JSON response schema and the schema's component name
+ */
+function describeResponseBody(response, spec) {
+    const content = isObject(response.content) ? response.content : null;
+    const mediaType = content && Object.keys(content).find(type => /^application\/(.+\+)?json/i.test(type));
+    const schema = spec.swagger ? response.schema : mediaType && content[mediaType].schema;
+    if (!isObject(schema)) return null;
+
+    const schemaName = typeof schema.$ref === 'string' ? schema.$ref.split('/').pop() : null;
+    const properties = new Set();
+    const collect = (node, depth) => {
+        node = resolveObject(node, spec);
+        if (!isObject(node) || depth > 10) return;
+        Object.keys(node.properties || {}).forEach(name => properties.add(name));
+        (node.allOf || []).forEach(part => collect(part, depth + 1));
+    };
+    collect(schema, 0);
+    return { schemaName, properties };
+}
+
+/**
+ * Chains guessed from names, for path parameters no link feeds
+ */
+function findHeuristicChains(spec, operations, linkedParameters) {
+    const creators = operations
+        .filter(entry => entry.method === 'post')
+        .map(entry => {
+            const [status, response] = Object.entries(entry.operation.responses || {})
+                .map(([code, node]) => [code, resolveObject(node, spec)])
+                .find(([code, response]) => /^2/.test(code) && isObject(response)) || [];
+            const body = response && describeResponseBody(response, spec);
+            if (!body) return null;
+            const lastSegment = entry.pathKey.split('/').filter(segment => segment && !segment.startsWith('{')).pop() || '';
+            return { entry, status, body, resource: normalizeName(singularize(lastSegment)) };
+        })
+        .filter(Boolean);
+
+    const chains = [];
+    for (const consumer of operations) {
+        const paramNames = (consumer.pathKey.match(/\{[^}]+\}/g) || []).map(param => param.slice(1, -1));
+        for (const name of paramNames) {
+            if (linkedParameters.has(`${operationKey(consumer.method, consumer.pathKey)} ${name}`)) continue;
+
+            const resource = normalizeName(parameterResource(name, consumer.pathKey) || '');
+            const candidates = creators.filter(creator => creator.entry !== consumer).map(creator => {
+                const { properties, schemaName } = creator.body;
+                if (!/^(id|uuid)$/i.test(name) && properties.has(name)) return { creator, property: name };
+                const sameResource = resource && (creator.resource === resource || normalizeName(schemaName || '') === resource);
+                return sameResource && properties.has('id') ? { creator, property: 'id' } : null;
+            }).filter(Boolean);
+            if (candidates.length === 0) continue;
+
+            // Prefer the collection the parameter's path sits under ("POST /pets" for "/pets/{petId}")
+            const parentPath = consumer.pathKey.slice(0, consumer.pathKey.indexOf(`/{${name}}`));
+            const best = candidates.find(candidate => candidate.creator.entry.pathKey === parentPath) || candidates[0];
+
+            chains.push({
+                producer: best.creator.entry,
+                consumer,
+                status: '2XX',
+                capture: { source: 'body', pointer: `/${best.property}` },
+                parameter: { name, in: 'path' },
+                variable: chainVariable(name, consumer.pathKey)
+            });
+        }
+    }
+
+    return chains;
+}
+
+/**
+ * Find which responses feed which request parameters
+ *
+ * @param {object} spec - The bundled OpenAPI document
+ * @returns {Array<object>} Chains with producer/consumer operations, the capture and the variable name
+ */
+function findChains(spec) {
+    const operations = listOperations(spec);
+    const linkChains = findLinkChains(spec, operations);
+    const linkedParameters = new Set(linkChains
+        .filter(chain => chain.parameter.in === 'path')
+        .map(chain => `${operationKey(chain.consumer.method, chain.consumer.pathKey)} ${chain.parameter.name}`));
+
+    return [...linkChains, ...findHeuristicChains(spec, operations, linkedParameters)];
+}
+
+/**
+ * Build the test script (without block markers) that stores captured values
+ */
+function buildCaptureScript(captures) {
+    const config = JSON.stringify(captures, null, 4).split('\n');
+
+    return [
+        '(function () {',
+        `    const captures = ${config[0]}`,
+        ...config.slice(1, -1).map(line => `    ${line}`),
+        `    ${config[config.length - 1]};`,
+        '',
+        '    const status = String(pm.response.code);',
+        '    let body;',
+        '    try {',
+        '        body = pm.response.json();',
+        '    } catch (error) {',
+        '        body = undefined;',
+        '    }',
+        '',
+        '    captures.forEach(function (capture) {',
+        '        const matches = capture.status === status || capture.status === status.charAt(0) + \'XX\' ||',
+        '            (capture.status === \'default\' && status.charAt(0) === \'2\');',
+        '        if (!matches) return;',
+        '',
+        '        let value;',
+        '        if (capture.header) {',
+        '            value = pm.response.headers.get(capture.header);',
+        '        } else {',
+        '            value = capture.pointer.split(\'/\').slice(1).reduce(function (node, part) {',
+        '                return node === undefined || node === null ? undefined : node[part.replace(/~1/g, \'/\').replace(/~0/g, \'~\')];',
+        '            }, body);',
+        '        }',
+        '        if (value !== undefined && value !== null) {',
+        '            pm.collectionVariables.set(capture.variable, typeof value === \'object\' ? JSON.stringify(value) : String(value));',
+        '        }',
+        '    });',
+        '})();'
+    ];
+}
+
+/**
+ * Point a request parameter at a variable; returns the value it replaced
+ */
+function useVariable(request, parameter, variable) {
+    const reference = `{{${variable}}}`;
+    const url = isObject(request.url) ? request.url : null;
+    let entries = [];
+
+    if (parameter.in === 'path' && url) entries = url.variable || [];
+    if (parameter.in === 'query' && url) entries = url.query || [];
+    if (parameter.in === 'header') entries = request.header || [];
+
+    const entry = entries.find(candidate => candidate.key === parameter.name);
+    if (!entry) return undefined;
+
+    const previous = entry.value;
+    entry.value = reference;
+    if (parameter.in === 'query' && typeof url.raw === 'string') {
+        url.raw = url.raw.replace(new RegExp(`([?&]${parameter.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}=)[^&#]*`), `$1${reference}`);
+    }
+    return previous === reference ? undefined : previous;
+}
+
+/**
+ * Sort key of a request: method order, then path depth (deepest first for deletes)
+ */
+function requestSortKey(item) {
+    const method = String(item.request.method || 'GET').toUpperCase();
+    const rank = METHOD_ORDER[method] !== undefined ? METHOD_ORDER[method] : 1;
+    const url = item.request.url;
+    const depth = isObject(url) && Array.isArray(url.path) ? url.path.length : 0;
+    return [rank, rank === METHOD_ORDER.DELETE ? -depth : depth];
+}
+
+/**
+ * Order items create → read → update → delete, with requests that produce a
+ * variable before the requests and folders that use it. Items whose order
+ * cannot satisfy every dependency keep create → read → update → delete.
+ *
+ * @param {object[]} items - Items of a collection or folder (folders are ordered recursively)
+ * @param {Map<object, { produces: Set<string>, consumes: Set<string> }>} dependencies - Per request item
+ * @returns {object[]} The ordered items
+ */
+function orderItems(items, dependencies) {
+    const info = items.map((item, index) => {
+        if (item.item) {
+            item.item = orderItems(item.item, dependencies);
+            const produces = new Set();
+            const consumes = new Set();
+            let key = [Infinity, Infinity];
+            forEachRequest(item.item, (request) => {
+                const deps = dependencies.get(request);
+                if (deps) {
+                    deps.produces.forEach(variable => produces.add(variable));
+                    deps.consumes.forEach(variable => consumes.add(variable));
+                }
+                const requestKeyValue = requestSortKey(request);
+                if (compareKeys(requestKeyValue, key) < 0) key = requestKeyValue;
+            });
+            return { item, index, key, produces, consumes };
+        }
+        const deps = dependencies.get(item) || { produces: new Set(), consumes: new Set() };
+        return { item, index, key: item.request ? requestSortKey(item) : [1, 0], produces: deps.produces, consumes: deps.consumes };
+    });
+
+    const ordered = [];
+    const remaining = [...info].sort((a, b) => compareKeys(a.key, b.key) || a.index - b.index);
+    while (remaining.length > 0) {
+        const producedByOthers = (entry) => remaining.some(other => other !== entry &&
+            [...entry.consumes].some(variable => other.produces.has(variable) && !entry.produces.has(variable)));
+        const nextIndex = Math.max(0, remaining.findIndex(entry => !producedByOthers(entry)));
+        ordered.push(remaining.splice(nextIndex, 1)[0].item);
+    }
+    return ordered;
+}
+
+/**
+ * Compare two sort keys element by element
+ */
+function compareKeys(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1;
+    }
+    return 0;
+}
+
+/**
+ * Chain the requests of a collection and, when anything was chained, order
+ * them for a collection run
+ *
+ * @param {object} collection - Postman collection (modified in place)
+ * @param {object} spec - The bundled OpenAPI document the collection was converted from
+ * @param {object} [logger=log]
+ * @returns {object} The collection
+ */
+function applyRequestChaining(collection, spec, logger = log) {
+    const requestsByKey = new Map();
+    forEachRequest(collection.item, (item) => {
+        const key = requestKey(item.request);
+        if (!requestsByKey.has(key)) requestsByKey.set(key, []);
+        requestsByKey.get(key).push(item);
+    });
+    const requestsOf = (entry) => requestsByKey.get(operationKey(entry.method, entry.pathKey)) || [];
+
+    const captures = new Map();
+    const dependencies = new Map();
+    const initialValues = new Map();
+    const dependency = (item) => {
+        if (!dependencies.has(item)) dependencies.set(item, { produces: new Set(), consumes: new Set() });
+        return dependencies.get(item);
+    };
+    let chained = 0;
+
+    for (const chain of findChains(spec)) {
+        const producers = requestsOf(chain.producer);
+        const consumers = requestsOf(chain.consumer);
+        if (producers.length === 0 || consumers.length === 0) continue;
+
+        let used = false;
+        for (const consumer of consumers) {
+            if (producers.includes(consumer)) continue;
+            const previous = useVariable(consumer.request, chain.parameter, chain.variable);
+            if (previous === undefined && !JSON.stringify(consumer.request).includes(`{{${chain.variable}}}`)) continue;
+            if (previous !== undefined && !initialValues.has(chain.variable)) initialValues.set(chain.variable, previous);
+            dependency(consumer).consumes.add(chain.variable);
+            used = true;
+        }
+        if (!used) continue;
+        chained++;
+
+        for (const producer of producers) {
+            const capture = chain.capture.source === 'header'
+                ? { variable: chain.variable, status: chain.status, header: chain.capture.name }
+                : { variable: chain.variable, status: chain.status, pointer: chain.capture.pointer };
+            if (!captures.has(producer)) captures.set(producer, []);
+            const list = captures.get(producer);
+            if (!list.some(existing => JSON.stringify(existing) === JSON.stringify(capture))) list.push(capture);
+            dependency(producer).produces.add(chain.variable);
+        }
+    }
+
+    for (const [item, list] of captures) {
+        item.event = setGeneratedBlock(item.event || [], 'test', BLOCK_ID, buildCaptureScript(list));
+    }
+
+    if (initialValues.size > 0) {
+        collection.variable = collection.variable || [];
+        for (const [key, value] of initialValues) {
+            if (!collection.variable.some(variable => variable.key === key)) {
+                collection.variable.push({ key, value: value === undefined || value === null ? '' : String(value), type: 'string' });
+            }
+        }
+    }
+
+    // Without chains the converter's order stands
+    if (chained > 0) {
+        collection.item = orderItems(collection.item || [], dependencies);
+        logger.info(`Chained ${chained} request parameter(s) to values captured from earlier responses`);
+    }
+    return collection;
+}
+
+module.exports = {
+    applyRequestChaining,
+    findChains,
+    buildCaptureScript,
+    orderItems,
+    singularize,
+    chainVariable,
+    parseRuntimeExpression,
+    BLOCK_ID
+};
@@ -0,0 +1,373 @@
+/**
+ * Request documentation in Markdown
+ *
+ * Renders each operation into its request's description, for Postman's
+ * documentation view:
+ * - a deprecation warning, the summary, description and externalDocs link
+ * - a parameter table (name, in, required, type, constraints, description)
+ * - an outline of the request body schema
+ * - the response codes with their descriptions
+ *
+ * The rendered text sits between HTML comment markers, invisible in Postman:
+ *
+ *   <!-- BEGIN GENERATED docs (updated on every merge, edit outside this block) -->
+ *   ...
+ *   <!-- END GENERATED docs -->
+ *
+ * Merges replace the marked block and keep notes written around it.
+ */
+
+const { isObject } = require('./utils');
+const { resolvePointer } = require('./ref-bundler');
+const { indexOperations, requestKey, forEachRequest } = require('./operations');
+
+const BLOCK_ID = 'docs';
+
+const BLOCK_PATTERN = /<!-- BEGIN GENERATED ([\w.-]+)\b[^>]*-->[\s\S]*?<!-- END GENERATED \1 -->/;
+
+// Nesting depth of the request body outline
+const MAX_OUTLINE_DEPTH = 4;
+
+const PARAMETER_LOCATIONS = ['path', 'query', 'header', 'cookie', 'formData'];
+
+/**
+ * Text of a Postman description (a string or { content, type })
+ */
+function descriptionText(description) {
+    if (typeof description === 'string') return description;
+    return isObject(description) && typeof description.content === 'string' ? description.content : '';
+}
+
+/**
+ * Wrap Markdown in the markers of the generated docs block
+ */
+function wrapGeneratedDocs(markdown) {
+    return [
+        `<!-- BEGIN GENERATED ${BLOCK_ID} (updated on every merge, edit outside this block) -->`,
+        '',
+        markdown,
+        '',
+        `<!-- END GENERATED ${BLOCK_ID} -->`
+    ].join('\n');
+}
+
+/**
+ * Merge a new description into an existing one. When the existing description
+ * has a generated block, that block is replaced by the new generated block (or
+ * the whole new description when it has none) and the notes around it are kept.
+ * An existing description without a block is the converter's plain description
+ * from before docs were generated, so the first merge that adds a block replaces
+ * it; only text written around a block is kept as notes.
+ *
+ * @param {string|object} existingDescription - Description in the existing collection
+ * @param {string|object} newDescription - Freshly generated description
+ * @returns {string|object|undefined} The merged description
+ */
+function mergeDescriptions(existingDescription, newDescription) {
+    const existingText = descriptionText(existingDescription);
+    const block = BLOCK_PATTERN.exec(existingText);
+    if (!block) return newDescription;
+
+    const newText = descriptionText(newDescription);
+    const newBlock = BLOCK_PATTERN.exec(newText);
+    const replacement = newBlock ? newBlock[0] : newText.trim();
+
+    const before = existingText.slice(0, block.index).replace(/\s+$/, '');
+    const after = existingText.slice(block.index + block[0].length).replace(/^\s+/, '');
+    const content = [before, replacement, after].filter(part => part !== '').join('\n\n');
+    if (content === '') return undefined;
+
+    return { content, type: 'text/markdown' };
+}
+
+/**
+ * Resolve a local $ref
+ */
+function resolveObject(node, spec) {
+    if (isObject(node) && typeof node.$ref === 'string' && node.$ref.startsWith('#')) {
+        return resolvePointer(spec, node.$ref.slice(1));
+    }
+    return node;
+}
+
+/**
+ * Make text safe for a Markdown table cell
+ */
+function tableCell(text) {
+    return String(text === undefined || text === null ? '' : text)
+        .trim()
+        .replace(/\|/g, '\\|')
+        .replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Short type of a schema, e.g. "integer (int64)", "array of Pet", "Cat | Dog"
+ */
+function typeLabel(schema) {
+    if (!isObject(schema)) return '';
+    if (typeof schema.$ref === 'string') {
+        return schema.$ref.split('/').pop();
+    }
+
+    let label;
+    if (Array.isArray(schema.oneOf) || Array.isArray(schema.anyOf)) {
+        label = (schema.oneOf || schema.anyOf).map(member => typeLabel(member)).filter(Boolean).join(' | ');
+    } else if (Array.isArray(schema.allOf)) {
+        label = schema.allOf.map(member => typeLabel(member)).filter(Boolean).join(' & ');
+    } else if (schema.type === 'array' || schema.items) {
+        const items = typeLabel(schema.items);
+        label = items ? `array of ${items}` : 'array';
+    } else if (Array.isArray(schema.type)) {
+        label = schema.type.join(' | ');
+    } else {
+        label = schema.type || (schema.properties ? 'object' : '');
+    }
+
+    if (schema.format) label = `${label} (${schema.format})`;
+    if (schema.nullable === true || schema['x-nullable'] === true) label = `${label}, nullable`;
+    return label;
+}
+
+/**
+ * Validation keywords of a schema, e.g. "minimum: `1`, one of: `a`, `b`"
+ */
+function constraintsOf(schema) {
+    if (!isObject(schema)) return '';
+    const code = (value) => `\`${typeof value === 'string' ? value : JSON.stringify(value)}\``;
+    const constraints = [];
+
+    if (Array.isArray(schema.enum)) constraints.push(`one of: ${schema.enum.map(code).join(', ')}`);
+    for (const [keyword, label] of [
+        ['minimum', schema.exclusiveMinimum === true ? 'exclusive minimum' : 'minimum'],
+        ['maximum', schema.exclusiveMaximum === true ? 'exclusive maximum' : 'maximum'],
+        ['minLength', 'min length'],
+        ['maxLength', 'max length'],
+        ['minItems', 'min items'],
+        ['maxItems', 'max items'],
+        ['pattern', 'pattern'],
+        ['multipleOf', 'multiple of']
+    ]) {
+        if (schema[keyword] !== undefined) constraints.push(`${label}: ${code(schema[keyword])}`);
+    }
+    // OpenAPI 3.1 numeric exclusive bounds
+    if (typeof schema.exclusiveMinimum === 'number') constraints.push(`exclusive minimum: ${code(schema.exclusiveMinimum)}`);
+    if (typeof schema.exclusiveMaximum === 'number') constraints.push(`exclusive maximum: ${code(schema.exclusiveMaximum)}`);
+    if (schema.uniqueItems === true) constraints.push('unique items');
+    if (schema.default !== undefined) constraints.push(`default: ${code(schema.default)}`);
+
+    return constraints.join(', ');
+}
+
+/**
+ * Parameters of an operation: path-level ones overridden by operation-level ones
+ */
+function collectParameters(entry, spec) {
+    const parameters = new Map();
+    for (const node of [...(entry.pathItem.parameters || []), ...(entry.operation.parameters || [])]) {
+        const parameter = resolveObject(node, spec);
+        if (isObject(parameter) && parameter.name && parameter.in) {
+            parameters.set(`${parameter.in}:${parameter.name}`, parameter);
+        }
+    }
+    return [...parameters.values()];
+}
+
+/**
+ * Render the parameter table
+ */
+function renderParameters(parameters, spec) {
+    const rows = parameters
+        .filter(parameter => PARAMETER_LOCATIONS.includes(parameter.in))
+        .map(parameter => {
+            // Swagger 2.0 parameters carry their schema keywords directly
+            const schema = parameter.schema ? resolveObject(parameter.schema, spec) : parameter;
+            const description = [
+                parameter.deprecated === true ? '**Deprecated.**' : '',
+                parameter.description || ''
+            ].filter(Boolean).join(' ');
+            return `| \`${tableCell(parameter.name)}\` | ${parameter.in} | ${parameter.required === true ? 'yes' : 'no'} | ` +
+                `${tableCell(typeLabel(parameter.schema || parameter))} | ${tableCell(constraintsOf(schema))} | ${tableCell(description)} |`;
+        });
+    if (rows.length === 0) return [];
+
+    return [
+        '### Parameters',
+        '',
+        '| Name | In | Required | Type | Constraints | Description |',
+        '| --- | --- | --- | --- | --- | --- |',
+        ...rows
+    ];
+}
+
+/**
+ * Merge the properties of allOf members into one object schema
+ */
+function flattenSchema(schema, spec) {
+    const resolved = resolveObject(schema, spec);
+    if (!isObject(resolved) || !Array.isArray(resolved.allOf)) return resolved;
+
+    const flat = { ...resolved, properties: { ...(resolved.properties || {}) }, required: [...(resolved.required || [])] };
+    for (const member of resolved.allOf) {
+        const part = flattenSchema(member, spec);
+        if (!isObject(part)) continue;
+        Object.assign(flat.properties, part.properties || {});
+        flat.required.push(...(part.required || []));
+    }
+    return flat;
+}
+
+/**
+ * Outline the properties of a schema as a nested Markdown list
+ */
+function outlineSchema(schema, spec, { depth = 0, refStack = [], writing = true } = {}) {
+    const ref = isObject(schema) && typeof schema.$ref === 'string' ? schema.$ref : null;
+    if (depth >= MAX_OUTLINE_DEPTH || (ref && refStack.includes(ref))) return [];
+    const stack = ref ? [...refStack, ref] : refStack;
+
+    const resolved = flattenSchema(schema, spec);
+    if (!isObject(resolved)) return [];
+    if (resolved.type === 'array' || resolved.items) {
+        return outlineSchema(resolved.items, spec, { depth, refStack: stack, writing });
+    }
+    if (!isObject(resolved.properties)) return [];
+
+    const required = new Set(resolved.required || []);
+    const pad = '  '.repeat(depth);
+    const lines = [];
+    for (const [name, node] of Object.entries(resolved.properties)) {
+        const property = resolveObject(node, spec);
+        if (!isObject(property)) continue;
+        // Read-only properties are never sent in a request body
+        if (writing && property.readOnly === true) continue;
+
+        const details = [typeLabel(node)];
+        if (required.has(name)) details.push('required');
+        if (property.deprecated === true) details.push('deprecated');
+        const constraints = constraintsOf(property);
+        if (constraints) details.push(constraints);
+        const description = typeof property.description === 'string' ? property.description.trim().split('\n')[0] : '';
+
+        lines.push(`${pad}- \`${name}\` ${details.filter(Boolean).join(', ')}${description ? ` — ${description}` : ''}`);
+        lines.push(...outlineSchema(node, spec, { depth: depth + 1, refStack: stack, writing }));
+    }
+    return lines;
+}
+
+/**
+ * Render the request body section
+ */
+function renderRequestBody(entry, parameters, spec) {
+    let content = null;
+    let required = false;
+
+    if (spec.swagger) {
+        // Swagger 2.0: a body parameter, or formData parameters (listed in the table)
+        const bodyParameter = parameters.find(parameter => parameter.in === 'body');
+        if (!bodyParameter) return [];
+        const consumes = entry.operation.consumes || spec.consumes || ['application/json'];
+        content = Object.fromEntries(consumes.map(type => [type, { schema: bodyParameter.schema }]));
+        required = bodyParameter.required === true;
+    } else {
+        const requestBody = resolveObject(entry.operation.requestBody, spec);
+        if (!isObject(requestBody) || !isObject(requestBody.content)) return [];
+        content = requestBody.content;
+        required = requestBody.required === true;
+    }
+
+    const types = Object.keys(content);
+    if (types.length === 0) return [];
+    const outlined = types.find(type => /json/i.test(type) && isObject(content[type]) && content[type].schema) ||
+        types.find(type => isObject(content[type]) && content[type].schema);
+    const schema = outlined && content[outlined].schema;
+
+    const lines = [
+        '### Request body',
+        '',
+        `${types.map(type => `\`${type}\``).join(', ')}${required ? ' (required)' : ''}`
+    ];
+    if (schema) {
+        const resolved = flattenSchema(schema, spec);
+        const outline = outlineSchema(schema, spec);
+        const label = typeLabel(schema);
+        if (label && (outline.length === 0 || (isObject(resolved) && (resolved.type === 'array' || resolved.items)))) {
+            lines.push('', `Type: ${label}`);
+        }
+        if (outline.length > 0) lines.push('', ...outline);
+    }
+    return lines;
+}
+
+/**
+ * Render the responses table
+ */
+function renderResponses(operation, spec) {
+    const rows = Object.entries(operation.responses || {}).map(([status, node]) => {
+        const response = resolveObject(node, spec) || {};
+        return `| \`${tableCell(status)}\` | ${tableCell(response.description || '')} |`;
+    });
+    if (rows.length === 0) return [];
+
+    return ['### Responses', '', '| Code | Description |', '| --- | --- |', ...rows];
+}
+
+/**
+ * Render the Markdown documentation of an operation (without block markers)
+ *
+ * @param {object} entry - The operation, from indexOperations
+ * @param {object} spec - The bundled OpenAPI document
+ * @returns {string} Markdown
+ */
+function renderOperationDocs(entry, spec) {
+    const { operation } = entry;
+    const parameters = collectParameters(entry, spec);
+    const sections = [];
+
+    if (operation.deprecated === true) {
+        sections.push(['> **Deprecated:** this operation may be removed in a future version of the API.']);
+    }
+    if (typeof operation.summary === 'string' && operation.summary.trim() !== '') {
+        sections.push([`**${operation.summary.trim()}**`]);
+    }
+    if (typeof operation.description === 'string' && operation.description.trim() !== '') {
+        sections.push([operation.description.trim()]);
+    }
+    if (isObject(operation.externalDocs) && operation.externalDocs.url) {
+        sections.push([`[${operation.externalDocs.description || 'External documentation'}](${operation.externalDocs.url})`]);
+    }
+    sections.push(
+        renderParameters(parameters, spec),
+        renderRequestBody(entry, parameters, spec),
+        renderResponses(operation, spec)
+    );
+
+    return sections.filter(lines => lines.length > 0).map(lines => lines.join('\n')).join('\n\n');
+}
+
+/**
+ * Replace request descriptions with the rendered operation documentation
+ *
+ * @param {object} collection - Postman collection (modified in place)
+ * @param {object} spec - The bundled OpenAPI document the collection was converted from
+ * @returns {object} The collection
+ */
+function applyRequestDocs(collection, spec) {
+    const operations = indexOperations(spec);
+
+    forEachRequest(collection.item, (item) => {
+        const entry = operations.get(requestKey(item.request));
+        if (!entry) return;
+        item.request.description = { content: wrapGeneratedDocs(renderOperationDocs(entry, spec)), type: 'text/markdown' };
+    });
+
+    return collection;
+}
+
+module.exports = {
+    applyRequestDocs,
+    renderOperationDocs,
+    wrapGeneratedDocs,
+    mergeDescriptions,
+    typeLabel,
+    constraintsOf,
+    BLOCK_ID
+};
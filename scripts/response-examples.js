@@ -0,0 +1,215 @@
+/**
+ * Saved responses for every documented response and named example
+ *
+ * The converter saves one response per status code, with the body of the
+ * first named example only. This rebuilds each request's saved responses
+ * from its operation:
+ * - one per documented status code ("2XX" becomes 200, default becomes 500)
+ * - one per named example of the response's media type, titled with the
+ *   example's summary (or its name)
+ * - when the request body has an example of the same name, the saved
+ *   response's request uses that body
+ * - Swagger 2.0 responses have no named examples; the example of their
+ *   "examples" map (the JSON one if there are several) becomes the body
+ *
+ * Responses without named examples keep the converter's generated body.
+ */
+
+const http = require('http');
+const _ = require('lodash');
+const { isObject, stableUuid } = require('./utils');
+const { resolvePointer } = require('./ref-bundler');
+const { indexOperations, requestKey, forEachRequest } = require('./operations');
+
+/**
+ * Resolve a local $ref of a response, example or request body
+ */
+function resolveObject(node, spec) {
+    if (isObject(node) && typeof node.$ref === 'string' && node.$ref.startsWith('#')) {
+        return resolvePointer(spec, node.$ref.slice(1));
+    }
+    return node;
+}
+
+/**
+ * Status code a documented response is saved with
+ */
+function statusCodeFor(status) {
+    const value = String(status).toUpperCase();
+    if (value === 'DEFAULT') return 500;
+    if (/^[1-5]XX$/.test(value)) return Number(value.charAt(0)) * 100;
+    return Number(value);
+}
+
+/**
+ * Media type the examples are taken from: the first JSON one, else the first
+ */
+function pickMediaType(content) {
+    const types = Object.keys(isObject(content) ? content : {});
+    return types.find(type => /^application\/(.+\+)?json$/i.test(type.split(';')[0].trim())) || types[0] || null;
+}
+
+/**
+ * Named examples of a media type object, with $refs resolved
+ *
+ * @returns {Array<{ name: string, title: string, value: * }>} Examples that have a value
+ */
+function namedExamples(media, spec) {
+    if (!isObject(media) || !isObject(media.examples)) return [];
+
+    return Object.entries(media.examples)
+        .map(([name, node]) => [name, resolveObject(node, spec)])
+        .filter(([, example]) => isObject(example) && example.value !== undefined)
+        .map(([name, example]) => ({
+            name,
+            title: typeof example.summary === 'string' && example.summary.trim() !== '' ? example.summary.trim() : name,
+            value: example.value
+        }));
+}
+
+/**
+ * The example of a Swagger 2.0 response, as a single named example keyed by its media type
+ *
+ * @returns {Array<{ name: string, title: string, value: * }>} The example, or nothing
+ */
+function swaggerExamples(response, title) {
+    const mediaType = pickMediaType(response.examples);
+    if (!mediaType || response.examples[mediaType] === undefined) return [];
+    return [{ name: mediaType, title, value: response.examples[mediaType] }];
+}
+
+/**
+ * Body text for an example value
+ */
+function exampleBody(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
+
+/**
+ * Postman preview language for a media type
+ */
+function previewLanguage(mediaType) {
+    const type = String(mediaType || '').split(';')[0].trim().toLowerCase();
+    if (/[/+]json$/.test(type)) return 'json';
+    if (/[/+]xml$/.test(type)) return 'xml';
+    if (type === 'text/html') return 'html';
+    return 'text';
+}
+
+/**
+ * Body of the request for a named example, when the request body has an example of that name
+ */
+function requestExampleBody(operation, spec, name) {
+    const requestBody = resolveObject(operation.requestBody, spec);
+    if (!isObject(requestBody)) return null;
+    const example = namedExamples(requestBody.content && requestBody.content[pickMediaType(requestBody.content)], spec)
+        .find(entry => entry.name === name);
+    return example ? exampleBody(example.value) : null;
+}
+
+/**
+ * A saved response for a request that the converter gave none for this status
+ */
+function newResponse(item, status, name, code, mediaType) {
+    return {
+        id: stableUuid(item.id || requestKey(item.request), 'response', status),
+        name,
+        originalRequest: _.cloneDeep(item.request),
+        status: http.STATUS_CODES[code] || '',
+        code,
+        header: mediaType ? [{ key: 'Content-Type', value: mediaType }] : [],
+        body: '',
+        cookie: [],
+        _postman_previewlanguage: previewLanguage(mediaType)
+    };
+}
+
+/**
+ * Saved responses for one request
+ *
+ * @param {object} item - Request item with the converter's saved responses
+ * @param {object} entry - Its operation, from indexOperations
+ * @param {object} spec - The bundled OpenAPI document
+ * @returns {Array<object>} The saved responses, in the order the spec documents them
+ */
+function buildSavedResponses(item, entry, spec) {
+    const generated = [...(item.response || [])];
+    const responses = [];
+
+    // The converter's response for a status, matched by code and description
+    const takeGenerated = (code, description) => {
+        let index = generated.findIndex(response => response.code === code && response.name === description);
+        if (index === -1) index = generated.findIndex(response => response.code === code);
+        return index === -1 ? null : generated.splice(index, 1)[0];
+    };
+
+    for (const [status, node] of Object.entries(entry.operation.responses || {})) {
+        const response = resolveObject(node, spec);
+        if (!isObject(response)) continue;
+
+        const code = statusCodeFor(status);
+        if (!Number.isInteger(code)) continue;
+        const description = typeof response.description === 'string' && response.description.trim() !== ''
+            ? response.description.trim()
+            : `${code} ${http.STATUS_CODES[code] || ''}`.trim();
+        let mediaType;
+        let examples;
+        if (spec.swagger) {
+            examples = swaggerExamples(response, description);
+            const produces = entry.operation.produces || spec.produces || ['application/json'];
+            mediaType = examples.length > 0 ? examples[0].name : (response.schema ? produces[0] : null);
+        } else {
+            mediaType = pickMediaType(response.content);
+            examples = namedExamples(response.content && response.content[mediaType], spec);
+        }
+
+        const template = takeGenerated(code, description) || newResponse(item, status, description, code, mediaType);
+        if (examples.length === 0) {
+            responses.push(template);
+            continue;
+        }
+
+        for (const example of examples) {
+            const saved = _.cloneDeep(template);
+            saved.id = stableUuid(item.id || requestKey(item.request), 'response', status, example.name);
+            saved.name = example.title;
+            saved.body = exampleBody(example.value);
+            saved._postman_previewlanguage = previewLanguage(mediaType);
+            const contentType = (saved.header || []).find(header => String(header.key).toLowerCase() === 'content-type');
+            if (contentType) contentType.value = mediaType;
+
+            const requestBody = requestExampleBody(entry.operation, spec, example.name);
+            if (requestBody !== null && isObject(saved.originalRequest) && isObject(saved.originalRequest.body)) {
+                saved.originalRequest.body.raw = requestBody;
+            }
+            responses.push(saved);
+        }
+    }
+
+    return responses;
+}
+
+/**
+ * Give every request one saved response per documented status code and named example
+ *
+ * @param {object} collection - Postman collection (modified in place)
+ * @param {object} spec - The bundled OpenAPI document the collection was converted from
+ * @returns {object} The collection
+ */
+function applyResponseExamples(collection, spec) {
+    const operations = indexOperations(spec);
+
+    forEachRequest(collection.item, (item) => {
+        const entry = operations.get(requestKey(item.request));
+        if (!entry || !isObject(entry.operation.responses) || Object.keys(entry.operation.responses).length === 0) return;
+        item.response = buildSavedResponses(item, entry, spec);
+    });
+
+    return collection;
+}
+
+module.exports = {
+    applyResponseExamples,
+    buildSavedResponses,
+    statusCodeFor
+};
@@ -0,0 +1,162 @@
+/**
+ * Generated script blocks
+ *
+ * Scripts the converter writes into a collection are wrapped in marker
+ * comments so that merges can tell them apart from hand-written code:
+ *
+ *   // BEGIN GENERATED oauth2-token (updated on every merge, edit outside this block)
+ *   ...
+ *   // END GENERATED oauth2-token
+ *
+ * Merging replaces each generated block of the existing script with the block
+ * of the same id from the new script, drops blocks that are no longer
+ * generated and keeps every other line untouched.
+ */
+
+const BEGIN_PATTERN = /^\s*\/\/ BEGIN GENERATED ([\w.-]+)\b/;
+const END_PATTERN = /^\s*\/\/ END GENERATED ([\w.-]+)\s*$/;
+
+/**
+ * Normalize a script's exec (array of lines or one string) to an array of lines
+ */
+function toLines(exec) {
+    if (Array.isArray(exec)) return exec;
+    return typeof exec === 'string' && exec !== '' ? exec.split('\n') : [];
+}
+
+/**
+ * Wrap lines of code in the markers of a generated block
+ */
+function wrapGeneratedBlock(id, lines) {
+    return [
+        `// BEGIN GENERATED ${id} (updated on every merge, edit outside this block)`,
+        ...lines,
+        `// END GENERATED ${id}`
+    ];
+}
+
+/**
+ * Split a script into hand-written lines and generated blocks.
+ * A BEGIN marker without a matching END marker is treated as a plain line.
+ *
+ * @returns {Array<{ id: string|null, lines: string[] }>}
+ */
+function parseScript(exec) {
+    const lines = toLines(exec);
+    const segments = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const begin = BEGIN_PATTERN.exec(lines[i]);
+        const endIndex = begin
+            ? lines.findIndex((line, j) => j > i && (END_PATTERN.exec(line) || [])[1] === begin[1])
+            : -1;
+
+        if (endIndex !== -1) {
+            segments.push({ id: begin[1], lines: lines.slice(i, endIndex + 1) });
+            i = endIndex;
+        } else if (segments.length > 0 && segments[segments.length - 1].id === null) {
+            segments[segments.length - 1].lines.push(lines[i]);
+        } else {
+            segments.push({ id: null, lines: [lines[i]] });
+        }
+    }
+
+    return segments;
+}
+
+/**
+ * Check whether a script contains generated blocks
+ */
+function hasGeneratedBlocks(exec) {
+    return parseScript(exec).some(segment => segment.id !== null);
+}
+
+/**
+ * Merge the generated blocks of a new script into an existing one.
+ * Blocks that only the new script has are put before the existing code.
+ *
+ * @param {string[]|string} existingExec - Script of the existing collection
+ * @param {string[]|string} newExec - Freshly generated script
+ * @returns {string[]} Lines of the merged script
+ */
+function mergeGeneratedBlocks(existingExec, newExec) {
+    const newBlocks = new Map(parseScript(newExec)
+        .filter(segment => segment.id !== null)
+        .map(segment => [segment.id, segment.lines]));
+    const placed = new Set();
+    const merged = [];
+
+    for (const segment of parseScript(existingExec)) {
+        if (segment.id === null) {
+            merged.push(...segment.lines);
+        } else if (newBlocks.has(segment.id) && !placed.has(segment.id)) {
+            merged.push(...newBlocks.get(segment.id));
+            placed.add(segment.id);
+        }
+    }
+
+    const added = [...newBlocks].filter(([id]) => !placed.has(id)).flatMap(([, lines]) => lines);
+    return [...added, ...merged];
+}
+
+/**
+ * Merge two events listening to the same phase ("prerequest" or "test").
+ * The existing event keeps its hand-written code and takes the new generated blocks.
+ *
+ * @param {object|null} existingEvent
+ * @param {object|null} newEvent
+ * @returns {object|null} The merged event, or null when no code is left
+ */
+function mergeGeneratedEvent(existingEvent, newEvent) {
+    if (!existingEvent) return newEvent || null;
+
+    const exec = mergeGeneratedBlocks(existingEvent.script && existingEvent.script.exec, newEvent && newEvent.script && newEvent.script.exec);
+    if (!exec.some(line => line.trim() !== '')) return null;
+
+    return {
+        ...existingEvent,
+        script: { type: 'text/javascript', ...existingEvent.script, exec }
+    };
+}
+
+/**
+ * Put a generated block into a list of events, creating the event when needed.
+ * A block with the same id is replaced; other code of the event is kept.
+ *
+ * @param {object[]} events - Events of a collection, folder or request (modified in place)
+ * @param {string} listen - "prerequest" or "test"
+ * @param {string} id - Block id
+ * @param {string[]} lines - Block code, without markers
+ * @returns {object[]} The events
+ */
+function setGeneratedBlock(events, listen, id, lines) {
+    const block = wrapGeneratedBlock(id, lines);
+    const index = events.findIndex(event => event.listen === listen);
+
+    if (index === -1) {
+        events.push({ listen, script: { type: 'text/javascript', exec: block } });
+        return events;
+    }
+
+    const segments = parseScript(events[index].script && events[index].script.exec);
+    const position = segments.findIndex(segment => segment.id === id);
+    if (position === -1) {
+        segments.unshift({ id, lines: block });
+    } else {
+        segments[position] = { id, lines: block };
+    }
+    events[index] = {
+        ...events[index],
+        script: { type: 'text/javascript', ...events[index].script, exec: segments.flatMap(segment => segment.lines) }
+    };
+    return events;
+}
+
+module.exports = {
+    wrapGeneratedBlock,
+    parseScript,
+    hasGeneratedBlocks,
+    mergeGeneratedBlocks,
+    mergeGeneratedEvent,
+    setGeneratedBlock
+};
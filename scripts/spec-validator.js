@@ -0,0 +1,275 @@
+/**
+ * OpenAPI Spec Validator
+ *
+ * Structural validation of a spec before conversion:
+ * - Meta-schema validation for Swagger 2.0, OpenAPI 3.0 and OpenAPI 3.1
+ * - Dangling local $refs
+ * - Duplicate operationIds
+ * - Path template parameters that no operation parameter declares
+ *
+ * Every problem is reported with the JSON pointer of its location.
+ */
+
+const Ajv2020 = require('ajv/dist/2020');
+const AjvDraft04 = require('ajv-draft-04');
+const addFormats = require('ajv-formats');
+const { openapiV2, openapiV3, openapiV31 } = require('@apidevtools/openapi-schemas');
+const { isObject } = require('./utils');
+const { resolvePointer } = require('./ref-bundler');
+const { HTTP_METHODS } = require('./operations');
+
+// Compiled meta-schema validators, created on first use
+const validators = {};
+
+/**
+ * Encode a path segment for use in a JSON pointer
+ */
+function escapePointerSegment(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Build a JSON pointer from path segments
+ */
+function toPointer(segments) {
+    return segments.length === 0 ? '' : '/' + segments.map(escapePointerSegment).join('/');
+}
+
+/**
+ * Work out which meta-schema applies to a spec.
+ * Returns "2.0", "3.0" or "3.1", or null when the version is not supported.
+ */
+function detectSpecVersion(spec) {
+    if (spec.swagger !== undefined) {
+        return String(spec.swagger) === '2.0' ? '2.0' : null;
+    }
+    if (typeof spec.openapi === 'string') {
+        if (/^3\.0\.\d+/.test(spec.openapi)) return '3.0';
+        if (/^3\.1\.\d+/.test(spec.openapi)) return '3.1';
+    }
+    return null;
+}
+
+/**
+ * Ajv does not evaluate the 3.1 meta-schema's "$dynamicRef": "#meta" correctly and
+ * rejects every Schema Object; point those refs at the Schema Object definition instead.
+ */
+function withStaticSchemaRefs(schema) {
+    return JSON.parse(JSON.stringify(schema).replace(/"\$dynamicRef":"#meta"/g, '"$ref":"#/$defs/schema"'));
+}
+
+/**
+ * Get (and cache) the compiled meta-schema validator for a spec version
+ */
+function getMetaSchemaValidator(version) {
+    if (!validators[version]) {
+        const ajv = version === '3.1'
+            ? new Ajv2020({ strict: false, allErrors: true })
+            : new AjvDraft04({ strict: false, allErrors: true });
+        addFormats(ajv);
+        // Used by the 3.1 meta-schema for media types; not a standard format
+        ajv.addFormat('media-range', true);
+
+        const schema = { '2.0': openapiV2, '3.0': openapiV3, '3.1': openapiV31 }[version];
+        validators[version] = ajv.compile(version === '3.1' ? withStaticSchemaRefs(schema) : schema);
+    }
+    return validators[version];
+}
+
+/**
+ * Validate a spec against its OpenAPI meta-schema.
+ * oneOf/anyOf summaries are dropped when more specific errors explain them.
+ */
+function validateMetaSchema(spec, version) {
+    const validate = getMetaSchemaValidator(version);
+    if (validate(spec)) return [];
+
+    const specific = validate.errors.filter(error => !['oneOf', 'anyOf'].includes(error.keyword));
+    const relevant = validate.errors.filter(error => {
+        if (!['oneOf', 'anyOf'].includes(error.keyword)) return true;
+        return !specific.some(other => other.instancePath.startsWith(error.instancePath));
+    });
+
+    // Enum errors from alternative branches (e.g. parameter locations) are merged into one
+    const allowedValues = new Map();
+    for (const error of relevant) {
+        if (error.keyword !== 'enum') continue;
+        const values = allowedValues.get(error.instancePath) || [];
+        allowedValues.set(error.instancePath, [...new Set([...values, ...error.params.allowedValues])]);
+    }
+
+    const seen = new Set();
+    const problems = [];
+    for (const error of relevant) {
+        let message = error.message;
+        if (error.keyword === 'additionalProperties') {
+            message = `must NOT have additional property "${error.params.additionalProperty}"`;
+        } else if (error.keyword === 'enum') {
+            message = `must be one of: ${allowedValues.get(error.instancePath).join(', ')}`;
+        }
+
+        const key = `${error.instancePath} ${message}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        problems.push({ pointer: error.instancePath, message, rule: 'schema' });
+    }
+    return problems;
+}
+
+/**
+ * Find local $refs that do not resolve to anything in the spec
+ */
+function findDanglingRefs(spec) {
+    const problems = [];
+
+    const walk = (node, segments) => {
+        if (Array.isArray(node)) {
+            node.forEach((element, index) => walk(element, [...segments, index]));
+            return;
+        }
+        if (!isObject(node)) return;
+
+        if (typeof node.$ref === 'string' && node.$ref.startsWith('#')) {
+            if (resolvePointer(spec, node.$ref.slice(1)) === undefined) {
+                problems.push({
+                    pointer: toPointer([...segments, '$ref']),
+                    message: `$ref "${node.$ref}" does not resolve`,
+                    rule: 'dangling-ref'
+                });
+            }
+        }
+
+        for (const [key, value] of Object.entries(node)) {
+            walk(value, [...segments, key]);
+        }
+    };
+
+    walk(spec, []);
+    return problems;
+}
+
+/**
+ * Iterate over every operation as { path, method, operation, pathItem }
+ */
+function forEachOperation(spec, callback) {
+    for (const [pathKey, pathItem] of Object.entries(spec.paths || {})) {
+        if (!isObject(pathItem)) continue;
+        for (const method of HTTP_METHODS) {
+            if (isObject(pathItem[method])) {
+                callback({ path: pathKey, method, operation: pathItem[method], pathItem });
+            }
+        }
+    }
+}
+
+/**
+ * Find operationIds used by more than one operation
+ */
+function findDuplicateOperationIds(spec) {
+    const problems = [];
+    const firstSeen = new Map();
+
+    forEachOperation(spec, ({ path, method, operation }) => {
+        if (!operation.operationId) return;
+        const pointer = toPointer(['paths', path, method, 'operationId']);
+
+        if (firstSeen.has(operation.operationId)) {
+            problems.push({
+                pointer,
+                message: `Duplicate operationId "${operation.operationId}" (first used at ${firstSeen.get(operation.operationId)})`,
+                rule: 'duplicate-operation-id'
+            });
+        } else {
+            firstSeen.set(operation.operationId, pointer);
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Find path template variables (e.g. {petId}) that an operation does not declare
+ * as an "in: path" parameter, either on the operation or on the path item.
+ */
+function findUndeclaredPathParameters(spec) {
+    const problems = [];
+
+    const resolveParameter = (parameter) => {
+        if (isObject(parameter) && typeof parameter.$ref === 'string' && parameter.$ref.startsWith('#')) {
+            return resolvePointer(spec, parameter.$ref.slice(1));
+        }
+        return parameter;
+    };
+
+    forEachOperation(spec, ({ path, method, operation, pathItem }) => {
+        const templateNames = [...path.matchAll(/\{([^}]+)\}/g)].map(match => match[1]);
+        if (templateNames.length === 0) return;
+
+        const declared = new Set(
+            [...(pathItem.parameters || []), ...(operation.parameters || [])]
+                .map(resolveParameter)
+                .filter(parameter => isObject(parameter) && parameter.in === 'path')
+                .map(parameter => parameter.name)
+        );
+
+        for (const name of templateNames) {
+            if (!declared.has(name)) {
+                problems.push({
+                    pointer: toPointer(['paths', path, method]),
+                    message: `Path parameter "${name}" is used in the path template but not declared`,
+                    rule: 'undeclared-path-parameter'
+                });
+            }
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Validate an OpenAPI spec.
+ *
+ * @param {object} spec - A bundled (self-contained) OpenAPI document
+ * @returns {{ valid: boolean, version: string|null, problems: Array<{pointer: string, message: string, rule: string}> }}
+ */
+function validateSpec(spec) {
+    if (!isObject(spec)) {
+        return { valid: false, version: null, problems: [{ pointer: '', message: 'Spec must be an object', rule: 'schema' }] };
+    }
+
+    const version = detectSpecVersion(spec);
+    if (!version) {
+        const pointer = spec.swagger !== undefined ? '/swagger' : '/openapi';
+        const found = spec.swagger !== undefined ? spec.swagger : spec.openapi;
+        return {
+            valid: false,
+            version: null,
+            problems: [{
+                pointer,
+                message: found === undefined
+                    ? 'Missing "openapi" or "swagger" field'
+                    : `Unsupported version "${found}" (expected 2.0, 3.0.x or 3.1.x)`,
+                rule: 'schema'
+            }]
+        };
+    }
+
+    const problems = [
+        ...validateMetaSchema(spec, version),
+        ...findDanglingRefs(spec),
+        ...findDuplicateOperationIds(spec),
+        ...findUndeclaredPathParameters(spec)
+    ];
+
+    return { valid: problems.length === 0, version, problems };
+}
+
+module.exports = {
+    validateSpec,
+    detectSpecVersion,
+    findDanglingRefs,
+    findDuplicateOperationIds,
+    findUndeclaredPathParameters,
+    toPointer
+};
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * Collection Splitter CLI
+ *
+ * Splits a Postman collection file into a directory tree (one JSON file per
+ * request, scripts as .js files) or, with --join, reassembles a tree into a
+ * single collection file for importing into Postman.
+ */
+
+const path = require('path');
+const { program } = require('commander');
+const { log } = require('./utils');
+const { readCollection, writeCollection, isCollectionTree } = require('./collection-tree');
+
+// CLI Configuration
+program
+    .name('split-collection')
+    .description('Split a Postman collection into a directory tree, or join a tree into one file')
+    .version('1.0.0')
+    .requiredOption('-i, --input <path>', 'Collection file to split (with --join: collection directory)')
+    .requiredOption('-o, --output <path>', 'Directory to write the tree to (with --join: collection file)')
+    .option('--join', 'Reassemble a directory tree into a single collection file', false)
+    .option('-v, --verbose', 'Enable verbose logging', false);
+
+/**
+ * Main split/join function
+ */
+function run(options) {
+    try {
+        const inputPath = path.resolve(options.input);
+        const outputPath = path.resolve(options.output);
+
+        if (options.join && !isCollectionTree(inputPath)) {
+            throw new Error(`Not a collection directory: ${inputPath}`);
+        }
+
+        const collection = readCollection(inputPath);
+        const files = writeCollection(outputPath, collection, { split: !options.join });
+
+        if (options.join) {
+            log.success(`Joined collection written to: ${outputPath}`);
+        } else {
+            log.success(`Wrote ${files.length} file(s) to: ${outputPath}`);
+        }
+        if (options.verbose) {
+            files.forEach(filePath => log.debug(path.relative(outputPath, filePath) || path.basename(filePath)));
+        }
+
+        return collection;
+
+    } catch (error) {
+        log.error(`${options.join ? 'Join' : 'Split'} failed: ${error.message}`);
+        if (options.verbose) {
+            console.error(error.stack);
+        }
+        process.exit(1);
+    }
+}
+
+// Run when called from the command line
+if (require.main === module) {
+    program.parse();
+    run(program.opts());
+}
+
+module.exports = { run };
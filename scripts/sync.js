@@ -0,0 +1,107 @@
+/**
+ * Convert and merge in one step
+ *
+ * The sync and diff subcommands of the openapi-postman-sync CLI (see cli.js).
+ * The spec is converted and merged into the existing collection in memory,
+ * without the intermediate collection file of convert + merge. The options
+ * are those of the convert command plus --output, the collection to update,
+ * and the merge command's preservation flags.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { log, stderrLog } = require('./utils');
+const { convertSpec } = require('./convert-spec');
+const { mergeCollections, calculateDiff } = require('./collection-merge');
+const { readCollection, writeCollection, isCollectionTree } = require('./collection-tree');
+const { convertOptionsFromCli, writeEnvironments, countItems } = require('./convert');
+const { displayDiff } = require('./merge-collections');
+
+/**
+ * Convert the spec and merge the result into the collection at options.output.
+ * When there is no collection yet, every endpoint counts as added.
+ *
+ * @param {object} options
+ * @param {object} [context]
+ * @param {{spec: object, location: string}} [context.loaded] - The spec, already loaded from options.input
+ * @param {object} [context.logger=log]
+ * @returns {Promise<{collection: object, environments: Array, diff: object, outputPath: string, existed: boolean}>}
+ */
+async function prepareSync(options, { loaded, logger = log } = {}) {
+    const outputPath = path.resolve(options.output);
+    const convertOptions = convertOptionsFromCli(options, logger);
+    const { collection, environments } = loaded
+        ? await convertSpec(loaded.spec, { ...convertOptions, location: loaded.location })
+        : await convertSpec(options.input, convertOptions);
+
+    if (!fs.existsSync(outputPath)) {
+        return { collection, environments, diff: calculateDiff({ item: [] }, collection), outputPath, existed: false };
+    }
+
+    const { collection: merged, diff } = mergeCollections(collection, readCollection(outputPath), {
+        preserveTests: options.preserveTests,
+        preservePrerequest: options.preservePrerequest,
+        preserveVariables: options.preserveVariables,
+        logger
+    });
+    return { collection: merged, environments, diff, outputPath, existed: true };
+}
+
+/**
+ * Whether a diff adds or removes endpoints
+ */
+function hasChanges(diff) {
+    return diff.added.length > 0 || diff.removed.length > 0;
+}
+
+/**
+ * Main sync function: convert, merge into the existing collection and write it
+ *
+ * @param {object} options
+ * @param {{spec: object, location: string}} [loaded] - The spec, already loaded from options.input
+ */
+async function sync(options, loaded) {
+    log.info('Starting OpenAPI to Postman sync...');
+
+    const result = await prepareSync(options, { loaded });
+    if (!result.existed) {
+        log.warn('Existing collection not found. Using new collection as-is.');
+    }
+
+    displayDiff(result.diff, options);
+
+    if (options.dryRun) {
+        log.info('Dry run - no files written');
+        return result;
+    }
+
+    // Keep the layout of the existing collection
+    writeCollection(result.outputPath, result.collection, { split: options.split || isCollectionTree(result.outputPath) });
+    const environmentPaths = options.environments ? writeEnvironments(result.environments, options.environments) : [];
+
+    log.success('Sync complete!');
+    log.info(`  Collection: ${result.collection.info.name}`);
+    log.info(`  Endpoints: ${countItems(result.collection.item)}`);
+    log.info(`  Output: ${result.outputPath}`);
+    environmentPaths.forEach(environmentPath => log.info(`  Environment: ${environmentPath}`));
+
+    return result;
+}
+
+/**
+ * Main diff function: show the endpoints a sync would add and remove, writing nothing
+ */
+async function diff(options) {
+    // Keep stdout machine-readable: with --json, messages go to stderr
+    const result = await prepareSync(options, { logger: options.json ? stderrLog : log });
+
+    if (options.json) {
+        console.log(JSON.stringify(result.diff, null, 2));
+    } else {
+        displayDiff(result.diff, options);
+    }
+
+    return result;
+}
+
+module.exports = { sync, diff, prepareSync, hasChanges };
@@ -6,21 +6,41 @@ const fs = require('fs');
 const path = require('path');
 const https = require('https');
 const http = require('http');
+const tls = require('tls');
+const crypto = require('crypto');
 const chalk = require('chalk');
+const yaml = require('js-yaml');
 
 /**
- * Logging utilities with colored output
+ * Create a logger with colored output, printing through print
  */
-const log = {
-    info: (msg) => console.log(chalk.blue('ℹ'), msg),
-    success: (msg) => console.log(chalk.green('✓'), msg),
-    warn: (msg) => console.log(chalk.yellow('⚠'), msg),
-    error: (msg) => console.log(chalk.red('✖'), msg),
-    debug: (msg, data) => {
-        console.log(chalk.gray('⊙'), chalk.gray(msg));
-        if (data) console.log(chalk.gray(data));
-    }
-};
+function createLog(print) {
+    return {
+        info: (msg) => print(chalk.blue('ℹ'), msg),
+        success: (msg) => print(chalk.green('✓'), msg),
+        warn: (msg) => print(chalk.yellow('⚠'), msg),
+        error: (msg) => print(chalk.red('✖'), msg),
+        debug: (msg, data) => {
+            print(chalk.gray('⊙'), chalk.gray(msg));
+            if (data) print(chalk.gray(data));
+        }
+    };
+}
+
+/**
+ * Logging utilities with colored output, on stdout
+ */
+const log = createLog((...args) => console.log(...args));
+
+/**
+ * The same logger on stderr, for commands whose stdout is machine-readable
+ */
+const stderrLog = createLog((...args) => console.error(...args));
+
+/**
+ * Logger that drops everything: the default of the Node API
+ */
+const silentLog = createLog(() => {});
 
 /**
  * Read and parse a JSON file
@@ -38,7 +58,78 @@ function readJsonFile(filePath) {
 }
 
 /**
- * Write JSON to a file with pretty formatting
+ * Detect whether spec content is JSON or YAML.
+ * Checks the file extension first, then the Content-Type header, then sniffs the content.
+ */
+function detectSpecFormat(content, { filePath, contentType } = {}) {
+    const ext = filePath ? path.extname(filePath).toLowerCase() : '';
+    if (ext === '.json') return 'json';
+    if (ext === '.yaml' || ext === '.yml') return 'yaml';
+
+    if (contentType) {
+        const mediaType = contentType.split(';')[0].trim().toLowerCase();
+        if (mediaType.endsWith('json')) return 'json';
+        if (mediaType.includes('yaml') || mediaType === 'application/vnd.oai.openapi') return 'yaml';
+    }
+
+    const firstChar = String(content).trimStart().charAt(0);
+    return firstChar === '{' || firstChar === '[' ? 'json' : 'yaml';
+}
+
+/**
+ * Parse OpenAPI spec content as JSON or YAML
+ */
+function parseSpecContent(content, { filePath, contentType, source } = {}) {
+    const format = detectSpecFormat(content, { filePath, contentType });
+    const label = source || filePath || 'spec';
+    let spec;
+
+    if (format === 'json') {
+        try {
+            spec = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Failed to parse JSON from ${label}: ${error.message}`);
+        }
+    } else {
+        try {
+            // CORE_SCHEMA keeps dates and timestamps as strings, as they would be in JSON
+            spec = yaml.load(content, { filename: label, schema: yaml.CORE_SCHEMA });
+        } catch (error) {
+            if (error.mark) {
+                throw new Error(
+                    `Failed to parse YAML from ${label} at line ${error.mark.line + 1}, ` +
+                    `column ${error.mark.column + 1}: ${error.reason}`
+                );
+            }
+            throw new Error(`Failed to parse YAML from ${label}: ${error.message}`);
+        }
+    }
+
+    if (!isObject(spec)) {
+        throw new Error(`Failed to parse ${label}: expected an object at the document root`);
+    }
+
+    return spec;
+}
+
+/**
+ * Read and parse an OpenAPI spec file (JSON or YAML)
+ */
+function readSpecFile(filePath) {
+    let content;
+    try {
+        content = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error(`File not found: ${filePath}`);
+        }
+        throw error;
+    }
+    return parseSpecContent(content, { filePath });
+}
+
+/**
+ * Write JSON to a file with pretty formatting and a trailing newline
  */
 function writeJsonFile(filePath, data) {
     const dir = path.dirname(filePath);
@@ -48,48 +139,398 @@ function writeJsonFile(filePath, data) {
         fs.mkdirSync(dir, { recursive: true });
     }
 
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+    fs.writeFileSync(filePath, `${JSON.stringify(data, null, 2)}\n`, 'utf8');
 }
 
+const REDIRECT_STATUS_CODES = new Set([301, 302, 303, 307, 308]);
+
+const FETCH_DEFAULTS = {
+    timeout: 30000,
+    retries: 3,
+    retryDelay: 500,
+    maxRedirects: 5,
+    cacheDir: null
+};
+
 /**
- * Fetch OpenAPI spec from a URL
+ * Build request headers from user options.
+ * Header values may reference environment variables as ${NAME}; a bearer token
+ * can be read from the environment variable named by bearerTokenEnv.
  */
-function fetchOpenApiFromUrl(url) {
-    return new Promise((resolve, reject) => {
-        const protocol = url.startsWith('https') ? https : http;
-
-        const request = protocol.get(url, (response) => {
-            if (response.statusCode === 301 || response.statusCode === 302) {
-                // Follow redirects
-                return fetchOpenApiFromUrl(response.headers.location)
-                    .then(resolve)
-                    .catch(reject);
+function buildRequestHeaders({ headers = {}, bearerTokenEnv } = {}, env = process.env) {
+    const result = {};
+
+    for (const [name, value] of Object.entries(headers)) {
+        result[name] = String(value).replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, varName) => {
+            if (env[varName] === undefined) {
+                throw new Error(`Environment variable ${varName} referenced by header "${name}" is not set`);
             }
+            return env[varName];
+        });
+    }
 
-            if (response.statusCode !== 200) {
-                reject(new Error(`HTTP ${response.statusCode}: Failed to fetch ${url}`));
-                return;
+    if (bearerTokenEnv) {
+        if (!env[bearerTokenEnv]) {
+            throw new Error(`Environment variable ${bearerTokenEnv} for the bearer token is not set`);
+        }
+        result.Authorization = `Bearer ${env[bearerTokenEnv]}`;
+    }
+
+    return result;
+}
+
+/**
+ * Collect repeatable CLI option values into an array
+ */
+function collectValues(value, previous) {
+    return previous.concat([value]);
+}
+
+/**
+ * Parse "Name: value" header strings from the command line into an object
+ */
+function parseHeaderOptions(headerStrings = []) {
+    const headers = {};
+    for (const header of headerStrings) {
+        const separator = header.indexOf(':');
+        if (separator <= 0) {
+            throw new Error(`Invalid header "${header}": expected "Name: value"`);
+        }
+        headers[header.slice(0, separator).trim()] = header.slice(separator + 1).trim();
+    }
+    return headers;
+}
+
+/**
+ * Find the proxy to use for a URL from HTTPS_PROXY / HTTP_PROXY, honoring NO_PROXY
+ */
+function getProxyForUrl(url, env = process.env) {
+    const target = new URL(url);
+    const proxy = target.protocol === 'https:'
+        ? env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy
+        : env.HTTP_PROXY || env.http_proxy;
+
+    if (!proxy) return null;
+
+    const noProxy = (env.NO_PROXY || env.no_proxy || '')
+        .split(',')
+        .map(entry => entry.trim().toLowerCase())
+        .filter(Boolean);
+    const hostname = target.hostname.toLowerCase();
+    const bypass = noProxy.some(entry => entry === '*' ||
+        hostname === entry.replace(/^\./, '') ||
+        hostname.endsWith(entry.startsWith('.') ? entry : `.${entry}`));
+
+    return bypass ? null : new URL(proxy.includes('://') ? proxy : `http://${proxy}`);
+}
+
+/**
+ * Perform a single GET request (no redirects or retries), tunnelling through a proxy when needed.
+ * Resolves to { statusCode, headers, body }.
+ */
+function httpGet(url, { headers = {}, timeout = FETCH_DEFAULTS.timeout } = {}) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const isHttps = target.protocol === 'https:';
+        const proxy = getProxyForUrl(url);
+        const proxyAuth = proxy && proxy.username
+            ? { 'Proxy-Authorization': `Basic ${Buffer.from(`${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`).toString('base64')}` }
+            : {};
+        let settled = false;
+
+        const fail = (error) => {
+            if (!settled) {
+                settled = true;
+                reject(error);
             }
+        };
 
+        const onResponse = (response) => {
             let data = '';
+            response.setEncoding('utf8');
             response.on('data', chunk => data += chunk);
             response.on('end', () => {
-                try {
-                    resolve(JSON.parse(data));
-                } catch (error) {
-                    reject(new Error(`Failed to parse response as JSON: ${error.message}`));
-                }
+                settled = true;
+                resolve({ statusCode: response.statusCode, headers: response.headers, body: data });
             });
+            response.on('error', fail);
+        };
+
+        const send = (requestOptions, protocol) => {
+            const request = protocol.request(requestOptions, onResponse);
+            request.on('error', fail);
+            request.setTimeout(timeout, () => {
+                request.destroy();
+                fail(new Error(`Request timeout after ${timeout}ms: ${url}`));
+            });
+            request.end();
+        };
+
+        if (!proxy) {
+            send({ method: 'GET', hostname: target.hostname, port: target.port, path: target.pathname + target.search, headers }, isHttps ? https : http);
+            return;
+        }
+
+        if (!isHttps) {
+            // Plain HTTP through a proxy: send the absolute URL to the proxy
+            send({
+                method: 'GET',
+                hostname: proxy.hostname,
+                port: proxy.port || 80,
+                path: url,
+                headers: { ...headers, ...proxyAuth, Host: target.host }
+            }, http);
+            return;
+        }
+
+        // HTTPS through a proxy: open a CONNECT tunnel, then speak TLS over it
+        const targetPort = target.port || 443;
+        const connectRequest = http.request({
+            method: 'CONNECT',
+            hostname: proxy.hostname,
+            port: proxy.port || 80,
+            path: `${target.hostname}:${targetPort}`,
+            headers: { ...proxyAuth, Host: `${target.hostname}:${targetPort}` }
         });
 
-        request.on('error', reject);
-        request.setTimeout(30000, () => {
-            request.destroy();
-            reject(new Error('Request timeout'));
+        connectRequest.on('connect', (response, socket) => {
+            if (response.statusCode !== 200) {
+                socket.destroy();
+                fail(new Error(`Proxy CONNECT to ${target.host} failed with HTTP ${response.statusCode}`));
+                return;
+            }
+            send({
+                method: 'GET',
+                hostname: target.hostname,
+                port: targetPort,
+                path: target.pathname + target.search,
+                headers,
+                agent: false,
+                createConnection: () => tls.connect({ socket, servername: target.hostname })
+            }, https);
+        });
+        connectRequest.on('error', fail);
+        connectRequest.setTimeout(timeout, () => {
+            connectRequest.destroy();
+            fail(new Error(`Proxy connection timeout after ${timeout}ms: ${proxy.host}`));
         });
+        connectRequest.end();
     });
 }
 
+/**
+ * Paths of the cache files kept for a URL
+ */
+function getCachePaths(cacheDir, url) {
+    const key = crypto.createHash('sha256').update(url).digest('hex');
+    return {
+        meta: path.join(cacheDir, `${key}.meta.json`),
+        body: path.join(cacheDir, `${key}.body`)
+    };
+}
+
+/**
+ * Read the cached copy of a URL, if any
+ */
+function readCacheEntry(cacheDir, url) {
+    if (!cacheDir) return null;
+    const cachePaths = getCachePaths(cacheDir, url);
+    try {
+        const meta = JSON.parse(fs.readFileSync(cachePaths.meta, 'utf8'));
+        const body = fs.readFileSync(cachePaths.body, 'utf8');
+        return { ...meta, body };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Store a response in the cache when it carries an ETag or Last-Modified header
+ */
+function writeCacheEntry(cacheDir, url, response) {
+    const etag = response.headers.etag;
+    const lastModified = response.headers['last-modified'];
+    if (!cacheDir || (!etag && !lastModified)) return;
+
+    const cachePaths = getCachePaths(cacheDir, url);
+    fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(cachePaths.body, response.body, 'utf8');
+    fs.writeFileSync(cachePaths.meta, JSON.stringify({
+        url,
+        etag,
+        lastModified,
+        contentType: response.headers['content-type']
+    }, null, 2), 'utf8');
+}
+
+/**
+ * Origin of a URL location, or null for file paths
+ */
+function urlOrigin(location) {
+    return /^https?:\/\//.test(location || '') ? new URL(location).origin : null;
+}
+
+/**
+ * Fetch a URL as text, following redirects, retrying transient failures with
+ * exponential backoff, and revalidating cached copies with ETag/If-Modified-Since.
+ * The caller's headers and bearer token are only sent to credentialsOrigin,
+ * by default the origin of url itself: never to another host, redirects included.
+ * Resolves to { url, contentType, body, fromCache }.
+ */
+async function fetchUrl(url, options = {}) {
+    const settings = { ...FETCH_DEFAULTS, ...options };
+    const credentials = buildRequestHeaders(settings);
+    const credentialsOrigin = settings.credentialsOrigin !== undefined ? settings.credentialsOrigin : urlOrigin(url);
+    const cached = readCacheEntry(settings.cacheDir, url);
+    const conditionalHeaders = {};
+    let currentUrl = url;
+
+    if (cached) {
+        if (cached.etag) conditionalHeaders['If-None-Match'] = cached.etag;
+        if (cached.lastModified) conditionalHeaders['If-Modified-Since'] = cached.lastModified;
+    }
+
+    for (let redirects = 0; ; redirects++) {
+        const headers = urlOrigin(currentUrl) === credentialsOrigin
+            ? { ...credentials, ...conditionalHeaders }
+            : conditionalHeaders;
+        const response = await getWithRetries(currentUrl, headers, settings);
+
+        if (REDIRECT_STATUS_CODES.has(response.statusCode)) {
+            if (!response.headers.location) {
+                throw new Error(`HTTP ${response.statusCode} without Location header: ${currentUrl}`);
+            }
+            if (redirects >= settings.maxRedirects) {
+                throw new Error(`Too many redirects (more than ${settings.maxRedirects}) fetching ${url}`);
+            }
+            currentUrl = new URL(response.headers.location, currentUrl).href;
+            continue;
+        }
+
+        if (response.statusCode === 304 && cached) {
+            return { url: currentUrl, contentType: cached.contentType, body: cached.body, fromCache: true };
+        }
+
+        if (response.statusCode !== 200) {
+            throw new Error(`HTTP ${response.statusCode}: Failed to fetch ${currentUrl}`);
+        }
+
+        writeCacheEntry(settings.cacheDir, url, response);
+        return { url: currentUrl, contentType: response.headers['content-type'], body: response.body, fromCache: false };
+    }
+}
+
+/**
+ * Issue a GET, retrying network errors, timeouts, 429 and 5xx responses
+ */
+async function getWithRetries(url, headers, settings) {
+    for (let attempt = 0; ; attempt++) {
+        let failure;
+
+        try {
+            const response = await httpGet(url, { headers, timeout: settings.timeout });
+            if (response.statusCode !== 429 && response.statusCode < 500) {
+                return response;
+            }
+            failure = new Error(`HTTP ${response.statusCode}: Failed to fetch ${url}`);
+        } catch (error) {
+            failure = error;
+        }
+
+        if (attempt >= settings.retries) {
+            throw failure;
+        }
+
+        const delay = settings.retryDelay * Math.pow(2, attempt);
+        (settings.logger || log).warn(`${failure.message} — retrying in ${delay}ms (${attempt + 1}/${settings.retries})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+    }
+}
+
+/**
+ * Fetch OpenAPI spec (JSON or YAML) from a URL
+ *
+ * @param {string} url - Spec URL
+ * @param {object} options - headers, bearerTokenEnv, credentialsOrigin, timeout, retries, retryDelay,
+ *   maxRedirects, cacheDir, and the logger for retries and cache hits (default log)
+ */
+async function fetchOpenApiFromUrl(url, options = {}) {
+    const response = await fetchUrl(url, options);
+    if (response.fromCache) {
+        (options.logger || log).info(`Spec not modified since last fetch, using cached copy: ${url}`);
+    }
+    return parseSpecContent(response.body, {
+        filePath: new URL(response.url).pathname,
+        contentType: response.contentType,
+        source: url
+    });
+}
+
+/**
+ * Parse an integer CLI option value, throwing unless it is a whole number of at least min
+ */
+function parseIntegerOption(value, label, min, unit) {
+    const number = Number(value);
+    if (String(value).trim() === '' || !Number.isInteger(number) || number < min) {
+        throw new Error(`Invalid ${label} "${value}": expected a whole number${unit ? ` of ${unit}` : ''}, at least ${min}`);
+    }
+    return number;
+}
+
+/**
+ * Build fetch options from the shared CLI flags (--header, --bearer-token-env, ...)
+ */
+function fetchOptionsFromCli(options) {
+    return {
+        headers: parseHeaderOptions(options.header),
+        bearerTokenEnv: options.bearerTokenEnv,
+        timeout: options.fetchTimeout !== undefined ? parseIntegerOption(options.fetchTimeout, 'fetch timeout', 1, 'milliseconds') : FETCH_DEFAULTS.timeout,
+        retries: options.retries !== undefined ? parseIntegerOption(options.retries, 'retries', 0) : FETCH_DEFAULTS.retries,
+        cacheDir: options.cache && options.cacheDir ? path.resolve(options.cacheDir) : null
+    };
+}
+
+/**
+ * Load an OpenAPI spec from a file path or URL, logging to fetchOptions.logger (default log).
+ * Returns { spec, location } where location is the absolute file path or the URL.
+ */
+async function loadSpec(input, fetchOptions = {}) {
+    const logger = fetchOptions.logger || log;
+    if (input.startsWith('http://') || input.startsWith('https://')) {
+        logger.info(`Fetching OpenAPI spec from URL: ${input}`);
+        return { spec: await fetchOpenApiFromUrl(input, fetchOptions), location: input };
+    }
+
+    const inputPath = path.resolve(input);
+    logger.info(`Reading OpenAPI spec from file: ${inputPath}`);
+
+    if (!fs.existsSync(inputPath)) {
+        throw new Error(`Input file not found: ${inputPath}`);
+    }
+
+    return { spec: readSpecFile(inputPath), location: inputPath };
+}
+
+/**
+ * Run async tasks with at most `concurrency` in flight at once.
+ * Resolves to the results in task order; tasks are expected to handle their own errors.
+ */
+async function runWithConcurrency(tasks, concurrency) {
+    const results = new Array(tasks.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < tasks.length) {
+            const index = next++;
+            results[index] = await tasks[index]();
+        }
+    };
+
+    const workerCount = Math.max(1, Math.min(concurrency, tasks.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    return results;
+}
+
 /**
  * Deep clone an object
  */
@@ -114,6 +555,67 @@ function sanitizeFilename(str) {
         .toLowerCase();
 }
 
+/**
+ * Name usable as a file or directory name, unique among the names already used
+ */
+function uniqueFileName(name, usedNames, extension = '') {
+    const base = String(name || 'untitled').replace(/[\\/:*?"<>|\r\n]+/g, '-').replace(/^[.\s]+|\s+$/g, '') || 'untitled';
+    let fileName = `${base}${extension}`;
+    for (let n = 2; usedNames.has(fileName.toLowerCase()); n++) {
+        fileName = `${base} (${n})${extension}`;
+    }
+    usedNames.add(fileName.toLowerCase());
+    return fileName;
+}
+
+/**
+ * Build a UUID-shaped id that is stable for the same inputs, so regenerated
+ * files do not change on every run
+ */
+function stableUuid(...parts) {
+    const hex = crypto.createHash('sha256').update(parts.join('\u0000')).digest('hex');
+    return [hex.slice(0, 8), hex.slice(8, 12), `4${hex.slice(13, 16)}`, `8${hex.slice(17, 20)}`, hex.slice(20, 32)].join('-');
+}
+
+/**
+ * Convert a glob pattern to a regular expression.
+ * "**" matches across "/" separators, "*" within one segment and "?" a single character.
+ */
+function globToRegExp(glob) {
+    let pattern = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '/' && glob.slice(i + 1) === '**') {
+            // A trailing "/**" also matches the parent itself ("/admin/**" matches "/admin")
+            pattern += '(?:/.*)?';
+            break;
+        } else if (char === '*' && glob[i + 1] === '*') {
+            // "/**/" also matches a single "/"
+            if (glob[i + 2] === '/') {
+                pattern += '(?:.*/)?';
+                i += 2;
+            } else {
+                pattern += '.*';
+                i++;
+            }
+        } else if (char === '*') {
+            pattern += '[^/]*';
+        } else if (char === '?') {
+            pattern += '[^/]';
+        } else {
+            pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Check whether a value matches any of the given glob patterns
+ */
+function matchesGlob(value, globs) {
+    return globs.some(glob => globToRegExp(glob).test(value));
+}
+
 /**
  * Format bytes to human readable string
  */
@@ -127,11 +629,29 @@ function formatBytes(bytes) {
 
 module.exports = {
     log,
+    stderrLog,
+    silentLog,
     readJsonFile,
+    readSpecFile,
+    parseSpecContent,
+    detectSpecFormat,
     writeJsonFile,
     fetchOpenApiFromUrl,
+    fetchUrl,
+    fetchOptionsFromCli,
+    loadSpec,
+    urlOrigin,
+    buildRequestHeaders,
+    collectValues,
+    parseHeaderOptions,
+    getProxyForUrl,
+    runWithConcurrency,
     deepClone,
     isObject,
     sanitizeFilename,
+    uniqueFileName,
+    stableUuid,
+    globToRegExp,
+    matchesGlob,
     formatBytes
 };
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * OpenAPI Spec Validator CLI
+ *
+ * Validates a spec (file or URL, JSON or YAML, multi-file specs included)
+ * against the OpenAPI meta-schemas plus reference and parameter checks.
+ * Exits non-zero when problems are found, so CI can run it on its own.
+ */
+
+const { Command } = require('commander');
+const chalk = require('chalk');
+const { log, stderrLog, loadSpec, fetchOptionsFromCli, collectValues } = require('./utils');
+const { bundleSpec } = require('./ref-bundler');
+const { validateSpec } = require('./spec-validator');
+
+/**
+ * Add the options shared with the openapi-postman-sync validate subcommand (see cli.js)
+ */
+function addValidateOptions(command) {
+    return command
+        .option('-H, --header <header>', 'HTTP header for URL inputs as "Name: value"; values may use ${ENV_VAR} (repeatable)', collectValues, [])
+        .option('--bearer-token-env <name>', 'Environment variable holding a bearer token for URL inputs')
+        .option('--json', 'Print the result as JSON', false);
+}
+
+// CLI Configuration (a Command of its own, so cli.js can require this file)
+const program = new Command();
+program
+    .name('validate')
+    .description('Validate an OpenAPI specification')
+    .version('1.0.0')
+    .requiredOption('-i, --input <path>', 'OpenAPI spec file path or URL (JSON or YAML)');
+addValidateOptions(program)
+    .option('-v, --verbose', 'Enable verbose logging', false);
+
+/**
+ * Main validation function
+ */
+async function validate(options) {
+    // Keep stdout machine-readable: with --json, messages go to stderr
+    const logger = options.json ? stderrLog : log;
+    try {
+        const fetchOptions = { ...fetchOptionsFromCli(options), logger };
+        const { spec, location } = await loadSpec(options.input, fetchOptions);
+        // External $refs that cannot be resolved are problems like any other
+        const refProblems = [];
+        const bundled = await bundleSpec(spec, { baseLocation: location, fetchOptions, logger, problems: refProblems });
+        const validated = validateSpec(bundled);
+        const result = {
+            ...validated,
+            valid: validated.valid && refProblems.length === 0,
+            problems: [...refProblems, ...validated.problems]
+        };
+
+        if (options.json) {
+            console.log(JSON.stringify(result, null, 2));
+        } else {
+            displayProblems(result);
+        }
+
+        if (!result.valid) {
+            process.exit(1);
+        }
+
+        return result;
+
+    } catch (error) {
+        logger.error(`Validation failed: ${error.message}`);
+        if (options.verbose) {
+            console.error(error.stack);
+        }
+        process.exit(1);
+    }
+}
+
+/**
+ * Display validation problems with their JSON pointer locations
+ */
+function displayProblems(result) {
+    if (result.valid) {
+        log.success(`Spec is valid (OpenAPI ${result.version})`);
+        return;
+    }
+
+    console.log('');
+    log.error(`Found ${result.problems.length} problem(s)${result.version ? ` (OpenAPI ${result.version})` : ''}:`);
+
+    for (const problem of result.problems) {
+        console.log(`  ${chalk.red('✖')} ${chalk.bold(problem.pointer || '/')} ${problem.message} ${chalk.gray(`[${problem.rule}]`)}`);
+    }
+
+    console.log('');
+}
+
+// Run validation when called from the command line
+if (require.main === module) {
+    program.parse();
+    validate(program.opts());
+}
+
+module.exports = { validate, addValidateOptions };
@@ -6,14 +6,17 @@
  * 
  * Resolution priority:
  *   1. User-provided values (--values-map)
- *   2. OpenAPI example annotations (already handled by converter)
+ *   2. Schema const and example annotations: example, 3.1 examples, Swagger 2.0 x-example
+ *      (mostly handled by converter)
  *   3. Enum values (pick first)
  *   4. Format-aware defaults (uuid, email, date-time, etc.)
  *   5. Field-name heuristics (firstName → "John", age → 25)
- *   6. Constraint-aware type fallback (respects min/max/minLength/maxLength)
+ *   6. Constraint-aware type fallback (respects min/max/minLength/maxLength,
+ *      exclusive bounds in both 3.0 and 3.1 style, and multipleOf)
  */
 
 const { log } = require('./utils');
+const { HTTP_METHODS } = require('./operations');
 
 // ─── Built-in default value maps ──────────────────────────────────────────────
 
@@ -256,15 +259,24 @@ const RANDOM_VALUE_PATTERNS = {
 /**
  * Build a lookup map from OpenAPI schemas for quick field info access.
  * Returns { schemaName: { fieldName: { type, format, enum, example, minimum, maximum, ... } } }
+ *
+ * Reads components.schemas (OpenAPI 3.x) and definitions (Swagger 2.0). Operation
+ * parameters are added under their endpoint key (e.g. "POST:/pets"), so Swagger 2.0
+ * body/formData parameters and x-example values also feed value resolution.
  */
 function buildSchemaMap(openApiSpec) {
     const schemaMap = {};
 
-    if (!openApiSpec || !openApiSpec.components || !openApiSpec.components.schemas) {
+    if (!openApiSpec) {
         return schemaMap;
     }
 
-    for (const [schemaName, schema] of Object.entries(openApiSpec.components.schemas)) {
+    const schemas = {
+        ...(openApiSpec.definitions || {}),
+        ...((openApiSpec.components && openApiSpec.components.schemas) || {})
+    };
+
+    for (const [schemaName, schema] of Object.entries(schemas)) {
         if (schema.properties) {
             schemaMap[schemaName] = {};
             for (const [fieldName, fieldSchema] of Object.entries(schema.properties)) {
@@ -273,9 +285,62 @@ function buildSchemaMap(openApiSpec) {
         }
     }
 
+    addOperationParameters(schemaMap, openApiSpec);
+
     return schemaMap;
 }
 
+/**
+ * Add each operation's parameters to the schema map under its endpoint key.
+ * Body parameters contribute the properties of their schema.
+ */
+function addOperationParameters(schemaMap, openApiSpec) {
+    for (const [pathKey, pathItem] of Object.entries(openApiSpec.paths || {})) {
+        if (!pathItem || typeof pathItem !== 'object') continue;
+
+        for (const method of HTTP_METHODS) {
+            const operation = pathItem[method];
+            if (!operation) continue;
+
+            const fields = {};
+            const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])]
+                .map(parameter => resolveSchemaRef(parameter, openApiSpec));
+
+            for (const parameter of parameters) {
+                if (parameter.in === 'body') {
+                    const bodySchema = resolveSchemaRef(parameter.schema, openApiSpec);
+                    for (const [fieldName, fieldSchema] of Object.entries(bodySchema.properties || {})) {
+                        fields[fieldName] = resolveSchemaRef(fieldSchema, openApiSpec);
+                    }
+                } else if (parameter.name) {
+                    fields[parameter.name] = parameterFieldSchema(parameter, openApiSpec);
+                }
+            }
+
+            if (Object.keys(fields).length > 0) {
+                schemaMap[`${method.toUpperCase()}:${pathKey}`] = fields;
+            }
+        }
+    }
+}
+
+/**
+ * Get the field schema of a non-body parameter.
+ * Swagger 2.0 keeps type/format/enum on the parameter itself and examples in x-example;
+ * OpenAPI 3.x keeps them in parameter.schema and parameter.example.
+ */
+function parameterFieldSchema(parameter, openApiSpec) {
+    const { name, in: location, description, required, schema, example, ...inlineSchema } = parameter;
+    const fieldSchema = schema ? { ...resolveSchemaRef(schema, openApiSpec) } : inlineSchema;
+
+    const parameterExample = example !== undefined ? example : parameter['x-example'];
+    if (parameterExample !== undefined) {
+        fieldSchema.example = parameterExample;
+    }
+
+    return fieldSchema;
+}
+
 /**
  * Resolve a $ref to the actual schema definition.
  */
@@ -294,12 +359,24 @@ function resolveSchemaRef(schema, openApiSpec) {
     return schema;
 }
 
+/**
+ * Check whether a schema map key holds the parameters of one endpoint ("POST:/pets")
+ */
+function isEndpointKey(key) {
+    return HTTP_METHODS.some(method => key.startsWith(`${method.toUpperCase()}:/`));
+}
+
 /**
  * Find the schema info for a field name across all known schemas.
+ * Parameters of the current endpoint take precedence when an endpoint key is given;
+ * other endpoints' parameters never apply.
  */
-function findFieldSchema(fieldName, schemaMap) {
-    for (const schema of Object.values(schemaMap)) {
-        if (schema[fieldName]) {
+function findFieldSchema(fieldName, schemaMap, endpointKey = null) {
+    if (endpointKey && schemaMap[endpointKey] && schemaMap[endpointKey][fieldName]) {
+        return schemaMap[endpointKey][fieldName];
+    }
+    for (const [key, schema] of Object.entries(schemaMap)) {
+        if (!isEndpointKey(key) && schema[fieldName]) {
             return schema[fieldName];
         }
     }
@@ -323,6 +400,35 @@ function isRandomValue(value) {
     return false;
 }
 
+/**
+ * Get the primary type of a schema. OpenAPI 3.1 allows a list of types such as
+ * ["string", "null"]; the first non-null entry is used.
+ */
+function getSchemaType(schema) {
+    if (Array.isArray(schema.type)) {
+        return schema.type.find(type => type !== 'null') || schema.type[0];
+    }
+    return schema.type;
+}
+
+/**
+ * Get the schema for an array element, honoring OpenAPI 3.1 prefixItems (tuples)
+ * before falling back to items.
+ */
+function getItemSchema(schema, index) {
+    if (!schema) return {};
+    if (Array.isArray(schema.prefixItems) && index < schema.prefixItems.length) {
+        return schema.prefixItems[index];
+    }
+    if (Array.isArray(schema.items)) {
+        return schema.items[index] || {};
+    }
+    if (schema.items && typeof schema.items === 'object') {
+        return schema.items;
+    }
+    return {};
+}
+
 /**
  * Resolve the best value for a given field.
  * 
@@ -346,10 +452,20 @@ function resolveValue(fieldName, fieldSchema = {}, userValuesMap = null, endpoin
         return userValuesMap.fieldDefaults[fieldName];
     }
 
-    // 3. Schema example (already handled by converter, but as a fallback)
+    // 3. Schema const, then example (already handled by converter, but as a fallback).
+    //    OpenAPI 3.1 schemas use `const` and an `examples` array.
+    if (fieldSchema.const !== undefined) {
+        return fieldSchema.const;
+    }
     if (fieldSchema.example !== undefined) {
         return fieldSchema.example;
     }
+    if (Array.isArray(fieldSchema.examples) && fieldSchema.examples.length > 0) {
+        return fieldSchema.examples[0];
+    }
+    if (fieldSchema['x-example'] !== undefined) {
+        return fieldSchema['x-example'];
+    }
 
     // 4. Enum — pick first value
     if (fieldSchema.enum && fieldSchema.enum.length > 0) {
@@ -383,17 +499,18 @@ function resolveValue(fieldName, fieldSchema = {}, userValuesMap = null, endpoin
     }
 
     // 7. Constraint-aware type fallback
-    if (fieldSchema.type === 'integer' || fieldSchema.type === 'number') {
+    const type = getSchemaType(fieldSchema);
+    if (type === 'integer' || type === 'number') {
         return getConstrainedNumber(fieldSchema);
     }
 
-    if (fieldSchema.type === 'string') {
+    if (type === 'string') {
         return getConstrainedString(fieldSchema);
     }
 
     // 8. Simple type fallback
-    if (fieldSchema.type && TYPE_DEFAULTS[fieldSchema.type] !== undefined) {
-        return TYPE_DEFAULTS[fieldSchema.type];
+    if (type && TYPE_DEFAULTS[type] !== undefined) {
+        return TYPE_DEFAULTS[type];
     }
 
     // 9. Infer format from the field name pattern (e.g. fields ending in Id are likely UUIDs)
@@ -406,15 +523,45 @@ function resolveValue(fieldName, fieldSchema = {}, userValuesMap = null, endpoin
 
 /**
  * Get a number value respecting min/max constraints.
+ * Handles both exclusive bound styles: OpenAPI 3.1 (JSON Schema 2020-12) gives
+ * exclusiveMinimum/exclusiveMaximum as numbers, OpenAPI 3.0 as booleans next to
+ * minimum/maximum.
  */
 function getConstrainedNumber(schema) {
-    const min = schema.minimum !== undefined ? schema.minimum : 0;
-    const max = schema.maximum !== undefined ? schema.maximum : 100;
+    const isInteger = getSchemaType(schema) === 'integer';
+    const step = isInteger ? 1 : 0.01;
+
+    let min = schema.minimum;
+    let max = schema.maximum;
+
+    if (typeof schema.exclusiveMinimum === 'number') {
+        min = Math.max(min !== undefined ? min : -Infinity, schema.exclusiveMinimum + step);
+    } else if (schema.exclusiveMinimum === true && min !== undefined) {
+        min += step;
+    }
+    if (typeof schema.exclusiveMaximum === 'number') {
+        max = Math.min(max !== undefined ? max : Infinity, schema.exclusiveMaximum - step);
+    } else if (schema.exclusiveMaximum === true && max !== undefined) {
+        max -= step;
+    }
+
+    // Default to a 0..100 range, shifted when only one bound lies outside it
+    if (min === undefined) min = max !== undefined && max < 0 ? max - 100 : 0;
+    if (max === undefined) max = min > 100 ? min + 100 : 100;
+    if (isInteger) {
+        min = Math.ceil(min);
+        max = Math.floor(max);
+    }
+
     // Pick a value that's 1/4 of the way from min to max (avoids boundary values)
     let value = min + Math.floor((max - min) / 4);
+    if (schema.multipleOf) {
+        value = Math.ceil(value / schema.multipleOf) * schema.multipleOf;
+        if (value > max) value -= schema.multipleOf;
+    }
     if (value < min) value = min;
     if (value > max) value = max;
-    if (schema.type === 'number') return parseFloat(value.toFixed(2));
+    if (!isInteger) return parseFloat(value.toFixed(2));
     return value;
 }
 
@@ -446,11 +593,12 @@ function getConstrainedString(schema) {
  * @param {object} collection - The Postman collection object
  * @param {object} openApiSpec - The original OpenAPI specification
  * @param {object} userValuesMap - Optional user-provided value overrides
+ * @param {object} logger - Logger for the sanitization summary
  * @returns {object} The sanitized collection
  */
-function sanitizeCollection(collection, openApiSpec, userValuesMap = null) {
+function sanitizeCollection(collection, openApiSpec, userValuesMap = null, logger = log) {
     if (!collection || !collection.item) {
-        log.warn('No items found in collection to sanitize');
+        logger.warn('No items found in collection to sanitize');
         return collection;
     }
 
@@ -486,9 +634,9 @@ function sanitizeCollection(collection, openApiSpec, userValuesMap = null) {
     traverse(collection.item);
 
     if (sanitizedCount > 0) {
-        log.info(`Sanitized ${sanitizedCount} random values with realistic defaults`);
+        logger.info(`Sanitized ${sanitizedCount} random values with realistic defaults`);
     } else {
-        log.info('No random values detected — collection looks clean');
+        logger.info('No random values detected — collection looks clean');
     }
 
     return collection;
@@ -518,7 +666,7 @@ function buildEndpointKey(item) {
 }
 
 /**
- * Sanitize a request (body, query params, path variables).
+ * Sanitize a request (body, form fields, query params, path variables).
  * Returns the number of values sanitized.
  */
 function sanitizeRequest(request, schemaMap, userValuesMap, endpointKey) {
@@ -538,11 +686,25 @@ function sanitizeRequest(request, schemaMap, userValuesMap, endpointKey) {
         }
     }
 
+    // Sanitize form fields (Swagger 2.0 formData, multipart and urlencoded bodies)
+    if (request.body && (request.body.mode === 'urlencoded' || request.body.mode === 'formdata')) {
+        for (const field of request.body[request.body.mode] || []) {
+            if (field.type !== 'file' && field.value && isRandomValue(field.value)) {
+                const schema = findFieldSchema(field.key, schemaMap, endpointKey) || {};
+                const newValue = resolveValue(field.key, schema, userValuesMap, endpointKey);
+                if (newValue !== null) {
+                    field.value = String(newValue);
+                    count++;
+                }
+            }
+        }
+    }
+
     // Sanitize query parameters
     if (request.url && request.url.query) {
         for (const param of request.url.query) {
             if (param.value && isRandomValue(param.value)) {
-                const schema = findFieldSchema(param.key, schemaMap) || {};
+                const schema = findFieldSchema(param.key, schemaMap, endpointKey) || {};
                 const newValue = resolveValue(param.key, schema, userValuesMap, endpointKey);
                 if (newValue !== null) {
                     param.value = String(newValue);
@@ -556,7 +718,7 @@ function sanitizeRequest(request, schemaMap, userValuesMap, endpointKey) {
     if (request.url && request.url.variable) {
         for (const variable of request.url.variable) {
             if (variable.value && isRandomValue(variable.value)) {
-                const schema = findFieldSchema(variable.key, schemaMap) || {};
+                const schema = findFieldSchema(variable.key, schemaMap, endpointKey) || {};
                 const newValue = resolveValue(variable.key, schema, userValuesMap, endpointKey);
                 if (newValue !== null) {
                     variable.value = String(newValue);
@@ -591,18 +753,27 @@ function sanitizeResponseBody(response, schemaMap, userValuesMap, endpointKey) {
 
 /**
  * Recursively sanitize an object or array, replacing random values.
+ * fieldName is the key holding an array, used to find the schema of its elements.
  * Returns { sanitized, changes } where changes is the count of values replaced.
  */
-function sanitizeObject(obj, schemaMap, userValuesMap, endpointKey) {
+function sanitizeObject(obj, schemaMap, userValuesMap, endpointKey, fieldName = null) {
     let changes = 0;
 
     if (Array.isArray(obj)) {
-        const sanitizedArr = obj.map(item => {
+        const arraySchema = fieldName ? findFieldSchema(fieldName, schemaMap, endpointKey) : null;
+        const sanitizedArr = obj.map((item, index) => {
             if (typeof item === 'object' && item !== null) {
                 const result = sanitizeObject(item, schemaMap, userValuesMap, endpointKey);
                 changes += result.changes;
                 return result.sanitized;
             }
+            if (arraySchema && isRandomValue(item)) {
+                const newValue = resolveValue(fieldName, getItemSchema(arraySchema, index), userValuesMap, endpointKey);
+                if (newValue !== null) {
+                    changes++;
+                    return newValue;
+                }
+            }
             return item;
         });
         return { sanitized: sanitizedArr, changes };
@@ -612,11 +783,11 @@ function sanitizeObject(obj, schemaMap, userValuesMap, endpointKey) {
         const sanitized = {};
         for (const [key, value] of Object.entries(obj)) {
             if (typeof value === 'object' && value !== null) {
-                const result = sanitizeObject(value, schemaMap, userValuesMap, endpointKey);
+                const result = sanitizeObject(value, schemaMap, userValuesMap, endpointKey, key);
                 sanitized[key] = result.sanitized;
                 changes += result.changes;
             } else if (isRandomValue(value)) {
-                const schema = findFieldSchema(key, schemaMap) || {};
+                const schema = findFieldSchema(key, schemaMap, endpointKey) || {};
                 const newValue = resolveValue(key, schema, userValuesMap, endpointKey);
                 if (newValue !== null) {
                     sanitized[key] = newValue;
@@ -641,6 +812,8 @@ module.exports = {
     buildSchemaMap,
     findFieldSchema,
     buildEndpointKey,
+    getSchemaType,
+    getItemSchema,
     // Exported for testing
     FORMAT_DEFAULTS,
     FIELD_NAME_DEFAULTS,
@@ -0,0 +1,156 @@
+/**
+ * Watch mode
+ *
+ * Polls the spec of a sync, a file or a URL such as
+ * http://localhost:8080/v3/api-docs, and syncs the collection whenever the
+ * spec changes. Changes are judged by a hash of the bundled spec and of the
+ * other files a sync reads (overlays, --values-map, --folder-map and
+ * --env-file), so edits to files the spec references through $ref count too,
+ * while re-saving or re-serving the same content does not. Failures are reported and the watch goes on:
+ * a server restarting or a spec saved half-way is picked up by a later poll.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { log, silentLog, readSpecFile, fetchUrl, fetchOpenApiFromUrl, fetchOptionsFromCli, urlOrigin } = require('./utils');
+const { isUrlInput } = require('./manifest');
+const { bundleSpec } = require('./ref-bundler');
+const { sync } = require('./sync');
+
+const DEFAULT_INTERVAL = 2000;
+const MIN_INTERVAL = 100;
+
+// Polling is quiet: only changes and fetch retries are reported
+const pollLog = { ...silentLog, warn: (msg) => log.warn(msg) };
+
+/**
+ * Content of a file, or null when it does not exist (the sync reports that)
+ */
+function readIfExists(filePath) {
+    const resolved = path.resolve(filePath);
+    return fs.existsSync(resolved) ? fs.readFileSync(resolved, 'utf8') : null;
+}
+
+/**
+ * Contents of the files besides the spec that a sync reads
+ */
+async function readSyncInputs(options, location, fetchOptions) {
+    const contents = [];
+    for (const overlay of options.overlay || []) {
+        contents.push(isUrlInput(overlay)
+            ? (await fetchUrl(overlay, { ...fetchOptions, credentialsOrigin: urlOrigin(location) })).body
+            : readIfExists(overlay));
+    }
+    for (const filePath of [options.valuesMap, options.folderMap, options.envFile]) {
+        contents.push(filePath ? readIfExists(filePath) : null);
+    }
+    return contents;
+}
+
+/**
+ * Load and bundle the spec, with the hash of its content and of the other inputs
+ */
+async function readSpec(options) {
+    // The content hash takes the place of the ETag cache
+    const fetchOptions = { ...fetchOptionsFromCli(options), cacheDir: null, logger: pollLog };
+    const location = isUrlInput(options.input) ? options.input : path.resolve(options.input);
+    const spec = isUrlInput(location) ? await fetchOpenApiFromUrl(location, fetchOptions) : readSpecFile(location);
+    const bundled = await bundleSpec(spec, { baseLocation: location, fetchOptions, logger: pollLog });
+    const inputs = await readSyncInputs(options, location, fetchOptions);
+    const hash = crypto.createHash('sha256').update(JSON.stringify([bundled, inputs])).digest('hex');
+    return { spec: bundled, location, hash };
+}
+
+/**
+ * Create a watcher whose poll() syncs when the spec has changed since the last poll
+ *
+ * @param {object} options - Options of the sync command
+ * @returns {{poll: function(): Promise<{changed: boolean, result?: object, error?: Error}>}}
+ */
+function createSpecWatcher(options) {
+    let lastHash = null;
+    let lastError = null;
+
+    // Report a failure once, not on every poll until it is fixed
+    const fail = (error) => {
+        if (!lastError || lastError.message !== error.message) {
+            log.error(`Sync failed: ${error.message}`);
+            (error.problems || []).forEach(problem => log.error(`${problem.pointer || '/'}: ${problem.message}`));
+            if (options.verbose) {
+                console.error(error.stack);
+            }
+        }
+        lastError = error;
+        return { changed: false, error };
+    };
+
+    return {
+        async poll() {
+            let loaded;
+            try {
+                loaded = await readSpec(options);
+            } catch (error) {
+                return fail(error);
+            }
+
+            if (loaded.hash === lastHash) {
+                return { changed: false };
+            }
+
+            console.log(chalk.gray(`\n[${new Date().toLocaleTimeString()}] ${lastHash ? 'Spec changed' : 'Syncing'}: ${loaded.location}`));
+            // Remember the spec before syncing, so a spec that fails to convert is only tried once
+            lastHash = loaded.hash;
+            try {
+                const result = await sync(options, loaded);
+                lastError = null;
+                return { changed: true, result };
+            } catch (error) {
+                return { ...fail(error), changed: true };
+            }
+        }
+    };
+}
+
+/**
+ * Wait, returning early when the signal aborts
+ */
+function sleep(ms, signal) {
+    return new Promise(resolve => {
+        if (signal && signal.aborted) return resolve();
+        const onAbort = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Main watch function: sync now, then again whenever the spec changes.
+ * Runs until the process is interrupted or the signal aborts.
+ *
+ * @param {object} options - Options of the sync command, plus interval (milliseconds)
+ * @param {AbortSignal} [signal]
+ */
+async function watch(options, signal) {
+    const interval = options.interval !== undefined ? Number(options.interval) : DEFAULT_INTERVAL;
+    if (!Number.isInteger(interval) || interval < MIN_INTERVAL) {
+        throw new Error(`Invalid interval "${options.interval}": expected at least ${MIN_INTERVAL} milliseconds`);
+    }
+
+    const watcher = createSpecWatcher(options);
+    log.info(`Watching ${options.input} every ${interval} ms (press Ctrl+C to stop)`);
+
+    while (!(signal && signal.aborted)) {
+        await watcher.poll();
+        await sleep(interval, signal);
+    }
+}
+
+module.exports = { watch, createSpecWatcher, DEFAULT_INTERVAL };